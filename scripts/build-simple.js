@@ -38,12 +38,15 @@ class SimpleBuild {
     try {
       const configPath = path.join(process.cwd(), 'book-config.json');
       const configContent = await fs.readFile(configPath, 'utf-8');
-      this.config = JSON.parse(configContent);
+      // flat 形式・nested 形式のどちらでも正規形に変換して扱う
+      const { ConfigNormalizer } = await import('../src/ConfigNormalizer.js');
+      this.config = new ConfigNormalizer().normalize(JSON.parse(configContent));
       this.log('設定ファイルを読み込みました');
     } catch (error) {
       // Fallback to default config
       this.config = {
-        book: { title: 'My Book', author: { name: 'Author' } },
+        title: 'My Book',
+        author: 'Author',
         contentSections: [
           { name: 'introduction', directory: 'introduction', enabled: true, order: 1 },
           { name: 'chapters', directory: 'chapters', enabled: true, order: 2 },
@@ -269,9 +272,9 @@ title: "${title}"
     }
     
     // Generate basic index.md with correct author information
-    const book = this.config.book || {};
-    const author = book.author || {};
-    const authorName = author.name || 'Author';
+    const book = this.config;
+    const author = book.authorInfo || {};
+    const authorName = book.author || 'Author';
     
     const indexContent = `# ${book.title || 'Book Title'}
 
@@ -356,9 +359,9 @@ Built with [Book Publishing Template v3.0](https://github.com/itdojp/book-publis
       const url = userName ? `https://${userName}.github.io` : '';
       const githubRepo = (userName && repoName) ? `${userName}/${repoName}` : '';
 
-      const defaultConfig = `title: "${this.config.book?.title || 'My Book'}"
-description: "${this.config.book?.description || 'Book description'}"
-author: "${this.config.book?.author?.name || 'Author'}"
+      const defaultConfig = `title: "${this.config.title || 'My Book'}"
+description: "${this.config.description || 'Book description'}"
+author: "${this.config.author || 'Author'}"
 baseurl: "${baseurl}"
 url: "${url}"
 
@@ -575,30 +578,29 @@ exclude:
     }
 
     // Write navigation data
+    // Values are written as JSON strings, which are also valid double-quoted YAML scalars,
+    // so titles containing quotes, colons or newlines do not break the file
     const dataDir = path.join(publicDir, '_data');
     await fs.mkdir(dataDir, { recursive: true });
+    const formatItems = (items) => items.map(item => `  - title: ${JSON.stringify(String(item.title ?? ''))}
+    path: ${JSON.stringify(String(item.path ?? ''))}`).join('\n');
     await fs.writeFile(
       path.join(dataDir, 'navigation.yml'),
       `# Auto-generated navigation data
 introduction:
-${navigationData.introduction.map(intro => `  - title: "${intro.title}"
-    path: "${intro.path}"`).join('\n')}
+${formatItems(navigationData.introduction)}
 
 chapters:
-${navigationData.chapters.map(ch => `  - title: "${ch.title}"
-    path: "${ch.path}"`).join('\n')}
+${formatItems(navigationData.chapters)}
 
 additional:
-${navigationData.additional.map(add => `  - title: "${add.title}"
-    path: "${add.path}"`).join('\n')}
+${formatItems(navigationData.additional)}
 
 appendices:
-${navigationData.appendices.map(ap => `  - title: "${ap.title}"
-    path: "${ap.path}"`).join('\n')}
+${formatItems(navigationData.appendices)}
 
 afterword:
-${navigationData.afterword.map(after => `  - title: "${after.title}"
-    path: "${after.path}"`).join('\n')}
+${formatItems(navigationData.afterword)}
 `
     );
     
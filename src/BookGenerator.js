@@ -2,11 +2,20 @@ import fs from 'fs-extra';
 import path from 'path';
 import YAML from 'yaml';
 import { ConfigValidator } from './ConfigValidator.js';
+import { ConfigNormalizer } from './ConfigNormalizer.js';
+import { ConfigLoader } from './ConfigLoader.js';
 import { TemplateEngine } from './TemplateEngine.js';
 import { FileSystemUtils } from './FileSystemUtils.js';
 import { ErrorHandler } from './ErrorHandler.js';
 import { GitHubPagesHandler } from './GitHubPagesHandler.js';
 import { MobileOptimizer } from './MobileOptimizer.js';
+import { BookStructure } from './BookStructure.js';
+
+// 章・付録のファイルを生成するテンプレートと、テンプレートでの変数名
+const PAGE_TEMPLATES = {
+  chapters: { template: 'chapter.md', key: 'chapter' },
+  appendices: { template: 'appendix.md', key: 'appendix' }
+};
 
 /**
  * 設定駆動型のブック生成システムのメインクラス
@@ -14,11 +23,15 @@ import { MobileOptimizer } from './MobileOptimizer.js';
 export class BookGenerator {
   constructor() {
     this.validator = new ConfigValidator();
+    this.configNormalizer = new ConfigNormalizer();
+    this.configLoader = new ConfigLoader();
     this.templateEngine = new TemplateEngine();
+    this.customTemplates = new Set();
     this.fsUtils = new FileSystemUtils();
     this.errorHandler = new ErrorHandler();
     this.gitHubPagesHandler = new GitHubPagesHandler(this.errorHandler);
     this.mobileOptimizer = new MobileOptimizer();
+    this.bookStructure = new BookStructure();
     
     // Safe file system wrapper
     this.safeFs = this.errorHandler.createSafeFileSystem(fs);
@@ -28,8 +41,9 @@ export class BookGenerator {
    * 設定ファイルを読み込み、新しい書籍を生成する
    * @param {string} configPath - 設定ファイルのパス
    * @param {string} outputPath - 出力ディレクトリのパス
+   * @param {Object} options - オプション（env: 環境名、strict: テンプレートの値が見つからない変数をエラーにする）
    */
-  async createBook(configPath, outputPath) {
+  async createBook(configPath, outputPath, options = {}) {
     this.errorHandler.reset();
     this.errorHandler.setContext('createBook');
     
@@ -42,7 +56,7 @@ export class BookGenerator {
 
       // 設定ファイルの読み込み
       const config = await this.errorHandler.safeExecute(
-        () => this.loadConfig(configPath),
+        () => this.loadConfig(configPath, options),
         'loading configuration',
         {
           fallback: () => {
@@ -53,7 +67,7 @@ export class BookGenerator {
       
       // 設定ファイルのバリデーション
       await this.errorHandler.safeExecute(
-        () => this.validator.validate(config),
+        () => this.validateConfig(config),
         'validating configuration'
       );
       
@@ -71,6 +85,12 @@ export class BookGenerator {
         { timeout: 10000 }
       );
       
+      // 書籍のテンプレートの読み込み
+      await this.errorHandler.safeExecute(
+        () => this.loadBookTemplates(config, outputPath, { configPath, strict: options.strict }),
+        'loading templates'
+      );
+      
       // ファイルの生成
       await this.errorHandler.safeExecute(
         () => this.generateFiles(config, outputPath),
@@ -99,11 +119,12 @@ export class BookGenerator {
    * 既存の書籍を更新する
    * @param {string} configPath - 設定ファイルのパス
    * @param {string} bookPath - 書籍のパス
+   * @param {Object} options - オプション（env: 環境名、strict: テンプレートの値が見つからない変数をエラーにする）
    */
-  async updateBook(configPath, bookPath) {
+  async updateBook(configPath, bookPath, options = {}) {
     try {
-      const config = await this.loadConfig(configPath);
-      this.validator.validate(config);
+      const config = await this.loadConfig(configPath, options);
+      this.validateConfig(config);
       
       // 書籍ディレクトリの存在確認
       if (!(await this.fsUtils.exists(bookPath))) {
@@ -113,6 +134,9 @@ export class BookGenerator {
       // 既存ファイルのバックアップ
       await this.fsUtils.createBackup(bookPath);
       
+      // 書籍のテンプレートの読み込み
+      await this.loadBookTemplates(config, bookPath, { configPath, strict: options.strict });
+
       // 構造の更新
       await this.updateBookStructure(config, bookPath);
       
@@ -129,22 +153,92 @@ export class BookGenerator {
 
   /**
    * 設定ファイルを読み込む
+   * JSON / YAML / JavaScript モジュール（book.config.mjs など）に対応し、extends による継承と環境別の設定を反映して正規形に変換して返す
    * @param {string} configPath - 設定ファイルのパス
-   * @returns {Object} 設定オブジェクト
+   * @param {Object} options - オプション
+   * @param {string} options.env - 環境名（book-config.<env>.json を重ねる）
+   * @returns {Object} 設定オブジェクト（正規形）
    */
-  async loadConfig(configPath) {
-    const configContent = await fs.readFile(configPath, 'utf8');
-    const ext = path.extname(configPath).toLowerCase();
-    
+  async loadConfig(configPath, options = {}) {
+    return this.configLoader.load(configPath, options);
+  }
+
+  /**
+   * 設定ファイルを flat 形式と nested 形式の間で変換する
+   * @param {string} configPath - 設定ファイルのパス
+   * @param {Object} options - オプション
+   * @param {string} options.to - 変換先の形式（省略時は現在と逆の形式）
+   * @param {string} options.output - 出力先のパス（省略時は元のファイルを上書き）
+   * @param {boolean} options.dryRun - trueの場合はファイルを書き込まない
+   * @returns {Object} { from, to, outputPath, content }
+   */
+  async migrateConfig(configPath, options = {}) {
+    const raw = await this.loadRawConfig(configPath);
+    const from = this.configNormalizer.detectDialect(raw);
+    const to = options.to || (from === 'nested' ? 'flat' : 'nested');
+    const outputPath = options.output || configPath;
+    if (outputPath === configPath && /\.[cm]?js$/i.test(configPath)) {
+      throw new Error('JavaScript の設定ファイルは書き換えられません。出力先（--output）に .json または .yml を指定してください');
+    }
+    const migrated = this.configNormalizer.toDialect(raw, to);
+
+    const ext = path.extname(outputPath).toLowerCase();
+    let content;
     switch (ext) {
     case '.json':
-      return JSON.parse(configContent);
+      content = `${JSON.stringify(migrated, null, 2)}\n`;
+      break;
     case '.yml':
     case '.yaml':
-      return YAML.parse(configContent);
+      content = YAML.stringify(migrated);
+      break;
     default:
       throw new Error(`サポートされていない設定ファイル形式: ${ext}`);
     }
+
+    if (!options.dryRun) {
+      await this.fsUtils.writeFileSafe(outputPath, content);
+    }
+
+    return { from, to, outputPath, content };
+  }
+
+  /**
+   * 設定をバリデーションする（エラーには設定ファイル上の位置を付与する）
+   * @param {Object} config - loadConfig または loadRawConfig で読み込んだ設定オブジェクト
+   * @returns {Object} 検証結果
+   * @throws {Error} バリデーションエラー
+   */
+  validateConfig(config) {
+    return this.validator.validate(config, { locate: (pointer) => this.locateConfig(config, pointer) });
+  }
+
+  /**
+   * 設定の JSON Pointer が指す値の、設定ファイル上の位置を取得する
+   * @param {Object} config - loadConfig または loadRawConfig で読み込んだ設定オブジェクト
+   * @param {string} pointer - JSON Pointer
+   * @returns {Object|null} { file, line, column, location, codeFrame }
+   */
+  locateConfig(config, pointer) {
+    return this.configLoader.locate(config, pointer);
+  }
+
+  /**
+   * loadConfig で読み込んだ設定を、設定ファイルに記述された形式（環境変数は展開済み）で取得する
+   * @param {Object} config - loadConfig で読み込んだ設定オブジェクト
+   * @returns {Object|null} 設定オブジェクト（継承や環境別の設定を重ねた場合は null）
+   */
+  getSourceConfig(config) {
+    return this.configLoader.getSourceConfig(config);
+  }
+
+  /**
+   * 設定ファイルを記述されたままの形式で読み込む（継承や環境変数は反映しない）
+   * @param {string} configPath - 設定ファイルのパス
+   * @returns {Object} 設定オブジェクト
+   */
+  async loadRawConfig(configPath) {
+    return this.configLoader.readConfigFile(configPath);
   }
 
   /**
@@ -153,8 +247,6 @@ export class BookGenerator {
    * @param {string} outputPath - 出力パス
    */
   async generateBookStructure(config, outputPath) {
-    const structure = config.structure || {};
-    
     // 基本ディレクトリの作成
     const directories = [
       'src',
@@ -173,18 +265,9 @@ export class BookGenerator {
       await this.fsUtils.ensureDir(path.join(outputPath, dir));
     }
     
-    // 章ディレクトリの作成
-    if (structure.chapters) {
-      for (const chapter of structure.chapters) {
-        const chapterDir = path.join(outputPath, 'src', `chapter-${chapter.id}`);
-        await this.fsUtils.ensureDir(chapterDir);
-      }
-    }
-    
-    // 付録ディレクトリの作成
-    if (structure.appendices) {
-      const appendixDir = path.join(outputPath, 'src', 'appendices');
-      await this.fsUtils.ensureDir(appendixDir);
+    // 章・付録などの原稿ディレクトリの作成（flat 形式の章は chapter-<id>、nested 形式は contentSections のディレクトリ）
+    for (const entry of this.bookStructure.getEntries(config)) {
+      await this.fsUtils.ensureDir(path.join(outputPath, 'src', path.posix.dirname(entry.source)));
     }
   }
 
@@ -226,6 +309,175 @@ export class BookGenerator {
     await this.copyTemplateFiles(outputPath);
   }
 
+  /**
+   * 書籍のテンプレートを読み込む
+   * 書籍の templates/ と build.templatesDir（設定ファイルからの相対パス）の順に読み込み、
+   * *.md / *.yml / *.json は同名の組み込みテンプレートを、*.hbs はパーシャル・レイアウトを置き換える
+   * @param {Object} config - 設定オブジェクト
+   * @param {string} bookPath - 書籍のパス
+   * @param {Object} options - オプション
+   * @param {string} options.configPath - 設定ファイルのパス（build.templatesDir の基準）
+   * @param {boolean} options.strict - 値が見つからない変数をエラーにする場合true（build.debug でも有効になる）
+   * @returns {Set<string>} 置き換えたテンプレート名
+   */
+  async loadBookTemplates(config, bookPath, options = {}) {
+    // 別の書籍で読み込んだテンプレートが残らないようにする
+    this.templateEngine.resetTemplates();
+    this.templateEngine.strict = Boolean(options.strict || config?.build?.debug);
+    this.customTemplates = new Set();
+
+    for (const directory of this.getTemplateDirectories(config, bookPath, options)) {
+      const loaded = await this.templateEngine.loadTemplatesFromDirectory(directory);
+      loaded.templates.forEach(name => this.customTemplates.add(name));
+    }
+
+    return this.customTemplates;
+  }
+
+  /**
+   * 書籍のテンプレートディレクトリを優先度の低い順に取得する
+   * @param {Object} config - 設定オブジェクト
+   * @param {string} bookPath - 書籍のパス
+   * @param {Object} options - オプション
+   * @param {string} options.configPath - 設定ファイルのパス（build.templatesDir の基準）
+   * @returns {Array<string>} ディレクトリのパスの配列
+   */
+  getTemplateDirectories(config, bookPath, options = {}) {
+    const directories = [path.resolve(bookPath, 'templates')];
+    if (config?.build?.templatesDir) {
+      const baseDir = options.configPath ? path.dirname(path.resolve(options.configPath)) : process.cwd();
+      const templatesDir = path.resolve(baseDir, config.build.templatesDir);
+      if (templatesDir !== directories[0]) {
+        directories.push(templatesDir);
+      }
+    }
+    return directories;
+  }
+
+  /**
+   * 組み込みテンプレートと、書籍での置き換えの状況を取得する
+   * @param {Object} config - 設定オブジェクト（ない場合は書籍の templates/ だけを参照する）
+   * @param {string} bookPath - 書籍のパス
+   * @param {Object} options - オプション
+   * @param {string} options.configPath - 設定ファイルのパス
+   * @returns {Array<Object>} { name, type: 'template' | 'partial', builtIn, file } の配列（file は置き換えているファイル）
+   */
+  async listTemplates(config, bookPath, options = {}) {
+    const engine = new TemplateEngine();
+    const entries = new Map();
+    const add = (name, type, builtIn, file = null) => entries.set(`${type}:${name}`, { name, type, builtIn, file });
+
+    engine.getAvailableTemplates().forEach(name => add(name, 'template', true));
+    engine.getAvailablePartials().forEach(name => add(name, 'partial', true));
+
+    for (const directory of this.getTemplateDirectories(config, bookPath, options)) {
+      const loaded = await engine.loadTemplatesFromDirectory(directory);
+      loaded.templates.forEach(name => add(name, 'template', entries.get(`template:${name}`)?.builtIn || false, path.join(directory, name)));
+      loaded.partials.forEach(name => add(name, 'partial', entries.get(`partial:${name}`)?.builtIn || false, path.join(directory, `${name}.hbs`)));
+    }
+
+    return Array.from(entries.values());
+  }
+
+  /**
+   * 書籍のテンプレートをすべて現在の設定でレンダリングし、値が見つからない変数と使用していない設定を調べる
+   * chapter.md / appendix.md は章・付録ごとにレンダリングし、chapter.* / appendix.* の参照は structure.chapters[].* / structure.appendices[].* として扱う
+   * @param {Object} config - 設定オブジェクト
+   * @param {string} bookPath - 書籍のパス
+   * @param {Object} options - オプション
+   * @param {string} options.configPath - 設定ファイルのパス
+   * @returns {Object} { templates: テンプレート名の配列, missing: { path, template, line, column, chapter / appendix } の配列, unused: 設定のパスの配列 }
+   */
+  async checkTemplates(config, bookPath, options = {}) {
+    await this.loadBookTemplates(config, bookPath, options);
+
+    const templates = this.templateEngine.getAvailableTemplates();
+    const missing = [];
+    const used = new Set();
+
+    for (const name of templates) {
+      const [section, page] = Object.entries(PAGE_TEMPLATES).find(([, item]) => item.template === name) || [];
+      const targets = page
+        ? (config.structure?.[section] || []).map(item => ({ data: { ...config, [page.key]: item }, item }))
+        : [{ data: config }];
+
+      for (const { data, item } of targets) {
+        const result = this.templateEngine.inspect(name, data);
+        result.used.forEach(usedPath => used.add(item ? usedPath.replace(new RegExp(`^${page.key}(?=\\.|$)`), `structure.${section}[]`) : usedPath));
+        result.missing.forEach(issue => missing.push(item ? { ...issue, [page.key]: item.id } : issue));
+      }
+    }
+
+    return { templates, missing, unused: this.findUnusedConfigPaths(config, Array.from(used)) };
+  }
+
+  /**
+   * テンプレートで使用していない設定のパスを取得する
+   * 配下がすべて未使用のオブジェクトは1つにまとめ、オブジェクトの配列は要素のキーを "[]" でまとめて扱う
+   * @param {*} value - 設定の値
+   * @param {Array<string>} used - テンプレートで参照したパス（例: "structure.chapters[].title"）
+   * @param {string} prefix - value のパス
+   * @returns {Array<string>} 使用していない設定のパス
+   */
+  findUnusedConfigPaths(value, used, prefix = '') {
+    const isObject = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+
+    // 親のオブジェクトごと参照している場合（{{json repository}} など）は使用済みとする
+    if (prefix && used.some(usedPath => prefix === usedPath || prefix.startsWith(`${usedPath}.`) || prefix.startsWith(`${usedPath}[]`))) {
+      return [];
+    }
+
+    let children = [];
+    if (Array.isArray(value) && value.some(isObject)) {
+      const merged = Object.assign({}, ...value.filter(isObject));
+      children = Object.entries(merged).map(([key, child]) => [`${prefix}[].${key}`, child]);
+    } else if (isObject(value)) {
+      children = Object.entries(value).map(([key, child]) => [prefix ? `${prefix}.${key}` : key, child]);
+    }
+
+    if (children.length === 0) {
+      const isPartlyUsed = used.some(usedPath => usedPath.startsWith(`${prefix}.`) || usedPath.startsWith(`${prefix}[]`));
+      return prefix && !isPartlyUsed ? [prefix] : [];
+    }
+
+    const results = children.map(([childPath, child]) => this.findUnusedConfigPaths(child, used, childPath));
+    if (prefix && results.every((result, index) => result.length === 1 && result[0] === children[index][0])) {
+      return [prefix];
+    }
+    return results.flat();
+  }
+
+  /**
+   * 組み込みテンプレートを書籍のテンプレートディレクトリにコピーする（カスタマイズ用）
+   * パーシャルは <name>.hbs として書き出す
+   * @param {string} name - テンプレート名またはパーシャル名
+   * @param {Object} config - 設定オブジェクト（build.templatesDir がある場合はそこに書き出す）
+   * @param {string} bookPath - 書籍のパス
+   * @param {Object} options - オプション
+   * @param {string} options.configPath - 設定ファイルのパス
+   * @param {boolean} options.force - 既存のファイルを上書きする場合true（バックアップを作成する）
+   * @returns {string} 書き出したファイルのパス
+   */
+  async ejectTemplate(name, config, bookPath, options = {}) {
+    const engine = new TemplateEngine();
+    const template = engine.getTemplate(name);
+    const partial = template === undefined ? engine.getPartial(name) : undefined;
+    if (template === undefined && partial === undefined) {
+      const available = [...engine.getAvailableTemplates(), ...engine.getAvailablePartials()].join(', ');
+      throw new Error(`組み込みテンプレートが見つかりません: ${name}（利用可能: ${available}）`);
+    }
+
+    const directories = this.getTemplateDirectories(config, bookPath, options);
+    const filePath = path.join(directories[directories.length - 1], template !== undefined ? name : `${name}.hbs`);
+    if (!options.force && await this.fsUtils.exists(filePath)) {
+      throw new Error(`ファイルが既に存在します: ${filePath}（上書きする場合は --force を指定してください）`);
+    }
+
+    await this.fsUtils.ensureDir(path.dirname(filePath));
+    await this.fsUtils.writeFileSafe(filePath, template ?? partial);
+    return filePath;
+  }
+
   /**
    * インデックスファイルを生成する
    * @param {Object} config - 設定オブジェクト
@@ -257,8 +509,9 @@ export class BookGenerator {
     );
     
     // _config.yml (Jekyll用) - GitHub Pages用に拡張
+    // 書籍の templates/_config.yml がある場合は GitHub Pages 用の設定より優先する
     let jekyllConfig;
-    if (config.deployment?.platform === 'github-pages') {
+    if (config.deployment?.platform === 'github-pages' && !this.customTemplates.has('_config.yml')) {
       jekyllConfig = this.gitHubPagesHandler.enhanceJekyllConfig(config);
     } else {
       jekyllConfig = this.templateEngine.render('_config.yml', config);
@@ -286,36 +539,55 @@ export class BookGenerator {
   }
 
   /**
-   * 章ファイルを生成する
+   * 章・付録のファイルを生成する
    * @param {Object} config - 設定オブジェクト
    * @param {string} outputPath - 出力パス
    */
   async generateChapterFiles(config, outputPath) {
-    if (!config.structure?.chapters) return;
-    
-    for (const chapter of config.structure.chapters) {
-      const chapterContent = this.templateEngine.render('chapter.md', {
-        ...config,
-        chapter
-      });
-      
-      const chapterPath = path.join(
-        outputPath,
-        'src',
-        `chapter-${chapter.id}`,
-        'index.md'
-      );
-      
-      await fs.writeFile(chapterPath, chapterContent);
+    for (const entry of this.getPageEntries(config)) {
+      await this.generatePageFile(config, entry, outputPath);
     }
   }
 
+  /**
+   * 章・付録のファイルを1つ生成する（章は chapter.md、付録は appendix.md のテンプレートを使用する）
+   * @param {Object} config - 設定オブジェクト
+   * @param {Object} entry - 章・付録のページ情報（BookStructure.getEntries）
+   * @param {string} outputPath - 出力パス
+   */
+  async generatePageFile(config, entry, outputPath) {
+    const { template, key } = PAGE_TEMPLATES[entry.section];
+    const content = this.templateEngine.render(template, {
+      ...config,
+      [key]: entry.item
+    });
+    
+    const pagePath = path.join(outputPath, 'src', entry.source);
+    await this.fsUtils.ensureDir(path.dirname(pagePath));
+    await fs.writeFile(pagePath, content);
+  }
+
+  /**
+   * テンプレートから生成する章・付録のページ情報を取得する
+   * @param {Object} config - 設定オブジェクト
+   * @returns {Array<Object>} 章・付録のページ情報の配列
+   */
+  getPageEntries(config) {
+    return this.bookStructure.getEntries(config).filter(entry => PAGE_TEMPLATES[entry.section]);
+  }
+
   /**
    * パッケージファイルを生成する
    * @param {Object} config - 設定オブジェクト
    * @param {string} outputPath - 出力パス
    */
   async generatePackageFile(config, outputPath) {
+    // 書籍の templates/package.json がある場合はそれを使用する
+    if (this.customTemplates.has('package.json')) {
+      await fs.writeFile(path.join(outputPath, 'package.json'), this.templateEngine.render('package.json', config));
+      return;
+    }
+
     // Enhanced package.json with GitHub Pages deployment scripts
     const packageData = {
       name: config.repository?.name || 'book',
@@ -357,14 +629,10 @@ export class BookGenerator {
    * @param {string} bookPath - 書籍のパス
    */
   async updateBookStructure(config, bookPath) {
-    // 新しい章が追加された場合の処理
-    if (config.structure?.chapters) {
-      for (const chapter of config.structure.chapters) {
-        const chapterDir = path.join(bookPath, 'src', `chapter-${chapter.id}`);
-        if (!(await fs.pathExists(chapterDir))) {
-          await this.fsUtils.ensureDir(chapterDir);
-          await this.generateChapterFiles(config, bookPath);
-        }
+    // 新しい章・付録が追加された場合は、そのファイルだけを生成する
+    for (const entry of this.getPageEntries(config)) {
+      if (!(await fs.pathExists(path.join(bookPath, 'src', entry.source)))) {
+        await this.generatePageFile(config, entry, bookPath);
       }
     }
   }
@@ -444,11 +712,11 @@ export class BookGenerator {
         
         navigationData[pagePath] = {
           previous: prevPath ? {
-            path: `/${prevPath}.html`,
+            path: this.toNavigationPath(prevPath),
             title: this.getPageTitle(config, prevPath)
           } : null,
           next: nextPath ? {
-            path: `/${nextPath}.html`, 
+            path: this.toNavigationPath(nextPath),
             title: this.getPageTitle(config, nextPath)
           } : null,
           index: index,
@@ -473,77 +741,63 @@ export class BookGenerator {
    * @returns {Array} ナビゲーション順序の配列
    */
   generateDefaultNavigationOrder(config) {
-    const order = [];
-    const structure = config.structure || {};
+    return this.getNavigationPages(config).map(page => page.key);
+  }
 
-    // はじめに
-    if (structure.introduction) {
-      structure.introduction.forEach(intro => {
-        if (intro.path) {
-          // パスから先頭の "/" を除去し、".html" も除去
-          const cleanPath = intro.path.replace(/^\//, '').replace(/\.html$/, '');
-          order.push(cleanPath);
-        }
-      });
-    }
+  /**
+   * ナビゲーションのページ一覧を取得する
+   * キーは page-navigation.html と同じく URL から先頭の "/" と ".html" を除いたもの。
+   * 構成要素に path（例: "/src/chapter-1/index.html"）を指定した設定では、その URL と記載順（introduction、chapters、conclusion、appendices）を使う
+   * @param {Object} config - 設定オブジェクト
+   * @returns {Array<Object>} ページの配列（key、title、source）
+   */
+  getNavigationPages(config) {
+    const structure = config.structure || {};
+    const items = ['introduction', 'chapters', 'conclusion', 'appendices']
+      .flatMap(section => this.bookStructure.toList(structure[section]));
 
-    // 各章
-    if (structure.chapters) {
-      structure.chapters.forEach(chapter => {
-        if (chapter.path) {
-          const cleanPath = chapter.path.replace(/^\//, '').replace(/\.html$/, '');
-          order.push(cleanPath);
-        }
-      });
+    if (items.some(item => item.path)) {
+      return items
+        .filter(item => item.path)
+        .map(item => ({ key: this.toNavigationKey(item.path), title: item.title || '', source: null }));
     }
 
-    // おわりに
-    if (structure.conclusion) {
-      structure.conclusion.forEach(concl => {
-        if (concl.path) {
-          const cleanPath = concl.path.replace(/^\//, '').replace(/\.html$/, '');
-          order.push(cleanPath);
-        }
-      });
-    }
+    return this.bookStructure.getEntries(config).map(entry => ({
+      key: this.toNavigationKey(entry.url),
+      title: entry.title,
+      source: entry.source.replace(/\.md$/, '')
+    }));
+  }
 
-    // 付録
-    if (structure.appendices) {
-      structure.appendices.forEach(appendix => {
-        if (appendix.path) {
-          const cleanPath = appendix.path.replace(/^\//, '').replace(/\.html$/, '');
-          order.push(cleanPath);
-        }
-      });
-    }
+  /**
+   * URL をナビゲーションのキーに変換する
+   * @param {string} url - ページの URL
+   * @returns {string} ナビゲーションのキー
+   */
+  toNavigationKey(url) {
+    return url.replace(/^\//, '').replace(/\.html$/, '');
+  }
 
-    return order;
+  /**
+   * ナビゲーションのキーをページの URL に戻す（"introduction/" のようなディレクトリはそのまま）
+   * @param {string} key - ナビゲーションのキー
+   * @returns {string} ページの URL
+   */
+  toNavigationPath(key) {
+    return key.endsWith('/') ? `/${key}` : `/${key}.html`;
   }
 
   /**
    * ページのタイトルを取得する
+   * navigation.order には URL のキーのほか、原稿のパス（例: "chapters/chapter01"）も指定できる
    * @param {Object} config - 設定オブジェクト
    * @param {string} pagePath - ページパス
    * @returns {string} ページタイトル
    */
   getPageTitle(config, pagePath) {
-    const structure = config.structure || {};
-    
-    // すべてのセクションを検索
-    const allSections = [
-      ...(structure.introduction || []),
-      ...(structure.chapters || []),
-      ...(structure.conclusion || []),
-      ...(structure.appendices || [])
-    ];
-
-    for (const item of allSections) {
-      if (item.path) {
-        const cleanPath = item.path.replace(/^\//, '').replace(/\.html$/, '');
-        if (cleanPath === pagePath) {
-          return item.title || pagePath;
-        }
-      }
+    const page = this.getNavigationPages(config).find(item => item.key === pagePath || item.source === pagePath);
+    if (page) {
+      return page.title || pagePath;
     }
 
     // タイトルが見つからない場合はパスから推測
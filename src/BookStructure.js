@@ -0,0 +1,150 @@
+import path from 'path';
+import { Numbering } from './Numbering.js';
+
+/**
+ * 書籍構成の解決 - 設定の structure から読み込み順のページ一覧を組み立てる
+ */
+export class BookStructure {
+  /**
+   * 設定から読み込み順のページ一覧を取得する
+   * @param {Object} config - 設定オブジェクト
+   * @returns {Array<Object>} ページ情報の配列
+   */
+  getEntries(config) {
+    const structure = config.structure || {};
+    const numbering = Numbering.fromConfig(config);
+    const entries = [];
+
+    this.toList(structure.introduction).forEach(item => {
+      entries.push(this.createEntry(config, 'introduction', item, item.file || 'index.md'));
+    });
+
+    this.toList(structure.chapters).forEach((chapter, index) => {
+      const file = chapter.file || (chapter.id ? null : `chapter${String(index + 1).padStart(2, '0')}.md`);
+      const entry = file
+        ? this.createEntry(config, 'chapters', chapter, file)
+        : this.createEntry(config, 'chapters', chapter, 'index.md', `chapter-${chapter.id}`);
+      entry.number = chapter.number ?? index + 1;
+      entry.label = numbering.chapter(entry.number);
+      entries.push(entry);
+    });
+
+    this.toList(structure.appendices).forEach((appendix, index) => {
+      const entry = this.createEntry(config, 'appendices', appendix, appendix.file || `${appendix.id}.md`);
+      entry.letter = appendix.letter || null;
+      entry.number = index + 1;
+      entry.label = numbering.appendix(entry.number, entry.letter);
+      entries.push(entry);
+    });
+
+    this.toList(structure.afterword).forEach(item => {
+      entries.push(this.createEntry(config, 'afterword', item, item.file || 'index.md'));
+    });
+
+    // 同じファイルが複数回参照されている場合は最初のものだけを残す
+    const seen = new Set();
+    return entries.filter(entry => {
+      if (seen.has(entry.source)) return false;
+      seen.add(entry.source);
+      return true;
+    });
+  }
+
+  /**
+   * ページ情報を作成する
+   * @param {Object} config - 設定オブジェクト
+   * @param {string} section - セクション名
+   * @param {Object} item - 構成要素
+   * @param {string} file - ファイル名
+   * @param {string} directory - ディレクトリ（省略時はセクションのディレクトリ）
+   * @returns {Object} ページ情報
+   */
+  createEntry(config, section, item, file, directory = null) {
+    const dir = directory || this.getSectionDirectory(config, section);
+    // "chapters/chapter01.md" のようにディレクトリ付きで指定された場合はsrcからの相対パスとして扱う
+    const source = file.includes('/') ? file : `${dir}/${file}`;
+    const key = source.replace(/\.md$/, '').replace(/(^|\/)index$/, '');
+
+    return {
+      section,
+      id: item.id || path.posix.basename(key) || section,
+      title: item.title || '',
+      source,
+      output: source,
+      url: source.endsWith('index.md') ? `/${key}/` : `/${key}.html`,
+      navKey: key,
+      item
+    };
+  }
+
+  /**
+   * セクションの出力ディレクトリ名を取得する
+   * @param {Object} config - 設定オブジェクト
+   * @param {string} section - セクション名
+   * @returns {string} ディレクトリ名
+   */
+  getSectionDirectory(config, section) {
+    const contentSection = (config.contentSections || []).find(s => s.name === section);
+    return contentSection?.directory || section;
+  }
+
+  /**
+   * 構成要素をリストに変換する（無効化されたものは除外）
+   * @param {Array|Object} value - 配列または単一の構成要素
+   * @returns {Array<Object>} 構成要素の配列
+   */
+  toList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : [value];
+    return list.filter(item => item && typeof item === 'object' && item.enabled !== false);
+  }
+
+  /**
+   * ページ一覧をセクションごとのナビゲーションデータに変換する
+   * 章と付録には番号のラベル（build.numbering。例: 第1章、付録A）を付ける
+   * @param {Array<Object>} entries - ページ情報の配列
+   * @returns {Object} セクション名をキーとするナビゲーションデータ
+   */
+  groupBySection(entries) {
+    const navigation = {
+      introduction: [],
+      chapters: [],
+      additional: [],
+      appendices: [],
+      afterword: []
+    };
+
+    for (const entry of entries) {
+      navigation[entry.section].push({
+        ...(entry.label ? { label: entry.label } : {}),
+        title: entry.title,
+        path: entry.url
+      });
+    }
+
+    return navigation;
+  }
+
+  /**
+   * 前後ページのナビゲーションデータを生成する
+   * キーは page-navigation.html と同じく URL から先頭の "/" と ".html" を除いたもの
+   * @param {Array<Object>} entries - ページ情報の配列
+   * @returns {Object} ページごとの前後リンク
+   */
+  getPageNavigation(entries) {
+    const navigation = {};
+
+    entries.forEach((entry, index) => {
+      const previous = entries[index - 1];
+      const next = entries[index + 1];
+      navigation[entry.url.replace(/\.html$/, '').replace(/^\//, '')] = {
+        previous: previous ? { path: previous.url, title: previous.title } : null,
+        next: next ? { path: next.url, title: next.title } : null,
+        index,
+        total: entries.length
+      };
+    });
+
+    return navigation;
+  }
+}
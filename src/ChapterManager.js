@@ -0,0 +1,500 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { BookStructure } from './BookStructure.js';
+import { ConfigWriter } from './ConfigWriter.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+import { Numbering } from './Numbering.js';
+
+const NEW_CHAPTER = Symbol('newChapter');
+
+// 原稿の先頭にあるライセンスのコメント（MarkdownExporter と同じ判定）
+const LICENSE_COMMENT = /^\s*<!--((?:(?!-->)[\s\S])*?(?:CC BY|ライセンス|license)[\s\S]*?)-->/i;
+
+/**
+ * 章構成の編集 - 章の追加・削除・移動・番号の振り直しを行う
+ * 設定ファイルの structure.chapters とMarkdownファイルをまとめて更新する
+ */
+export class ChapterManager {
+  constructor() {
+    this.bookStructure = new BookStructure();
+    this.configWriter = new ConfigWriter();
+    this.fsUtils = new FileSystemUtils();
+  }
+
+  /**
+   * 章を追加する
+   * @param {string} configPath - 設定ファイルのパス
+   * @param {Object} options - オプション
+   * @param {string} options.title - 章のタイトル
+   * @param {number} options.at - 挿入位置（1始まり、省略時は末尾）
+   * @param {string} options.id - 章ID（id形式の設定の場合）
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @returns {Object} 更新結果
+   */
+  async addChapter(configPath, options = {}) {
+    if (!options.title) {
+      throw new Error('章のタイトルを指定してください');
+    }
+
+    const state = await this.readConfig(configPath);
+    const chapters = [...state.chapters];
+    const position = this.resolvePosition(options.at ?? chapters.length + 1, chapters.length + 1);
+    const usesFiles = chapters.length === 0 ? !!state.data.book : chapters.some(chapter => chapter.file);
+
+    const chapter = usesFiles
+      ? { number: position, title: options.title, file: this.formatFileName('chapter00.md', position), enabled: true }
+      : { id: options.id || `chapter${String(position).padStart(2, '0')}`, title: options.title };
+
+    chapters.splice(position - 1, 0, { ...chapter, [NEW_CHAPTER]: true });
+    return this.applyOrder(configPath, state, chapters, options);
+  }
+
+  /**
+   * 章を削除する（Markdownファイルはバックアップを作成してから削除する）
+   * @param {string} configPath - 設定ファイルのパス
+   * @param {number} position - 章の位置（1始まり）
+   * @param {Object} options - オプション
+   * @returns {Object} 更新結果
+   */
+  async removeChapter(configPath, position, options = {}) {
+    const state = await this.readConfig(configPath);
+    const chapters = [...state.chapters];
+    const index = this.resolvePosition(position, chapters.length) - 1;
+    const [removed] = chapters.splice(index, 1);
+
+    const sourceDir = path.resolve(options.sourceDir || 'src');
+    const removedSource = this.getSource(state.data, removed, index);
+    const removedPath = path.join(sourceDir, removedSource);
+    // 後続の章のリンク書き換えで区別できなくなるため、削除前に参照元を調べておく
+    const danglingLinks = await this.findLinksTo(sourceDir, removedPath);
+    // 後続の章の移動先になるため退避しておき、設定ファイルの書き込みまで成功してから削除する（失敗した場合は元に戻す）
+    const pendingPath = `${removedPath}.removing`;
+    const exists = await this.fsUtils.exists(removedPath);
+    if (exists) {
+      await this.fsUtils.createBackup(removedPath);
+      await fs.move(removedPath, pendingPath);
+    }
+
+    let result;
+    try {
+      result = await this.applyOrder(configPath, state, chapters, options);
+    } catch (error) {
+      if (exists && !(await this.fsUtils.exists(removedPath))) {
+        await fs.move(pendingPath, removedPath);
+      }
+      throw error;
+    }
+    if (exists) {
+      await this.fsUtils.remove(pendingPath);
+    }
+    result.removed = removedSource;
+    result.danglingLinks = danglingLinks;
+    return result;
+  }
+
+  /**
+   * 章を移動する
+   * @param {string} configPath - 設定ファイルのパス
+   * @param {number} from - 移動元の位置（1始まり）
+   * @param {number} to - 移動先の位置（1始まり）
+   * @param {Object} options - オプション
+   * @returns {Object} 更新結果
+   */
+  async moveChapter(configPath, from, to, options = {}) {
+    const state = await this.readConfig(configPath);
+    const chapters = [...state.chapters];
+    const fromIndex = this.resolvePosition(from, chapters.length) - 1;
+    const toIndex = this.resolvePosition(to, chapters.length) - 1;
+    const [moved] = chapters.splice(fromIndex, 1);
+    chapters.splice(toIndex, 0, moved);
+    return this.applyOrder(configPath, state, chapters, options);
+  }
+
+  /**
+   * 設定の並び順に合わせて章番号とファイル名を振り直す
+   * @param {string} configPath - 設定ファイルのパス
+   * @param {Object} options - オプション
+   * @returns {Object} 更新結果
+   */
+  async renumber(configPath, options = {}) {
+    const state = await this.readConfig(configPath);
+    return this.applyOrder(configPath, state, [...state.chapters], options);
+  }
+
+  /**
+   * 新しい並び順を適用する
+   * 番号の振り直し、ファイル名の変更、見出しとリンクの書き換え、設定の保存を行う
+   * @param {string} configPath - 設定ファイルのパス
+   * @param {Object} state - 読み込んだ設定
+   * @param {Array<Object>} chapters - 新しい並び順の章一覧
+   * @param {Object} options - オプション
+   * @returns {Object} 更新結果
+   */
+  async applyOrder(configPath, state, chapters, options = {}) {
+    const sourceDir = path.resolve(options.sourceDir || 'src');
+    const numbering = Numbering.fromConfig(state.data);
+    const oldSources = new Map(state.chapters.map((chapter, index) => [chapter, this.getSource(state.data, chapter, index)]));
+    const renames = new Map();
+    const plans = [];
+
+    const updated = chapters.map((original, index) => {
+      const number = index + 1;
+      const { [NEW_CHAPTER]: isNew, ...chapter } = original;
+      if ('number' in chapter) {
+        chapter.number = number;
+      }
+      if (chapter.file && /\d+\.md$/.test(path.basename(chapter.file))) {
+        chapter.file = this.formatFileName(chapter.file, number);
+      }
+
+      const newSource = this.getSource(state.data, chapter, index);
+      const oldSource = isNew ? null : oldSources.get(original);
+      if (oldSource && oldSource !== newSource) {
+        renames.set(path.join(sourceDir, oldSource), path.join(sourceDir, newSource));
+      }
+      plans.push({ chapter, number, isNew, oldSource, newSource });
+      return chapter;
+    });
+
+    await this.renameFiles(renames);
+    const license = await this.findLicenseComment(sourceDir, plans.filter(plan => !plan.isNew).map(plan => plan.newSource));
+
+    // 新しい章のファイルを作成し、既存の章の見出し番号を更新する
+    for (const plan of plans) {
+      const filePath = path.join(sourceDir, plan.newSource);
+      if (plan.isNew) {
+        if (await this.fsUtils.exists(filePath)) {
+          throw new Error(`ファイルが既に存在します: ${plan.newSource}`);
+        }
+        await fs.outputFile(filePath, this.createChapterContent(plan.number, plan.chapter.title, numbering, license));
+        continue;
+      }
+      if (await this.fsUtils.exists(filePath)) {
+        const content = await fs.readFile(filePath, 'utf8');
+        const rewritten = this.rewriteContent(
+          content,
+          plan.number,
+          path.dirname(path.join(sourceDir, plan.oldSource)),
+          path.dirname(filePath),
+          numbering
+        );
+        if (rewritten !== content) {
+          await fs.writeFile(filePath, rewritten);
+        }
+      }
+    }
+
+    const relinked = await this.updateLinks(sourceDir, renames);
+    this.updateNavigationOrder(state.data, renames, sourceDir);
+
+    state.data.structure.chapters = updated;
+    await this.configWriter.write(configPath, state, [['structure', 'chapters']]);
+
+    return {
+      chapters: updated,
+      renamed: [...renames].map(([from, to]) => ({
+        from: path.relative(sourceDir, from),
+        to: path.relative(sourceDir, to)
+      })),
+      relinked
+    };
+  }
+
+  /**
+   * 新しい章の原稿を作成する
+   * 既存の章と同じく、ライセンスのコメント、見出し、学習目標、最初の節の見出しを置く
+   * @param {number} number - 章番号
+   * @param {string} title - 章のタイトル
+   * @param {Numbering} numbering - 番号付け
+   * @param {string|null} license - ライセンスのコメント（既存の章にない場合はnull）
+   * @returns {string} Markdownの内容
+   */
+  createChapterContent(number, title, numbering, license = null) {
+    return [
+      ...(license ? [license, ''] : []),
+      `# ${numbering.chapter(number)}${numbering.separator}${title}`,
+      '',
+      '**学習目標**: （学習目標を記載してください）',
+      '',
+      '---',
+      '',
+      `## ${numbering.section(number, 1)}\u3000概要`,
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * 既存の章の先頭にあるライセンスのコメントを取得する
+   * @param {string} sourceDir - ソースディレクトリ
+   * @param {Array<string>} sources - 既存の章のファイル（ソースディレクトリからの相対パス）
+   * @returns {string|null} ライセンスのコメント
+   */
+  async findLicenseComment(sourceDir, sources) {
+    for (const source of sources) {
+      const filePath = path.join(sourceDir, source);
+      if (!(await this.fsUtils.exists(filePath))) continue;
+
+      const match = (await fs.readFile(filePath, 'utf8')).match(LICENSE_COMMENT);
+      if (match) {
+        return match[0].trim();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 章の見出し番号と節番号を書き換える（番号の書式は build.numbering に従う）
+   * @param {string} content - Markdownの内容
+   * @param {number} number - 新しい章番号
+   * @param {string} oldDir - 移動前のディレクトリ
+   * @param {string} newDir - 移動後のディレクトリ
+   * @param {Numbering} numbering - 番号付け
+   * @returns {string} 書き換え後の内容
+   */
+  rewriteContent(content, number, oldDir, newDir, numbering = new Numbering()) {
+    const heading = content.match(/^#[ \t]+(.*)$/m);
+    const chapter = heading ? numbering.matchChapter(heading[1]) : null;
+    let result = content;
+
+    if (chapter && chapter.number !== number) {
+      result = result
+        .replace(/^(#[ \t]+)(.*)$/m, (line, prefix, text) => `${prefix}${numbering.chapter(number)}${text.slice(chapter.label.length)}`)
+        .replace(/^(#{2,6}[ \t]+)(.*)$/gm, (line, prefix, text) => {
+          const section = numbering.matchSection(text, chapter.number);
+          return section ? `${prefix}${numbering.section(number, section.number)}${text.slice(section.label.length)}` : line;
+        });
+    }
+
+    if (oldDir !== newDir) {
+      result = this.replaceLinkTargets(result, (target) => {
+        if (this.isExternalLink(target) || target.startsWith('/')) return null;
+        const absolute = path.resolve(oldDir, target);
+        return this.toLinkPath(path.relative(newDir, absolute));
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * ソースディレクトリ内の全Markdownファイルのリンクを書き換える
+   * @param {string} sourceDir - ソースディレクトリ
+   * @param {Map<string, string>} renames - 変更前後のファイルパス
+   * @returns {Array<string>} 書き換えたファイルの一覧
+   */
+  async updateLinks(sourceDir, renames) {
+    if (renames.size === 0) return [];
+
+    const relinked = [];
+    const files = await this.fsUtils.listDirectory(sourceDir, { pattern: '**/*.md', filesOnly: true });
+
+    for (const file of files) {
+      const filePath = path.join(sourceDir, file);
+      const fileDir = path.dirname(filePath);
+      const content = await fs.readFile(filePath, 'utf8');
+
+      const rewritten = this.replaceLinkTargets(content, (target) => {
+        if (this.isExternalLink(target) || target.startsWith('/')) return null;
+        const isHtml = target.endsWith('.html');
+        const absolute = path.resolve(fileDir, isHtml ? target.replace(/\.html$/, '.md') : target);
+        const renamed = renames.get(absolute);
+        if (!renamed) return null;
+        let relative = this.toLinkPath(path.relative(fileDir, renamed));
+        if (target.startsWith('./') && !relative.startsWith('.')) {
+          relative = `./${relative}`;
+        }
+        return isHtml ? relative.replace(/\.md$/, '.html') : relative;
+      });
+
+      if (rewritten !== content) {
+        await fs.writeFile(filePath, rewritten);
+        relinked.push(file);
+      }
+    }
+
+    return relinked;
+  }
+
+  /**
+   * 指定したファイルへのリンクを含むMarkdownファイルを探す
+   * @param {string} sourceDir - ソースディレクトリ
+   * @param {string} targetPath - 対象ファイルの絶対パス
+   * @returns {Array<string>} リンクを含むファイルの一覧
+   */
+  async findLinksTo(sourceDir, targetPath) {
+    const found = [];
+    const files = await this.fsUtils.listDirectory(sourceDir, { pattern: '**/*.md', filesOnly: true });
+
+    for (const file of files) {
+      const filePath = path.join(sourceDir, file);
+      const content = await fs.readFile(filePath, 'utf8');
+      let linked = false;
+      this.replaceLinkTargets(content, (target) => {
+        const resolved = path.resolve(path.dirname(filePath), target.replace(/\.html$/, '.md'));
+        linked = linked || resolved === targetPath;
+        return null;
+      });
+      if (linked) found.push(file);
+    }
+
+    return found;
+  }
+
+  /**
+   * Markdownのリンク・画像・参照定義の対象パスを置き換える
+   * @param {string} content - Markdownの内容
+   * @param {Function} replacer - (target, suffix) => 新しいパス（変更しない場合はnull。suffix はリンク先の # や ? 以降）
+   * @returns {string} 置き換え後の内容
+   */
+  replaceLinkTargets(content, replacer) {
+    const replaceTarget = (target) => {
+      const [, pathPart, suffix] = target.match(/^([^#?]*)(.*)$/);
+      if (!pathPart) return target;
+      let decoded;
+      try {
+        decoded = decodeURI(pathPart);
+      } catch {
+        // sale%.md のように % のあとが16進数でないパスはファイル名として扱えないため、そのまま残す
+        return target;
+      }
+      const replaced = replacer(decoded, suffix);
+      return replaced === null ? target : `${encodeURI(replaced)}${suffix}`;
+    };
+
+    return content
+      .replace(/(\]\()(<?)([^)\s>]+)(>?)((?:\s+"[^"]*")?\))/g,
+        (match, open, lt, target, gt, close) => `${open}${lt}${replaceTarget(target)}${gt}${close}`)
+      .replace(/^(\s*\[[^\]]+\]:\s*)(\S+)/gm,
+        (match, prefix, target) => `${prefix}${replaceTarget(target)}`);
+  }
+
+  /**
+   * navigation.order のパスを変更後のファイル名に合わせる
+   * @param {Object} data - 設定データ
+   * @param {Map<string, string>} renames - 変更前後のファイルパス
+   * @param {string} sourceDir - ソースディレクトリ
+   */
+  updateNavigationOrder(data, renames, sourceDir) {
+    if (!Array.isArray(data.navigation?.order) || renames.size === 0) return;
+
+    const keys = new Map([...renames].map(([from, to]) => [
+      this.toLinkPath(path.relative(sourceDir, from)).replace(/\.md$/, ''),
+      this.toLinkPath(path.relative(sourceDir, to)).replace(/\.md$/, '')
+    ]));
+    data.navigation.order = data.navigation.order.map(item => keys.get(item) || item);
+  }
+
+  /**
+   * ファイル名を一時名経由で変更する（入れ替え時の衝突を避けるため）
+   * 移動先が既にある場合は何も移動せずにエラーにし、途中で失敗した場合はそれまでの移動を元に戻す
+   * @param {Map<string, string>} renames - 変更前後のファイルパス
+   */
+  async renameFiles(renames) {
+    const sources = [];
+    for (const from of renames.keys()) {
+      if (await this.fsUtils.exists(from)) {
+        sources.push(from);
+      }
+    }
+
+    // 移動するファイル自身が空ける場所以外に、既存のファイルがないことを先に確認する
+    const collisions = [];
+    for (const from of sources) {
+      const to = renames.get(from);
+      if (!sources.includes(to) && await this.fsUtils.exists(to)) {
+        collisions.push(to);
+      }
+    }
+    if (collisions.length > 0) {
+      throw new Error(`ファイルが既に存在します: ${collisions.join(', ')}`);
+    }
+
+    const moved = [];
+    try {
+      for (const from of sources) {
+        await fs.move(from, `${from}.renaming`);
+        moved.push([from, `${from}.renaming`]);
+      }
+      for (const from of sources) {
+        await fs.move(`${from}.renaming`, renames.get(from));
+        moved.push([`${from}.renaming`, renames.get(from)]);
+      }
+    } catch (error) {
+      for (const [from, to] of moved.reverse()) {
+        await fs.move(to, from);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 章のソースファイルのパスを取得する
+   * @param {Object} data - 設定データ
+   * @param {Object} chapter - 章
+   * @param {number} index - 章の位置（0始まり）
+   * @returns {string} ソースディレクトリからの相対パス
+   */
+  getSource(data, chapter, index) {
+    const chapters = [];
+    chapters[index] = { ...chapter, enabled: true };
+    const [entry] = this.bookStructure.getEntries({
+      contentSections: data.contentSections,
+      structure: { chapters: chapters.fill({ enabled: false }, 0, index) }
+    });
+    return entry.source;
+  }
+
+  /**
+   * 番号付きのファイル名を新しい番号に置き換える（桁数は維持する）
+   * @param {string} file - ファイル名（例: chapter03.md）
+   * @param {number} number - 新しい番号
+   * @returns {string} 新しいファイル名
+   */
+  formatFileName(file, number) {
+    return file.replace(/(\d+)(\.md)$/, (match, digits, ext) => `${String(number).padStart(digits.length, '0')}${ext}`);
+  }
+
+  /**
+   * 位置指定を検証する
+   * @param {number|string} value - 位置（1始まり）
+   * @param {number} max - 最大値
+   * @returns {number} 位置
+   */
+  resolvePosition(value, max) {
+    const position = Number(value);
+    if (!Number.isInteger(position) || position < 1 || position > max) {
+      throw new Error(`章の位置は 1 から ${max} の範囲で指定してください: ${value}`);
+    }
+    return position;
+  }
+
+  /**
+   * 外部リンクかどうかを判定する
+   * @param {string} target - リンク先
+   * @returns {boolean} 外部リンクの場合true
+   */
+  isExternalLink(target) {
+    return /^[a-z][a-z0-9+.-]*:|^\/\//i.test(target) || target === '';
+  }
+
+  /**
+   * OSのパス区切りをリンク用のスラッシュに変換する
+   * @param {string} relativePath - 相対パス
+   * @returns {string} リンク用のパス
+   */
+  toLinkPath(relativePath) {
+    return relativePath.split(path.sep).join('/');
+  }
+
+  /**
+   * 設定ファイルを書式を保ったまま読み込む
+   * @param {string} configPath - 設定ファイルのパス
+   * @returns {Object} { data, document, format, chapters }
+   */
+  async readConfig(configPath) {
+    const state = await this.configWriter.read(configPath);
+    state.data.structure = state.data.structure || {};
+    state.data.structure.chapters = state.data.structure.chapters || [];
+    return { ...state, chapters: state.data.structure.chapters };
+  }
+}
@@ -0,0 +1,362 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { ConfigLoader } from './ConfigLoader.js';
+import { ConfigNormalizer } from './ConfigNormalizer.js';
+import { ConfigSource } from './ConfigSource.js';
+import { ConfigValidator } from './ConfigValidator.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+
+const ID_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * 設定ファイルの自動修正（validate-config --fix）
+ *
+ * - version / language / license が未設定の場合はスキーマの既定値を設定する
+ * - 章と付録の id を ^[a-z0-9-]+$ の形式に変換する
+ * - navigation.order の重複を取り除く
+ * - repository.url から repository.owner / name を補う
+ *
+ * 設定ファイルは記述された形式（flat / nested）のまま修正し、YAML はコメントとキーの順序を保持する
+ */
+export class ConfigFixer {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.schemaPath - スキーマファイルのパス
+   */
+  constructor(options = {}) {
+    this.schema = new ConfigValidator({ schemaPath: options.schemaPath }).schema;
+    this.configLoader = new ConfigLoader();
+    this.configNormalizer = new ConfigNormalizer();
+    this.fsUtils = new FileSystemUtils();
+  }
+
+  /**
+   * 設定ファイルを修正する
+   * @param {string} configPath - 設定ファイルのパス
+   * @param {Object} options - オプション
+   * @param {boolean} options.dryRun - ファイルを書き込まない場合true
+   * @param {Function} options.confirm - 書き込む前に修正結果を受け取り、書き込んでよいかを返す関数（false の場合は書き込まない）
+   * @returns {Object} { changes, content, diff, written } - changes は { path, message } の配列
+   */
+  async fix(configPath, options = {}) {
+    const file = path.resolve(configPath);
+    const ext = path.extname(file).toLowerCase();
+    if (!['.json', '.yml', '.yaml'].includes(ext)) {
+      throw new Error(`自動修正に対応していない設定ファイル形式です: ${ext}`);
+    }
+
+    const original = await fs.readFile(file, 'utf8');
+    const source = new ConfigSource(original, { file, format: ext === '.json' ? 'json' : 'yaml' });
+    if (!source.data || typeof source.data !== 'object' || Array.isArray(source.data)) {
+      throw new Error(`設定ファイルが正しくありません: ${configPath}`);
+    }
+
+    // 既定値の要否は継承元も含めた設定で判断する
+    const merged = await this.configLoader.load(file);
+    const editor = source.document
+      ? this.createYamlEditor(source.document)
+      : this.createJsonEditor(structuredClone(source.data), original);
+
+    const changes = [
+      ...this.fillDefaults(source.data, merged, editor),
+      ...this.fixIds(source.data, editor),
+      ...this.dedupeNavigationOrder(source.data, editor),
+      ...this.fillRepository(source.data, merged, editor)
+    ];
+
+    const content = changes.length > 0 ? editor.toString() : original;
+    const result = {
+      changes,
+      content,
+      diff: this.createDiff(original, content, path.relative(process.cwd(), file) || file),
+      written: false
+    };
+    if (changes.length === 0 || options.dryRun) {
+      return result;
+    }
+
+    // 差分を確認してもらってから書き込む
+    if (options.confirm && !(await options.confirm(result))) {
+      return result;
+    }
+    await this.fsUtils.writeFileSafe(file, content);
+    result.written = true;
+    return result;
+  }
+
+  /**
+   * 未設定の version / language / license にスキーマの既定値を設定する
+   * @param {Object} data - 設定ファイルの内容
+   * @param {Object} merged - 継承を反映した設定（正規形）
+   * @param {Object} editor - 設定ファイルの編集
+   * @returns {Array<Object>} 変更内容
+   */
+  fillDefaults(data, merged, editor) {
+    const bookPath = this.getBookPath(data);
+    const changes = [];
+
+    for (const key of ['version', 'language', 'license']) {
+      const value = this.getDefault(key);
+      if (merged[key] === undefined && value !== undefined) {
+        editor.set([...bookPath, key], value);
+        changes.push({ path: this.toPointer([...bookPath, key]), message: `${key} に既定値 "${value}" を設定しました` });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * 章と付録の id を ^[a-z0-9-]+$ の形式に変換する
+   * ファイルを指定していない章は id からディレクトリ（chapter-<id>/index.md）を決めるため、元のファイルを file に明示する
+   * @param {Object} data - 設定ファイルの内容
+   * @param {Object} editor - 設定ファイルの編集
+   * @returns {Array<Object>} 変更内容
+   */
+  fixIds(data, editor) {
+    const changes = [];
+
+    for (const section of ['chapters', 'appendices']) {
+      const items = data.structure?.[section];
+      if (!Array.isArray(items)) continue;
+
+      const used = new Set(items.map(item => item?.id).filter(id => typeof id === 'string' && ID_PATTERN.test(id)));
+      items.forEach((item, index) => {
+        if (!item || typeof item.id !== 'string' || ID_PATTERN.test(item.id)) return;
+
+        const base = this.configNormalizer.toId(item.id);
+        let id = base;
+        for (let suffix = 2; used.has(id); suffix++) {
+          id = `${base}-${suffix}`;
+        }
+        used.add(id);
+
+        const itemPath = ['structure', section, index];
+        editor.set([...itemPath, 'id'], id);
+        if (section === 'chapters' && !item.file) {
+          editor.set([...itemPath, 'file'], `chapter-${item.id}/index.md`);
+        }
+        changes.push({ path: this.toPointer([...itemPath, 'id']), message: `id を "${item.id}" から "${id}" に変更しました` });
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * navigation.order の重複を取り除く（最初に現れたものを残す）
+   * @param {Object} data - 設定ファイルの内容
+   * @param {Object} editor - 設定ファイルの編集
+   * @returns {Array<Object>} 変更内容
+   */
+  dedupeNavigationOrder(data, editor) {
+    const order = data.navigation?.order;
+    if (!Array.isArray(order)) return [];
+
+    const seen = new Set();
+    const duplicates = [];
+    order.forEach((item, index) => {
+      if (seen.has(item)) {
+        duplicates.push(index);
+      }
+      seen.add(item);
+    });
+
+    // 後ろから削除して位置がずれないようにする
+    [...duplicates].reverse().forEach(index => editor.delete(['navigation', 'order', index]));
+    return duplicates.map(index => ({
+      path: `/navigation/order/${index}`,
+      message: `navigation.order の重複を削除しました: ${order[index]}`
+    }));
+  }
+
+  /**
+   * repository.url（nested 形式では repository.github）から repository.owner / name を補う
+   * @param {Object} data - 設定ファイルの内容
+   * @param {Object} merged - 継承を反映した設定（正規形）
+   * @param {Object} editor - 設定ファイルの編集
+   * @returns {Array<Object>} 変更内容
+   */
+  fillRepository(data, merged, editor) {
+    const repository = merged.repository;
+    const match = typeof repository?.url === 'string'
+      ? repository.url.match(/^[a-z]+:\/\/[^/]+\/([^/]+)\/([^/?#]+?)(?:\.git)?\/?(?:[?#].*)?$/i)
+      : null;
+    if (!match) return [];
+
+    const repositoryPath = [...this.getBookPath(data), 'repository'];
+    const changes = [];
+    for (const [key, value] of [['owner', match[1]], ['name', match[2]]]) {
+      if (repository[key] === undefined) {
+        editor.set([...repositoryPath, key], value);
+        changes.push({ path: this.toPointer([...repositoryPath, key]), message: `repository.${key} に "${value}" を設定しました` });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * スキーマからトップレベルのフィールドの既定値を取得する
+   * @param {string} key - フィールド名
+   * @returns {*} 既定値
+   */
+  getDefault(key) {
+    const property = this.schema.properties?.[key] || {};
+    const resolved = property.$ref ? this.schema.definitions?.[property.$ref.split('/').pop()] : property;
+    return resolved?.default;
+  }
+
+  /**
+   * 書籍情報を記述する位置を取得する（nested 形式では book の下）
+   * @param {Object} data - 設定ファイルの内容
+   * @returns {Array<string>} パス
+   */
+  getBookPath(data) {
+    return this.configNormalizer.detectDialect(data) === 'nested' ? ['book'] : [];
+  }
+
+  /**
+   * パスを JSON Pointer に変換する
+   * @param {Array<string|number>} segments - パス
+   * @returns {string} JSON Pointer
+   */
+  toPointer(segments) {
+    return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+  }
+
+  /**
+   * YAML ドキュメントの編集（コメントとキーの順序を保持する）
+   * @param {Object} document - yaml パッケージのドキュメント
+   * @returns {Object} { set, delete, toString }
+   */
+  createYamlEditor(document) {
+    return {
+      set: (segments, value) => document.setIn(segments, value),
+      delete: (segments) => document.deleteIn(segments),
+      toString: () => document.toString()
+    };
+  }
+
+  /**
+   * JSON の編集（キーの順序、インデント、末尾の改行を保持する）
+   * @param {Object} data - 設定ファイルの内容
+   * @param {string} original - 元のファイルの内容
+   * @returns {Object} { set, delete, toString }
+   */
+  createJsonEditor(data, original) {
+    const indent = original.match(/^[ \t]+(?=")/m)?.[0] || '  ';
+
+    return {
+      set: (segments, value) => {
+        const parent = segments.slice(0, -1).reduce((node, segment) => {
+          if (!node[segment] || typeof node[segment] !== 'object') {
+            node[segment] = {};
+          }
+          return node[segment];
+        }, data);
+        parent[segments[segments.length - 1]] = value;
+      },
+      delete: (segments) => {
+        const parent = segments.slice(0, -1).reduce((node, segment) => node?.[segment], data);
+        const key = segments[segments.length - 1];
+        if (Array.isArray(parent)) {
+          parent.splice(key, 1);
+        } else if (parent) {
+          delete parent[key];
+        }
+      },
+      toString: () => `${this.formatJson(data, indent)}${original.endsWith('\n') ? '\n' : ''}`
+    };
+  }
+
+  /**
+   * JSON を整形する（文字列・数値などだけの配列は1行にまとめる）
+   * @param {*} value - 値
+   * @param {string} indent - インデント
+   * @param {string} current - 現在のインデント
+   * @returns {string} JSON文字列
+   */
+  formatJson(value, indent, current = '') {
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '[]';
+      if (value.every(item => item === null || typeof item !== 'object')) {
+        return `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+      }
+      const items = value.map(item => `${current}${indent}${this.formatJson(item, indent, current + indent)}`);
+      return `[\n${items.join(',\n')}\n${current}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value);
+      if (entries.length === 0) return '{}';
+      const items = entries.map(([key, item]) => `${current}${indent}${JSON.stringify(key)}: ${this.formatJson(item, indent, current + indent)}`);
+      return `{\n${items.join(',\n')}\n${current}}`;
+    }
+
+    return JSON.stringify(value);
+  }
+
+  /**
+   * 変更前後の内容から unified 形式の差分を作成する
+   * @param {string} before - 変更前の内容
+   * @param {string} after - 変更後の内容
+   * @param {string} label - 表示するファイル名
+   * @param {number} context - 変更箇所の前後に表示する行数
+   * @returns {string} 差分（変更がない場合は空文字列）
+   */
+  createDiff(before, after, label, context = 3) {
+    if (before === after) return '';
+
+    const oldLines = before.split('\n');
+    const newLines = after.split('\n');
+
+    // 最長共通部分列から行ごとの操作（' ' / '-' / '+'）を求める
+    const lengths = Array.from({ length: oldLines.length + 1 }, () => new Int32Array(newLines.length + 1));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+      for (let j = newLines.length - 1; j >= 0; j--) {
+        lengths[i][j] = oldLines[i] === newLines[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+      if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+        operations.push({ type: ' ', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+      } else if (i < oldLines.length && (j === newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        operations.push({ type: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+      } else {
+        operations.push({ type: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+      }
+    }
+
+    // 変更箇所の前後 context 行をまとめてハンクにする
+    const hunks = [];
+    operations.forEach((operation, index) => {
+      if (operation.type === ' ') return;
+      const start = Math.max(0, index - context);
+      const end = Math.min(operations.length, index + context + 1);
+      const last = hunks[hunks.length - 1];
+      if (last && start <= last.end) {
+        last.end = end;
+      } else {
+        hunks.push({ start, end });
+      }
+    });
+
+    const lines = [`--- a/${label}`, `+++ b/${label}`];
+    for (const { start, end } of hunks) {
+      const slice = operations.slice(start, end);
+      const oldCount = slice.filter(operation => operation.type !== '+').length;
+      const newCount = slice.filter(operation => operation.type !== '-').length;
+      lines.push(`@@ -${slice[0].oldIndex + 1},${oldCount} +${slice[0].newIndex + 1},${newCount} @@`);
+      slice.forEach(operation => lines.push(`${operation.type}${operation.line}`));
+    }
+
+    return lines.join('\n');
+  }
+}
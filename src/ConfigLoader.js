@@ -0,0 +1,373 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { glob } from 'glob';
+import { ConfigNormalizer } from './ConfigNormalizer.js';
+import { ConfigSource } from './ConfigSource.js';
+
+const MODULE_EXTENSIONS = ['.mjs', '.js', '.cjs'];
+const CONFIG_EXTENSIONS = ['.json', '.yml', '.yaml', ...MODULE_EXTENSIONS];
+
+/**
+ * JavaScript の設定ファイルで設定を定義する（設定をそのまま返す。エディタでの補完用）
+ * @param {Object|Function} config - 設定オブジェクト、または設定を返す関数
+ * @returns {Object|Function} 受け取った設定
+ */
+export function defineBook(config) {
+  return config;
+}
+
+/**
+ * 設定ファイルの読み込み - 継承（extends）、環境別の上書き、環境変数の展開を行う
+ *
+ * 読み込み順（後のものが優先）
+ * 1. extends で指定した設定（ローカルパスまたはパッケージ、配列の場合は先頭から順に）
+ * 2. 設定ファイル本体
+ * 3. 環境別の設定ファイル（book-config.<env>.json、--env で指定）
+ *
+ * 各ファイルは正規形に変換してからマージする。オブジェクトは再帰的にマージし、配列は置き換える
+ *
+ * 設定ファイルは JSON / YAML のほか、JavaScript モジュール（book.config.mjs など）でも記述できる。
+ * モジュールは設定オブジェクト、または設定を返す関数（async も可）を default export する
+ *
+ * 読み込んだ設定ごとに元のファイルを記録し、locate で JSON Pointer からファイル上の位置（行と列）を求められる
+ * 継承や環境別の設定を重ねていない場合は、getSourceConfig で設定ファイルに記述された形式の設定も取得できる
+ */
+export class ConfigLoader {
+  /**
+   * @param {Object} options - オプション
+   * @param {Object} options.env - 環境変数（省略時は process.env）
+   */
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.configNormalizer = new ConfigNormalizer();
+    // 設定オブジェクト → { layers: [{ file, source, config, resolved }], primary, raw }（layers は優先度の低い順）
+    // resolved は環境変数を展開した、設定ファイルに記述された形式の設定
+    this.sources = new WeakMap();
+  }
+
+  /**
+   * 設定を読み込む
+   * @param {string} configPath - 設定ファイルのパス
+   * @param {Object} options - オプション
+   * @param {string} options.env - 環境名（book-config.<env>.json を重ねる）
+   * @returns {Object} 設定オブジェクト（正規形）
+   */
+  async load(configPath, options = {}) {
+    let config = await this.loadLayer(path.resolve(configPath), []);
+
+    if (options.env) {
+      const overlayPath = this.getOverlayPath(configPath, options.env);
+      if (await fs.pathExists(overlayPath)) {
+        const overlay = await this.loadLayer(overlayPath, []);
+        const { layers, primary } = this.sources.get(config);
+        config = this.merge(config, overlay);
+        this.sources.set(config, { layers: [...layers, ...this.sources.get(overlay).layers], primary });
+      } else {
+        console.log(`⚠️  環境別の設定ファイルが見つかりません: ${overlayPath}`);
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * 設定ファイルを1つ読み込み、継承元とマージする
+   * @param {string} filePath - 設定ファイルの絶対パス
+   * @param {Array<string>} chain - 読み込み中のファイル（循環の検出用）
+   * @returns {Object} 設定オブジェクト（正規形）
+   */
+  async loadLayer(filePath, chain) {
+    if (chain.includes(filePath)) {
+      throw new Error(`設定ファイルの継承が循環しています: ${[...chain, filePath].join(' → ')}`);
+    }
+
+    const data = await this.readConfigFile(filePath);
+    const layer = this.sources.get(data)?.primary || { file: filePath, source: null, config: data };
+
+    let raw;
+    try {
+      raw = this.interpolate(data);
+    } catch (error) {
+      throw this.addLocation(error, data, error.pointer);
+    }
+    if (this.isPlainObject(raw)) {
+      layer.resolved = raw;
+      this.sources.set(raw, { layers: [layer], primary: layer, raw: true });
+    }
+    const { extends: parents, ...own } = raw && typeof raw === 'object' ? raw : {};
+
+    let config = {};
+    const layers = [];
+    for (const parent of [].concat(parents ?? [])) {
+      const parentPath = this.resolveExtends(parent, filePath);
+      const parentConfig = await this.loadLayer(parentPath, [...chain, filePath]);
+      config = this.merge(config, parentConfig);
+      layers.push(...this.sources.get(parentConfig).layers);
+    }
+
+    config = this.merge(config, this.configNormalizer.normalize(own));
+    this.sources.set(config, { layers: [...layers, layer], primary: layer });
+    return config;
+  }
+
+  /**
+   * 設定ファイルを記述されたままの形式で読み込む
+   * @param {string} filePath - 設定ファイルのパス
+   * @returns {Object} 設定オブジェクト
+   */
+  async readConfigFile(filePath) {
+    const file = path.resolve(filePath);
+    const ext = path.extname(file).toLowerCase();
+    let config;
+    let source = null;
+
+    if (MODULE_EXTENSIONS.includes(ext)) {
+      config = await this.importConfigModule(file);
+    } else if (ext === '.json' || ext === '.yml' || ext === '.yaml') {
+      // 構文エラーや検証エラーの位置を示せるよう、位置情報を記録しながら解析する
+      source = new ConfigSource(await fs.readFile(file, 'utf8'), { file, format: ext === '.json' ? 'json' : 'yaml' });
+      config = source.data;
+    } else {
+      throw new Error(`サポートされていない設定ファイル形式: ${ext}`);
+    }
+
+    if (config && typeof config === 'object') {
+      const layer = { file, source, config };
+      this.sources.set(config, { layers: [layer], primary: layer, raw: true });
+    }
+    return config;
+  }
+
+  /**
+   * 設定オブジェクトの JSON Pointer が指す値の、設定ファイル上の位置を取得する
+   * 継承や環境別の設定を重ねた場合は、その値を設定したファイル（見つからない場合は設定ファイル本体）の位置を返す
+   * @param {Object} config - load または readConfigFile で読み込んだ設定オブジェクト
+   * @param {string} pointer - JSON Pointer（load の場合は正規形でのパス）
+   * @returns {Object|null} { file, line, column, location, codeFrame }（位置が分からない場合は null）
+   */
+  locate(config, pointer) {
+    const entry = config && typeof config === 'object' ? this.sources.get(config) : undefined;
+    if (!entry) {
+      return null;
+    }
+
+    const toSourcePointer = (layer) => entry.raw ? pointer : this.configNormalizer.toSourcePointer(pointer, layer.config);
+    for (const layer of [...entry.layers].reverse()) {
+      const located = layer.source?.locate(toSourcePointer(layer));
+      if (located?.exact) {
+        return this.pickLocation(located);
+      }
+    }
+
+    const { primary } = entry;
+    if (!primary.source) {
+      return { file: primary.file, location: path.relative(process.cwd(), primary.file) || primary.file };
+    }
+    return this.pickLocation(primary.source.locate(toSourcePointer(primary)));
+  }
+
+  /**
+   * load で読み込んだ設定を、設定ファイルに記述された形式（環境変数は展開済み）で取得する
+   * 検証エラーのパスを設定ファイルと一致させるために使う。位置は locate で設定ファイルから直接求められる
+   * @param {Object} config - load で読み込んだ設定オブジェクト
+   * @returns {Object|null} 設定オブジェクト（継承や環境別の設定を重ねた場合は null）
+   */
+  getSourceConfig(config) {
+    const entry = config && typeof config === 'object' ? this.sources.get(config) : undefined;
+    if (!entry || entry.layers.length !== 1) {
+      return null;
+    }
+    return entry.primary.resolved ?? null;
+  }
+
+  /**
+   * エラーに設定ファイル上の位置を付与する
+   * @param {Error} error - エラー
+   * @param {Object} config - 設定オブジェクト
+   * @param {string} pointer - JSON Pointer
+   * @returns {Error} 位置を付与したエラー（メッセージの末尾に位置を追加する）
+   */
+  addLocation(error, config, pointer) {
+    const location = pointer === undefined ? null : this.locate(config, pointer);
+    if (location) {
+      error.message = `${error.message}（${location.location}）`;
+      Object.assign(error, location);
+    }
+    return error;
+  }
+
+  /**
+   * 位置情報のうちエラーに持たせる項目を取り出す
+   * @param {Object} located - ConfigSource#locate の結果
+   * @returns {Object} { file, line, column, location, codeFrame }
+   */
+  pickLocation({ file, line, column, location, codeFrame }) {
+    return { file, line, column, location, codeFrame };
+  }
+
+  /**
+   * JavaScript の設定ファイルを読み込む
+   * default export が関数の場合はヘルパー（defineBook, configDir, env, glob）を渡して呼び出し、その戻り値を設定とする
+   * @param {string} filePath - 設定ファイルのパス
+   * @returns {Object} 設定オブジェクト
+   */
+  async importConfigModule(filePath) {
+    // プレビュー中に設定ファイルが変更された場合に読み直せるよう、更新日時をURLに含める
+    const { mtimeMs } = await fs.stat(filePath);
+    const module = await import(`${pathToFileURL(path.resolve(filePath)).href}?mtime=${mtimeMs}`);
+
+    if (module.default === undefined) {
+      throw new Error(`設定ファイルで設定が export default されていません: ${filePath}`);
+    }
+
+    const config = typeof module.default === 'function'
+      ? await module.default(this.createModuleHelpers(filePath))
+      : module.default;
+
+    if (!this.isPlainObject(config)) {
+      throw new Error(`設定ファイルの export default はオブジェクトまたはオブジェクトを返す関数にしてください: ${filePath}`);
+    }
+
+    return config;
+  }
+
+  /**
+   * JavaScript の設定ファイルの関数に渡すヘルパーを作成する
+   * @param {string} filePath - 設定ファイルのパス
+   * @returns {Object} ヘルパー
+   */
+  createModuleHelpers(filePath) {
+    const configDir = path.dirname(path.resolve(filePath));
+
+    return {
+      defineBook,
+      configDir,
+      env: this.env,
+      // 設定ファイルのディレクトリを基準にファイルを検索し、パスの昇順で返す（章の一覧の作成などに使う）
+      glob: async (pattern, options = {}) => {
+        const files = await glob(pattern, { cwd: configDir, posix: true, nodir: true, ...options });
+        return files.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      }
+    };
+  }
+
+  /**
+   * extends の指定をファイルパスに解決する
+   * "./" "../" "/" で始まる場合や拡張子が設定ファイルのものである場合はローカルパス、それ以外はパッケージとして扱う
+   * パッケージの場合は package.json の main、なければパッケージ直下の book-config.json（.yml）または book.config.mjs を使用する
+   * @param {string} specifier - extends の値
+   * @param {string} fromPath - extends を記述したファイルのパス
+   * @returns {string} 継承元の設定ファイルの絶対パス
+   */
+  resolveExtends(specifier, fromPath) {
+    if (typeof specifier !== 'string' || !specifier) {
+      throw new Error(`extends には設定ファイルのパスまたはパッケージ名を指定してください: ${fromPath}`);
+    }
+
+    const baseDir = path.dirname(fromPath);
+    if (/^\.{0,2}\//.test(specifier) || path.isAbsolute(specifier) || CONFIG_EXTENSIONS.includes(path.extname(specifier))) {
+      return path.resolve(baseDir, specifier);
+    }
+
+    const require = createRequire(fromPath);
+    const candidates = [
+      specifier,
+      `${specifier}/book-config.json`,
+      `${specifier}/book-config.yml`,
+      `${specifier}/book.config.mjs`
+    ];
+    for (const candidate of candidates) {
+      try {
+        const resolved = require.resolve(candidate);
+        if (CONFIG_EXTENSIONS.includes(path.extname(resolved).toLowerCase())) {
+          return resolved;
+        }
+      } catch {
+        // 次の候補を試す
+      }
+    }
+
+    throw new Error(`継承元の設定が見つかりません: ${specifier}（${fromPath}）`);
+  }
+
+  /**
+   * 環境別の設定ファイルのパスを取得する（例: book-config.json → book-config.production.json）
+   * @param {string} configPath - 設定ファイルのパス
+   * @param {string} env - 環境名
+   * @returns {string} 環境別の設定ファイルのパス
+   */
+  getOverlayPath(configPath, env) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(env)) {
+      throw new Error(`環境名には英数字、ハイフン、アンダースコアのみ使用できます: ${env}`);
+    }
+    const ext = path.extname(configPath);
+    return path.resolve(path.dirname(configPath), `${path.basename(configPath, ext)}.${env}${ext}`);
+  }
+
+  /**
+   * 文字列中の ${VAR} と ${VAR:-default} を環境変数で置き換える（$${VAR} はそのまま ${VAR} として残す）
+   * @param {*} value - 設定値
+   * @param {string} pointer - JSON Pointer（エラー表示用）
+   * @returns {*} 置き換え後の設定値
+   * @throws {Error} 環境変数が設定されていない場合（error.pointer に値の位置を持つ）
+   */
+  interpolate(value, pointer = '') {
+    if (typeof value === 'string') {
+      return value.replace(/\$?\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+        if (match.startsWith('$$')) {
+          return match.slice(1);
+        }
+        const envValue = this.env[name];
+        if (envValue !== undefined && envValue !== '') {
+          return envValue;
+        }
+        if (fallback !== undefined) {
+          return fallback;
+        }
+        throw Object.assign(new Error(`環境変数 ${name} が設定されていません (${pointer || '/'})`), { pointer });
+      });
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.interpolate(item, `${pointer}/${index}`));
+    }
+
+    if (this.isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        this.interpolate(item, `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`)
+      ]));
+    }
+
+    return value;
+  }
+
+  /**
+   * 設定をマージする（オブジェクトは再帰的にマージし、配列やその他の値は上書きする）
+   * @param {Object} base - ベースの設定
+   * @param {Object} override - 上書きする設定
+   * @returns {Object} マージ後の設定
+   */
+  merge(base, override) {
+    if (!this.isPlainObject(base) || !this.isPlainObject(override)) {
+      return override === undefined ? base : override;
+    }
+
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      result[key] = key in base ? this.merge(base[key], value) : value;
+    }
+    return result;
+  }
+
+  /**
+   * プレーンなオブジェクトかどうかを判定する
+   * @param {*} value - 値
+   * @returns {boolean} プレーンなオブジェクトの場合true
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
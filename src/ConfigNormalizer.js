@@ -0,0 +1,280 @@
+import path from 'path';
+
+/**
+ * book の下にまとめて記述される書籍情報のフィールド（nested 形式）
+ */
+const BOOK_FIELDS = [
+  'title',
+  'subtitle',
+  'description',
+  'author',
+  'language',
+  'version',
+  'publisher',
+  'isbn',
+  'keywords',
+  'category',
+  'targetAudience',
+  'repository',
+  'copyright',
+  'license'
+];
+
+/**
+ * 設定ファイルの形式の変換
+ *
+ * 設定ファイルには2つの形式がある
+ * - flat: title, author, structure.chapters[].id をトップレベルに記述する形式（init で生成される形式）
+ * - nested: book.title, book.author.name, structure.chapters[].file のように book の下に書籍情報を記述する形式
+ *
+ * 読み込んだ設定はどちらの形式でも flat 形式を拡張した正規形に変換し、各モジュールは正規形だけを扱う
+ * - author は著者名の文字列、nested 形式の著者情報（organization, email など）は authorInfo に保持する
+ * - repository.url はリポジトリのURL（nested 形式の book.repository.github）
+ * - 章と付録には必ず id を持たせ、nested 形式の file, number, letter, enabled はそのまま残す
+ */
+export class ConfigNormalizer {
+  /**
+   * 設定の形式を判定する
+   * @param {Object} config - 設定オブジェクト
+   * @returns {string} 'nested' または 'flat'
+   */
+  detectDialect(config) {
+    return config && typeof config.book === 'object' && config.book !== null && !Array.isArray(config.book)
+      ? 'nested'
+      : 'flat';
+  }
+
+  /**
+   * 設定を正規形に変換する
+   * @param {Object} config - 設定オブジェクト（どちらの形式でもよい）
+   * @returns {Object} 正規形の設定オブジェクト
+   */
+  normalize(config) {
+    if (!config || typeof config !== 'object') {
+      return config;
+    }
+
+    const { book, ...rest } = structuredClone(config);
+    const normalized = {};
+
+    if (this.detectDialect(config) === 'nested') {
+      for (const [key, value] of Object.entries(book)) {
+        if (key === 'author') {
+          Object.assign(normalized, this.normalizeAuthor(value));
+        } else if (key === 'repository') {
+          normalized.repository = this.normalizeRepository(value);
+        } else {
+          normalized[key] = value;
+        }
+      }
+    } else if (book !== undefined) {
+      rest.book = book;
+    }
+
+    for (const [key, value] of Object.entries(rest)) {
+      if (!(key in normalized)) {
+        normalized[key] = value;
+      }
+    }
+
+    if (normalized.structure && typeof normalized.structure === 'object') {
+      normalized.structure = this.normalizeStructure(normalized.structure);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * 正規形の設定を指定した形式に変換する（migrate-config で使用する）
+   * @param {Object} config - 設定オブジェクト（どちらの形式でもよい）
+   * @param {string} dialect - 'nested' または 'flat'
+   * @returns {Object} 指定した形式の設定オブジェクト
+   */
+  toDialect(config, dialect) {
+    const normalized = this.normalize(config);
+
+    switch (dialect) {
+    case 'flat':
+      return normalized;
+    case 'nested':
+      return this.toNested(normalized);
+    default:
+      throw new Error(`不明な設定形式です: ${dialect}（flat または nested を指定してください）`);
+    }
+  }
+
+  /**
+   * 正規形の設定を nested 形式に変換する
+   * @param {Object} normalized - 正規形の設定オブジェクト
+   * @returns {Object} nested 形式の設定オブジェクト
+   */
+  toNested(normalized) {
+    const { authorInfo, ...rest } = normalized;
+    const book = {};
+    const result = { book };
+
+    for (const [key, value] of Object.entries(rest)) {
+      if (key === 'author') {
+        book.author = { ...(authorInfo || {}), name: value };
+      } else if (key === 'repository') {
+        book.repository = this.denormalizeRepository(value);
+      } else if (BOOK_FIELDS.includes(key)) {
+        book[key] = value;
+      } else if (key === 'structure' && value && typeof value === 'object') {
+        result.structure = this.denormalizeStructure(value);
+      } else {
+        result[key] = value;
+      }
+    }
+
+    if (authorInfo && !('author' in rest)) {
+      book.author = authorInfo;
+    }
+
+    return result;
+  }
+
+  /**
+   * 正規形の JSON Pointer を、設定ファイルに記述された形式での JSON Pointer に変換する（エラー位置の表示に使用する）
+   * @param {string} pointer - 正規形の設定での JSON Pointer
+   * @param {Object} config - 設定ファイルに記述された設定オブジェクト
+   * @returns {string} 設定ファイルでの JSON Pointer
+   */
+  toSourcePointer(pointer, config) {
+    if (this.detectDialect(config) !== 'nested') {
+      return pointer;
+    }
+
+    const [, key = '', ...rest] = pointer.split('/');
+    const suffix = rest.map(segment => `/${segment}`).join('');
+
+    if (key === 'author') {
+      return config.book.author && typeof config.book.author === 'object' ? '/book/author/name' : '/book/author';
+    }
+    if (key === 'authorInfo') {
+      return `/book/author${suffix}`;
+    }
+    if (key === 'repository' && rest[0] === 'url' && config.book.repository?.url === undefined) {
+      return '/book/repository/github';
+    }
+    // 書籍情報のフィールドが設定されていない場合も、追加すべき場所として book を指す
+    const inBook = key in config.book || (BOOK_FIELDS.includes(key) && !(key in config));
+    return inBook ? `/book/${key}${suffix}` : pointer;
+  }
+
+  /**
+   * 著者情報を正規形に変換する
+   * @param {string|Object} author - 著者名または著者情報
+   * @returns {Object} { author, authorInfo }
+   */
+  normalizeAuthor(author) {
+    if (author && typeof author === 'object' && !Array.isArray(author)) {
+      return { author: author.name, authorInfo: author };
+    }
+    return { author };
+  }
+
+  /**
+   * リポジトリ情報を正規形に変換する
+   * @param {Object} repository - nested 形式のリポジトリ情報
+   * @returns {Object} 正規形のリポジトリ情報
+   */
+  normalizeRepository(repository) {
+    if (!repository || typeof repository !== 'object') {
+      return repository;
+    }
+
+    const { github, ...rest } = repository;
+    return github !== undefined && rest.url === undefined ? { url: github, ...rest } : repository;
+  }
+
+  /**
+   * リポジトリ情報を nested 形式に変換する
+   * @param {Object} repository - 正規形のリポジトリ情報
+   * @returns {Object} nested 形式のリポジトリ情報
+   */
+  denormalizeRepository(repository) {
+    if (!repository || typeof repository !== 'object' || typeof repository.url !== 'string') {
+      return repository;
+    }
+
+    const { url, ...rest } = repository;
+    return { github: url.replace(/\.git$/, ''), ...rest };
+  }
+
+  /**
+   * 章と付録に id を持たせる
+   * @param {Object} structure - 書籍構成
+   * @returns {Object} 正規形の書籍構成
+   */
+  normalizeStructure(structure) {
+    const result = { ...structure };
+
+    if (Array.isArray(structure.chapters)) {
+      result.chapters = structure.chapters.map((chapter, index) => {
+        if (!chapter || typeof chapter !== 'object' || chapter.id !== undefined) return chapter;
+        // id だけの章は chapter-<id>/index.md を参照するため、省略時のファイル名を明示しておく
+        const file = chapter.file ?? `chapter${String(index + 1).padStart(2, '0')}.md`;
+        return { id: this.createId(file), ...chapter, file };
+      });
+    }
+
+    if (Array.isArray(structure.appendices)) {
+      result.appendices = structure.appendices.map((appendix, index) => {
+        if (!appendix || typeof appendix !== 'object' || appendix.id !== undefined) return appendix;
+        const id = appendix.file
+          ? this.createId(appendix.file)
+          : `appendix-${(appendix.letter || String(index + 1)).toLowerCase()}`;
+        return { id, ...appendix };
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 章と付録の id のうち、ファイル名から導出できるものを取り除く
+   * @param {Object} structure - 正規形の書籍構成
+   * @returns {Object} nested 形式の書籍構成
+   */
+  denormalizeStructure(structure) {
+    const stripId = (item) => {
+      if (!item || typeof item !== 'object' || !item.file || item.id !== this.createId(item.file)) {
+        return item;
+      }
+      const rest = { ...item };
+      delete rest.id;
+      return rest;
+    };
+
+    const result = { ...structure };
+    if (Array.isArray(structure.chapters)) {
+      result.chapters = structure.chapters.map(stripId);
+    }
+    if (Array.isArray(structure.appendices)) {
+      result.appendices = structure.appendices.map(stripId);
+    }
+    return result;
+  }
+
+  /**
+   * ファイル名から id を作成する（例: chapters/Chapter01.md → chapter01）
+   * @param {string} file - ファイル名
+   * @returns {string} id
+   */
+  createId(file) {
+    return this.toId(path.posix.basename(String(file), path.posix.extname(String(file))));
+  }
+
+  /**
+   * 文字列を id の形式（英小文字、数字、ハイフン）に変換する（例: Chapter_2 → chapter-2）
+   * @param {string} value - 文字列
+   * @returns {string} id
+   */
+  toId(value) {
+    return String(value)
+      .toLowerCase()
+      .replace(/[^a-z0-9-]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'chapter';
+  }
+}
@@ -0,0 +1,333 @@
+import path from 'path';
+import YAML, { LineCounter } from 'yaml';
+
+/**
+ * 設定ファイルのソース - 内容を解析し、JSON Pointer から行と列を求める
+ *
+ * JSON は位置を記録する独自のパーサーで、YAML は yaml パッケージのドキュメントの位置情報で解析する。
+ * 構文エラーや検証エラーには file, line, column, location（表示用の "file:line:column"）, codeFrame を持たせる
+ */
+export class ConfigSource {
+  /**
+   * @param {string} content - ファイルの内容
+   * @param {Object} options - オプション
+   * @param {string} options.file - ファイルのパス
+   * @param {string} options.format - 'json' または 'yaml'
+   */
+  constructor(content, options = {}) {
+    this.content = content.replace(/^\uFEFF/, '');
+    this.file = options.file;
+    this.format = options.format;
+    this.lines = this.content.split(/\r?\n/);
+    this.lineOffsets = [0];
+    for (let index = 0; index < this.content.length; index++) {
+      if (this.content[index] === '\n') {
+        this.lineOffsets.push(index + 1);
+      }
+    }
+
+    if (this.format === 'json') {
+      this.positions = new Map();
+      this.data = new JsonPositionParser(this).parse();
+    } else {
+      this.document = YAML.parseDocument(this.content, { lineCounter: new LineCounter(), prettyErrors: false });
+      const [error] = this.document.errors;
+      if (error) {
+        throw this.createError(`設定ファイルの構文が正しくありません: ${error.message.split('\n')[0]}`, error.pos[0]);
+      }
+      this.data = this.document.toJS();
+    }
+  }
+
+  /**
+   * JSON Pointer が指す値の位置を取得する（値がない場合は最も近い親の位置）
+   * @param {string} pointer - JSON Pointer
+   * @returns {Object} { file, line, column, location, codeFrame, pointer, exact } - pointer は実際に見つかった位置
+   */
+  locate(pointer) {
+    const segments = pointer ? pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~')) : [];
+
+    for (let length = segments.length; length >= 0; length--) {
+      const found = segments.slice(0, length);
+      const offset = this.findOffset(found);
+      if (offset !== undefined) {
+        return {
+          ...this.getPosition(offset),
+          pointer: found.map(segment => `/${segment.replace(/~/g, '~0').replace(/\//g, '~1')}`).join(''),
+          exact: length === segments.length
+        };
+      }
+    }
+
+    return this.getPosition(0);
+  }
+
+  /**
+   * パスが指す値の先頭のオフセットを取得する
+   * @param {Array<string>} segments - パス
+   * @returns {number|undefined} オフセット（見つからない場合は undefined）
+   */
+  findOffset(segments) {
+    if (this.format === 'json') {
+      return this.positions.get(segments.map(segment => `/${segment}`).join(''));
+    }
+
+    let node = this.document.contents;
+    for (const segment of segments) {
+      if (YAML.isMap(node)) {
+        node = node.get(segment, true);
+      } else if (YAML.isSeq(node) && /^\d+$/.test(segment)) {
+        node = node.get(Number(segment), true);
+      } else {
+        return undefined;
+      }
+    }
+    return node?.range ? node.range[0] : undefined;
+  }
+
+  /**
+   * オフセットを行と列に変換する
+   * @param {number} offset - オフセット
+   * @returns {Object} { file, line, column, location, codeFrame }
+   */
+  getPosition(offset) {
+    let line = 0;
+    while (line + 1 < this.lineOffsets.length && this.lineOffsets[line + 1] <= offset) {
+      line++;
+    }
+    const position = { line: line + 1, column: offset - this.lineOffsets[line] + 1 };
+
+    return {
+      file: this.file,
+      ...position,
+      location: `${path.relative(process.cwd(), this.file) || this.file}:${position.line}:${position.column}`,
+      codeFrame: this.createCodeFrame(position.line, position.column)
+    };
+  }
+
+  /**
+   * 指定した位置の前後の行を表示するコードフレームを作成する
+   * @param {number} line - 行（1始まり）
+   * @param {number} column - 列（1始まり）
+   * @param {number} contextLines - 前後に表示する行数
+   * @returns {string} コードフレーム
+   */
+  createCodeFrame(line, column, contextLines = 2) {
+    const start = Math.max(1, line - contextLines);
+    let end = Math.min(this.lines.length, line + contextLines);
+    while (end > line && this.lines[end - 1] === '') {
+      end--;
+    }
+    const width = String(end).length;
+    const frame = [];
+
+    for (let current = start; current <= end; current++) {
+      const gutter = String(current).padStart(width);
+      frame.push(`${current === line ? '>' : ' '} ${gutter} | ${this.lines[current - 1]}`);
+      if (current === line) {
+        frame.push(`  ${' '.repeat(width)} | ${' '.repeat(column - 1)}^`);
+      }
+    }
+
+    return frame.join('\n');
+  }
+
+  /**
+   * 位置情報を持つエラーを作成する
+   * @param {string} message - エラーメッセージ
+   * @param {number} offset - エラーの位置（オフセット）
+   * @returns {Error} エラー（file, line, column, location, codeFrame を持つ）
+   */
+  createError(message, offset) {
+    const position = this.getPosition(Math.min(offset, this.content.length));
+    return Object.assign(new Error(`${message}（${position.location}）`), position);
+  }
+}
+
+/**
+ * 値の位置を記録する JSON パーサー（JSON.parse と同じ構文を受け付ける）
+ */
+class JsonPositionParser {
+  /**
+   * @param {ConfigSource} source - 設定ファイルのソース
+   */
+  constructor(source) {
+    this.source = source;
+    this.text = source.content;
+    this.index = 0;
+  }
+
+  /**
+   * JSON を解析する
+   * @returns {*} 解析した値
+   */
+  parse() {
+    const value = this.parseValue('');
+    this.skipWhitespace();
+    if (this.index < this.text.length) {
+      this.fail();
+    }
+    return value;
+  }
+
+  /**
+   * 値を解析し、開始位置を記録する
+   * @param {string} pointer - 値の JSON Pointer（~ と / はエスケープしない）
+   * @returns {*} 解析した値
+   */
+  parseValue(pointer) {
+    this.skipWhitespace();
+    this.source.positions.set(pointer, this.index);
+
+    const char = this.text[this.index];
+    if (char === '{') return this.parseObject(pointer);
+    if (char === '[') return this.parseArray(pointer);
+    if (char === '"') return this.parseString();
+
+    const match = this.match(/-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y);
+    if (!match) {
+      this.fail();
+    }
+    this.index += match[0].length;
+    return JSON.parse(match[0]);
+  }
+
+  /**
+   * オブジェクトを解析する
+   * @param {string} pointer - オブジェクトの JSON Pointer
+   * @returns {Object} 解析したオブジェクト
+   */
+  parseObject(pointer) {
+    const result = {};
+    this.index++;
+    this.skipWhitespace();
+    if (this.text[this.index] === '}') {
+      this.index++;
+      return result;
+    }
+
+    for (;;) {
+      this.skipWhitespace();
+      if (this.text[this.index] !== '"') {
+        this.fail('キーは二重引用符で囲んでください');
+      }
+      const key = this.parseString();
+      this.expect(':');
+      Object.defineProperty(result, key, {
+        value: this.parseValue(`${pointer}/${key}`),
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
+      if (!this.consumeSeparator('}')) {
+        return result;
+      }
+    }
+  }
+
+  /**
+   * 配列を解析する
+   * @param {string} pointer - 配列の JSON Pointer
+   * @returns {Array} 解析した配列
+   */
+  parseArray(pointer) {
+    const result = [];
+    this.index++;
+    this.skipWhitespace();
+    if (this.text[this.index] === ']') {
+      this.index++;
+      return result;
+    }
+
+    for (;;) {
+      result.push(this.parseValue(`${pointer}/${result.length}`));
+      if (!this.consumeSeparator(']')) {
+        return result;
+      }
+    }
+  }
+
+  /**
+   * 文字列を解析する
+   * @returns {string} 解析した文字列
+   */
+  parseString() {
+    const start = this.index;
+    const match = this.match(/"(?:[^"\\\n]|\\[^\n])*"/y);
+    if (!match) {
+      this.fail('文字列が閉じられていません');
+    }
+    this.index += match[0].length;
+
+    try {
+      return JSON.parse(match[0]);
+    } catch {
+      this.index = start;
+      this.fail('文字列に使用できない文字またはエスケープが含まれています');
+    }
+  }
+
+  /**
+   * 現在の位置から正規表現（sticky）に一致する文字列を取得する
+   * @param {RegExp} pattern - y フラグ付きの正規表現
+   * @returns {Array|null} 一致した結果
+   */
+  match(pattern) {
+    pattern.lastIndex = this.index;
+    return pattern.exec(this.text);
+  }
+
+  /**
+   * 区切りのカンマまたは閉じ括弧を読む
+   * @param {string} close - 閉じ括弧
+   * @returns {boolean} 次の要素が続く場合true
+   */
+  consumeSeparator(close) {
+    this.skipWhitespace();
+    const char = this.text[this.index];
+    if (char === ',') {
+      this.index++;
+      this.skipWhitespace();
+      if (this.text[this.index] === close) {
+        this.fail('末尾のカンマは使用できません');
+      }
+      return true;
+    }
+    if (char === close) {
+      this.index++;
+      return false;
+    }
+    this.fail(`"," または "${close}" が必要です`);
+  }
+
+  /**
+   * 指定した文字を読む
+   * @param {string} char - 文字
+   */
+  expect(char) {
+    this.skipWhitespace();
+    if (this.text[this.index] !== char) {
+      this.fail(`"${char}" が必要です`);
+    }
+    this.index++;
+  }
+
+  /**
+   * 空白を読み飛ばす
+   */
+  skipWhitespace() {
+    while (/[ \t\n\r]/.test(this.text[this.index] ?? '')) {
+      this.index++;
+    }
+  }
+
+  /**
+   * 現在の位置で構文エラーを投げる
+   * @param {string} detail - エラーの詳細
+   */
+  fail(detail) {
+    const char = this.text[this.index];
+    const reason = detail || (char === undefined ? '予期しないファイルの終わりです' : `予期しない文字 "${char}" があります`);
+    throw this.source.createError(`設定ファイルの構文が正しくありません: ${reason}`, this.index);
+  }
+}
@@ -0,0 +1,138 @@
+import path from 'path';
+import { ConfigFixer } from './ConfigFixer.js';
+import { ConfigSource } from './ConfigSource.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+
+/**
+ * 設定ファイルの書き換え - JSON / YAML の設定ファイルを読み込み、変更した項目だけを書き戻す
+ * YAML はコメントとキーの順序を、JSON はキーの順序とインデント、1行の配列を保持する。章の編集（ChapterManager）と取り込み（ReviewImporter / MarkdownBookImporter）で使用する
+ */
+export class ConfigWriter {
+  constructor() {
+    this.configFixer = new ConfigFixer();
+    this.fsUtils = new FileSystemUtils();
+  }
+
+  /**
+   * 設定ファイルを書式を保ったまま読み込む
+   * @param {string} configPath - 設定ファイルのパス
+   * @returns {Object} { data, document, format, content } - document は YAML の場合のみ（コメントを保持したまま編集する）、content は JSON の元の内容
+   */
+  async read(configPath) {
+    const content = await this.fsUtils.readFile(configPath);
+    const format = path.extname(configPath).toLowerCase();
+    const file = path.resolve(configPath);
+
+    if (format === '.json') {
+      return { data: new ConfigSource(content, { file, format: 'json' }).data, document: null, format, content };
+    }
+    if (format === '.yml' || format === '.yaml') {
+      const source = new ConfigSource(content, { file, format: 'yaml' });
+      return { data: source.data, document: source.document, format };
+    }
+    throw new Error(`書き換えに対応していない設定ファイル形式です: ${format}`);
+  }
+
+  /**
+   * 設定ファイルの指定した項目だけを書き換える（YAMLはコメントと順序を、JSONはキーの順序と書式を保持する）
+   * @param {string} configPath - 設定ファイルのパス
+   * @param {Object} state - read で読み込んだ設定
+   * @param {Array<Array<string>>} paths - 書き換える項目のパス（値がなくなった項目は削除する。navigation.order も書き換える。JSON で値が変わらない場合は書き込まない）
+   */
+  async write(configPath, state, paths) {
+    const get = (node, keys) => keys.reduce((value, key) => value?.[key], node);
+    const targets = state.data.navigation?.order ? [...paths, ['navigation', 'order']] : paths;
+
+    if (state.document) {
+      for (const keys of targets) {
+        const value = get(state.data, keys);
+        if (value !== undefined) {
+          state.document.setIn(keys, state.document.createNode(value));
+        } else if (state.document.hasIn(keys)) {
+          state.document.deleteIn(keys);
+        }
+      }
+      await this.fsUtils.writeFileSafe(configPath, state.document.toString());
+      return;
+    }
+
+    // JSON は読み込んだときの内容に、値が変わった項目だけを反映する（新しく作る設定はそのまま書き出す）
+    const base = state.content === undefined
+      ? JSON.parse(JSON.stringify(state.data))
+      : new ConfigSource(state.content, { file: path.resolve(configPath), format: 'json' }).data;
+    const changed = targets.filter(keys => JSON.stringify(get(base, keys)) !== JSON.stringify(get(state.data, keys)));
+    if (state.content !== undefined && changed.length === 0) {
+      return;
+    }
+
+    const editor = this.configFixer.createJsonEditor(base, state.content ?? '\n');
+    for (const keys of changed) {
+      const value = get(state.data, keys);
+      if (value !== undefined) {
+        editor.set(keys, JSON.parse(JSON.stringify(value)));
+      } else {
+        editor.delete(keys);
+      }
+    }
+    await this.fsUtils.writeFileSafe(configPath, editor.toString());
+  }
+
+  /**
+   * 取り込んだページと書籍情報を設定データに反映する（import コマンドで使用する）
+   * nested 形式（book.*）の設定は book の下を、flat 形式はトップレベルを更新する
+   * 構成（structure）の並びは取り込んだページに合わせ、navigation.order があればページの順にする。
+   * 既に設定されている書籍情報と、同じファイルの章・付録やまえがき・あとがきのタイトルは overwrite を指定しない限り変更しない
+   * @param {Object} data - 設定データ
+   * @param {Array<Object>} pages - 取り込んだページ { section, source, title, number, letter }
+   * @param {Object} bookInfo - 書籍情報 { title, subtitle, author, ... }（値のない項目は変更しない）
+   * @param {Object} options - オプション
+   * @param {boolean} options.overwrite - 設定済みの書籍情報とタイトルも取り込んだ値で置き換える場合true
+   * @returns {Array<Array<string>>} 値が変わった項目のパス（write に渡す）
+   */
+  applyImport(data, pages, bookInfo, options = {}) {
+    const before = JSON.parse(JSON.stringify(data));
+    const info = Object.fromEntries(Object.entries(bookInfo).filter(([, value]) => value));
+
+    const prefix = data.book ? ['book'] : [];
+    const target = data.book || data;
+    for (const [key, value] of Object.entries(info)) {
+      if (key === 'author' && target.author && typeof target.author === 'object') {
+        if (options.overwrite || !target.author.name) {
+          target.author = { ...target.author, name: value };
+        }
+      } else if (options.overwrite || !target[key]) {
+        target[key] = typeof value === 'string' ? value : String(value);
+      }
+    }
+
+    const bySection = section => pages.filter(page => page.section === section);
+    const title = (existing, page) => (!options.overwrite && existing?.title) || page.title;
+    const single = (existing, page) => page ? { ...existing, title: title(existing, page), enabled: true } : undefined;
+    const findByFile = (items, page) => (Array.isArray(items) ? items : [])
+      .find(item => item?.file === path.posix.basename(page.source));
+
+    data.structure = data.structure || {};
+    const structure = data.structure;
+    // 取り込んだ内容にないまえがき・あとがきは構成から外す
+    structure.introduction = single(structure.introduction, bySection('introduction')[0]);
+    structure.chapters = bySection('chapters').map(page => {
+      const existing = findByFile(structure.chapters, page);
+      return { ...existing, number: page.number, title: title(existing, page), file: path.posix.basename(page.source), enabled: true };
+    });
+    structure.appendices = bySection('appendices').map(page => {
+      const existing = findByFile(structure.appendices, page);
+      return { ...existing, letter: page.letter, title: title(existing, page), file: path.posix.basename(page.source), enabled: true };
+    });
+    structure.afterword = single(structure.afterword, bySection('afterword')[0]);
+
+    if (Array.isArray(data.navigation?.order)) {
+      data.navigation.order = pages.map(page => page.source.replace(/\.md$/, ''));
+    }
+
+    const get = (node, keys) => keys.reduce((value, key) => value?.[key], node);
+    return [
+      ...Object.keys(info).map(key => [...prefix, key]),
+      ...['introduction', 'chapters', 'appendices', 'afterword'].map(key => ['structure', key])
+    ].filter(keys => JSON.stringify(get(before, keys)) !== JSON.stringify(get(data, keys)));
+  }
+}
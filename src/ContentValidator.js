@@ -0,0 +1,254 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import { BookStructure } from './BookStructure.js';
+import { Numbering } from './Numbering.js';
+
+/**
+ * 設定と原稿ファイルの整合性の検証（validate-config --content）
+ *
+ * - structure に記述したファイルがソースディレクトリに存在するか
+ * - コンテンツセクションの Markdown ファイルがすべて設定から参照されているか（孤立したファイルがないか）
+ * - 章番号が 1 から連続しているか
+ * - 各ファイルの見出し（H1）が設定のタイトル・章番号と一致しているか
+ *
+ * 検証結果は ConfigValidator と同じ { severity, path, keyword, message } 形式で返す（path は正規形の設定での JSON Pointer）
+ */
+export class ContentValidator {
+  constructor() {
+    this.bookStructure = new BookStructure();
+  }
+
+  /**
+   * 設定と原稿ファイルの整合性を検証する
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Object} options - オプション
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @param {Function} options.locate - JSON Pointer から設定ファイル上の位置を求める関数
+   * @returns {Object} { isValid, issues }
+   */
+  async validate(config, options = {}) {
+    const sourceDir = path.resolve(options.sourceDir || 'src');
+    const numbering = Numbering.fromConfig(config);
+    const items = this.getItems(config);
+    let issues = [];
+    const error = (pointer, keyword, message) => issues.push({ severity: 'error', path: pointer, keyword, message });
+
+    for (const item of items) {
+      const filePath = path.join(sourceDir, item.source);
+      if (!(await fs.pathExists(filePath))) {
+        if (item.enabled) {
+          error(item.filePointer, 'fileExists', `ファイルが見つかりません: ${item.source}`);
+        }
+        continue;
+      }
+      if (item.enabled) {
+        this.checkHeading(item, await fs.readFile(filePath, 'utf8'), error, numbering);
+      }
+    }
+
+    this.checkNumbering(config, error);
+
+    for (const orphan of await this.findOrphans(config, sourceDir, items)) {
+      error(orphan.pointer, 'referenced', `設定から参照されていない Markdown ファイルがあります: ${orphan.source}`);
+    }
+
+    if (options.locate) {
+      issues = issues.map(issue => ({ ...issue, ...options.locate(issue.path) }));
+    }
+
+    return { isValid: issues.length === 0, issues };
+  }
+
+  /**
+   * structure に記述されたページを、無効化されたものも含めて取得する
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @returns {Array<Object>} { section, item, source, pointer, filePointer, enabled } の配列
+   */
+  getItems(config) {
+    const structure = config.structure || {};
+    const items = [];
+    const add = (section, item, pointer, file, directory = null) => {
+      const entry = this.bookStructure.createEntry(config, section, item, file, directory);
+      items.push({
+        section,
+        item,
+        source: entry.source,
+        pointer,
+        filePointer: item.file ? `${pointer}/file` : pointer,
+        enabled: item.enabled !== false
+      });
+    };
+
+    for (const section of ['introduction', 'chapters', 'appendices', 'afterword']) {
+      const value = structure[section];
+      const list = Array.isArray(value) ? value : [value];
+
+      list.forEach((item, index) => {
+        if (!item || typeof item !== 'object') return;
+        const pointer = Array.isArray(value) ? `/structure/${section}/${index}` : `/structure/${section}`;
+
+        if (section === 'chapters' && !item.file && item.id) {
+          add(section, item, pointer, 'index.md', `chapter-${item.id}`);
+        } else if (section === 'appendices') {
+          add(section, item, pointer, item.file || `${item.id}.md`);
+        } else {
+          add(section, item, pointer, item.file || 'index.md');
+        }
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * 見出し（H1）が設定のタイトル・章番号・付録記号と一致するか検証する
+   * @param {Object} item - ページ
+   * @param {string} content - Markdownの内容
+   * @param {Function} error - エラーを追加する関数
+   * @param {Numbering} numbering - 番号付け（build.numbering）
+   */
+  checkHeading(item, content, error, numbering = new Numbering()) {
+    const heading = this.getHeading(content);
+    if (heading === null) {
+      error(item.filePointer, 'heading', `見出し（# ）がありません: ${item.source}`);
+      return;
+    }
+
+    const { number, letter, title } = this.splitHeading(heading, numbering);
+    const { item: config } = item;
+
+    if (item.section === 'chapters' && number !== null && config.number !== undefined && number !== Number(config.number)) {
+      error(`${item.pointer}/number`, 'heading', `章番号が見出しと一致しません: 設定 ${config.number}、${item.source}「${heading}」`);
+    }
+    if (item.section === 'appendices' && letter !== null && config.letter && letter !== String(config.letter).toUpperCase()) {
+      error(`${item.pointer}/letter`, 'heading', `付録の記号が見出しと一致しません: 設定 ${config.letter}、${item.source}「${heading}」`);
+    }
+    if (config.title && this.normalizeTitle(title) !== this.normalizeTitle(config.title)) {
+      error(`${item.pointer}/title`, 'heading', `タイトルが見出しと一致しません: 設定「${config.title}」、${item.source}「${title}」`);
+    }
+  }
+
+  /**
+   * 章番号が 1 から連続しているか検証する（最初に途切れた箇所だけを報告する）
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Function} error - エラーを追加する関数
+   */
+  checkNumbering(config, error) {
+    const chapters = config.structure?.chapters;
+    if (!Array.isArray(chapters)) return;
+
+    let previous = 0;
+    for (const [index, chapter] of chapters.entries()) {
+      if (!chapter || chapter.number === undefined) continue;
+      const number = Number(chapter.number);
+      if (number !== previous + 1) {
+        const message = previous === 0
+          ? `章番号は 1 から始めてください: ${chapter.number}`
+          : `章番号が連続していません: ${previous} の次が ${chapter.number} です`;
+        error(`/structure/chapters/${index}/number`, 'numbering', message);
+        return;
+      }
+      previous = number;
+    }
+  }
+
+  /**
+   * コンテンツセクションのうち、設定から参照されていない Markdown ファイルを探す
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {string} sourceDir - ソースディレクトリ
+   * @param {Array<Object>} items - structure に記述されたページ
+   * @returns {Array<Object>} { source, pointer } の配列
+   */
+  async findOrphans(config, sourceDir, items) {
+    const referenced = new Set(items.map(item => item.source));
+    const sections = Array.isArray(config.contentSections)
+      ? config.contentSections
+        .map((section, index) => ({ directory: section?.directory, enabled: section?.enabled !== false, pointer: `/contentSections/${index}` }))
+        .filter(section => section.enabled && section.directory)
+      : ['introduction', 'chapters', 'appendices', 'afterword']
+        .map(name => ({ directory: this.bookStructure.getSectionDirectory(config, name), pointer: '/structure' }));
+
+    // excludePatterns はファイル名に対するパターン（build-simple と同じ）なので、どの階層でも一致させる
+    const ignore = (config.excludePatterns || []).map(pattern => pattern.includes('/') ? pattern : `**/${pattern}`);
+    const orphans = [];
+
+    for (const section of sections) {
+      const files = await glob('**/*.md', { cwd: path.join(sourceDir, section.directory), posix: true, nodir: true, ignore });
+      for (const file of files.sort()) {
+        const source = path.posix.join(section.directory, file);
+        if (!referenced.has(source)) {
+          orphans.push({ source, pointer: section.pointer });
+        }
+      }
+    }
+
+    return orphans;
+  }
+
+  /**
+   * Markdown の最初の見出し（H1）を取得する（フロントマター、HTMLコメント、コードブロックは除く）
+   * @param {string} content - Markdownの内容
+   * @returns {string|null} 見出しの文字列
+   */
+  getHeading(content) {
+    const body = content
+      .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '')
+      .replace(/<!--[\s\S]*?-->/g, '');
+    let inFence = false;
+
+    for (const line of body.split(/\r?\n/)) {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        continue;
+      }
+      const match = !inFence && line.match(/^#[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/);
+      if (match) {
+        return match[1].replace(/\s*\{#[^}]*\}$/, '').trim();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 見出しを章番号・付録記号とタイトルに分ける（例: "第4章 価格戦略の考え方"）
+   * build.numbering の書式（例: "第四章"）を優先し、一致しない場合は既定の表記（第4章、付録A、Chapter 4、Appendix A）として扱う
+   * @param {string} heading - 見出し
+   * @param {Numbering} numbering - 番号付け
+   * @returns {Object} { number, letter, title }
+   */
+  splitHeading(heading, numbering = new Numbering()) {
+    const chapter = numbering.matchChapter(heading);
+    if (chapter) {
+      return { number: chapter.number, letter: null, title: chapter.title };
+    }
+    const appendix = numbering.matchAppendix(heading);
+    if (appendix) {
+      const letter = numbering.appendices.style === 'letter' ? appendix.value : null;
+      return { number: null, letter, title: appendix.title };
+    }
+
+    const match = heading.match(/^(?:第\s*(\d+)\s*章|付録\s*([A-Za-z])|Chapter\s+(\d+)|Appendix\s+([A-Za-z]))(?:[\s:：.．-]+|$)(.*)$/i);
+    if (!match) {
+      return { number: null, letter: null, title: heading };
+    }
+
+    const number = match[1] ?? match[3];
+    const letter = match[2] ?? match[4];
+    return {
+      number: number === undefined ? null : Number(number),
+      letter: letter === undefined ? null : letter.toUpperCase(),
+      title: match[5]
+    };
+  }
+
+  /**
+   * タイトルを比較用に正規化する（空白の違いを無視する）
+   * @param {string} title - タイトル
+   * @returns {string} 正規化したタイトル
+   */
+  normalizeTitle(title) {
+    return String(title).replace(/\s+/g, ' ').trim();
+  }
+}
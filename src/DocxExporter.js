@@ -0,0 +1,808 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { BookStructure } from './BookStructure.js';
+import { EmfConverter } from './EmfConverter.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+import { Numbering } from './Numbering.js';
+import { ZipArchive } from './ZipArchive.js';
+
+const NAMESPACES = {
+  w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+  a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+  asvg: 'http://schemas.microsoft.com/office/drawing/2016/SVG/main'
+};
+
+const RELATIONSHIP_TYPES = {
+  officeDocument: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+  coreProperties: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+  styles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+  numbering: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering',
+  footer: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer',
+  image: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image',
+  hyperlink: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink'
+};
+
+// 取り込める画像の形式（SVG には EMF の代替画像を付ける）
+const IMAGE_TYPES = {
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif'
+};
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Default Extension="png" ContentType="image/png"/>
+  <Default Extension="jpg" ContentType="image/jpeg"/>
+  <Default Extension="jpeg" ContentType="image/jpeg"/>
+  <Default Extension="gif" ContentType="image/gif"/>
+  <Default Extension="svg" ContentType="image/svg+xml"/>
+  <Default Extension="emf" ContentType="image/x-emf"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>
+`;
+
+const PACKAGE_RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELATIONSHIP_TYPES.officeDocument}" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="${RELATIONSHIP_TYPES.coreProperties}" Target="docProps/core.xml"/>
+</Relationships>
+`;
+
+const GOTHIC_FONTS = '<w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:eastAsia="游ゴシック"/>';
+const MONOSPACE_FONTS = '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:eastAsia="ＭＳ ゴシック"/>';
+
+// 見出しは Word の組み込みの見出しスタイル（アウトラインレベル付き）に対応させる
+// 「**学習目標**:」のような太字のラベルは Label（文字）と Label Paragraph（段落）のスタイルにする
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${NAMESPACES.w}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Century" w:hAnsi="Century" w:eastAsia="游明朝" w:cs="Times New Roman"/><w:sz w:val="21"/><w:szCs w:val="21"/><w:lang w:val="en-US" w:eastAsia="ja-JP"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="300" w:lineRule="auto"/><w:jc w:val="both"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:before="2400" w:after="480"/><w:jc w:val="center"/></w:pPr><w:rPr>${GOTHIC_FONTS}<w:b/><w:sz w:val="48"/><w:szCs w:val="48"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="960"/><w:jc w:val="center"/></w:pPr><w:rPr>${GOTHIC_FONTS}<w:sz w:val="28"/><w:szCs w:val="28"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Author"><w:name w:val="Author"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:jc w:val="center"/></w:pPr><w:rPr><w:sz w:val="24"/><w:szCs w:val="24"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:keepLines/><w:pBdr><w:bottom w:val="single" w:sz="8" w:space="4" w:color="auto"/></w:pBdr><w:spacing w:before="480" w:after="360"/><w:jc w:val="left"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr>${GOTHIC_FONTS}<w:b/><w:sz w:val="36"/><w:szCs w:val="36"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="360" w:after="180"/><w:jc w:val="left"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr>${GOTHIC_FONTS}<w:b/><w:sz w:val="30"/><w:szCs w:val="30"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="240" w:after="120"/><w:jc w:val="left"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr>${GOTHIC_FONTS}<w:b/><w:sz w:val="25"/><w:szCs w:val="25"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading4"><w:name w:val="heading 4"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="240" w:after="120"/><w:jc w:val="left"/><w:outlineLvl w:val="3"/></w:pPr><w:rPr>${GOTHIC_FONTS}<w:b/><w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="LabelParagraph"><w:name w:val="Label Paragraph"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:link w:val="LabelChar"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="60"/></w:pPr></w:style>
+  <w:style w:type="character" w:customStyle="1" w:styleId="LabelChar"><w:name w:val="Label"/><w:link w:val="LabelParagraph"/><w:qFormat/><w:rPr>${GOTHIC_FONTS}<w:b/><w:color w:val="1F4E79"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="SourceCode"><w:name w:val="Source Code"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:top w:val="single" w:sz="4" w:space="4" w:color="D9D9D9"/><w:left w:val="single" w:sz="4" w:space="4" w:color="D9D9D9"/><w:bottom w:val="single" w:sz="4" w:space="4" w:color="D9D9D9"/><w:right w:val="single" w:sz="4" w:space="4" w:color="D9D9D9"/></w:pBdr><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/><w:spacing w:before="120" w:after="240" w:line="260" w:lineRule="auto"/><w:ind w:left="113" w:right="113"/><w:jc w:val="left"/></w:pPr><w:rPr>${MONOSPACE_FONTS}<w:sz w:val="18"/><w:szCs w:val="18"/></w:rPr></w:style>
+  <w:style w:type="character" w:customStyle="1" w:styleId="VerbatimChar"><w:name w:val="Verbatim Char"/><w:qFormat/><w:rPr>${MONOSPACE_FONTS}<w:color w:val="C7254E"/><w:sz w:val="19"/><w:szCs w:val="19"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="BFBFBF"/></w:pBdr><w:ind w:left="567"/></w:pPr><w:rPr><w:color w:val="595959"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="Figure"><w:name w:val="Figure"/><w:basedOn w:val="Normal"/><w:next w:val="Caption"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="60"/><w:jc w:val="center"/></w:pPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Caption"><w:name w:val="caption"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="240"/><w:jc w:val="center"/></w:pPr><w:rPr>${GOTHIC_FONTS}<w:sz w:val="19"/><w:szCs w:val="19"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:ind w:left="420"/><w:jc w:val="left"/></w:pPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="TableContents"><w:name w:val="Table Contents"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="0" w:line="260" w:lineRule="auto"/><w:jc w:val="left"/></w:pPr><w:rPr><w:sz w:val="19"/><w:szCs w:val="19"/></w:rPr></w:style>
+  <w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+  <w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:left w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:bottom w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:right w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:insideH w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/></w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>
+`;
+
+// 章・付録のページ下部に置くページ番号
+const FOOTER = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:ftr xmlns:w="${NAMESPACES.w}"><w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> PAGE </w:instrText></w:r><w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>1</w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r></w:p></w:ftr>
+`;
+
+// A4 の用紙と余白（twip = 1/1440 インチ）
+const PAGE_SIZE = [11906, 16838];
+const PAGE_MARGIN = 1440;
+
+// 図版の大きさ（EMU）: 1px = 9525 EMU、1 twip = 635 EMU
+const EMU_PER_PX = 9525;
+const EMU_PER_TWIP = 635;
+
+// styles.xml・numbering.xml・フッター以外の関係は rId4 から振る
+const FIXED_RELATIONSHIPS = 3;
+
+/**
+ * DOCX エクスポーター - structure の原稿から Word 文書（校正・編集用）を生成する
+ * 見出しは Word の見出しスタイル、太字のラベル（**学習目標**: など）は名前付きのスタイルにし、章・付録ごとにセクションを分ける
+ * SVG の図版は SVG のまま埋め込み、SVG を表示できない環境向けに EMF の代替画像を付ける
+ * 図表番号は build.figureNumbering / build.tableNumbering に従う（PdfBuilder と同じ規則）
+ */
+export class DocxExporter {
+  constructor() {
+    this.bookStructure = new BookStructure();
+    this.fsUtils = new FileSystemUtils();
+    this.markdownRenderer = new MarkdownRenderer();
+    this.emfConverter = new EmfConverter();
+  }
+
+  /**
+   * 設定の構成に従ってDOCXを書き出す
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Object} options - オプション
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @param {string} options.outputFile - 出力するDOCXファイルのパス（省略時は dist/<slug>.docx）
+   * @param {string} options.assetsDir - アセットディレクトリ（省略時はソースと同階層の assets）
+   * @param {Date} options.modified - 更新日時（dcterms:modified）
+   * @returns {Object} エクスポート結果 { entries, outputFile, images }
+   */
+  async export(config, options = {}) {
+    const sourceDir = options.sourceDir || 'src';
+    const outputFile = options.outputFile || this.getOutputFile(config);
+    const assetsDir = path.resolve(options.assetsDir || path.join(path.dirname(path.resolve(sourceDir)), 'assets'));
+
+    const entries = this.bookStructure.getEntries(config);
+    if (entries.length === 0) {
+      throw new Error('ビルド対象のページが設定されていません (structure.chapters を確認してください)');
+    }
+
+    // 設定に記載されたファイルがすべて存在するか先に確認する
+    const missing = [];
+    for (const entry of entries) {
+      if (!(await this.fsUtils.exists(path.join(sourceDir, entry.source)))) {
+        missing.push(entry.source);
+      }
+    }
+    if (missing.length > 0) {
+      throw new Error(`設定に記載されたファイルが見つかりません: ${missing.join(', ')}`);
+    }
+
+    this.numbering = Numbering.fromConfig(config);
+    this.relationships = [];
+    this.media = [];
+    this.images = new Map();
+    this.orderedLists = [];
+    this.drawings = 0;
+
+    // 扉と各ページをそれぞれ1つのセクションにする（最後のセクションの設定は body の末尾に置く）
+    const sections = [this.renderTitlePage(config)];
+    for (const entry of entries) {
+      sections.push(await this.renderEntry(config, entry, { sourceDir, assetsDir }));
+    }
+    const body = sections
+      .map((section, index) => {
+        const properties = this.sectionProperties(index > 0);
+        return index < sections.length - 1 ? `${section}<w:p><w:pPr>${properties}</w:pPr></w:p>` : `${section}${properties}`;
+      })
+      .join('\n');
+
+    const modified = (options.modified || new Date()).toISOString().replace(/\.\d+Z$/, 'Z');
+    const archive = new ZipArchive();
+    archive.addFile('[Content_Types].xml', CONTENT_TYPES);
+    archive.addFile('_rels/.rels', PACKAGE_RELATIONSHIPS);
+    archive.addFile('docProps/core.xml', this.createCoreProperties(config, modified));
+    archive.addFile('word/document.xml', this.createDocument(body));
+    archive.addFile('word/_rels/document.xml.rels', this.createDocumentRelationships());
+    archive.addFile('word/styles.xml', STYLES);
+    archive.addFile('word/numbering.xml', this.createNumbering());
+    archive.addFile('word/footer1.xml', FOOTER);
+    for (const media of this.media) {
+      // PNG・JPEG・GIF はすでに圧縮されているため無圧縮で格納する
+      archive.addFile(`word/${media.target}`, media.data, { compress: media.target.endsWith('.svg') || media.target.endsWith('.emf') });
+    }
+
+    await fs.outputFile(outputFile, archive.toBuffer());
+    console.log(`✅ DOCXを書き出しました: ${entries.length}ページ、図版${this.images.size}点`);
+
+    return { entries, outputFile, images: this.images.size };
+  }
+
+  /**
+   * 出力先 dist/<slug>.docx を求める（slug は書名から作る）
+   * @param {Object} config - 設定オブジェクト
+   * @returns {string} 出力先のパス
+   */
+  getOutputFile(config) {
+    const slug = String(config.title || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\u3040-\u309f\u30a0-\u30ff\u4e00-\u9faf]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+    return path.join('dist', `${slug || 'book'}.docx`);
+  }
+
+  /**
+   * 扉（書名・副題・著者・出版社）を組む
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @returns {string} 段落のXML
+   */
+  renderTitlePage(config) {
+    return [
+      this.paragraph(this.textRun(config.title || ''), { style: 'Title' }),
+      config.subtitle ? this.paragraph(this.textRun(config.subtitle), { style: 'Subtitle' }) : '',
+      config.author ? this.paragraph(this.textRun(config.author), { style: 'Author' }) : '',
+      config.publisher ? this.paragraph(this.textRun(config.publisher), { style: 'Author' }) : ''
+    ].join('');
+  }
+
+  /**
+   * 1つのページ（まえがき・章・付録）を組む
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Object} entry - ページ情報
+   * @param {Object} paths - { sourceDir, assetsDir }
+   * @returns {string} 段落と表のXML
+   */
+  async renderEntry(config, entry, paths) {
+    const sourceFile = path.join(paths.sourceDir, entry.source);
+    const content = await this.fsUtils.readFile(sourceFile);
+    const { data, body } = this.markdownRenderer.parseFrontMatter(content);
+    const source = this.markdownRenderer.removeExcludedContent(body, config.contentExcludePatterns || []);
+    const env = { headings: [] };
+    const blocks = this.markdownRenderer.parseBlocks(this.markdownRenderer.md.parse(source, env));
+
+    const title = data.title || env.headings.find(heading => heading.level === 1)?.text || entry.title || entry.id;
+    const header = entry.label && !title.startsWith(entry.label) ? `${entry.label}\u3000${title}` : title;
+
+    // 図表番号の接頭辞: 章は章番号、付録は記号（例: 図3-1、図A-1）
+    let prefix = '';
+    if (entry.section === 'chapters') {
+      prefix = `${entry.number}-`;
+    } else if (entry.section === 'appendices') {
+      prefix = `${entry.letter || this.numbering.format(entry.number, this.numbering.appendices.style)}-`;
+    }
+
+    const context = { sourceFile, assetsDir: paths.assetsDir, prefix, counters: { figures: 0, tables: 0 }, numbering: config.build || {} };
+    const parts = [];
+    if (!blocks.some(block => block.type === 'heading' && block.level === 1)) {
+      parts.push(this.paragraph(this.textRun(header), { style: 'Heading1' }));
+    }
+    for (const block of blocks) {
+      parts.push(await this.renderBlock(block, context));
+    }
+    return parts.join('');
+  }
+
+  /**
+   * ブロックをXMLにする
+   * @param {Object} block - ブロック
+   * @param {Object} context - 組版の情報 { sourceFile, assetsDir, prefix, counters, numbering, list, quote }
+   * @returns {string} 段落と表のXML
+   */
+  async renderBlock(block, context) {
+    switch (block.type) {
+    case 'heading':
+      // Word の見出しスタイルは 見出し 4 までを使う
+      return this.paragraph(this.inlineRuns(block.inline), { style: `Heading${Math.min(block.level, 4)}` });
+    case 'paragraph': {
+      const media = block.inline.filter(token => token.type !== 'softbreak' && !(token.type === 'text' && token.content.trim() === ''));
+      if (media.length === 1 && media[0].type === 'image') {
+        return this.renderFigure(media[0], context);
+      }
+      const label = this.isLabel(block.inline);
+      let style = context.quote ? 'Quote' : null;
+      if (context.list) {
+        style = 'ListParagraph';
+      } else if (label && !style) {
+        style = 'LabelParagraph';
+      }
+      const xml = this.paragraph(this.inlineRuns(block.inline, { label }), { style, list: context.list });
+      // 番号・行頭記号は項目の最初の段落にだけ付ける
+      if (context.list) context.list = { ...context.list, continued: true };
+      return xml;
+    }
+    case 'list': {
+      const level = context.list ? Math.min(context.list.level + 1, 8) : 0;
+      const numId = block.ordered ? this.addOrderedList(level, block.start) : 1;
+      const parts = [];
+      for (const item of block.children) {
+        const itemContext = { ...context, list: { numId, level, continued: false } };
+        for (const child of item.children) {
+          parts.push(await this.renderBlock(child, itemContext));
+        }
+      }
+      return parts.join('');
+    }
+    case 'blockquote': {
+      const parts = [];
+      for (const child of block.children) {
+        parts.push(await this.renderBlock(child, { ...context, quote: true }));
+      }
+      return parts.join('');
+    }
+    case 'code': {
+      // コードブロックは改行を保ったまま1つの段落にする
+      const runs = block.content
+        .split('\n')
+        .map(line => this.textRun(line.replace(/\t/g, '    ')))
+        .join('<w:r><w:br/></w:r>');
+      return this.paragraph(runs, { style: 'SourceCode' });
+    }
+    case 'table':
+      return this.renderTable(block, context);
+    case 'hr':
+      return this.paragraph('', { border: true });
+    default:
+      return '';
+    }
+  }
+
+  /**
+   * 段落が太字のラベル（**学習目標**: のように太字の直後にコロンが続く形）で始まるか判定する
+   * @param {Array<Object>} children - inline トークンの子
+   * @returns {boolean} ラベルで始まる場合は true
+   */
+  isLabel(children) {
+    const index = children.findIndex(token => !(token.type === 'text' && token.content.trim() === ''));
+    if (index < 0 || children[index].type !== 'strong_open') {
+      return false;
+    }
+    const close = children.findIndex((token, position) => position > index && token.type === 'strong_close');
+    const next = children[close + 1];
+    return close > 0 && Boolean(next) && next.type === 'text' && /^[:：]/.test(next.content);
+  }
+
+  /**
+   * 図版を組む（build.figureNumbering が有効なら図番号を付ける）
+   * @param {Object} token - markdown-it の image トークン
+   * @param {Object} context - 組版の情報
+   * @returns {string} 図版とキャプションの段落のXML
+   */
+  async renderFigure(token, context) {
+    const src = token.attrGet('src');
+    const alt = this.plainText(token.children || []) || token.content || '';
+    const image = await this.loadImage(src, context);
+    if (!image) {
+      return alt ? this.paragraph(this.textRun(alt)) : '';
+    }
+
+    // 版面の幅と、高さの6割に収まるよう縮小する
+    const maxWidth = (PAGE_SIZE[0] - PAGE_MARGIN * 2) * EMU_PER_TWIP;
+    const maxHeight = (PAGE_SIZE[1] - PAGE_MARGIN * 2) * EMU_PER_TWIP * 0.6;
+    const scale = Math.min(EMU_PER_PX, maxWidth / image.width, maxHeight / image.height);
+    const extent = [Math.round(image.width * scale), Math.round(image.height * scale)];
+
+    let caption = alt;
+    if (context.numbering.figureNumbering) {
+      context.counters.figures += 1;
+      caption = `図${context.prefix}${context.counters.figures}${alt ? `\u3000${alt}` : ''}`;
+    }
+
+    return [
+      this.paragraph(`<w:r>${this.drawing(image, extent, alt)}</w:r>`, { style: 'Figure' }),
+      caption ? this.paragraph(this.textRun(caption), { style: 'Caption' }) : ''
+    ].join('');
+  }
+
+  /**
+   * 画像を読み込み、文書に登録する（SVG には EMF の代替画像を作る）
+   * @param {string} src - 画像の参照先
+   * @param {Object} context - 組版の情報 { sourceFile, assetsDir }
+   * @returns {Object|null} { id, fallbackId, name, width, height }（読み込めない場合は null）
+   */
+  async loadImage(src, context) {
+    if (!src || /^[a-z][a-z0-9+.-]*:|^\/\//i.test(src)) {
+      console.log(`⚠️  外部の画像はDOCXに取り込めません: ${src}`);
+      return null;
+    }
+
+    // "/assets/..." はサイトのルートからのパスとしてアセットディレクトリを参照する
+    const file = src.startsWith('/assets/')
+      ? path.join(context.assetsDir, decodeURI(src.slice('/assets/'.length)))
+      : path.resolve(path.dirname(context.sourceFile), decodeURI(src));
+    if (this.images.has(file)) {
+      return this.images.get(file);
+    }
+
+    const relativePath = path.relative(context.assetsDir, file);
+    const extension = path.extname(file).toLowerCase();
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath) || !IMAGE_TYPES[extension] || !(await this.fsUtils.exists(file))) {
+      console.log(`⚠️  画像を取り込めませんでした: ${src} (${path.basename(context.sourceFile)})`);
+      return null;
+    }
+
+    const name = `image${this.images.size + 1}`;
+    const data = await fs.readFile(file);
+    let image;
+    try {
+      if (extension === '.svg') {
+        const { width, height, data: emf } = this.emfConverter.convert(data.toString('utf8'));
+        image = {
+          id: this.addMedia(`${name}.emf`, emf),
+          svgId: this.addMedia(`${name}.svg`, data),
+          width,
+          height
+        };
+      } else {
+        image = { id: this.addMedia(`${name}${extension}`, data), ...this.readImageSize(data, extension) };
+      }
+    } catch (error) {
+      console.log(`⚠️  画像を取り込めませんでした: ${src} (${error.message})`);
+      return null;
+    }
+
+    image.name = path.basename(file);
+    this.images.set(file, image);
+    return image;
+  }
+
+  /**
+   * PNG・JPEG・GIF の大きさ（px）を読み取る
+   * @param {Buffer} buffer - 画像ファイルの内容
+   * @param {string} extension - 拡張子
+   * @returns {Object} { width, height }
+   */
+  readImageSize(buffer, extension) {
+    if (extension === '.png') {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (extension === '.gif') {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    for (let offset = 2; offset + 9 < buffer.length;) {
+      const marker = buffer.readUInt16BE(offset);
+      // SOF0〜SOF15（DHT、JPG、DAC を除く）に大きさがある
+      if (marker >= 0xffc0 && marker <= 0xffcf && ![0xffc4, 0xffc8, 0xffcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    throw new Error('JPEGの画像サイズを読み取れません');
+  }
+
+  /**
+   * 行内に置く図版（DrawingML）のXMLを作る
+   * SVG は Office 2016 以降の拡張 (asvg:svgBlip) で埋め込み、a:blip には EMF の代替画像を指定する
+   * @param {Object} image - loadImage の結果
+   * @param {Array<number>} extent - 表示する大きさ [幅, 高さ]（EMU）
+   * @param {string} alt - 代替テキスト
+   * @returns {string} w:drawing 要素
+   */
+  drawing(image, [cx, cy], alt) {
+    this.drawings += 1;
+    const svg = image.svgId
+      ? `<a:extLst><a:ext uri="{96DAC541-7B7A-43D3-8B79-37D633B846F1}"><asvg:svgBlip xmlns:asvg="${NAMESPACES.asvg}" r:embed="${image.svgId}"/></a:ext></a:extLst>`
+      : '';
+
+    return [
+      '<w:drawing>',
+      `<wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/>`,
+      `<wp:docPr id="${this.drawings}" name="図 ${this.drawings}" descr="${this.escapeXml(alt)}"/>`,
+      `<wp:cNvGraphicFramePr><a:graphicFrameLocks xmlns:a="${NAMESPACES.a}" noChangeAspect="1"/></wp:cNvGraphicFramePr>`,
+      `<a:graphic xmlns:a="${NAMESPACES.a}"><a:graphicData uri="${NAMESPACES.pic}"><pic:pic xmlns:pic="${NAMESPACES.pic}">`,
+      `<pic:nvPicPr><pic:cNvPr id="${this.drawings}" name="${this.escapeXml(image.name)}"/><pic:cNvPicPr/></pic:nvPicPr>`,
+      `<pic:blipFill><a:blip r:embed="${image.id}">${svg}</a:blip><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`,
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>`,
+      '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>'
+    ].join('');
+  }
+
+  /**
+   * 表を組む（見出し行は各ページで繰り返し、build.tableNumbering が有効なら表番号を上に付ける）
+   * @param {Object} table - 表のブロック { rows }
+   * @param {Object} context - 組版の情報
+   * @returns {string} キャプションと表のXML
+   */
+  renderTable(table, context) {
+    const columns = Math.max(...table.rows.map(row => row.cells.length));
+    if (columns <= 0) return '';
+
+    const width = Math.floor((PAGE_SIZE[0] - PAGE_MARGIN * 2) / columns);
+    const rows = table.rows.map((row) => {
+      const cells = Array.from({ length: columns }, (_, index) => {
+        const cell = row.cells[index] || { align: 'left', inline: [] };
+        const shading = row.header ? '<w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/>' : '';
+        const runs = this.inlineRuns(cell.inline, { bold: row.header });
+        const align = { center: 'center', right: 'right' }[cell.align] || 'left';
+        return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shading}</w:tcPr>${this.paragraph(runs, { style: 'TableContents', align })}</w:tc>`;
+      });
+      const properties = row.header ? '<w:trPr><w:tblHeader/></w:trPr>' : '';
+      return `<w:tr>${properties}${cells.join('')}</w:tr>`;
+    });
+
+    let caption = '';
+    if (context.numbering.tableNumbering) {
+      context.counters.tables += 1;
+      caption = this.paragraph(this.textRun(`表${context.prefix}${context.counters.tables}`), { style: 'Caption', keepNext: true });
+    }
+
+    return [
+      caption,
+      '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/><w:jc w:val="center"/></w:tblPr>',
+      `<w:tblGrid>${`<w:gridCol w:w="${width}"/>`.repeat(columns)}</w:tblGrid>`,
+      rows.join(''),
+      '</w:tbl>',
+      // 表の直後に段落がないと次の表やセクションの区切りと結合されるため、空の段落を置く
+      this.paragraph('', { style: 'TableContents' })
+    ].join('');
+  }
+
+  /**
+   * 行内のトークンを w:r（外部リンクは w:hyperlink）の並びに変換する
+   * 原稿間のリンクは文字列として残す
+   * @param {Array<Object>} children - inline トークンの子
+   * @param {Object} options - オプション
+   * @param {boolean} options.label - 先頭の太字をラベルのスタイルにする
+   * @param {boolean} options.bold - すべて太字にする（表の見出し行）
+   * @returns {string} XML
+   */
+  inlineRuns(children, options = {}) {
+    const runs = [];
+    const format = { bold: options.bold ? 1 : 0, italic: 0, strike: 0, label: false, link: false };
+    let labelled = !options.label;
+    let previous = '';
+
+    const push = (text, style = null) => {
+      if (text === '') return;
+      const properties = [
+        format.label ? '<w:rStyle w:val="LabelChar"/>' : style ? `<w:rStyle w:val="${style}"/>` : format.link ? '<w:rStyle w:val="Hyperlink"/>' : '',
+        format.bold > 0 && !format.label ? '<w:b/>' : '',
+        format.italic > 0 ? '<w:i/>' : '',
+        format.strike > 0 ? '<w:strike/>' : ''
+      ].join('');
+      runs.push(this.textRun(text, properties));
+      previous = text;
+    };
+
+    for (const token of children) {
+      switch (token.type) {
+      case 'text':
+        push(token.content);
+        break;
+      case 'code_inline':
+        push(token.content, 'VerbatimChar');
+        break;
+      case 'image':
+        push(this.plainText(token.children || []));
+        break;
+      case 'strong_open':
+        if (!labelled) {
+          format.label = true;
+          labelled = true;
+        } else {
+          format.bold += 1;
+        }
+        break;
+      case 'strong_close':
+        if (format.label) {
+          format.label = false;
+        } else {
+          format.bold -= 1;
+        }
+        break;
+      case 'em_open':
+        format.italic += 1;
+        break;
+      case 'em_close':
+        format.italic -= 1;
+        break;
+      case 's_open':
+        format.strike += 1;
+        break;
+      case 's_close':
+        format.strike -= 1;
+        break;
+      case 'link_open': {
+        const href = token.attrGet('href') || '';
+        if (/^(https?|mailto):/i.test(href)) {
+          runs.push(`<w:hyperlink r:id="${this.addRelationship('hyperlink', href, true)}">`);
+          format.link = true;
+        }
+        break;
+      }
+      case 'link_close':
+        if (format.link) {
+          runs.push('</w:hyperlink>');
+          format.link = false;
+        }
+        break;
+      case 'softbreak':
+        // 和文の行末の改行は詰め、欧文は空白にする
+        push(/[\u2e80-\u9fff\uff00-\uffef]$/.test(previous) ? '' : ' ');
+        break;
+      case 'hardbreak':
+        runs.push('<w:r><w:br/></w:r>');
+        break;
+      case 'html_inline':
+        if (/^<br\s*\/?>$/i.test(token.content)) runs.push('<w:r><w:br/></w:r>');
+        break;
+      default:
+        break;
+      }
+    }
+    return runs.join('');
+  }
+
+  /**
+   * 行内のトークンから文字列だけを取り出す
+   * @param {Array<Object>} children - inline トークンの子
+   * @returns {string} 文字列
+   */
+  plainText(children) {
+    return children
+      .map(token => token.type === 'text' || token.type === 'code_inline' ? token.content : token.type === 'softbreak' ? ' ' : '')
+      .join('')
+      .trim();
+  }
+
+  /**
+   * 文字列の w:r を作る
+   * @param {string} text - 文字列
+   * @param {string} properties - w:rPr の中身
+   * @returns {string} XML
+   */
+  textRun(text, properties = '') {
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${this.escapeXml(text)}</w:t></w:r>`;
+  }
+
+  /**
+   * 段落の w:p を作る
+   * @param {string} runs - 段落の中身
+   * @param {Object} options - オプション
+   * @param {string} options.style - 段落スタイルのID
+   * @param {Object} options.list - 箇条書き { numId, level, continued }
+   * @param {string} options.align - 揃え（left / center / right）
+   * @param {boolean} options.keepNext - 次の段落と同じページに置く
+   * @param {boolean} options.border - 下罫線を引く（水平線）
+   * @returns {string} XML
+   */
+  paragraph(runs, options = {}) {
+    const { list } = options;
+    const properties = [
+      options.style ? `<w:pStyle w:val="${options.style}"/>` : '',
+      options.keepNext ? '<w:keepNext/>' : '',
+      list && !list.continued ? `<w:numPr><w:ilvl w:val="${list.level}"/><w:numId w:val="${list.numId}"/></w:numPr>` : '',
+      options.border ? '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="BFBFBF"/></w:pBdr>' : '',
+      list ? `<w:ind w:left="${420 * (list.level + 1)}"${list.continued ? '' : ' w:hanging="420"'}/>` : '',
+      options.align ? `<w:jc w:val="${options.align}"/>` : ''
+    ].join('');
+    return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs}</w:p>`;
+  }
+
+  /**
+   * セクションの設定（A4、章・付録は次のページから始め、フッターにページ番号を置く）
+   * @param {boolean} footer - ページ番号のフッターを付ける
+   * @returns {string} w:sectPr 要素
+   */
+  sectionProperties(footer) {
+    return [
+      '<w:sectPr>',
+      footer ? '<w:footerReference w:type="default" r:id="rId3"/>' : '',
+      '<w:type w:val="nextPage"/>',
+      `<w:pgSz w:w="${PAGE_SIZE[0]}" w:h="${PAGE_SIZE[1]}"/>`,
+      `<w:pgMar w:top="${PAGE_MARGIN}" w:right="${PAGE_MARGIN}" w:bottom="${PAGE_MARGIN}" w:left="${PAGE_MARGIN}" w:header="720" w:footer="720" w:gutter="0"/>`,
+      '</w:sectPr>'
+    ].join('');
+  }
+
+  /**
+   * 番号付きの箇条書きを登録する（リストごとに番号を振り直す）
+   * @param {number} level - 入れ子の深さ
+   * @param {number} start - 開始番号
+   * @returns {number} numId
+   */
+  addOrderedList(level, start) {
+    this.orderedLists.push({ level, start });
+    // numId 1 は行頭記号の箇条書きに使う
+    return this.orderedLists.length + 1;
+  }
+
+  /**
+   * 画像を word/media に登録する
+   * @param {string} name - ファイル名
+   * @param {Buffer} data - 内容
+   * @returns {string} 関係のID
+   */
+  addMedia(name, data) {
+    const target = `media/${name}`;
+    this.media.push({ target, data });
+    return this.addRelationship('image', target);
+  }
+
+  /**
+   * document.xml からの関係を登録する
+   * @param {string} type - 関係の種類（RELATIONSHIP_TYPES のキー）
+   * @param {string} target - 参照先
+   * @param {boolean} external - 外部の参照先
+   * @returns {string} 関係のID
+   */
+  addRelationship(type, target, external = false) {
+    const id = `rId${FIXED_RELATIONSHIPS + this.relationships.length + 1}`;
+    this.relationships.push({ id, type, target, external });
+    return id;
+  }
+
+  /**
+   * word/document.xml を作る
+   * @param {string} body - 本文のXML
+   * @returns {string} XML
+   */
+  createDocument(body) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${NAMESPACES.w}" xmlns:r="${NAMESPACES.r}" xmlns:wp="${NAMESPACES.wp}">
+<w:body>
+${body}
+</w:body>
+</w:document>
+`;
+  }
+
+  /**
+   * word/_rels/document.xml.rels を作る
+   * @returns {string} XML
+   */
+  createDocumentRelationships() {
+    const relationships = [
+      { id: 'rId1', type: 'styles', target: 'styles.xml' },
+      { id: 'rId2', type: 'numbering', target: 'numbering.xml' },
+      { id: 'rId3', type: 'footer', target: 'footer1.xml' },
+      ...this.relationships
+    ].map(({ id, type, target, external }) =>
+      `  <Relationship Id="${id}" Type="${RELATIONSHIP_TYPES[type]}" Target="${this.escapeXml(target)}"${external ? ' TargetMode="External"' : ''}/>`
+    );
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${relationships.join('\n')}
+</Relationships>
+`;
+  }
+
+  /**
+   * word/numbering.xml を作る（行頭記号と番号の2種類の定義）
+   * @returns {string} XML
+   */
+  createNumbering() {
+    const levels = format => Array.from({ length: 9 }, (_, level) => [
+      `<w:lvl w:ilvl="${level}"><w:start w:val="1"/>`,
+      format === 'bullet'
+        ? '<w:numFmt w:val="bullet"/><w:lvlText w:val="•"/>'
+        : `<w:numFmt w:val="decimal"/><w:lvlText w:val="%${level + 1}."/>`,
+      `<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${420 * (level + 1)}" w:hanging="420"/></w:pPr></w:lvl>`
+    ].join('')).join('');
+
+    const ordered = this.orderedLists.map(({ level, start }, index) =>
+      `  <w:num w:numId="${index + 2}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="${level}"><w:startOverride w:val="${start}"/></w:lvlOverride></w:num>`
+    );
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${NAMESPACES.w}">
+  <w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels('bullet')}</w:abstractNum>
+  <w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels('decimal')}</w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+${ordered.join('\n')}
+</w:numbering>
+`;
+  }
+
+  /**
+   * docProps/core.xml（書名・著者・言語・更新日時）を作る
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {string} modified - 更新日時（ISO 8601、秒まで）
+   * @returns {string} XML
+   */
+  createCoreProperties(config, modified) {
+    const properties = [
+      `  <dc:title>${this.escapeXml(config.title || '')}</dc:title>`,
+      config.subtitle ? `  <dc:subject>${this.escapeXml(config.subtitle)}</dc:subject>` : null,
+      config.author ? `  <dc:creator>${this.escapeXml(config.author)}</dc:creator>` : null,
+      `  <dc:language>${this.escapeXml(config.language || 'ja')}</dc:language>`,
+      `  <dcterms:modified xsi:type="dcterms:W3CDTF">${modified}</dcterms:modified>`
+    ].filter(Boolean);
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+${properties.join('\n')}
+</cp:coreProperties>
+`;
+  }
+
+  /**
+   * XMLの特殊文字をエスケープする
+   * @param {string} text - 対象文字列
+   * @returns {string} エスケープ済み文字列
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
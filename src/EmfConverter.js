@@ -0,0 +1,350 @@
+import { SvgConverter } from './SvgConverter.js';
+
+// EMF のレコード種別
+const EMR = {
+  HEADER: 1,
+  POLYBEZIERTO: 5,
+  EOF: 14,
+  SETPOLYFILLMODE: 19,
+  SETBKMODE: 18,
+  SETTEXTALIGN: 22,
+  SETTEXTCOLOR: 24,
+  MOVETOEX: 27,
+  SELECTOBJECT: 37,
+  CREATEBRUSHINDIRECT: 39,
+  DELETEOBJECT: 40,
+  LINETO: 54,
+  BEGINPATH: 59,
+  ENDPATH: 60,
+  CLOSEFIGURE: 61,
+  FILLPATH: 62,
+  STROKEANDFILLPATH: 63,
+  STROKEPATH: 64,
+  EXTCREATEFONTINDIRECTW: 82,
+  EXTTEXTOUTW: 84,
+  EXTCREATEPEN: 95
+};
+
+// ストックオブジェクト（作成したペンなどを削除する前に選択し直す）
+const NULL_BRUSH = 0x80000005;
+const NULL_PEN = 0x80000008;
+const SYSTEM_FONT = 0x8000000d;
+
+// ペンのスタイル（PS_GEOMETRIC と線端・角・破線の組み合わせ）
+const PS_GEOMETRIC = 0x00010000;
+const PS_USERSTYLE = 0x00000007;
+const LINE_CAPS = [0x00000200, 0x00000000, 0x00000100];
+const LINE_JOINS = [0x00002000, 0x00000000, 0x00001000];
+
+const TA_BASELINE = 24;
+const TA_ALIGNMENTS = { start: 0, middle: 6, end: 2 };
+
+// 1 px（1/96 インチ）を EMF の論理単位（0.01 mm）に換算する係数
+const UNITS_PER_PX = 2540 / 96;
+
+// 参照デバイス（0.01 mm を1ピクセルとする A4 の画面）
+const REFERENCE_MILLIMETERS = [210, 297];
+
+/**
+ * SVG を EMF（拡張メタファイル）に変換する
+ * SvgConverter が生成する描画命令を解釈して、パス・ペン・ブラシ・テキストの EMF レコードに置き換える
+ * （SVG を表示できない Word などで図版をベクターのまま表示するための代替画像）
+ */
+export class EmfConverter {
+  constructor() {
+    this.texts = [];
+    this.svgConverter = new SvgConverter({
+      // テキストは描画命令の位置に目印を残し、座標変換を適用してから出力する
+      text: options => `${this.texts.push(options) - 1} Tx`
+    });
+  }
+
+  /**
+   * SVG を変換する
+   * @param {string} source - SVG の内容
+   * @returns {Object} { width, height, data }（width と height は px、data は EMF の内容）
+   */
+  convert(source) {
+    this.texts = [];
+    const { width, height, content } = this.svgConverter.convert(source);
+    const bounds = [Math.round(width * UNITS_PER_PX), Math.round(height * UNITS_PER_PX)];
+
+    this.records = [];
+    this.addRecord(EMR.SETBKMODE, [1]);
+    this.addRecord(EMR.SETPOLYFILLMODE, [2]);
+    this.interpret(content, [UNITS_PER_PX, 0, 0, -UNITS_PER_PX, 0, height * UNITS_PER_PX]);
+    this.addRecord(EMR.EOF, [0, 16, 20]);
+
+    const header = this.createHeader(bounds);
+    const data = Buffer.concat([header, ...this.records]);
+    data.writeUInt32LE(data.length, 48);
+    return { width, height, data };
+  }
+
+  /**
+   * 描画命令を解釈して EMF レコードを追加する
+   * @param {string} content - 描画命令（PDF の演算子の部分集合）
+   * @param {Array<number>} matrix - 初期の変換行列（y 軸を下向きに戻す）
+   */
+  interpret(content, matrix) {
+    const stack = [];
+    let state = { matrix, fill: [0, 0, 0], stroke: [0, 0, 0], width: 1, cap: 0, join: 0, dashes: [] };
+    let path = [];
+    let operands = [];
+
+    for (const token of content.match(/\[[^\]]*\]|\S+/g) || []) {
+      if (/^[-+.\d]/.test(token)) {
+        operands.push(Number(token));
+        continue;
+      }
+      if (token.startsWith('[')) {
+        operands.push(token.slice(1, -1).trim().split(/\s+/).filter(Boolean).map(Number));
+        continue;
+      }
+
+      const point = (x, y) => this.transform(state.matrix, x, y);
+      switch (token) {
+      case 'q':
+        stack.push(state);
+        state = { ...state };
+        break;
+      case 'Q':
+        state = stack.pop() || state;
+        break;
+      case 'cm':
+        state.matrix = this.multiply(operands, state.matrix);
+        break;
+      case 'rg':
+        state.fill = operands;
+        break;
+      case 'RG':
+        state.stroke = operands;
+        break;
+      case 'w':
+        state.width = operands[0];
+        break;
+      case 'J':
+        state.cap = operands[0];
+        break;
+      case 'j':
+        state.join = operands[0];
+        break;
+      case 'd':
+        state.dashes = operands[0];
+        break;
+      case 'm':
+        path.push(['m', point(operands[0], operands[1])]);
+        break;
+      case 'l':
+        path.push(['l', point(operands[0], operands[1])]);
+        break;
+      case 'c':
+        path.push(['c', point(operands[0], operands[1]), point(operands[2], operands[3]), point(operands[4], operands[5])]);
+        break;
+      case 'h':
+        path.push(['h']);
+        break;
+      case 're': {
+        const [x, y, w, h] = operands;
+        path.push(['m', point(x, y)], ['l', point(x + w, y)], ['l', point(x + w, y + h)], ['l', point(x, y + h)], ['h']);
+        break;
+      }
+      case 'f':
+      case 'S':
+      case 'B':
+        this.paint(path, state, token !== 'S', token !== 'f');
+        path = [];
+        break;
+      case 'Tx':
+        this.drawText(this.texts[operands[0]], state.matrix);
+        break;
+      default:
+        break;
+      }
+      operands = [];
+    }
+  }
+
+  /**
+   * パスを塗り・線で描画する
+   * @param {Array<Array>} path - パスの要素 [種別, 点...]
+   * @param {Object} state - 描画状態
+   * @param {boolean} fill - 塗る場合true
+   * @param {boolean} stroke - 線を引く場合true
+   */
+  paint(path, state, fill, stroke) {
+    if (path.length === 0) return;
+
+    const scale = Math.sqrt(Math.abs(state.matrix[0] * state.matrix[3] - state.matrix[1] * state.matrix[2]));
+    if (stroke) {
+      const dashes = (state.dashes || []).map(value => Math.max(1, Math.round(value * scale)));
+      const style = PS_GEOMETRIC | LINE_CAPS[state.cap] | LINE_JOINS[state.join] | (dashes.length > 0 ? PS_USERSTYLE : 0);
+      this.addRecord(EMR.EXTCREATEPEN, [1, 0, 0, 0, 0, style, Math.max(1, Math.round(state.width * scale)), 0, this.colorRef(state.stroke), 0, dashes.length, ...dashes]);
+      this.addRecord(EMR.SELECTOBJECT, [1]);
+    }
+    if (fill) {
+      this.addRecord(EMR.CREATEBRUSHINDIRECT, [2, 0, this.colorRef(state.fill), 0]);
+      this.addRecord(EMR.SELECTOBJECT, [2]);
+    }
+
+    this.addRecord(EMR.BEGINPATH, []);
+    for (const [type, ...points] of path) {
+      if (type === 'm') {
+        this.addRecord(EMR.MOVETOEX, points[0]);
+      } else if (type === 'l') {
+        this.addRecord(EMR.LINETO, points[0]);
+      } else if (type === 'c') {
+        this.addRecord(EMR.POLYBEZIERTO, [...this.boundsOf(points), 3, ...points.flat()]);
+      } else {
+        this.addRecord(EMR.CLOSEFIGURE, []);
+      }
+    }
+    this.addRecord(EMR.ENDPATH, []);
+
+    const type = fill && stroke ? EMR.STROKEANDFILLPATH : fill ? EMR.FILLPATH : EMR.STROKEPATH;
+    this.addRecord(type, this.boundsOf(path.flatMap(([, ...points]) => points)));
+
+    if (stroke) {
+      this.addRecord(EMR.SELECTOBJECT, [NULL_PEN]);
+      this.addRecord(EMR.DELETEOBJECT, [1]);
+    }
+    if (fill) {
+      this.addRecord(EMR.SELECTOBJECT, [NULL_BRUSH]);
+      this.addRecord(EMR.DELETEOBJECT, [2]);
+    }
+  }
+
+  /**
+   * テキストを描画する（フォントは名前で指定し、表示する環境のフォントで描く）
+   * @param {Object} text - { text, x, y, size, bold, anchor, color }
+   * @param {Array<number>} matrix - 変換行列
+   */
+  drawText({ text, x, y, size, bold, anchor, color }, matrix) {
+    const [px, py] = this.transform(matrix, x, y);
+    const height = Math.round(size * Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2])));
+    const characters = Array.from({ length: text.length }, (_, index) => text.charCodeAt(index));
+    // 文字送りは全角を1em、半角を0.55emとして概算する（サロゲートペアの後半は0）
+    const advances = characters.map(unit => unit >= 0xdc00 && unit <= 0xdfff ? 0 : Math.round(height * (unit > 0xff ? 1 : 0.55)));
+    const width = advances.reduce((sum, advance) => sum + advance, 0);
+    const left = px - ({ middle: width / 2, end: width }[anchor] || 0);
+
+    // LOGFONTW（92バイト）に続けて LogFontPanose の残り（228バイト）を0で埋める
+    const font = Buffer.alloc(4 + 320);
+    font.writeUInt32LE(3, 0);
+    font.writeInt32LE(-height, 4);
+    font.writeInt32LE(bold ? 700 : 400, 20);
+    font.writeUInt8(1, 27);
+    font.write('Yu Gothic', 32, 'utf16le');
+    this.addRecord(EMR.EXTCREATEFONTINDIRECTW, font);
+    this.addRecord(EMR.SELECTOBJECT, [3]);
+    this.addRecord(EMR.SETTEXTALIGN, [TA_BASELINE | (TA_ALIGNMENTS[anchor] || 0)]);
+    this.addRecord(EMR.SETTEXTCOLOR, [this.colorRef(color)]);
+
+    const stringSize = Math.ceil(characters.length * 2 / 4) * 4;
+    const record = Buffer.alloc(68 + stringSize + advances.length * 4);
+    [left, py - height, left + width, py + height / 4].forEach((value, index) => record.writeInt32LE(Math.round(value), index * 4));
+    record.writeUInt32LE(1, 16);
+    record.writeFloatLE(1, 20);
+    record.writeFloatLE(1, 24);
+    record.writeInt32LE(px, 28);
+    record.writeInt32LE(py, 32);
+    record.writeUInt32LE(characters.length, 36);
+    record.writeUInt32LE(8 + 68, 40);
+    // ETO_NO_RECT: Rectangle は使用しない
+    record.writeUInt32LE(0x100, 44);
+    record.writeUInt32LE(8 + 68 + stringSize, 64);
+    characters.forEach((unit, index) => record.writeUInt16LE(unit, 68 + index * 2));
+    advances.forEach((advance, index) => record.writeInt32LE(advance, 68 + stringSize + index * 4));
+    this.addRecord(EMR.EXTTEXTOUTW, record);
+
+    this.addRecord(EMR.SELECTOBJECT, [SYSTEM_FONT]);
+    this.addRecord(EMR.DELETEOBJECT, [3]);
+  }
+
+  /**
+   * ヘッダーレコードを作成する（ファイル全体の大きさは最後に書き込む）
+   * @param {Array<number>} bounds - 図の幅と高さ（0.01 mm）
+   * @returns {Buffer} レコード
+   */
+  createHeader([width, height]) {
+    const header = Buffer.alloc(108);
+    const values = [
+      EMR.HEADER, 108,
+      0, 0, width - 1, height - 1,
+      0, 0, width - 1, height - 1
+    ];
+    values.forEach((value, index) => header.writeInt32LE(value, index * 4));
+    header.writeUInt32LE(0x464d4520, 40);
+    header.writeUInt32LE(0x00010000, 44);
+    header.writeUInt32LE(this.records.length + 1, 52);
+    // ハンドルは 0（予約）と、ペン・ブラシ・フォントの3つ
+    header.writeUInt16LE(4, 56);
+    header.writeInt32LE(REFERENCE_MILLIMETERS[0] * 100, 72);
+    header.writeInt32LE(REFERENCE_MILLIMETERS[1] * 100, 76);
+    header.writeInt32LE(REFERENCE_MILLIMETERS[0], 80);
+    header.writeInt32LE(REFERENCE_MILLIMETERS[1], 84);
+    header.writeInt32LE(REFERENCE_MILLIMETERS[0] * 1000, 100);
+    header.writeInt32LE(REFERENCE_MILLIMETERS[1] * 1000, 104);
+    return header;
+  }
+
+  /**
+   * レコードを追加する
+   * @param {number} type - レコード種別
+   * @param {Array<number>|Buffer} data - 32ビット整数の配列、またはレコードの本体
+   */
+  addRecord(type, data) {
+    const body = Buffer.isBuffer(data) ? data : Buffer.alloc(data.length * 4);
+    if (!Buffer.isBuffer(data)) {
+      data.forEach((value, index) => body.writeUInt32LE(value >>> 0, index * 4));
+    }
+    const record = Buffer.alloc(8 + body.length);
+    record.writeUInt32LE(type, 0);
+    record.writeUInt32LE(record.length, 4);
+    body.copy(record, 8);
+    this.records.push(record);
+  }
+
+  /**
+   * 点の集まりを囲む長方形
+   * @param {Array<Array<number>>} points - 点
+   * @returns {Array<number>} [left, top, right, bottom]
+   */
+  boundsOf(points) {
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  }
+
+  /**
+   * 点に変換行列を適用し、論理単位の整数にする
+   * @returns {Array<number>} [x, y]
+   */
+  transform([a, b, c, d, e, f], x, y) {
+    return [Math.round(a * x + c * y + e), Math.round(b * x + d * y + f)];
+  }
+
+  /**
+   * 変換行列の積（PDF の cm と同じく、新しい行列を左から掛ける）
+   * @returns {Array<number>} 行列
+   */
+  multiply([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+    return [
+      a1 * a2 + b1 * c2,
+      a1 * b2 + b1 * d2,
+      c1 * a2 + d1 * c2,
+      c1 * b2 + d1 * d2,
+      e1 * a2 + f1 * c2 + e2,
+      e1 * b2 + f1 * d2 + f2
+    ];
+  }
+
+  /**
+   * 0〜1 の RGB を COLORREF（0x00BBGGRR）にする
+   * @param {Array<number>} color - [r, g, b]
+   * @returns {number} COLORREF
+   */
+  colorRef([r, g, b]) {
+    return Math.round(r * 255) | (Math.round(g * 255) << 8) | (Math.round(b * 255) << 16);
+  }
+}
@@ -0,0 +1,386 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { BookStructure } from './BookStructure.js';
+import { EpubValidator } from './EpubValidator.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+import { ZipArchive } from './ZipArchive.js';
+
+const EPUB_MIMETYPE = 'application/epub+zip';
+
+const MEDIA_TYPES = {
+  '.xhtml': 'application/xhtml+xml',
+  '.css': 'text/css',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+const WRITING_MODES = ['horizontal', 'vertical'];
+
+// XHTMLでは自己終了タグにする必要がある空要素
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+const STYLESHEET = `body { margin: 0 5%; line-height: 1.8; font-family: serif; }
+h1, h2, h3, h4 { font-family: sans-serif; line-height: 1.4; }
+img { max-width: 100%; height: auto; }
+figure, .cover { margin: 0; text-align: center; }
+pre { white-space: pre-wrap; font-size: 0.85em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #999; padding: 0.2em 0.5em; }
+nav ol { list-style: none; padding-left: 1em; }
+`;
+
+const VERTICAL_STYLESHEET = `html { writing-mode: vertical-rl; -epub-writing-mode: vertical-rl; -webkit-writing-mode: vertical-rl; }
+body { margin: 5% 0; }
+pre, table { writing-mode: horizontal-tb; -epub-writing-mode: horizontal-tb; -webkit-writing-mode: horizontal-tb; }
+`;
+
+/**
+ * EPUB 3 ビルダー - structure に列挙された原稿から、目次・表紙・図版を含むEPUBを生成する
+ */
+export class EpubBuilder {
+  constructor() {
+    this.bookStructure = new BookStructure();
+    this.epubValidator = new EpubValidator();
+    this.fsUtils = new FileSystemUtils();
+    this.markdownRenderer = new MarkdownRenderer({ xhtmlOut: true });
+  }
+
+  /**
+   * 設定の構成に従ってEPUBを生成する
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Object} options - オプション
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @param {string} options.outputFile - 出力するEPUBファイルのパス
+   * @param {string} options.assetsDir - アセットディレクトリ（省略時はソースと同階層の assets）
+   * @param {string} options.coverPath - 表紙画像（省略時は build.epub.cover、なければ docs/cover.png）
+   * @param {Date} options.modified - 更新日時（dcterms:modified）
+   * @returns {Object} ビルド結果 { entries, outputFile, files }
+   */
+  async build(config, options = {}) {
+    const sourceDir = options.sourceDir || 'src';
+    const rootDir = path.dirname(path.resolve(sourceDir));
+    const outputFile = options.outputFile || 'book.epub';
+    const assetsDir = path.resolve(options.assetsDir || path.join(rootDir, 'assets'));
+    const epubConfig = config.build?.epub || {};
+    const coverPath = options.coverPath || path.resolve(rootDir, epubConfig.cover || 'docs/cover.png');
+
+    const writingMode = epubConfig.writingMode || 'horizontal';
+    if (!WRITING_MODES.includes(writingMode)) {
+      throw new Error(`build.epub.writingMode は ${WRITING_MODES.join(' または ')} である必要があります: ${writingMode}`);
+    }
+
+    const entries = this.bookStructure.getEntries(config);
+    if (entries.length === 0) {
+      throw new Error('ビルド対象のページが設定されていません (structure.chapters を確認してください)');
+    }
+
+    // 設定に記載されたファイルがすべて存在するか先に確認する
+    const missing = [];
+    for (const entry of entries) {
+      if (!(await this.fsUtils.exists(path.join(sourceDir, entry.source)))) {
+        missing.push(entry.source);
+      }
+    }
+    if (missing.length > 0) {
+      throw new Error(`設定に記載されたファイルが見つかりません: ${missing.join(', ')}`);
+    }
+
+    const book = {
+      title: config.title || '',
+      language: config.language || 'ja',
+      writingMode
+    };
+    const resources = new Map();
+    const documents = [];
+
+    if (await this.fsUtils.exists(coverPath)) {
+      const href = `images/cover${path.extname(coverPath).toLowerCase()}`;
+      resources.set(href, { file: coverPath, id: 'cover-image', properties: 'cover-image' });
+      documents.push({
+        id: 'cover',
+        href: 'cover.xhtml',
+        title: book.title,
+        xhtml: this.createDocument(book, book.title, `<div class="cover"><img src="${href}" alt="${this.escapeXml(book.title)}" /></div>`, 'cover.xhtml')
+      });
+    } else {
+      console.log(`⚠️  表紙画像が見つからないため表紙なしで生成します: ${coverPath}`);
+    }
+
+    for (const [index, entry] of entries.entries()) {
+      const href = entry.source.replace(/\.md$/, '.xhtml');
+      const content = await this.fsUtils.readFile(path.join(sourceDir, entry.source));
+      const rendered = this.markdownRenderer.render(content, {
+        excludePatterns: config.contentExcludePatterns,
+        linkExtension: '.xhtml'
+      });
+      const body = await this.embedImages(this.toXhtml(rendered.html), {
+        sourceFile: path.join(sourceDir, entry.source),
+        href,
+        assetsDir,
+        resources
+      });
+      const title = rendered.title || entry.title || entry.id;
+
+      documents.push({
+        id: `page-${index + 1}`,
+        href,
+        title,
+        entry,
+        xhtml: this.createDocument(book, title, body, href)
+      });
+    }
+
+    const modified = (options.modified || new Date()).toISOString().replace(/\.\d+Z$/, 'Z');
+    const archive = new ZipArchive();
+    // mimetype は先頭に無圧縮で格納する必要がある
+    archive.addFile('mimetype', EPUB_MIMETYPE, { compress: false });
+    archive.addFile('META-INF/container.xml', CONTAINER_XML);
+    archive.addFile('OEBPS/content.opf', this.createPackageDocument(config, book, documents, resources, modified));
+    archive.addFile('OEBPS/nav.xhtml', this.createNavigationDocument(book, documents));
+    archive.addFile('OEBPS/styles/book.css', writingMode === 'vertical' ? `${STYLESHEET}${VERTICAL_STYLESHEET}` : STYLESHEET);
+    for (const document of documents) {
+      archive.addFile(`OEBPS/${document.href}`, document.xhtml);
+    }
+    // SVG画像は XML として読み込まれるため、整形式でないものは元のファイル名で報告する（画像は書き換えない）
+    const malformed = [];
+    for (const [href, resource] of resources) {
+      const data = await fs.readFile(resource.file);
+      if (this.getMediaType(href) === 'image/svg+xml') {
+        const name = path.relative(rootDir, resource.file).split(path.sep).join('/');
+        malformed.push(...this.epubValidator.checkWellFormed(name, data.toString('utf8')));
+      }
+      archive.addFile(`OEBPS/${href}`, data);
+    }
+    if (malformed.length > 0) {
+      throw new Error(`整形式でないSVG画像があります。画像を修正してください:\n${malformed.map(message => `  - ${message}`).join('\n')}`);
+    }
+
+    await fs.outputFile(outputFile, archive.toBuffer());
+    console.log(`✅ EPUBを生成しました: ${documents.length}ページ、画像${resources.size}点`);
+
+    return { entries, outputFile, files: archive.entries.map(entry => entry.name) };
+  }
+
+  /**
+   * 本文中の画像をアセットディレクトリから取り込み、参照先をEPUB内のパスに書き換える
+   * @param {string} html - 本文のHTML
+   * @param {Object} context - 取り込みの情報
+   * @param {string} context.sourceFile - 原稿ファイルのパス
+   * @param {string} context.href - 本文のEPUB内のパス（OEBPS からの相対）
+   * @param {string} context.assetsDir - アセットディレクトリ
+   * @param {Map<string, Object>} context.resources - 取り込んだ画像（EPUB内のパス → { file, id }）
+   * @returns {string} 書き換え後のHTML
+   */
+  async embedImages(html, context) {
+    const replacements = new Map();
+
+    for (const [, src] of html.matchAll(/<img\b[^>]*?\bsrc="([^"]+)"/g)) {
+      if (replacements.has(src) || /^[a-z][a-z0-9+.-]*:|^\/\//i.test(src)) {
+        continue;
+      }
+
+      // "/assets/..." はサイトのルートからのパスとしてアセットディレクトリを参照する
+      const file = src.startsWith('/assets/')
+        ? path.join(context.assetsDir, decodeURI(src.slice('/assets/'.length)))
+        : path.resolve(path.dirname(context.sourceFile), decodeURI(src));
+      const relativePath = path.relative(context.assetsDir, file);
+
+      if (relativePath.startsWith('..') || path.isAbsolute(relativePath) || !(await this.fsUtils.exists(file))) {
+        console.log(`⚠️  画像を取り込めませんでした: ${src} (${path.basename(context.sourceFile)})`);
+        continue;
+      }
+
+      const target = `assets/${relativePath.split(path.sep).join('/')}`;
+      if (!context.resources.has(target)) {
+        context.resources.set(target, { file, id: `image-${context.resources.size + 1}` });
+      }
+      replacements.set(src, path.posix.relative(path.posix.dirname(context.href), target));
+    }
+
+    return html.replace(/(<img\b[^>]*?\bsrc=")([^"]+)(")/g, (match, before, src, after) =>
+      replacements.has(src) ? `${before}${replacements.get(src)}${after}` : match
+    );
+  }
+
+  /**
+   * 原稿に直接書かれたHTMLの空要素（<br> など）を自己終了タグに変換する
+   * @param {string} html - HTML
+   * @returns {string} XHTMLとして解釈できるHTML
+   */
+  toXhtml(html) {
+    const pattern = new RegExp(`<(${VOID_ELEMENTS.join('|')})\\b((?:[^>"']|"[^"]*"|'[^']*')*?)\\s*/?>`, 'gi');
+    return html.replace(pattern, (match, tagName, attributes) => `<${tagName.toLowerCase()}${attributes} />`);
+  }
+
+  /**
+   * XHTMLコンテンツ文書を生成する
+   * @param {Object} book - 書籍の情報 { title, language, writingMode }
+   * @param {string} title - 文書のタイトル
+   * @param {string} body - 本文のHTML
+   * @param {string} href - 文書のEPUB内のパス（スタイルシートの相対パスの計算に使用）
+   * @returns {string} XHTML文書
+   */
+  createDocument(book, title, body, href) {
+    const stylesheet = path.posix.relative(path.posix.dirname(href), 'styles/book.css');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${book.language}" lang="${book.language}">
+<head>
+  <meta charset="UTF-8" />
+  <title>${this.escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="${stylesheet}" />
+</head>
+<body>
+${body.trim()}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * ナビゲーション文書 (nav.xhtml) を生成する
+   * 章と付録には番号のラベル（build.numbering）を付ける
+   * @param {Object} book - 書籍の情報
+   * @param {Array<Object>} documents - コンテンツ文書の配列
+   * @returns {string} XHTML文書
+   */
+  createNavigationDocument(book, documents) {
+    const pages = documents.filter(document => document.entry);
+    const items = pages
+      .map(({ entry, href, title }) => {
+        const text = entry.label && !title.startsWith(entry.label) ? `${entry.label}\u3000${title}` : title;
+        return `      <li><a href="${href}">${this.escapeXml(text)}</a></li>`;
+      })
+      .join('\n');
+    const firstChapter = pages.find(document => document.entry.section === 'chapters') || pages[0];
+    const cover = documents.find(document => document.id === 'cover');
+
+    const landmarks = [
+      cover ? `      <li><a epub:type="cover" href="${cover.href}">表紙</a></li>` : null,
+      '      <li><a epub:type="toc" href="nav.xhtml">目次</a></li>',
+      `      <li><a epub:type="bodymatter" href="${firstChapter.href}">本文</a></li>`
+    ].filter(Boolean).join('\n');
+
+    return this.createDocument(book, '目次', `<nav epub:type="toc" id="toc">
+    <h1>目次</h1>
+    <ol>
+${items}
+    </ol>
+  </nav>
+  <nav epub:type="landmarks" id="landmarks" hidden="hidden">
+    <ol>
+${landmarks}
+    </ol>
+  </nav>`, 'nav.xhtml');
+  }
+
+  /**
+   * パッケージ文書 (content.opf) を生成する
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Object} book - 書籍の情報
+   * @param {Array<Object>} documents - コンテンツ文書の配列
+   * @param {Map<string, Object>} resources - 画像
+   * @param {string} modified - 更新日時（ISO 8601、秒まで）
+   * @returns {string} XML文書
+   */
+  createPackageDocument(config, book, documents, resources, modified) {
+    const metadata = [
+      `    <dc:identifier id="book-id">${this.escapeXml(this.getIdentifier(config))}</dc:identifier>`,
+      `    <dc:title>${this.escapeXml(book.title)}</dc:title>`,
+      `    <dc:language>${this.escapeXml(book.language)}</dc:language>`,
+      config.author ? `    <dc:creator>${this.escapeXml(config.author)}</dc:creator>` : null,
+      config.publisher ? `    <dc:publisher>${this.escapeXml(config.publisher)}</dc:publisher>` : null,
+      config.description ? `    <dc:description>${this.escapeXml(config.description)}</dc:description>` : null,
+      config.copyright || config.license ? `    <dc:rights>${this.escapeXml(config.copyright || config.license)}</dc:rights>` : null,
+      `    <meta property="dcterms:modified">${modified}</meta>`,
+      book.writingMode === 'vertical' ? '    <meta name="primary-writing-mode" content="vertical-rl" />' : null,
+      [...resources.values()].some(resource => resource.properties === 'cover-image')
+        ? '    <meta name="cover" content="cover-image" />'
+        : null
+    ].filter(Boolean).join('\n');
+
+    const manifest = [
+      '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+      '    <item id="style" href="styles/book.css" media-type="text/css" />',
+      ...documents.map(document => `    <item id="${document.id}" href="${this.escapeXml(document.href)}" media-type="application/xhtml+xml" />`),
+      ...[...resources].map(([href, resource]) => {
+        const properties = resource.properties ? ` properties="${resource.properties}"` : '';
+        return `    <item id="${resource.id}" href="${this.escapeXml(href)}" media-type="${this.getMediaType(href)}"${properties} />`;
+      })
+    ].join('\n');
+
+    const spine = documents
+      .map(document => `    <itemref idref="${document.id}" />`)
+      .join('\n');
+    const direction = book.writingMode === 'vertical' ? ' page-progression-direction="rtl"' : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${book.language}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata}
+  </metadata>
+  <manifest>
+${manifest}
+  </manifest>
+  <spine${direction}>
+${spine}
+  </spine>
+</package>
+`;
+  }
+
+  /**
+   * 書籍の識別子を求める（ISBN があれば urn:isbn、なければ書名などから決まる urn:uuid）
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @returns {string} 識別子
+   */
+  getIdentifier(config) {
+    const isbn = (config.isbn || '').replace(/[^0-9X]/gi, '');
+    if (isbn) {
+      return `urn:isbn:${isbn}`;
+    }
+
+    const hash = crypto.createHash('sha1')
+      .update([config.title, config.author, config.version].join('\n'))
+      .digest('hex');
+    // UUID バージョン5 と同じ形式にする
+    const variant = ((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16);
+    return `urn:uuid:${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-${variant}${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+  }
+
+  /**
+   * 拡張子からメディアタイプを求める
+   * @param {string} href - ファイルのパス
+   * @returns {string} メディアタイプ
+   */
+  getMediaType(href) {
+    return MEDIA_TYPES[path.extname(href).toLowerCase()] || 'application/octet-stream';
+  }
+
+  /**
+   * XMLの特殊文字をエスケープする
+   * @param {string} text - 対象文字列
+   * @returns {string} エスケープ済み文字列
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
@@ -0,0 +1,238 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { ZipArchive } from './ZipArchive.js';
+
+const EPUB_MIMETYPE = 'application/epub+zip';
+
+// XMLで宣言なしに使用できる実体参照
+const XML_ENTITIES = new Set(['amp', 'lt', 'gt', 'quot', 'apos']);
+
+const CORE_MEDIA_TYPES = new Set([
+  'application/xhtml+xml',
+  'application/x-dtbncx+xml',
+  'text/css',
+  'image/svg+xml',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'font/woff2',
+  'font/woff',
+  'font/otf',
+  'font/ttf'
+]);
+
+/**
+ * EPUB 3 の構造検証 - コンテナ、パッケージ文書、ナビゲーション文書と各文書の参照を検査する
+ * （epubcheck の代わりにオフラインで実行できる範囲のチェック）
+ */
+export class EpubValidator {
+  /**
+   * EPUBファイルを検証する
+   * @param {string} filePath - EPUBファイルのパス
+   * @returns {Object} 検証結果 { isValid, errors, warnings }
+   */
+  async validateFile(filePath) {
+    return this.validate(await fs.readFile(filePath));
+  }
+
+  /**
+   * EPUBの内容を検証する
+   * @param {Buffer} buffer - EPUBファイルの内容
+   * @returns {Object} 検証結果 { isValid, errors, warnings }
+   */
+  validate(buffer) {
+    const result = { isValid: true, errors: [], warnings: [] };
+    const error = (message) => {
+      result.errors.push(message);
+      result.isValid = false;
+    };
+
+    let entries;
+    try {
+      entries = ZipArchive.read(buffer);
+    } catch (readError) {
+      error(`ZIPとして読み込めません: ${readError.message}`);
+      return result;
+    }
+
+    const files = new Map(entries.map(entry => [entry.name, entry]));
+    const text = (name) => files.get(name).data.toString('utf8');
+
+    // mimetype は先頭・無圧縮・拡張フィールドなし
+    const first = entries[0];
+    if (!first || first.name !== 'mimetype') {
+      error('mimetype が先頭のファイルではありません');
+    } else if (first.method !== 0 || first.extraLength !== 0) {
+      error('mimetype は無圧縮かつ拡張フィールドなしで格納する必要があります');
+    } else if (first.data.toString('ascii') !== EPUB_MIMETYPE) {
+      error(`mimetype の内容が ${EPUB_MIMETYPE} ではありません`);
+    }
+
+    if (!files.has('META-INF/container.xml')) {
+      error('META-INF/container.xml がありません');
+      return result;
+    }
+    const rootfile = text('META-INF/container.xml').match(/<rootfile\b[^>]*\bfull-path="([^"]+)"/);
+    if (!rootfile || !files.has(rootfile[1])) {
+      error('container.xml の rootfile が指すパッケージ文書がありません');
+      return result;
+    }
+
+    const opfPath = rootfile[1];
+    const opf = text(opfPath);
+    const baseDir = path.posix.dirname(opfPath) === '.' ? '' : `${path.posix.dirname(opfPath)}/`;
+    this.checkWellFormed(opfPath, opf).forEach(error);
+
+    // パッケージ文書のメタデータ
+    const packageTag = opf.match(/<package\b[^>]*>/)?.[0] || '';
+    if (this.getAttribute(packageTag, 'version') !== '3.0') {
+      error('package の version が 3.0 ではありません');
+    }
+    const uniqueIdentifier = this.getAttribute(packageTag, 'unique-identifier');
+    if (!uniqueIdentifier || !new RegExp(`<dc:identifier\\b[^>]*\\bid="${uniqueIdentifier}"[^>]*>[^<]+<`).test(opf)) {
+      error('unique-identifier が指す dc:identifier がありません');
+    }
+    for (const element of ['dc:title', 'dc:language']) {
+      if (!new RegExp(`<${element}\\b[^>]*>[^<]+</${element}>`).test(opf)) {
+        error(`${element} がありません`);
+      }
+    }
+    if (!/<meta\b[^>]*property="dcterms:modified"[^>]*>\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z</.test(opf)) {
+      error('dcterms:modified がないか、形式が CCYY-MM-DDThh:mm:ssZ ではありません');
+    }
+
+    // マニフェスト
+    const items = [...opf.matchAll(/<item\b[^>]*>/g)].map(([tag]) => ({
+      id: this.getAttribute(tag, 'id'),
+      href: this.getAttribute(tag, 'href'),
+      mediaType: this.getAttribute(tag, 'media-type'),
+      properties: (this.getAttribute(tag, 'properties') || '').split(/\s+/).filter(Boolean)
+    }));
+    const manifestPaths = new Set();
+    for (const item of items) {
+      const itemPath = this.resolvePath(baseDir, item.href || '');
+      manifestPaths.add(itemPath);
+      if (!files.has(itemPath)) {
+        error(`マニフェストのファイルがありません: ${item.href}`);
+      }
+      if (!CORE_MEDIA_TYPES.has(item.mediaType)) {
+        result.warnings.push(`EPUB のコアメディアタイプではありません: ${item.href} (${item.mediaType})`);
+      }
+    }
+    for (const name of files.keys()) {
+      if (name !== 'mimetype' && !name.startsWith('META-INF/') && name !== opfPath && !name.endsWith('/') && !manifestPaths.has(name)) {
+        error(`マニフェストに記載されていないファイルがあります: ${name}`);
+      }
+    }
+
+    const navItems = items.filter(item => item.properties.includes('nav'));
+    if (navItems.length !== 1) {
+      error('properties="nav" のナビゲーション文書はちょうど1つ必要です');
+    } else {
+      const navPath = this.resolvePath(baseDir, navItems[0].href);
+      if (files.has(navPath) && !/<nav\b[^>]*epub:type="toc"/.test(text(navPath))) {
+        error('ナビゲーション文書に epub:type="toc" の nav がありません');
+      }
+    }
+
+    // スパイン
+    const spine = opf.match(/<spine\b[^>]*>([\s\S]*?)<\/spine>/);
+    const idrefs = spine ? [...spine[1].matchAll(/<itemref\b[^>]*\bidref="([^"]+)"/g)].map(match => match[1]) : [];
+    if (idrefs.length === 0) {
+      error('spine に itemref がありません');
+    }
+    for (const idref of idrefs) {
+      if (!items.some(item => item.id === idref)) {
+        error(`spine の itemref がマニフェストにありません: ${idref}`);
+      }
+    }
+
+    // XHTML・SVG文書の整形式と参照先
+    for (const item of items.filter(entry => ['application/xhtml+xml', 'image/svg+xml'].includes(entry.mediaType))) {
+      const documentPath = this.resolvePath(baseDir, item.href);
+      if (!files.has(documentPath)) continue;
+
+      const content = text(documentPath);
+      this.checkWellFormed(documentPath, content).forEach(error);
+
+      for (const [, reference] of content.matchAll(/<(?:img|link|script|source|image)\b[^>]*?\b(?:src|href|xlink:href)="([^"#]+)/g)) {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(reference)) continue;
+        const target = this.resolvePath(path.posix.dirname(documentPath) === '.' ? '' : `${path.posix.dirname(documentPath)}/`, reference);
+        if (!manifestPaths.has(target)) {
+          error(`${documentPath} が参照するファイルがマニフェストにありません: ${reference}`);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * XML文書が整形式かどうかを簡易的に検査する（タグの対応、エスケープされていない "<"、未定義の実体参照）
+   * @param {string} name - 文書のパス
+   * @param {string} content - 文書の内容
+   * @returns {Array<string>} エラーメッセージの配列
+   */
+  checkWellFormed(name, content) {
+    const errors = [];
+    const source = content
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+      .replace(/<\?[\s\S]*?\?>/g, '')
+      .replace(/<!DOCTYPE[^>]*>/i, '');
+
+    const unescaped = source.match(/<(?![A-Za-z/])/);
+    if (unescaped) {
+      const line = source.slice(0, unescaped.index).split('\n').length;
+      errors.push(`${name}: エスケープされていない "<" があります（${line}行目付近）`);
+      return errors;
+    }
+
+    const stack = [];
+    for (const [tag, closing, tagName, selfClosing] of source.matchAll(/<(\/?)([A-Za-z][\w:.-]*)(?:\s(?:[^>"']|"[^"]*"|'[^']*')*?)?\s*(\/?)>/g)) {
+      if (selfClosing) continue;
+      if (!closing) {
+        stack.push(tagName);
+        continue;
+      }
+      const open = stack.pop();
+      if (open !== tagName) {
+        errors.push(`${name}: 終了タグ ${tag} が開始タグ <${open || ''}> と対応していません`);
+        return errors;
+      }
+    }
+    if (stack.length > 0) {
+      errors.push(`${name}: 閉じられていないタグがあります: <${stack[stack.length - 1]}>`);
+    }
+
+    for (const [, entity] of source.matchAll(/&([A-Za-z][A-Za-z0-9]*);/g)) {
+      if (!XML_ENTITIES.has(entity)) {
+        errors.push(`${name}: XMLで定義されていない実体参照です: &${entity};`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * タグから属性値を取得する
+   * @param {string} tag - タグ
+   * @param {string} name - 属性名
+   * @returns {string|null} 属性値
+   */
+  getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * 文書からの相対パスをアーカイブ内のパスに変換する
+   * @param {string} baseDir - 基準のディレクトリ（末尾に / を含む。ルートの場合は空文字）
+   * @param {string} href - 相対パス
+   * @returns {string} アーカイブ内のパス
+   */
+  resolvePath(baseDir, href) {
+    return path.posix.normalize(`${baseDir}${decodeURI(href)}`);
+  }
+}
@@ -97,7 +97,7 @@ export class FileSystemUtils {
       }
       
       // 一時ファイルを正式なファイルに移動
-      await fs.move(tempPath, filePath);
+      await fs.move(tempPath, filePath, { overwrite: true });
       
     } catch (error) {
       // 一時ファイルのクリーンアップ
@@ -423,6 +423,9 @@ jobs:
         suggestions: []
       };
 
+      // Sites built by the native HTML renderer are served as-is, without Jekyll
+      const isNativeBuild = config.build?.html?.renderer === 'native';
+
       // Check for .nojekyll file
       const nojekyllPath = path.join(outputPath, '.nojekyll');
       if (!(await fs.pathExists(nojekyllPath))) {
@@ -432,7 +435,7 @@ jobs:
 
       // Check for Gemfile
       const gemfilePath = path.join(outputPath, 'Gemfile');
-      if (!(await fs.pathExists(gemfilePath))) {
+      if (!isNativeBuild && !(await fs.pathExists(gemfilePath))) {
         validation.warnings.push('Gemfile が見つかりません');
         validation.suggestions.push('GitHub Pages gem用のGemfileを生成してください');
       }
@@ -464,15 +467,17 @@ jobs:
         validation.warnings.push('ファイルサイズチェックに失敗しました');
       }
 
-      // Check for Liquid syntax conflicts
-      try {
-        const conflicts = await this.checkLiquidConflicts(outputPath);
-        if (conflicts.length > 0) {
-          validation.errors.push(`Liquid構文の競合が検出されました: ${conflicts.join(', ')}`);
-          validation.isValid = false;
+      // Check for Liquid syntax conflicts (only Jekyll builds are processed by Liquid)
+      if (!isNativeBuild) {
+        try {
+          const conflicts = await this.checkLiquidConflicts(outputPath);
+          if (conflicts.length > 0) {
+            validation.errors.push(`Liquid構文の競合が検出されました: ${conflicts.join(', ')}`);
+            validation.isValid = false;
+          }
+        } catch (error) {
+          validation.warnings.push('Liquid構文チェックに失敗しました');
         }
-      } catch (error) {
-        validation.warnings.push('Liquid構文チェックに失敗しました');
       }
 
       return validation;
@@ -0,0 +1,202 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BookStructure } from './BookStructure.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+import { LayoutRenderer } from './LayoutRenderer.js';
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+
+const moduleDir = path.dirname(fileURLToPath(import.meta.url));
+
+const NOT_FOUND_TITLE = 'ページが見つかりません';
+
+/**
+ * Node.js だけで完結するHTMLビルダー
+ * Markdownを markdown-it でレンダリングし、shared/layouts のレイアウトを適用した静的サイトを書き出す
+ * （Jekyll を経由しないため、出力はどの静的ホスティングでもそのまま配信できる）
+ */
+export class HtmlSiteBuilder {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.sharedDir - 共通コンポーネントのディレクトリ
+   * @param {string} options.baseurl - サイトのベースURL（例: /my-book）
+   * @param {string} options.url - サイトのURL（例: https://example.github.io）
+   */
+  constructor(options = {}) {
+    this.sharedDir = options.sharedDir || path.join(moduleDir, '..', 'shared');
+    this.baseurl = (options.baseurl || '').replace(/\/+$/, '');
+    this.url = (options.url || '').replace(/\/+$/, '');
+    this.bookStructure = new BookStructure();
+    this.fsUtils = new FileSystemUtils();
+    this.markdownRenderer = new MarkdownRenderer();
+    this.layoutRenderer = new LayoutRenderer({ sharedDir: this.sharedDir, baseurl: this.baseurl, url: this.url });
+  }
+
+  /**
+   * 設定の構成に従って静的サイトをビルドする
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Object} options - オプション
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @param {string} options.outputDir - 出力ディレクトリ
+   * @param {string} options.assetsDir - アセットディレクトリ（省略時はソースと同階層の assets）
+   * @returns {Object} ビルド結果 { entries, outputDir, files }
+   */
+  async build(config, options = {}) {
+    const sourceDir = options.sourceDir || 'src';
+    const outputDir = options.outputDir || '_site';
+    const assetsDir = options.assetsDir || path.join(path.dirname(path.resolve(sourceDir)), 'assets');
+
+    const entries = this.bookStructure.getEntries(config);
+    if (entries.length === 0) {
+      throw new Error('ビルド対象のページが設定されていません (structure.chapters を確認してください)');
+    }
+
+    // 設定に記載されたファイルがすべて存在するか先に確認する
+    const missing = [];
+    for (const entry of entries) {
+      if (!(await this.fsUtils.exists(path.join(sourceDir, entry.source)))) {
+        missing.push(entry.source);
+      }
+    }
+    if (missing.length > 0) {
+      throw new Error(`設定に記載されたファイルが見つかりません: ${missing.join(', ')}`);
+    }
+
+    await this.fsUtils.ensureDir(outputDir);
+    const files = [];
+
+    for (const entry of [null, ...entries]) {
+      const file = this.getOutputFile(entry ? entry.url : '/');
+      await fs.outputFile(path.join(outputDir, file), await this.renderPage(config, entries, entry, sourceDir));
+      files.push(file);
+    }
+
+    await fs.outputFile(path.join(outputDir, '404.html'), this.renderNotFound(config, entries));
+    files.push('404.html');
+
+    if (this.url) {
+      await fs.outputFile(path.join(outputDir, 'sitemap.xml'), this.createSitemap(entries));
+      files.push('sitemap.xml');
+    } else {
+      console.log('⚠️  サイトのURL (build.html.url) が未設定のため sitemap.xml は出力しません');
+    }
+
+    // 出力済みのHTMLを GitHub Pages の Jekyll で再処理させない
+    await fs.outputFile(path.join(outputDir, '.nojekyll'), '');
+
+    await this.copyAssets(assetsDir, outputDir);
+    console.log(`✅ HTMLを生成しました: ${files.length}ファイル`);
+
+    return { entries, outputDir, files };
+  }
+
+  /**
+   * ページをレイアウト付きのHTMLにレンダリングする
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Array<Object>} entries - ページ情報の配列
+   * @param {Object|null} entry - 対象ページ（nullの場合はトップページ）
+   * @param {string} sourceDir - ソースディレクトリ
+   * @returns {string} HTML文書
+   */
+  async renderPage(config, entries, entry, sourceDir) {
+    for (const item of entries) {
+      item.title = item.title || item.id;
+    }
+
+    const site = this.layoutRenderer.createSiteData(config, entries);
+
+    if (!entry) {
+      const html = await this.renderIndex(entries, site, sourceDir);
+      return this.layoutRenderer.renderPage(site, { title: null, url: '/', lang: site.lang }, html);
+    }
+
+    const content = await fs.readFile(path.join(sourceDir, entry.source), 'utf8');
+    const rendered = this.markdownRenderer.render(content, {
+      excludePatterns: config.contentExcludePatterns
+    });
+    const page = { title: rendered.title || entry.title, url: entry.url, path: `src/${entry.source}`, lang: site.lang };
+    return this.layoutRenderer.renderPage(site, page, rendered.html);
+  }
+
+  /**
+   * トップページの本文を生成する（index.md があればそれを使用する）
+   * @param {Array<Object>} entries - ページ情報の配列
+   * @param {Object} site - site 変数
+   * @param {string} sourceDir - ソースディレクトリ
+   * @returns {string} 本文のHTML
+   */
+  async renderIndex(entries, site, sourceDir) {
+    const indexPath = path.join(sourceDir, '..', 'index.md');
+    if (await fs.pathExists(indexPath)) {
+      const content = await fs.readFile(indexPath, 'utf8');
+      return this.markdownRenderer.render(content).html;
+    }
+
+    const items = entries
+      .map(entry => `- [${entry.title}](${this.baseurl}${entry.url})`)
+      .join('\n');
+    return this.markdownRenderer.render(`# ${site.title}\n\n${site.description}\n\n## 目次\n\n${items}\n`).html;
+  }
+
+  /**
+   * 404ページをレンダリングする
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Array<Object>} entries - ページ情報の配列
+   * @returns {string} HTML文書
+   */
+  renderNotFound(config, entries) {
+    const site = this.layoutRenderer.createSiteData(config, entries);
+    const { html } = this.markdownRenderer.render(
+      `# ${NOT_FOUND_TITLE}\n\nお探しのページは移動または削除された可能性があります。\n\n[トップページへ戻る](${this.baseurl}/)\n`
+    );
+    return this.layoutRenderer.renderPage(site, { title: NOT_FOUND_TITLE, url: '/404.html', lang: site.lang }, html);
+  }
+
+  /**
+   * サイトマップ (sitemap.xml) を生成する
+   * @param {Array<Object>} entries - ページ情報の配列
+   * @returns {string} XML文書
+   */
+  createSitemap(entries) {
+    const urls = ['/', ...entries.map(entry => entry.url)]
+      .map(url => `  <url>\n    <loc>${this.escapeXml(`${this.url}${this.baseurl}${url}`)}</loc>\n  </url>`)
+      .join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls}\n</urlset>\n`;
+  }
+
+  /**
+   * URLから出力ファイルのパスを求める（ディレクトリ形式のURLは index.html にする）
+   * @param {string} url - ページのURL
+   * @returns {string} 出力ディレクトリからの相対パス
+   */
+  getOutputFile(url) {
+    const file = url.replace(/^\/+/, '');
+    return file === '' || file.endsWith('/') ? `${file}index.html` : file;
+  }
+
+  /**
+   * 共通アセット、書籍のアセットの順にコピーする（同名のファイルは書籍側を優先する）
+   * @param {string} assetsDir - 書籍のアセットディレクトリ
+   * @param {string} outputDir - 出力ディレクトリ
+   */
+  async copyAssets(assetsDir, outputDir) {
+    for (const dir of [path.join(this.sharedDir, 'assets'), assetsDir]) {
+      if (await this.fsUtils.exists(dir)) {
+        await fs.copy(dir, path.join(outputDir, 'assets'), { overwrite: true });
+      }
+    }
+  }
+
+  /**
+   * XMLの特殊文字をエスケープする
+   * @param {string} text - 対象文字列
+   * @returns {string} エスケープ済み文字列
+   */
+  escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
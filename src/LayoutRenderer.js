@@ -0,0 +1,76 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BookStructure } from './BookStructure.js';
+import { LiquidRenderer } from './LiquidRenderer.js';
+
+const moduleDir = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * 書籍レイアウトの適用 - shared/layouts と shared/includes をJekyllなしで描画する
+ */
+export class LayoutRenderer {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.sharedDir - レイアウトとインクルードを含むディレクトリ
+   * @param {string} options.layout - レイアウトファイル名
+   * @param {string} options.baseurl - サイトのベースURL
+   * @param {string} options.url - サイトのURL
+   */
+  constructor(options = {}) {
+    this.sharedDir = options.sharedDir || path.join(moduleDir, '..', 'shared');
+    this.layout = options.layout || 'book.html';
+    this.bookStructure = new BookStructure();
+    this.liquid = new LiquidRenderer({
+      baseurl: options.baseurl || '',
+      url: options.url || '',
+      loadInclude: (name) => fs.readFileSync(path.join(this.sharedDir, 'includes', name), 'utf8')
+    });
+  }
+
+  /**
+   * レイアウトで参照する site 変数を組み立てる
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Array<Object>} entries - ページ情報の配列
+   * @returns {Object} site 変数
+   */
+  createSiteData(config, entries) {
+    const bySection = (section) => entries.filter(entry => entry.section === section);
+
+    return {
+      title: config.title || '',
+      subtitle: config.subtitle || null,
+      description: config.description || '',
+      author: config.author,
+      lang: config.language || 'ja',
+      repository: {
+        github: config.repository?.url?.replace(/\.git$/, '') || null
+      },
+      structure: {
+        introduction: bySection('introduction').map(entry => ({ title: entry.title, path: entry.url })),
+        chapters: bySection('chapters').map(entry => ({ id: entry.number, label: entry.label, title: entry.title, path: entry.url })),
+        appendices: bySection('appendices').map(entry => ({
+          id: entry.letter || entry.number,
+          label: entry.label,
+          title: entry.title,
+          path: entry.url
+        }))
+      },
+      data: {
+        navigation: this.bookStructure.getPageNavigation(entries)
+      }
+    };
+  }
+
+  /**
+   * ページにレイアウトを適用する
+   * @param {Object} site - site 変数
+   * @param {Object} page - page 変数（title, url, path など）
+   * @param {string} content - ページ本文のHTML
+   * @returns {string} HTML文書
+   */
+  renderPage(site, page, content) {
+    const layout = fs.readFileSync(path.join(this.sharedDir, 'layouts', this.layout), 'utf8');
+    return this.liquid.render(layout, { site, page, content });
+  }
+}
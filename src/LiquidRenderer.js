@@ -0,0 +1,537 @@
+/**
+ * Liquidテンプレートの簡易レンダラー
+ * shared/layouts と shared/includes で使用している構文だけをサポートし、
+ * Jekyllなしでレイアウトを適用できるようにする
+ */
+export class LiquidRenderer {
+  /**
+   * @param {Object} options - オプション
+   * @param {Function} options.loadInclude - includeファイルの内容を返す関数 (name) => string
+   * @param {string} options.baseurl - relative_url で付与するベースURL
+   * @param {string} options.url - absolute_url で付与するサイトURL
+   */
+  constructor(options = {}) {
+    this.loadInclude = options.loadInclude || (() => '');
+    this.baseurl = options.baseurl || '';
+    this.url = options.url || '';
+    this.cache = new Map();
+  }
+
+  /**
+   * テンプレートをレンダリングする
+   * @param {string} template - テンプレート文字列
+   * @param {Object} data - レンダリングに使用するデータ
+   * @returns {string} レンダリング結果
+   */
+  render(template, data) {
+    const context = { scopes: [{ ...data }], breakLoop: false, continueLoop: false };
+    return this.renderNodes(this.parse(template), context);
+  }
+
+  /**
+   * テンプレートを構文木に変換する（結果はキャッシュする）
+   * @param {string} template - テンプレート文字列
+   * @returns {Array<Object>} ノードの配列
+   */
+  parse(template) {
+    if (this.cache.has(template)) {
+      return this.cache.get(template);
+    }
+
+    const tokens = this.tokenize(template);
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+
+    for (const token of tokens) {
+      if (token.type !== 'tag') {
+        current().children.push(token);
+        continue;
+      }
+
+      const [name, ...rest] = token.value.split(/\s+/);
+      const markup = rest.join(' ');
+
+      switch (name) {
+      case 'if':
+      case 'unless': {
+        const node = { type: name, branches: [{ condition: markup, children: [] }] };
+        current().children.push(node);
+        stack.push(node.branches[0]);
+        node.branches[0].parent = node;
+        break;
+      }
+      case 'elsif':
+      case 'else': {
+        const branch = current();
+        const owner = branch.parent;
+        if (!owner) {
+          throw new Error(`Liquid構文エラー: 対応するブロックのない {% ${name} %} です`);
+        }
+        const next = { condition: name === 'else' ? null : markup, children: [], parent: owner };
+        owner.branches.push(next);
+        stack[stack.length - 1] = next;
+        break;
+      }
+      case 'for': {
+        const match = markup.match(/^(\w+)\s+in\s+(.+)$/);
+        if (!match) {
+          throw new Error(`Liquid構文エラー: for の書式が正しくありません: ${markup}`);
+        }
+        const node = { type: 'for', variable: match[1], collection: match[2].trim(), branches: [] };
+        const body = { condition: true, children: [], parent: node };
+        node.branches.push(body);
+        current().children.push(node);
+        stack.push(body);
+        break;
+      }
+      case 'comment': {
+        const node = { type: 'comment', children: [] };
+        current().children.push(node);
+        stack.push(node);
+        break;
+      }
+      case 'endif':
+      case 'endunless':
+      case 'endfor':
+      case 'endcomment':
+        if (stack.length === 1) {
+          throw new Error(`Liquid構文エラー: 対応するブロックのない {% ${name} %} です`);
+        }
+        stack.pop();
+        break;
+      case 'assign': {
+        const match = markup.match(/^([\w.]+)\s*=\s*(.+)$/);
+        if (!match) {
+          throw new Error(`Liquid構文エラー: assign の書式が正しくありません: ${markup}`);
+        }
+        current().children.push({ type: 'assign', name: match[1], expression: match[2] });
+        break;
+      }
+      case 'include':
+        current().children.push({ type: 'include', name: rest[0] });
+        break;
+      case 'break':
+      case 'continue':
+        current().children.push({ type: name });
+        break;
+      default:
+        // 未対応のタグは出力しない
+        break;
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error('Liquid構文エラー: 閉じられていないブロックがあります');
+    }
+
+    this.cache.set(template, root.children);
+    return root.children;
+  }
+
+  /**
+   * テンプレートをトークンに分割する
+   * @param {string} template - テンプレート文字列
+   * @returns {Array<Object>} トークンの配列
+   */
+  tokenize(template) {
+    const tokens = [];
+    const pattern = /\{\{-?([\s\S]*?)-?\}\}|\{%-?([\s\S]*?)-?%\}/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(template)) !== null) {
+      if (match.index > lastIndex) {
+        tokens.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+      }
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'output', value: match[1].trim() });
+      } else {
+        tokens.push({ type: 'tag', value: match[2].trim() });
+      }
+      lastIndex = pattern.lastIndex;
+    }
+
+    if (lastIndex < template.length) {
+      tokens.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * ノードの配列をレンダリングする
+   * @param {Array<Object>} nodes - ノードの配列
+   * @param {Object} context - レンダリングコンテキスト
+   * @returns {string} レンダリング結果
+   */
+  renderNodes(nodes, context) {
+    let output = '';
+
+    for (const node of nodes) {
+      if (context.breakLoop || context.continueLoop) break;
+
+      switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'output':
+        output += this.stringify(this.evaluateExpression(node.value, context));
+        break;
+      case 'if':
+      case 'unless':
+        output += this.renderConditional(node, context);
+        break;
+      case 'for':
+        output += this.renderLoop(node, context);
+        break;
+      case 'assign':
+        context.scopes[0][node.name] = this.evaluateExpression(node.expression, context);
+        break;
+      case 'include':
+        output += this.renderNodes(this.parse(this.loadInclude(node.name)), context);
+        break;
+      case 'break':
+        context.breakLoop = true;
+        break;
+      case 'continue':
+        context.continueLoop = true;
+        break;
+      default:
+        break;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * if / unless ブロックをレンダリングする
+   * @param {Object} node - 条件ノード
+   * @param {Object} context - レンダリングコンテキスト
+   * @returns {string} レンダリング結果
+   */
+  renderConditional(node, context) {
+    for (const [index, branch] of node.branches.entries()) {
+      if (branch.condition === null) {
+        return this.renderNodes(branch.children, context);
+      }
+      let result = this.evaluateCondition(branch.condition, context);
+      if (node.type === 'unless' && index === 0) {
+        result = !result;
+      }
+      if (result) {
+        return this.renderNodes(branch.children, context);
+      }
+    }
+    return '';
+  }
+
+  /**
+   * for ブロックをレンダリングする
+   * @param {Object} node - ループノード
+   * @param {Object} context - レンダリングコンテキスト
+   * @returns {string} レンダリング結果
+   */
+  renderLoop(node, context) {
+    const collection = this.evaluateExpression(node.collection, context);
+    const items = Array.isArray(collection) ? collection : [];
+    const [body, elseBranch] = node.branches;
+
+    if (items.length === 0) {
+      return elseBranch ? this.renderNodes(elseBranch.children, context) : '';
+    }
+
+    let output = '';
+    for (const [index, item] of items.entries()) {
+      context.scopes.push({
+        [node.variable]: item,
+        forloop: {
+          index: index + 1,
+          index0: index,
+          first: index === 0,
+          last: index === items.length - 1,
+          length: items.length
+        }
+      });
+      output += this.renderNodes(body.children, context);
+      context.scopes.pop();
+      context.continueLoop = false;
+      if (context.breakLoop) {
+        context.breakLoop = false;
+        break;
+      }
+    }
+    return output;
+  }
+
+  /**
+   * 条件式を評価する（and / or と比較演算子をサポート）
+   * @param {string} condition - 条件式
+   * @param {Object} context - レンダリングコンテキスト
+   * @returns {boolean} 評価結果
+   */
+  evaluateCondition(condition, context) {
+    // Liquidと同様に右から順に評価する
+    const orParts = this.splitOutsideQuotes(condition, / or /);
+    if (orParts.length > 1) {
+      return orParts.some(part => this.evaluateCondition(part, context));
+    }
+    const andParts = this.splitOutsideQuotes(condition, / and /);
+    if (andParts.length > 1) {
+      return andParts.every(part => this.evaluateCondition(part, context));
+    }
+
+    const match = condition.match(/^(.+?)\s*(==|!=|>=|<=|>|<|\bcontains\b)\s*(.+)$/);
+    if (!match) {
+      return this.isTruthy(this.evaluateExpression(condition, context));
+    }
+
+    const left = this.evaluateExpression(match[1], context);
+    const right = this.evaluateExpression(match[3], context);
+
+    switch (match[2]) {
+    case '==': return this.isEqual(left, right);
+    case '!=': return !this.isEqual(left, right);
+    case '>': return left > right;
+    case '<': return left < right;
+    case '>=': return left >= right;
+    case '<=': return left <= right;
+    case 'contains':
+      if (typeof left === 'string' || Array.isArray(left)) {
+        return left.includes(right);
+      }
+      return false;
+    default:
+      return false;
+    }
+  }
+
+  /**
+   * フィルター付きの式を評価する
+   * @param {string} expression - 式（例: "page.title | escape"）
+   * @param {Object} context - レンダリングコンテキスト
+   * @returns {*} 評価結果
+   */
+  evaluateExpression(expression, context) {
+    const [head, ...filters] = this.splitOutsideQuotes(expression, /\|/);
+    let value = this.evaluateValue(head.trim(), context);
+
+    for (const filter of filters) {
+      const separator = filter.indexOf(':');
+      const name = (separator === -1 ? filter : filter.slice(0, separator)).trim();
+      const args = separator === -1
+        ? []
+        : this.splitOutsideQuotes(filter.slice(separator + 1), /,/)
+          .map(arg => this.evaluateValue(arg.trim(), context));
+      value = this.applyFilter(name, value, args);
+    }
+
+    return value;
+  }
+
+  /**
+   * リテラルまたは変数参照を評価する
+   * @param {string} token - 値の表記
+   * @param {Object} context - レンダリングコンテキスト
+   * @returns {*} 値
+   */
+  evaluateValue(token, context) {
+    if (/^'.*'$|^".*"$/.test(token)) return token.slice(1, -1);
+    if (/^-?\d+(\.\d+)?$/.test(token)) return Number(token);
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'nil' || token === 'null' || token === '') return null;
+    if (token === 'empty' || token === 'blank') return '';
+
+    // a.b[c].d のような参照をキーの配列に分解する
+    const keys = [];
+    const pattern = /([^.[\]]+)|\[([^\]]+)\]/g;
+    let match;
+    while ((match = pattern.exec(token)) !== null) {
+      keys.push(match[1] !== undefined ? match[1] : this.evaluateValue(match[2].trim(), context));
+    }
+
+    let current = this.lookup(keys.shift(), context);
+    for (const key of keys) {
+      if (current === null || current === undefined) return null;
+      if (key === 'size' && current[key] === undefined) {
+        current = current.length ?? Object.keys(current).length;
+      } else if (key === 'first' && Array.isArray(current)) {
+        current = current[0];
+      } else if (key === 'last' && Array.isArray(current)) {
+        current = current[current.length - 1];
+      } else {
+        current = current[key];
+      }
+    }
+    return current ?? null;
+  }
+
+  /**
+   * スコープを内側から順に探索して変数を取得する
+   * @param {string} name - 変数名
+   * @param {Object} context - レンダリングコンテキスト
+   * @returns {*} 値
+   */
+  lookup(name, context) {
+    for (let i = context.scopes.length - 1; i >= 0; i--) {
+      if (name in context.scopes[i]) {
+        return context.scopes[i][name];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * フィルターを適用する
+   * @param {string} name - フィルター名
+   * @param {*} value - 入力値
+   * @param {Array} args - 引数
+   * @returns {*} フィルター適用後の値
+   */
+  applyFilter(name, value, args) {
+    const text = () => this.stringify(value);
+
+    switch (name) {
+    case 'default':
+      return value === null || value === undefined || value === '' || value === false ? args[0] : value;
+    case 'escape':
+    case 'xml_escape':
+      return this.escapeHtml(text());
+    case 'relative_url':
+      return this.relativeUrl(text());
+    case 'absolute_url':
+      return `${this.url}${this.relativeUrl(text())}`;
+    case 'remove':
+      return text().split(this.stringify(args[0])).join('');
+    case 'remove_first':
+      return text().replace(this.stringify(args[0]), '');
+    case 'replace':
+      return text().split(this.stringify(args[0])).join(this.stringify(args[1]));
+    case 'append':
+      return text() + this.stringify(args[0]);
+    case 'prepend':
+      return this.stringify(args[0]) + text();
+    case 'split':
+      return text().split(this.stringify(args[0]));
+    case 'compact':
+      return Array.isArray(value) ? value.filter(item => item !== null && item !== undefined) : value;
+    case 'join':
+      return Array.isArray(value) ? value.join(args[0] ?? ' ') : value;
+    case 'capitalize':
+      return text().charAt(0).toUpperCase() + text().slice(1);
+    case 'upcase':
+      return text().toUpperCase();
+    case 'downcase':
+      return text().toLowerCase();
+    case 'strip':
+      return text().trim();
+    case 'strip_html':
+      return text().replace(/<[^>]*>/g, '');
+    case 'size':
+      return value?.length ?? 0;
+    case 'jsonify':
+      return JSON.stringify(value);
+    default:
+      return value;
+    }
+  }
+
+  /**
+   * ベースURLを付与したパスを返す
+   * @param {string} url - パス
+   * @returns {string} ベースURL付きのパス
+   */
+  relativeUrl(url) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('#')) {
+      return url;
+    }
+    return `${this.baseurl}${url.startsWith('/') ? '' : '/'}${url}`;
+  }
+
+  /**
+   * 区切り文字で分割する（引用符の中は分割しない）
+   * @param {string} input - 入力文字列
+   * @param {RegExp} separator - 区切り文字
+   * @returns {Array<string>} 分割結果
+   */
+  splitOutsideQuotes(input, separator) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      if (quote) {
+        if (char === quote) quote = null;
+        current += char;
+        continue;
+      }
+      if (char === '\'' || char === '"') {
+        quote = char;
+        current += char;
+        continue;
+      }
+      const rest = input.slice(i);
+      const match = rest.match(separator);
+      if (match && match.index === 0) {
+        parts.push(current);
+        current = '';
+        i += match[0].length - 1;
+        continue;
+      }
+      current += char;
+    }
+
+    parts.push(current);
+    return parts;
+  }
+
+  /**
+   * Liquidの真偽判定（nil と false 以外は真）
+   * @param {*} value - 値
+   * @returns {boolean} 真の場合true
+   */
+  isTruthy(value) {
+    return value !== null && value !== undefined && value !== false;
+  }
+
+  /**
+   * Liquidの等価判定
+   * @param {*} left - 左辺
+   * @param {*} right - 右辺
+   * @returns {boolean} 等しい場合true
+   */
+  isEqual(left, right) {
+    if (right === '' && (Array.isArray(left) || typeof left === 'string')) {
+      return left.length === 0;
+    }
+    return (left ?? null) === (right ?? null);
+  }
+
+  /**
+   * 値を出力用の文字列に変換する
+   * @param {*} value - 値
+   * @returns {string} 文字列
+   */
+  stringify(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(item => this.stringify(item)).join('');
+    return String(value);
+  }
+
+  /**
+   * HTMLの特殊文字をエスケープする
+   * @param {string} text - 対象文字列
+   * @returns {string} エスケープ済み文字列
+   */
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
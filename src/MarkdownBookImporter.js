@@ -0,0 +1,750 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { glob } from 'glob';
+import YAML from 'yaml';
+import { BookStructure } from './BookStructure.js';
+import { ChapterManager } from './ChapterManager.js';
+import { ConfigWriter } from './ConfigWriter.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+import { Numbering } from './Numbering.js';
+
+// 取り込みに対応している形式
+const FORMATS = ['mdbook', 'gitbook', 'docusaurus'];
+
+// SUMMARY.md の目次の行（"- [タイトル](ファイル)" と、mdBook の前付け・後付けの "[タイトル](ファイル)"）
+const SUMMARY_ITEM = /^(\s*)(?:[-*+]|\d+\.)\s+\[(.*)\]\((.*)\)\s*$/;
+const SUMMARY_LINK = /^\[(.*)\]\((.*)\)\s*$/;
+
+// まえがき・あとがき・付録として扱うページのタイトル
+const INTRODUCTION_TITLE = /^(はじめに|まえがき|序文|序章|introduction|intro|preface|foreword|readme|overview)$/i;
+const AFTERWORD_TITLE = /^(おわりに|あとがき|afterword|epilogue)$/i;
+const APPENDIX_TITLE = /^(付録|appendix\b)/i;
+
+// Docusaurus のサイドバーのファイル
+const SIDEBAR_FILES = ['sidebars.js', 'sidebars.cjs', 'sidebars.mjs', 'sidebars.json'];
+
+/**
+ * Markdown の書籍プロジェクトのインポーター - mdBook・GitBook・Docusaurus のプロジェクトを取り込む
+ * 目次（SUMMARY.md または sidebars.js）の順に原稿を src の introduction・chapters・appendices にコピーし、
+ * 原稿間のリンクと画像のパスを書き換えて、設定ファイルの structure と navigation.order を作る
+ * 目次で入れ子になったページは親のページにまとめ、見出しを入れ子の深さだけ下げる
+ */
+export class MarkdownBookImporter {
+  constructor() {
+    this.bookStructure = new BookStructure();
+    this.chapterManager = new ChapterManager();
+    this.configWriter = new ConfigWriter();
+    this.fsUtils = new FileSystemUtils();
+    this.markdownRenderer = new MarkdownRenderer();
+  }
+
+  /**
+   * プロジェクトを取り込む
+   * 設定ファイルがない場合は nested 形式の book-config.json を新しく作る
+   * @param {string} format - 取り込む形式（mdbook, gitbook, docusaurus）
+   * @param {string} projectDir - プロジェクトのディレクトリ
+   * @param {Object} options - オプション
+   * @param {string} options.configPath - 更新（作成）する設定ファイルのパス
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @param {string} options.assetsDir - 画像のコピー先のアセットディレクトリ（省略時はソースと同階層の assets）
+   * @param {boolean} options.overwrite - 設定済みの書籍情報と章などのタイトルも取り込んだ値で置き換える場合true
+   * @returns {Object} 取り込み結果 { entries, images, created }
+   */
+  async import(format, projectDir, options = {}) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`不明な取り込み形式です: ${format} (${FORMATS.join(', ')} から指定してください)`);
+    }
+    const configPath = options.configPath || 'book-config.json';
+    const sourceDir = options.sourceDir || 'src';
+    const assetsDir = path.resolve(options.assetsDir || path.join(path.dirname(path.resolve(sourceDir)), 'assets'));
+
+    const project = await {
+      mdbook: () => this.readMdBook(projectDir),
+      gitbook: () => this.readGitBook(projectDir),
+      docusaurus: () => this.readDocusaurus(projectDir)
+    }[format]();
+
+    const created = !(await this.fsUtils.exists(configPath));
+    const state = created ? this.createConfig(configPath, project.info) : await this.configWriter.read(configPath);
+    await fs.ensureDir(path.dirname(path.resolve(configPath)));
+    this.numbering = Numbering.fromConfig(state.data);
+    this.images = new Map();
+
+    const pages = this.planPages(project.nodes, state.data);
+    const context = { ...project, pages, sourceDir, assetsDir, targets: new Map() };
+    for (const page of pages) {
+      page.chunks = await this.readChunks(page, context);
+    }
+    for (const page of pages) {
+      const file = path.join(sourceDir, page.source);
+      await fs.ensureDir(path.dirname(file));
+      await this.fsUtils.writeFileSafe(file, this.renderPage(page, context));
+    }
+    for (const [file, target] of this.images) {
+      await fs.copy(file, target);
+    }
+
+    state.data.navigation = state.data.navigation || {};
+    state.data.navigation.order = [];
+    const paths = this.configWriter.applyImport(state.data, pages, created ? {} : project.info, { overwrite: options.overwrite });
+    await this.configWriter.write(configPath, state, paths);
+    console.log(`✅ ${project.name}のプロジェクトを取り込みました: ${pages.length}ページ、図版${this.images.size}点`);
+
+    return { entries: pages, images: this.images.size, created };
+  }
+
+  /**
+   * mdBook のプロジェクト（book.toml と src/SUMMARY.md）を読み込む
+   * 最初の番号付きの章より前の前付けはまえがき、後の後付けは付録として扱う
+   * @param {string} projectDir - プロジェクトのディレクトリ
+   * @returns {Object} プロジェクト { name, root, nodes, info }
+   */
+  async readMdBook(projectDir) {
+    const tomlFile = path.join(projectDir, 'book.toml');
+    const book = (await this.fsUtils.exists(tomlFile)) ? this.parseToml(await this.fsUtils.readFile(tomlFile)).book || {} : {};
+    const root = path.join(projectDir, book.src || 'src');
+
+    return {
+      name: 'mdBook',
+      root,
+      nodes: await this.readSummary(path.join(root, 'SUMMARY.md'), root, { frontMatter: true }),
+      info: {
+        title: book.title,
+        description: book.description,
+        author: Array.isArray(book.authors) ? book.authors.join('、') : book.authors,
+        language: book.language
+      }
+    };
+  }
+
+  /**
+   * GitBook のプロジェクト（.gitbook.yaml または book.json と SUMMARY.md）を読み込む
+   * 目次にない README.md はまえがきとして先頭に加える
+   * @param {string} projectDir - プロジェクトのディレクトリ
+   * @returns {Object} プロジェクト { name, root, nodes, info }
+   */
+  async readGitBook(projectDir) {
+    const yamlFile = path.join(projectDir, '.gitbook.yaml');
+    const jsonFile = path.join(projectDir, 'book.json');
+    const settings = (await this.fsUtils.exists(yamlFile)) ? YAML.parse(await this.fsUtils.readFile(yamlFile)) || {} : {};
+    const book = (await this.fsUtils.exists(jsonFile)) ? JSON.parse(await this.fsUtils.readFile(jsonFile)) : {};
+    const root = path.join(projectDir, settings.root || book.root || '.');
+
+    const nodes = await this.readSummary(path.join(root, settings.structure?.summary || 'SUMMARY.md'), root);
+    const readme = path.join(root, settings.structure?.readme || 'README.md');
+    if (!this.findNode(nodes, readme) && (await this.fsUtils.exists(readme))) {
+      nodes.unshift({ title: (await this.readTitle(readme)) || 'はじめに', file: readme, children: [], kind: 'prefix' });
+    }
+
+    return {
+      name: 'GitBook',
+      root,
+      nodes,
+      info: {
+        title: book.title,
+        description: book.description,
+        author: book.author,
+        language: book.language
+      }
+    };
+  }
+
+  /**
+   * Docusaurus のプロジェクト（sidebars.js と docs/）を読み込む
+   * 最初のサイドバーを目次とし、カテゴリはリンク先のドキュメント（なければカテゴリ名の見出し）に配下のページをまとめる
+   * @param {string} projectDir - プロジェクトのディレクトリ
+   * @returns {Object} プロジェクト { name, root, nodes, info, docs, staticDir }
+   */
+  async readDocusaurus(projectDir) {
+    const root = path.join(projectDir, 'docs');
+    let sidebarFile = null;
+    for (const name of SIDEBAR_FILES) {
+      if (!sidebarFile && (await this.fsUtils.exists(path.join(projectDir, name)))) {
+        sidebarFile = path.join(projectDir, name);
+      }
+    }
+    if (!sidebarFile) {
+      throw new Error(`sidebars.js が見つかりません: ${projectDir}`);
+    }
+
+    const sidebars = sidebarFile.endsWith('.json')
+      ? JSON.parse(await this.fsUtils.readFile(sidebarFile))
+      : (await import(pathToFileURL(path.resolve(sidebarFile)).href)).default;
+    const [sidebar] = Object.values(sidebars || {});
+    if (!sidebar) {
+      throw new Error(`サイドバーが定義されていません: ${sidebarFile}`);
+    }
+
+    const docs = await this.readDocusaurusDocs(root);
+    const nodes = await this.readSidebarItems(sidebar, { root, docs });
+
+    // docusaurus.config.js は @docusaurus のパッケージを読み込むため実行せず、書名と言語だけを取り出す
+    const configFile = ['docusaurus.config.js', 'docusaurus.config.ts', 'docusaurus.config.mjs']
+      .map(name => path.join(projectDir, name))
+      .find(file => fs.existsSync(file));
+    const siteConfig = configFile ? await this.fsUtils.readFile(configFile) : '';
+    const pick = key => siteConfig.match(new RegExp(`\\b${key}:\\s*(['"\`])(.*?)\\1`))?.[2];
+
+    return {
+      name: 'Docusaurus',
+      root,
+      nodes,
+      docs,
+      staticDir: path.join(projectDir, 'static'),
+      info: {
+        title: pick('title'),
+        description: pick('tagline'),
+        language: pick('defaultLocale')
+      }
+    };
+  }
+
+  /**
+   * SUMMARY.md を読み込み、目次の木にする
+   * "# Summary" や "## 第1部" などの見出しと "---" の区切りは読み飛ばす
+   * @param {string} summaryFile - SUMMARY.md のパス
+   * @param {string} root - 原稿のルートディレクトリ
+   * @param {Object} options - オプション
+   * @param {boolean} options.frontMatter - リストの外のリンクを前付け・後付けとして扱う（mdBook）
+   * @returns {Array<Object>} 目次の木 { title, file, children, kind }（kind は prefix・numbered・suffix）
+   */
+  async readSummary(summaryFile, root, options = {}) {
+    if (!(await this.fsUtils.exists(summaryFile))) {
+      throw new Error(`SUMMARY.md が見つかりません: ${summaryFile}`);
+    }
+
+    const nodes = [];
+    const stack = [];
+    let numbered = false;
+    const toNode = (title, link, kind) => {
+      const target = link.trim().replace(/^<|>$/g, '').split('#')[0];
+      if (!target) {
+        console.log(`⚠️  ファイルのない目次の項目は見出しだけを取り込みます: ${title}`);
+      }
+      return { title: title.trim(), file: target ? path.join(root, decodeURI(target)) : null, children: [], kind };
+    };
+
+    for (const line of (await this.fsUtils.readFile(summaryFile)).split(/\r?\n/)) {
+      const item = line.match(SUMMARY_ITEM);
+      if (item) {
+        numbered = true;
+        const indent = item[1].replace(/\t/g, '    ').length;
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+        const node = toNode(item[2], item[3], 'numbered');
+        (stack.length > 0 ? stack[stack.length - 1].node.children : nodes).push(node);
+        stack.push({ indent, node });
+        continue;
+      }
+
+      const link = options.frontMatter && line.match(SUMMARY_LINK);
+      if (link) {
+        nodes.push(toNode(link[1], link[2], numbered ? 'suffix' : 'prefix'));
+        stack.length = 0;
+      }
+    }
+
+    if (nodes.length === 0) {
+      throw new Error(`SUMMARY.md に目次の項目がありません: ${summaryFile}`);
+    }
+    return nodes;
+  }
+
+  /**
+   * Docusaurus の docs/ のドキュメントを ID で引けるようにする
+   * ID はディレクトリと（Front Matter の id またはファイル名）から番号の接頭辞（"01-"）を除いたもの
+   * @param {string} root - docs ディレクトリ
+   * @returns {Map<string, Object>} ID とドキュメント { file, title, position } の Map
+   */
+  async readDocusaurusDocs(root) {
+    const docs = new Map();
+    const files = await glob('**/*.{md,mdx}', { cwd: root, posix: true, nodir: true });
+
+    for (const file of files.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))) {
+      const { data } = this.markdownRenderer.parseFrontMatter(await this.fsUtils.readFile(path.join(root, file)));
+      const stripNumber = segment => segment.replace(/^\d+[-_.\s]+(?=.)/, '');
+      const directory = path.posix.dirname(file).split('/').filter(segment => segment !== '.').map(stripNumber);
+      const name = data.id ? String(data.id) : stripNumber(path.posix.basename(file).replace(/\.mdx?$/, ''));
+      const id = [...directory, name].join('/');
+      docs.set(id, {
+        file: path.join(root, file),
+        title: data.sidebar_label || data.title || null,
+        position: data.sidebar_position ?? null
+      });
+    }
+
+    return docs;
+  }
+
+  /**
+   * Docusaurus のサイドバーの項目を目次の木にする
+   * @param {Array|Object} items - サイドバーの項目（{ "カテゴリ名": [...] } の省略形も可）
+   * @param {Object} context - { root, docs }
+   * @returns {Array<Object>} 目次の木 { title, file, children, kind }
+   */
+  async readSidebarItems(items, context) {
+    const list = Array.isArray(items)
+      ? items
+      : Object.entries(items).map(([label, children]) => ({ type: 'category', label, items: children }));
+    const nodes = [];
+
+    for (const item of list) {
+      const type = typeof item === 'string' ? 'doc' : item.type;
+      if (type === 'doc' || type === 'ref') {
+        const id = typeof item === 'string' ? item : item.id;
+        const doc = context.docs.get(id);
+        if (!doc) {
+          console.log(`⚠️  サイドバーのドキュメントが見つかりません: ${id}`);
+          continue;
+        }
+        nodes.push({ title: item.label || doc.title || await this.readTitle(doc.file) || id, file: doc.file, children: [], kind: 'numbered' });
+      } else if (type === 'category') {
+        const linked = item.link?.type === 'doc' ? context.docs.get(item.link.id) : null;
+        nodes.push({
+          title: item.label,
+          file: linked?.file || null,
+          children: await this.readSidebarItems(item.items || [], context),
+          kind: 'numbered'
+        });
+      } else if (type === 'autogenerated') {
+        nodes.push(...(await this.readSidebarItems(this.listGeneratedItems(item.dirName || '.', context), context)));
+      } else if (item && typeof item === 'object' && !item.type) {
+        nodes.push(...(await this.readSidebarItems(item, context)));
+      }
+      // link・html の項目は原稿がないため取り込まない
+    }
+
+    return nodes;
+  }
+
+  /**
+   * autogenerated のディレクトリからサイドバーの項目を作る（sidebar_position、ファイル名の順）
+   * @param {string} dirName - docs からのディレクトリ
+   * @param {Object} context - { root, docs }
+   * @returns {Array<Object>} サイドバーの項目
+   */
+  listGeneratedItems(dirName, context) {
+    const directory = path.join(context.root, dirName);
+    const children = new Map();
+
+    for (const [id, doc] of context.docs) {
+      const relative = path.relative(directory, doc.file).split(path.sep);
+      if (relative[0] === '..') continue;
+      if (relative.length === 1) {
+        children.set(doc.file, { order: doc.position, name: relative[0], item: { type: 'doc', id } });
+      } else if (!children.has(relative[0])) {
+        const categoryFile = path.join(directory, relative[0], '_category_.json');
+        const category = fs.existsSync(categoryFile) ? fs.readJsonSync(categoryFile) : {};
+        children.set(relative[0], {
+          order: category.position ?? null,
+          name: relative[0],
+          item: {
+            type: 'category',
+            label: category.label || relative[0].replace(/^\d+[-_.\s]+(?=.)/, ''),
+            items: [{ type: 'autogenerated', dirName: path.posix.join(dirName, relative[0]) }]
+          }
+        });
+      }
+    }
+
+    return [...children.values()]
+      .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.name.localeCompare(b.name, undefined, { numeric: true }))
+      .map(child => child.item);
+  }
+
+  /**
+   * 目次の最上位の項目をまえがき・章・付録・あとがきに振り分ける
+   * 先頭の前付け（またはタイトルが「はじめに」などのページ）はまえがき、後付けとタイトルが「付録」「Appendix」で始まるページは付録、
+   * 最後のページのタイトルが「おわりに」などならあとがきにし、残りを章にする
+   * @param {Array<Object>} nodes - 目次の木
+   * @param {Object} data - 設定データ（contentSections を参照する）
+   * @returns {Array<Object>} ページ { section, source, node, number, letter, label }
+   */
+  planPages(nodes, data) {
+    const remaining = [...nodes];
+    const introduction = [];
+    while (remaining.length > 0 && (remaining[0].kind === 'prefix' || (introduction.length === 0 && this.isIntroduction(remaining[0])))) {
+      introduction.push(remaining.shift());
+    }
+    const afterword = remaining.length > 1 && AFTERWORD_TITLE.test(remaining[remaining.length - 1].title) ? remaining.pop() : null;
+    const isAppendix = node => node.kind === 'suffix' || APPENDIX_TITLE.test(node.title) || Boolean(this.numbering.matchAppendix(node.title));
+    const chapters = remaining.filter(node => !isAppendix(node));
+    const appendices = remaining.filter(isAppendix);
+
+    if (chapters.length === 0) {
+      throw new Error('目次に章として取り込めるページがありません');
+    }
+
+    const directory = section => this.bookStructure.getSectionDirectory(data, section);
+    const pages = [];
+    if (introduction.length > 0) {
+      // 2つ目以降の前付けはまえがきの後ろにまとめる
+      const [first, ...rest] = introduction;
+      pages.push({ section: 'introduction', source: `${directory('introduction')}/index.md`, node: { ...first, children: [...first.children, ...rest] } });
+    }
+    chapters.forEach((node, index) => {
+      const number = index + 1;
+      pages.push({
+        section: 'chapters',
+        source: `${directory('chapters')}/chapter${String(number).padStart(2, '0')}.md`,
+        node,
+        number,
+        label: this.numbering.chapter(number)
+      });
+    });
+    appendices.forEach((node, index) => {
+      const letter = this.numbering.toLetter(index + 1);
+      pages.push({
+        section: 'appendices',
+        source: `${directory('appendices')}/appendix-${letter.toLowerCase()}.md`,
+        node,
+        number: index + 1,
+        letter,
+        label: this.numbering.appendix(index + 1, letter)
+      });
+    });
+    if (afterword) {
+      pages.push({ section: 'afterword', source: `${directory('afterword')}/index.md`, node: afterword });
+    }
+
+    return pages;
+  }
+
+  /**
+   * まえがきとして扱うページかどうか
+   * @param {Object} node - 目次の項目
+   * @returns {boolean} まえがきの場合true
+   */
+  isIntroduction(node) {
+    const name = node.file ? path.basename(node.file).replace(/\.mdx?$/, '') : '';
+    return INTRODUCTION_TITLE.test(node.title) || /^(readme|index|intro|introduction|preface)$/i.test(name);
+  }
+
+  /**
+   * ページにまとめる原稿を読み込み、リンクの書き換え先として登録する
+   * 入れ子の原稿へのリンクは、まとめた先のページの見出しのアンカーにする
+   * @param {Object} page - ページ
+   * @param {Object} context - 取り込みの情報
+   * @returns {Array<Object>} 原稿 { node, depth, content, anchor }
+   */
+  async readChunks(page, context) {
+    const flatten = (node, depth) => [{ node, depth }, ...node.children.flatMap(child => flatten(child, depth + 1))];
+    const chunks = [];
+
+    for (const { node, depth } of flatten(page.node, 0)) {
+      let content = '';
+      let frontMatter = {};
+      if (node.file && (await this.fsUtils.exists(node.file))) {
+        const { data, body } = this.markdownRenderer.parseFrontMatter(await this.fsUtils.readFile(node.file));
+        content = body.replace(/\r\n?/g, '\n');
+        frontMatter = data;
+      } else if (node.file) {
+        console.log(`⚠️  目次に記載されたファイルが見つかりません: ${path.relative(context.root, node.file)}`);
+      }
+      content = this.convertSyntax(content, node.file);
+
+      // 見出し（# ）のない原稿は Front Matter の title（なければ目次のタイトル）を見出しにする
+      const heading = this.findHeading(content);
+      const title = heading || frontMatter.title || node.title;
+      if (!heading) {
+        content = `# ${title}\n\n${content.trimStart()}`;
+      }
+      const anchor = depth > 0 ? this.markdownRenderer.slugify(title) : null;
+      if (node.file && !context.targets.has(node.file)) {
+        context.targets.set(node.file, { page, anchor });
+      }
+      if (depth === 0) {
+        const label = page.section === 'chapters' ? this.numbering.matchChapter(title) : this.numbering.matchAppendix(title);
+        page.title = (label && page.label ? label.title.trim() : title) || node.title;
+      }
+      chunks.push({ node, depth, content, anchor });
+    }
+
+    return chunks;
+  }
+
+  /**
+   * ページの原稿をまとめて1つのMarkdownにする
+   * 章と付録の見出しには build.numbering のラベルを付け、入れ子の原稿の見出しは深さだけ下げる
+   * @param {Object} page - ページ
+   * @param {Object} context - 取り込みの情報
+   * @returns {string} Markdown
+   */
+  renderPage(page, context) {
+    const pageDir = path.dirname(path.resolve(context.sourceDir, page.source));
+
+    const parts = page.chunks.map(({ node, depth, content }) => {
+      const baseDir = node.file ? path.dirname(node.file) : context.root;
+      const linked = this.chapterManager.replaceLinkTargets(content, (target, suffix) =>
+        this.rewriteLink(target, suffix, baseDir, pageDir, context)
+      );
+
+      let labeled = depth > 0 || !page.label;
+      return this.mapTextLines(linked, (line) => {
+        const heading = line.match(/^(#{1,6})([ \t]+.*)$/);
+        if (!heading) return line;
+        if (!labeled && heading[1] === '#') {
+          labeled = true;
+          return `# ${page.label}${this.numbering.separator}${page.title}`;
+        }
+        return `${'#'.repeat(Math.min(heading[1].length + depth, 6))}${heading[2]}`;
+      }).trim();
+    });
+
+    return `${parts.filter(Boolean).join('\n\n')}\n`;
+  }
+
+  /**
+   * リンク先を書き換える
+   * 取り込んだ原稿へのリンクはページ間の相対パス（入れ子の原稿はアンカー付き）に、画像などのファイルはアセットにコピーしてそのパスにする
+   * @param {string} target - リンク先（# 以降を除く）
+   * @param {string} suffix - リンク先の # や ? 以降
+   * @param {string} baseDir - リンク元の原稿のディレクトリ
+   * @param {string} pageDir - 書き出すページのディレクトリ
+   * @param {Object} context - 取り込みの情報
+   * @returns {string|null} 書き換え後のリンク先（変更しない場合はnull）
+   */
+  rewriteLink(target, suffix, baseDir, pageDir, context) {
+    if (this.chapterManager.isExternalLink(target)) return null;
+
+    const file = this.resolveLink(target, baseDir, context);
+    const linked = file && context.targets.get(file);
+    if (linked) {
+      const link = this.chapterManager.toLinkPath(path.relative(pageDir, path.resolve(context.sourceDir, linked.page.source)));
+      return linked.anchor && !suffix.startsWith('#') ? `${link}#${linked.anchor}` : link;
+    }
+    if (!file || /\.mdx?$/.test(file)) {
+      return null;
+    }
+
+    // 画像などは原稿のルート（Docusaurus は static）からの相対パスを保って assets/images にコピーする
+    const base = [context.root, context.staticDir].find(dir => dir && !path.relative(dir, file).startsWith('..')) || path.dirname(file);
+    const relative = this.chapterManager.toLinkPath(path.relative(base, file)).replace(/^(?:assets\/)?(?:images|img)\//, '');
+    const copied = path.join(context.assetsDir, 'images', relative);
+    this.images.set(file, copied);
+    return this.chapterManager.toLinkPath(path.relative(pageDir, copied));
+  }
+
+  /**
+   * リンク先をファイルのパスに解決する（.html や拡張子のないリンク、Docusaurus の /docs/<ID> にも対応する）
+   * @param {string} target - リンク先
+   * @param {string} baseDir - リンク元の原稿のディレクトリ
+   * @param {Object} context - 取り込みの情報
+   * @returns {string|null} ファイルのパス（見つからない場合はnull）
+   */
+  resolveLink(target, baseDir, context) {
+    const candidates = [];
+    if (target.startsWith('/')) {
+      if (context.docs) {
+        const id = target.replace(/^\/docs\//, '').replace(/\/$/, '').replace(/\.mdx?$/, '');
+        candidates.push(context.docs.get(id)?.file, path.join(context.staticDir, target));
+      }
+      candidates.push(path.join(context.root, target));
+    } else {
+      const absolute = path.resolve(baseDir, target);
+      candidates.push(absolute, absolute.replace(/\.html$/, '.md'), `${absolute}.md`, `${absolute}.mdx`,
+        path.join(absolute, 'index.md'), path.join(absolute, 'README.md'));
+      if (context.docs) {
+        const id = this.chapterManager.toLinkPath(path.relative(context.root, absolute)).replace(/\.mdx?$/, '');
+        candidates.push(context.docs.get(id)?.file);
+      }
+    }
+
+    return candidates.find(file => file && (context.targets.has(file) || (fs.existsSync(file) && fs.statSync(file).isFile()))) || null;
+  }
+
+  /**
+   * 各形式の独自の記法を書き換える
+   * Docusaurus の :::note と GitBook の {% hint %} は引用に、{% embed %} はリンクにし、MDX の import/export の行は除く
+   * @param {string} content - Markdownの内容
+   * @param {string} file - 原稿のパス（警告の表示に使用する）
+   * @returns {string} 書き換え後の内容
+   */
+  convertSyntax(content, file) {
+    const warnings = new Set();
+    const lines = [];
+    let fence = null;
+    let quote = null;
+
+    for (const line of content.split('\n')) {
+      const output = quote ? quote.lines : lines;
+      const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+      if (marker && (!fence || marker[1].startsWith(fence))) {
+        fence = fence ? null : marker[1];
+        output.push(line);
+        continue;
+      }
+      if (fence) {
+        output.push(line);
+        continue;
+      }
+
+      const admonition = line.match(/^:::(\w+)(?:\[(.*)\]|[ \t]+(.*))?\s*$/);
+      if (admonition || /^\{%\s*hint\b.*%\}\s*$/.test(line)) {
+        quote = { lines: admonition ? [`**${admonition[2] || admonition[3] || admonition[1].toUpperCase()}**`, ''] : [] };
+        continue;
+      }
+      if (quote && (/^:::\s*$/.test(line) || /^\{%\s*endhint\s*%\}\s*$/.test(line))) {
+        lines.push(...quote.lines.map(text => text ? `> ${text}` : '>'));
+        quote = null;
+        continue;
+      }
+
+      const embed = line.match(/^\{%\s*embed\s+url="([^"]+)".*%\}\s*$/);
+      if (embed) {
+        output.push(`<${embed[1]}>`);
+      } else if (/^\{%.*%\}\s*$/.test(line)) {
+        warnings.add('GitBook のテンプレートタグ（{% %}）');
+      } else if (/^(import|export)\s.+$/.test(line) && /\.mdx$/.test(file || '')) {
+        warnings.add('MDX の import/export 文');
+      } else {
+        if (/\{\{#\w+.*\}\}/.test(line)) {
+          warnings.add('mdBook の {{#include}} などの命令');
+        }
+        output.push(line);
+      }
+    }
+    if (quote) {
+      lines.push(...quote.lines.map(text => text ? `> ${text}` : '>'));
+    }
+
+    for (const warning of warnings) {
+      console.log(`⚠️  ${warning}は取り込みません: ${path.basename(file)}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * コードブロックの外の行だけに変換を適用する
+   * @param {string} content - Markdownの内容
+   * @param {Function} transform - 行の変換関数
+   * @returns {string} 変換後の内容
+   */
+  mapTextLines(content, transform) {
+    let fence = null;
+    const lines = [];
+
+    for (const line of content.split('\n')) {
+      const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+      if (marker && (!fence || marker[1].startsWith(fence))) {
+        fence = fence ? null : marker[1];
+        lines.push(line);
+        continue;
+      }
+      lines.push(fence ? line : transform(line));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 最初の見出し（# ）の文字列を取得する（コードブロック内は除く）
+   * @param {string} content - Markdownの内容
+   * @returns {string|null} 見出し
+   */
+  findHeading(content) {
+    let heading = null;
+    this.mapTextLines(content, (line) => {
+      const match = line.match(/^#[ \t]+(.*?)[ \t#]*$/);
+      if (match && heading === null) heading = match[1];
+      return line;
+    });
+    return heading;
+  }
+
+  /**
+   * 原稿の見出しをタイトルとして読み込む
+   * @param {string} file - 原稿のパス
+   * @returns {string|null} タイトル
+   */
+  async readTitle(file) {
+    return this.findHeading(this.markdownRenderer.parseFrontMatter(await this.fsUtils.readFile(file)).body);
+  }
+
+  /**
+   * 目次の木からファイルの項目を探す
+   * @param {Array<Object>} nodes - 目次の木
+   * @param {string} file - ファイルのパス
+   * @returns {Object|null} 項目
+   */
+  findNode(nodes, file) {
+    for (const node of nodes) {
+      const found = node.file === file ? node : this.findNode(node.children, file);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * book.toml を読み込む（テーブルと、文字列・数値・真偽値・文字列の配列の値だけに対応する簡易版）
+   * @param {string} content - TOMLの内容
+   * @returns {Object} 内容
+   */
+  parseToml(content) {
+    const result = {};
+    let table = result;
+
+    for (const line of content.split(/\r?\n/)) {
+      const text = line.replace(/\s+#.*$/, '').trim();
+      const header = text.match(/^\[([\w.-]+)\]$/);
+      if (header) {
+        table = header[1].split('.').reduce((parent, key) => (parent[key] = parent[key] || {}), result);
+        continue;
+      }
+      const pair = text.match(/^([\w-]+)\s*=\s*(.+)$/);
+      if (!pair) continue;
+
+      const value = pair[2];
+      const strings = [...value.matchAll(/"((?:\\.|[^"\\])*)"|'([^']*)'/g)].map(match => match[1] !== undefined ? JSON.parse(`"${match[1]}"`) : match[2]);
+      if (value.startsWith('[')) {
+        table[pair[1]] = strings;
+      } else if (strings.length > 0) {
+        table[pair[1]] = strings[0];
+      } else if (/^(true|false)$/.test(value)) {
+        table[pair[1]] = value === 'true';
+      } else if (!Number.isNaN(Number(value))) {
+        table[pair[1]] = Number(value);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 設定ファイルがない場合に作成する設定（nested 形式）
+   * 書名・説明・著者が取り込み元にない場合は仮の値を入れる
+   * @param {string} configPath - 設定ファイルのパス
+   * @param {Object} info - 取り込み元の書籍情報
+   * @returns {Object} ConfigWriter.read と同じ形式 { data, document, format }
+   */
+  createConfig(configPath, info) {
+    const title = info.title || '書名';
+    const author = info.author || '著者名';
+    if (!info.title || !info.author) {
+      console.log('⚠️  書名または著者が見つからないため仮の値を設定しました。設定ファイルを編集してください');
+    }
+
+    const data = {
+      book: {
+        title,
+        description: info.description || title,
+        author: { name: author },
+        language: info.language || 'ja',
+        version: '1.0.0'
+      },
+      structure: { introduction: undefined, chapters: [], appendices: [], afterword: undefined },
+      contentSections: ['introduction', 'chapters', 'appendices', 'afterword'].map((name, index) => ({
+        name,
+        directory: name,
+        enabled: true,
+        order: index + 1
+      })),
+      navigation: { order: [] }
+    };
+
+    const format = path.extname(configPath).toLowerCase();
+    const document = format === '.yml' || format === '.yaml' ? new YAML.Document(data) : null;
+    return { data, document, format };
+  }
+}
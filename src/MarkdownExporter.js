@@ -0,0 +1,183 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { BookStructure } from './BookStructure.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+
+// 各原稿の先頭に置かれたライセンス表記のコメント（CC BY-NC-SA など）
+const LICENSE_COMMENT = /^\s*<!--((?:(?!-->)[\s\S])*?(?:CC BY|ライセンス|license)[\s\S]*?)-->[ \t]*\r?\n?/i;
+
+// Markdownのリンク・画像、参照リンクの定義（脚注は除く）と、HTMLの src / href 属性
+const MARKDOWN_LINK = /(!?\[[^\]]*\]\()(<[^>]*>|[^)\s]+)/g;
+const REFERENCE_DEFINITION = /^( {0,3}\[(?!\^)[^\]]+\]:[ \t]*)(<[^>]*>|\S+)/;
+const HTML_LINK = /(<(?:img|a)\b[^>]*?\b(?:src|href)=")([^"]+)/g;
+
+/**
+ * Markdownエクスポーター - structure の順に原稿を連結し、1つのMarkdownファイルに正規化して書き出す
+ * （校正・編集用。ライセンス表記と除外パターンを除き、画像のパスを出力先からの相対パスにする）
+ */
+export class MarkdownExporter {
+  constructor() {
+    this.bookStructure = new BookStructure();
+    this.fsUtils = new FileSystemUtils();
+    this.markdownRenderer = new MarkdownRenderer();
+  }
+
+  /**
+   * 設定の構成に従ってMarkdownを書き出す
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Object} options - オプション
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @param {string} options.outputFile - 出力するMarkdownファイルのパス（省略時は dist/<slug>.md）
+   * @param {boolean} options.demoteHeadings - 見出しを1段下げる（# → ##）
+   * @returns {Object} エクスポート結果 { entries, outputFile }
+   */
+  async export(config, options = {}) {
+    const sourceDir = options.sourceDir || 'src';
+    const outputFile = options.outputFile || this.getOutputFile(config);
+
+    const entries = this.bookStructure.getEntries(config);
+    if (entries.length === 0) {
+      throw new Error('ビルド対象のページが設定されていません (structure.chapters を確認してください)');
+    }
+
+    // 設定に記載されたファイルがすべて存在するか先に確認する
+    const missing = [];
+    for (const entry of entries) {
+      if (!(await this.fsUtils.exists(path.join(sourceDir, entry.source)))) {
+        missing.push(entry.source);
+      }
+    }
+    if (missing.length > 0) {
+      throw new Error(`設定に記載されたファイルが見つかりません: ${missing.join(', ')}`);
+    }
+
+    const chapters = [];
+    for (const entry of entries) {
+      const content = await this.fsUtils.readFile(path.join(sourceDir, entry.source));
+      const body = this.normalize(content, entry, {
+        entries,
+        sourceDir,
+        outputDir: path.dirname(outputFile),
+        excludePatterns: config.contentExcludePatterns || [],
+        demoteHeadings: options.demoteHeadings
+      });
+      chapters.push(`<a id="${entry.id}"></a>\n\n${body}`);
+    }
+
+    await fs.outputFile(outputFile, `${this.createFrontMatter(config)}\n${chapters.join('\n\n')}\n`);
+    console.log(`✅ Markdownを書き出しました: ${entries.length}ページ`);
+
+    return { entries, outputFile };
+  }
+
+  /**
+   * 出力先 dist/<slug>.md を求める（slug は書名から作る）
+   * @param {Object} config - 設定オブジェクト
+   * @returns {string} 出力先のパス
+   */
+  getOutputFile(config) {
+    const slug = String(config.title || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\u3040-\u309f\u30a0-\u30ff\u4e00-\u9faf]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+    return path.join('dist', `${slug || 'book'}.md`);
+  }
+
+  /**
+   * 1つの原稿を正規化する
+   * @param {string} content - 原稿の内容
+   * @param {Object} entry - 対象ページ
+   * @param {Object} context - 正規化の情報
+   * @param {Array<Object>} context.entries - ページ情報の配列
+   * @param {string} context.sourceDir - ソースディレクトリ
+   * @param {string} context.outputDir - 出力先のディレクトリ
+   * @param {Array<string>} context.excludePatterns - 除去するコメントの開始パターン
+   * @param {boolean} context.demoteHeadings - 見出しを1段下げる
+   * @returns {string} 正規化したMarkdown
+   */
+  normalize(content, entry, context) {
+    const { body } = this.markdownRenderer.parseFrontMatter(content);
+    const source = this.markdownRenderer.removeExcludedContent(body.replace(LICENSE_COMMENT, ''), context.excludePatterns);
+
+    // <...> で囲んだリンク先は囲みを保ったまま書き換える
+    const replaceLink = (match, before, href) => href.startsWith('<')
+      ? `${before}<${this.rewriteLink(href.slice(1, -1), entry, context)}>`
+      : `${before}${this.rewriteLink(href, entry, context)}`;
+
+    return this.mapTextLines(source, (line) => {
+      const rewritten = line
+        .replace(MARKDOWN_LINK, replaceLink)
+        .replace(REFERENCE_DEFINITION, replaceLink)
+        .replace(HTML_LINK, replaceLink);
+
+      return context.demoteHeadings ? rewritten.replace(/^(#{1,5})(?=\s|$)/, '#$1') : rewritten;
+    }).trim();
+  }
+
+  /**
+   * 相対リンクを書き換える
+   * 書籍内の原稿へのリンクは連結後のアンカーに、それ以外（画像など）は出力先からの相対パスにする
+   * @param {string} href - リンク先
+   * @param {Object} entry - リンク元のページ
+   * @param {Object} context - 正規化の情報
+   * @returns {string} 書き換え後のリンク先
+   */
+  rewriteLink(href, entry, context) {
+    if (/^[a-z][a-z0-9+.-]*:|^\/|^#/i.test(href)) {
+      return href;
+    }
+
+    const [file, hash] = href.split('#');
+    const resolved = path.posix.join(path.posix.dirname(entry.source), decodeURI(file));
+    const target = context.entries.find(item => item.source === resolved || item.source === `${resolved.replace(/\/$/, '')}/index.md`);
+    if (target) {
+      return hash ? `#${hash}` : `#${target.id}`;
+    }
+
+    const rebased = path.relative(context.outputDir, path.resolve(context.sourceDir, resolved)).split(path.sep).join('/');
+    return `${rebased.replace(/ /g, '%20')}${hash ? `#${hash}` : ''}`;
+  }
+
+  /**
+   * コードブロックの外の行だけに変換を適用する
+   * @param {string} content - Markdownの内容
+   * @param {Function} transform - 行の変換関数
+   * @returns {string} 変換後の内容
+   */
+  mapTextLines(content, transform) {
+    let fence = null;
+
+    return content
+      .split('\n')
+      .map((line) => {
+        const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+        if (marker && (!fence || marker[1].startsWith(fence))) {
+          fence = fence ? null : marker[1];
+          return line;
+        }
+        return fence ? line : transform(line);
+      })
+      .join('\n');
+  }
+
+  /**
+   * 書名・著者などを Front Matter にする（Pandoc などでそのまま変換できる形式）
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @returns {string} Front Matter
+   */
+  createFrontMatter(config) {
+    const data = Object.fromEntries(Object.entries({
+      title: config.title,
+      subtitle: config.subtitle,
+      author: config.author,
+      publisher: config.publisher,
+      lang: config.language,
+      rights: config.copyright || config.license
+    }).filter(([, value]) => value));
+
+    return `---\n${YAML.stringify(data)}---\n`;
+  }
+}
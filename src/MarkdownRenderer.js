@@ -0,0 +1,216 @@
+import MarkdownIt from 'markdown-it';
+import YAML from 'yaml';
+
+/**
+ * Markdownレンダラー - markdown-it でJekyll (kramdown) 相当のHTMLを生成する
+ */
+export class MarkdownRenderer {
+  /**
+   * @param {Object} options - markdown-it に渡すオプション
+   */
+  constructor(options = {}) {
+    this.md = new MarkdownIt({
+      html: true,
+      linkify: false,
+      typographer: false,
+      ...options
+    });
+    this.installHeadingIds();
+    this.installLinkRewriter();
+  }
+
+  /**
+   * Markdownをレンダリングする
+   * @param {string} content - Markdownの内容
+   * @param {Object} options - オプション
+   * @param {Array<string>} options.excludePatterns - 除去するコメントの開始パターン
+   * @param {string} options.linkExtension - .md へのリンクの書き換え先の拡張子（指定時は index.md もディレクトリにしない）
+   * @returns {Object} { html, frontMatter, title, headings }
+   */
+  render(content, options = {}) {
+    const { data, body } = this.parseFrontMatter(content);
+    const source = this.removeExcludedContent(body, options.excludePatterns || []);
+    const env = { headings: [], linkExtension: options.linkExtension || null };
+    const html = this.md.render(source, env);
+    const firstHeading = env.headings.find(heading => heading.level === 1);
+
+    return {
+      html,
+      frontMatter: data,
+      title: data.title || firstHeading?.text || null,
+      headings: env.headings
+    };
+  }
+
+  /**
+   * markdown-it のトークン列をブロックの木に変換する（PDF・DOCX の組版と Re:VIEW への変換で使用する）
+   * @param {Array<Object>} tokens - トークン
+   * @returns {Array<Object>} ブロックの配列
+   */
+  parseBlocks(tokens) {
+    const root = { children: [] };
+    const stack = [root];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const parent = stack[stack.length - 1];
+
+      switch (token.type) {
+      case 'heading_open':
+        parent.children.push({ type: 'heading', level: Number(token.tag.slice(1)), inline: tokens[i + 1].children });
+        i += 2;
+        break;
+      case 'paragraph_open':
+        parent.children.push({ type: 'paragraph', inline: tokens[i + 1].children });
+        i += 2;
+        break;
+      case 'fence':
+      case 'code_block':
+        parent.children.push({ type: 'code', content: token.content.replace(/\n$/, ''), info: token.info.trim() });
+        break;
+      case 'hr':
+        parent.children.push({ type: 'hr' });
+        break;
+      case 'html_block':
+        parent.children.push({ type: 'html', content: token.content.replace(/\n$/, '') });
+        break;
+      case 'bullet_list_open':
+      case 'ordered_list_open':
+      case 'list_item_open':
+      case 'blockquote_open': {
+        const block = {
+          type: { bullet_list_open: 'list', ordered_list_open: 'list', list_item_open: 'item', blockquote_open: 'blockquote' }[token.type],
+          ordered: token.type === 'ordered_list_open',
+          start: Number(token.attrGet('start') || 1),
+          children: []
+        };
+        parent.children.push(block);
+        stack.push(block);
+        break;
+      }
+      case 'bullet_list_close':
+      case 'ordered_list_close':
+      case 'list_item_close':
+      case 'blockquote_close':
+        stack.pop();
+        break;
+      case 'table_open': {
+        const table = { type: 'table', rows: [] };
+        let header = false;
+        for (i++; i < tokens.length && tokens[i].type !== 'table_close'; i++) {
+          const cell = tokens[i];
+          if (cell.type === 'thead_open' || cell.type === 'thead_close') {
+            header = cell.type === 'thead_open';
+          } else if (cell.type === 'tr_open') {
+            table.rows.push({ header, cells: [] });
+          } else if (cell.type === 'th_open' || cell.type === 'td_open') {
+            const align = (cell.attrGet('style') || '').match(/text-align:\s*(\w+)/)?.[1] || 'left';
+            table.rows[table.rows.length - 1].cells.push({ align, inline: tokens[i + 1].children });
+          }
+        }
+        parent.children.push(table);
+        break;
+      }
+      default:
+        break;
+      }
+    }
+
+    return root.children;
+  }
+
+  /**
+   * Front Matter を分離する
+   * @param {string} content - Markdownの内容
+   * @returns {Object} { data, body }
+   */
+  parseFrontMatter(content) {
+    const match = content.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) {
+      return { data: {}, body: content };
+    }
+    const data = YAML.parse(match[1]) || {};
+    return { data, body: content.slice(match[0].length) };
+  }
+
+  /**
+   * contentExcludePatterns に一致するコメントを除去する
+   * @param {string} content - Markdownの内容
+   * @param {Array<string>} patterns - コメントの開始パターン
+   * @returns {string} 除去後の内容
+   */
+  removeExcludedContent(content, patterns) {
+    let result = content;
+    for (const pattern of patterns) {
+      const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      result = result.replace(new RegExp(`${escaped}.*?-->`, 'gs'), '');
+    }
+    return result;
+  }
+
+  /**
+   * 見出しテキストからアンカー用のIDを生成する
+   * @param {string} text - 見出しテキスト
+   * @returns {string} ID
+   */
+  slugify(text) {
+    return text
+      .trim()
+      .toLowerCase()
+      .replace(/[\s\u3000]+/g, '-')
+      .replace(/[^\p{L}\p{N}_-]/gu, '')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  /**
+   * 見出しにIDを付与するルールを登録する
+   */
+  installHeadingIds() {
+    this.md.core.ruler.push('heading_ids', (state) => {
+      const used = new Map();
+      const tokens = state.tokens;
+
+      for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i].type !== 'heading_open') continue;
+
+        const text = tokens[i + 1].children
+          .filter(child => child.type === 'text' || child.type === 'code_inline')
+          .map(child => child.content)
+          .join('');
+        const base = this.slugify(text) || 'section';
+        const count = used.get(base) || 0;
+        const id = count === 0 ? base : `${base}-${count}`;
+        used.set(base, count + 1);
+
+        tokens[i].attrSet('id', id);
+        state.env.headings?.push({
+          level: Number(tokens[i].tag.slice(1)),
+          text,
+          id
+        });
+      }
+    });
+  }
+
+  /**
+   * 相対リンクの .md を .html に書き換えるルールを登録する
+   * （GitHub Pages の jekyll-relative-links と同じ挙動。env.linkExtension があればその拡張子にする）
+   */
+  installLinkRewriter() {
+    const defaultRender = this.md.renderer.rules.link_open
+      || ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+
+    this.md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+      const href = tokens[idx].attrGet('href');
+      if (href && !/^[a-z][a-z0-9+.-]*:|^\/\//i.test(href)) {
+        tokens[idx].attrSet('href', env.linkExtension
+          ? href.replace(/\.md(?=#|$)/, env.linkExtension)
+          : href
+            .replace(/(^|\/)index\.md(?=#|$)/, '$1')
+            .replace(/\.md(?=#|$)/, '.html'));
+      }
+      return defaultRender(tokens, idx, options, env, self);
+    };
+  }
+}
@@ -0,0 +1,378 @@
+const STYLES = ['arabic', 'kanji', 'roman', 'letter'];
+
+const DEFAULTS = {
+  chapters: { style: 'arabic', format: '第{chapter}章' },
+  sections: { style: 'arabic', format: '{chapter}-{section}' },
+  appendices: { style: 'letter', format: '付録{appendix}' }
+};
+
+// 英語の書籍（language が en）の既定の書式
+const ENGLISH_DEFAULTS = {
+  chapters: { style: 'arabic', format: 'Chapter {chapter}' },
+  sections: { style: 'arabic', format: '{chapter}.{section}' },
+  appendices: { style: 'letter', format: 'Appendix {appendix}' }
+};
+
+// 見出しから番号を取り出す際の、形式ごとの正規表現
+const PATTERNS = {
+  arabic: '\\d+',
+  kanji: '[〇一二三四五六七八九十百千]+',
+  roman: '[IVXLCDM]+',
+  letter: '[A-Z]+'
+};
+
+const KANJI_DIGITS = ['〇', '一', '二', '三', '四', '五', '六', '七', '八', '九'];
+const KANJI_UNITS = [['千', 1000], ['百', 100], ['十', 10]];
+const ROMAN_NUMERALS = [
+  ['M', 1000], ['CM', 900], ['D', 500], ['CD', 400], ['C', 100], ['XC', 90],
+  ['L', 50], ['XL', 40], ['X', 10], ['IX', 9], ['V', 5], ['IV', 4], ['I', 1]
+];
+
+/**
+ * 章・節・付録の番号付け（build.numbering）
+ *
+ * 番号の形式（style）:
+ * - arabic: 1, 2, 3
+ * - kanji: 一, 二, 三（第四章）
+ * - roman: I, II, III
+ * - letter: A, B, C
+ *
+ * 書式（format）の {chapter}、{section}、{appendix} をそれぞれの形式の番号に置き換える
+ * build.numbering の各項目には形式名、書式（"{" を含む文字列）、または { style, format } を指定できる
+ * 書式を指定しない項目は書籍の言語に合わせる（英語は "Chapter 1"、"1.1"、"Appendix A"、それ以外は "第1章"、"1-1"、"付録A"）
+ *
+ * 例: { "chapters": "kanji", "sections": "{chapter}.{section}", "appendices": { "style": "letter", "format": "Appendix {appendix}" } }
+ */
+export class Numbering {
+  /**
+   * @param {Object} options - build.numbering（chapters, sections, appendices）
+   * @param {string} language - 書籍の言語（既定の書式とラベルの後ろの区切りを決める）
+   */
+  constructor(options = {}, language = 'ja') {
+    this.english = /^en\b/i.test(language || '');
+    this.chapters = this.normalize('chapters', options?.chapters);
+    this.sections = this.normalize('sections', options?.sections);
+    this.appendices = this.normalize('appendices', options?.appendices);
+    // 見出しのラベルとタイトルの区切り
+    this.separator = this.english ? ' ' : '\u3000';
+  }
+
+  /**
+   * 設定から番号付けを作成する（flat 形式の language、nested 形式の book.language を参照する）
+   * @param {Object} config - 設定オブジェクト
+   * @returns {Numbering} 番号付け
+   */
+  static fromConfig(config) {
+    return new Numbering(config?.build?.numbering, config?.language ?? config?.book?.language);
+  }
+
+  /**
+   * 番号付けの指定を { style, format } に揃える
+   * @param {string} kind - chapters / sections / appendices
+   * @param {string|Object} value - 形式名、書式、または { style, format }
+   * @returns {Object} { style, format }
+   */
+  normalize(kind, value) {
+    let scheme = { ...(this.english ? ENGLISH_DEFAULTS : DEFAULTS)[kind] };
+    if (typeof value === 'string') {
+      scheme = value.includes('{') ? { ...scheme, format: value } : { ...scheme, style: value };
+    } else if (value && typeof value === 'object') {
+      scheme = { ...scheme, ...value };
+    }
+
+    if (!STYLES.includes(scheme.style)) {
+      throw new Error(`build.numbering.${kind} の番号の形式が不明です: ${scheme.style}（${STYLES.join(', ')} のいずれかを指定してください）`);
+    }
+    return scheme;
+  }
+
+  /**
+   * 章番号のラベルを取得する（例: "第4章"、"第四章"）
+   * @param {number} number - 章番号（1始まり）
+   * @returns {string} ラベル
+   */
+  chapter(number) {
+    return this.apply(this.chapters.format, { chapter: this.format(number, this.chapters.style) });
+  }
+
+  /**
+   * 節番号のラベルを取得する（例: "4-1"）
+   * @param {number} chapterNumber - 章番号
+   * @param {number} sectionNumber - 節番号（1始まり）
+   * @returns {string} ラベル
+   */
+  section(chapterNumber, sectionNumber) {
+    return this.apply(this.sections.format, {
+      chapter: this.format(chapterNumber, this.chapters.style),
+      section: this.format(sectionNumber, this.sections.style)
+    });
+  }
+
+  /**
+   * 付録のラベルを取得する（例: "付録A"）
+   * @param {number} number - 付録の番号（1始まり）
+   * @param {string} letter - 設定の letter（指定した場合は形式に関係なく使用する）
+   * @returns {string} ラベル
+   */
+  appendix(number, letter = null) {
+    return this.apply(this.appendices.format, { appendix: letter || this.format(number, this.appendices.style) });
+  }
+
+  /**
+   * 章の一覧に番号（number）とラベル（label）を付ける
+   * number の指定がない章は、無効化された章（enabled: false）を除いた並び順を番号にする
+   * @param {Array<Object>} chapters - 章の配列
+   * @returns {Array<Object>} 番号を付けた章の配列（元の配列は変更しない。無効化された章のラベルは空）
+   */
+  numberChapters(chapters) {
+    let position = 0;
+    return chapters.map(chapter => {
+      if (chapter.enabled === false) {
+        return { ...chapter, number: chapter.number ?? null, label: '' };
+      }
+      position += 1;
+      const number = chapter.number ?? position;
+      return { ...chapter, number, label: this.chapter(number) };
+    });
+  }
+
+  /**
+   * 付録の一覧に番号（number）とラベル（label）を付ける（letter の指定がある付録はその記号を使用する）
+   * @param {Array<Object>} appendices - 付録の配列
+   * @returns {Array<Object>} 番号を付けた付録の配列（元の配列は変更しない。無効化された付録のラベルは空）
+   */
+  numberAppendices(appendices) {
+    let position = 0;
+    return appendices.map(appendix => {
+      if (appendix.enabled === false) {
+        return { ...appendix, number: null, label: '' };
+      }
+      position += 1;
+      return { ...appendix, number: position, label: this.appendix(position, appendix.letter) };
+    });
+  }
+
+  /**
+   * 見出しが章番号のラベルで始まる場合に、章番号とタイトルを取り出す
+   * @param {string} heading - 見出し（例: "第四章 価格戦略"）
+   * @returns {Object|null} { number, label, title }（label は見出しに書かれたラベル）
+   */
+  matchChapter(heading) {
+    const match = this.match(heading, this.chapters.format, { chapter: this.chapters.style });
+    return match && { number: this.parse(match.values.chapter, this.chapters.style), label: match.label, title: match.title };
+  }
+
+  /**
+   * 見出しが指定した章の節番号のラベルで始まる場合に、節番号とタイトルを取り出す
+   * @param {string} heading - 見出し（例: "4-1 価格の決め方"）
+   * @param {number} chapterNumber - 章番号
+   * @returns {Object|null} { number, label, title }
+   */
+  matchSection(heading, chapterNumber) {
+    const match = this.match(heading, this.sections.format, { section: this.sections.style }, {
+      chapter: this.format(chapterNumber, this.chapters.style)
+    });
+    return match && { number: this.parse(match.values.section, this.sections.style), label: match.label, title: match.title };
+  }
+
+  /**
+   * 見出しが付録のラベルで始まる場合に、付録の記号（番号）とタイトルを取り出す
+   * @param {string} heading - 見出し（例: "付録A 用語集"）
+   * @returns {Object|null} { value, label, title }（value は見出しに書かれた記号・番号）
+   */
+  matchAppendix(heading) {
+    const match = this.match(heading, this.appendices.format, { appendix: this.appendices.style });
+    return match && { value: match.values.appendix, label: match.label, title: match.title };
+  }
+
+  /**
+   * 書式に一致する見出しから値とタイトルを取り出す
+   * ラベルの後ろの空白・コロン・ピリオド・ハイフンは区切りとして扱う
+   * @param {string} heading - 見出し
+   * @param {string} format - 書式
+   * @param {Object} styles - 値を取り出すプレースホルダーと形式（例: { chapter: 'kanji' }）
+   * @param {Object} fixed - 値が決まっているプレースホルダー（例: { chapter: '四' }）
+   * @returns {Object|null} { values, label, title }（label は見出しのうち書式に一致した部分）
+   */
+  match(heading, format, styles, fixed = {}) {
+    const names = [];
+    const source = format.split(/(\{\w+\})/).map(part => {
+      const name = part.match(/^\{(\w+)\}$/)?.[1];
+      if (name && fixed[name] !== undefined) {
+        return this.escapeRegex(fixed[name]);
+      }
+      if (name && styles[name]) {
+        names.push(name);
+        return `(${PATTERNS[styles[name]]})`;
+      }
+      return this.escapeRegex(part);
+    }).join('');
+
+    const match = heading.match(new RegExp(`^(${source})(?:[\\s:：.．-]+|$)([\\s\\S]*)$`));
+    if (!match) {
+      return null;
+    }
+    return {
+      values: Object.fromEntries(names.map((name, index) => [name, match[index + 2]])),
+      label: match[1],
+      title: match[names.length + 2]
+    };
+  }
+
+  /**
+   * 書式のプレースホルダーを置き換える
+   * @param {string} format - 書式
+   * @param {Object} values - プレースホルダーの値
+   * @returns {string} 置き換えた文字列
+   */
+  apply(format, values) {
+    return format.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder);
+  }
+
+  /**
+   * 番号を指定した形式の文字列にする（範囲外の番号は算用数字で表す）
+   * @param {number} number - 番号
+   * @param {string} style - 形式
+   * @returns {string} 番号の文字列
+   */
+  format(number, style) {
+    const value = Number(number);
+    if (!Number.isInteger(value) || value < 1) {
+      return String(number);
+    }
+
+    switch (style) {
+    case 'kanji':
+      return value < 10000 ? this.toKanji(value) : String(value);
+    case 'roman':
+      return value < 4000 ? this.toRoman(value) : String(value);
+    case 'letter':
+      return this.toLetter(value);
+    default:
+      return String(value);
+    }
+  }
+
+  /**
+   * 指定した形式の番号の文字列を数値にする
+   * @param {string} text - 番号の文字列
+   * @param {string} style - 形式
+   * @returns {number} 番号
+   */
+  parse(text, style) {
+    switch (style) {
+    case 'kanji':
+      return this.fromKanji(text);
+    case 'roman':
+      return this.fromRoman(text);
+    case 'letter':
+      return this.fromLetter(text);
+    default:
+      return Number(text);
+    }
+  }
+
+  /**
+   * 漢数字にする（例: 14 → 十四、105 → 百五）
+   * @param {number} value - 1〜9999 の整数
+   * @returns {string} 漢数字
+   */
+  toKanji(value) {
+    let result = '';
+    let rest = value;
+    for (const [unit, size] of KANJI_UNITS) {
+      const digit = Math.floor(rest / size);
+      if (digit > 0) {
+        result += (digit === 1 ? '' : KANJI_DIGITS[digit]) + unit;
+      }
+      rest %= size;
+    }
+    return rest > 0 ? result + KANJI_DIGITS[rest] : result;
+  }
+
+  /**
+   * 漢数字を数値にする
+   * @param {string} text - 漢数字
+   * @returns {number} 数値
+   */
+  fromKanji(text) {
+    const units = Object.fromEntries(KANJI_UNITS);
+    let total = 0;
+    let digit = 0;
+    for (const character of text) {
+      if (units[character]) {
+        total += (digit || 1) * units[character];
+        digit = 0;
+      } else {
+        digit = KANJI_DIGITS.indexOf(character);
+      }
+    }
+    return total + digit;
+  }
+
+  /**
+   * ローマ数字にする
+   * @param {number} value - 1〜3999 の整数
+   * @returns {string} ローマ数字
+   */
+  toRoman(value) {
+    let result = '';
+    let rest = value;
+    for (const [numeral, size] of ROMAN_NUMERALS) {
+      while (rest >= size) {
+        result += numeral;
+        rest -= size;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * ローマ数字を数値にする
+   * @param {string} text - ローマ数字
+   * @returns {number} 数値
+   */
+  fromRoman(text) {
+    const values = Object.fromEntries(ROMAN_NUMERALS.filter(([numeral]) => numeral.length === 1));
+    let total = 0;
+    for (let i = 0; i < text.length; i++) {
+      const value = values[text[i]];
+      total += value < (values[text[i + 1]] || 0) ? -value : value;
+    }
+    return total;
+  }
+
+  /**
+   * アルファベットにする（26 の次は AA）
+   * @param {number} value - 1 以上の整数
+   * @returns {string} アルファベット
+   */
+  toLetter(value) {
+    let result = '';
+    let rest = value;
+    while (rest > 0) {
+      rest -= 1;
+      result = String.fromCharCode(65 + (rest % 26)) + result;
+      rest = Math.floor(rest / 26);
+    }
+    return result;
+  }
+
+  /**
+   * アルファベットを数値にする
+   * @param {string} text - アルファベット
+   * @returns {number} 数値
+   */
+  fromLetter(text) {
+    return [...text.toUpperCase()].reduce((total, character) => total * 26 + character.charCodeAt(0) - 64, 0);
+  }
+
+  /**
+   * 正規表現の特殊文字をエスケープする
+   * @param {string} string - 対象文字列
+   * @returns {string} エスケープ済み文字列
+   */
+  escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
@@ -0,0 +1,1123 @@
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import { BookStructure } from './BookStructure.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+import { Numbering } from './Numbering.js';
+import { PdfDocument } from './PdfDocument.js';
+import { SvgConverter } from './SvgConverter.js';
+import { TrueTypeFont } from './TrueTypeFont.js';
+
+// 用紙サイズ（pt）
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  B5: [515.91, 728.5],
+  A5: [419.53, 595.28]
+};
+
+// build.pdf.fonts の指定がない場合に探すフォント（TrueType アウトラインのもの）
+const FONT_CANDIDATES = {
+  regular: [
+    '/usr/share/fonts/opentype/ipaexfont-gothic/ipaexg.ttf',
+    '/usr/share/fonts/truetype/ipaexfont-gothic/ipaexg.ttf',
+    '/usr/share/fonts/truetype/fonts-japanese-gothic.ttf',
+    '/usr/share/fonts/opentype/ipafont-gothic/ipagp.ttf',
+    '/usr/share/fonts/truetype/takao-gothic/TakaoPGothic.ttf',
+    '/usr/share/fonts/truetype/vlgothic/VL-PGothic-Regular.ttf',
+    '/Library/Fonts/ipaexg.ttf',
+    '/System/Library/Fonts/Supplemental/Arial Unicode.ttf',
+    'C:\\Windows\\Fonts\\meiryo.ttc',
+    'C:\\Windows\\Fonts\\msgothic.ttc'
+  ],
+  bold: [
+    'C:\\Windows\\Fonts\\meiryob.ttc'
+  ],
+  monospace: [
+    '/usr/share/fonts/opentype/ipafont-gothic/ipag.ttf',
+    '/usr/share/fonts/truetype/takao-gothic/TakaoGothic.ttf',
+    '/usr/share/fonts/truetype/dejavu/DejaVuSansMono.ttf',
+    '/Library/Fonts/ipag.ttf',
+    'C:\\Windows\\Fonts\\consola.ttf'
+  ]
+};
+
+// 行頭に置かない文字（行末にぶら下げる）
+const LINE_START_PROHIBITED = '、。，．,.・：；:;？！?!ー）」』】〕］｝〉》)]}’”ぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ々…‥〜～';
+
+// 行末に置かない文字（次の行へ送る）
+const LINE_END_PROHIBITED = '（「『【〔［｛〈《([{‘“';
+
+// 行分割の単位: 空白、和文は1文字ずつ、欧文は単語ごと
+const PIECE_PATTERN = /\s+|[\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]|[^\s\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]+/gu;
+const CJK_PATTERN = /[\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]/u;
+
+const COLORS = {
+  text: '0.1 0.1 0.1',
+  muted: '0.4 0.4 0.4',
+  link: '0.1 0.3 0.65',
+  code: '0.55 0.1 0.25',
+  rule: '0.75 0.75 0.75',
+  background: '0.95 0.95 0.95'
+};
+
+// 見出しの文字サイズ（本文に対する倍率）
+const HEADING_SCALES = { 1: 1.9, 2: 1.4, 3: 1.2, 4: 1.05, 5: 1, 6: 1 };
+
+/**
+ * PDF ビルダー - ブラウザーを使わずに structure の原稿からPDFを生成する
+ * 扉（book.* の書籍情報）、ページ番号付きの目次、章タイトルの柱、SVGの図版、日本語フォントの埋め込みに対応する
+ * 図表番号は build.figureNumbering / build.tableNumbering に従い、章番号（付録は記号）ごとに振る
+ * ビルド中のページと描画位置はインスタンスに保持する
+ */
+export class PdfBuilder {
+  constructor() {
+    this.bookStructure = new BookStructure();
+    this.fsUtils = new FileSystemUtils();
+    this.markdownRenderer = new MarkdownRenderer();
+  }
+
+  /**
+   * 設定の構成に従ってPDFを生成する
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Object} options - オプション
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @param {string} options.outputFile - 出力するPDFファイルのパス（省略時は dist/<slug>.pdf）
+   * @param {string} options.assetsDir - アセットディレクトリ（省略時はソースと同階層の assets）
+   * @param {Date} options.date - 作成日時
+   * @returns {Object} ビルド結果 { entries, outputFile, pages }
+   */
+  async build(config, options = {}) {
+    const sourceDir = options.sourceDir || 'src';
+    const rootDir = path.dirname(path.resolve(sourceDir));
+    const outputFile = options.outputFile || this.getOutputFile(config);
+    const assetsDir = path.resolve(options.assetsDir || path.join(rootDir, 'assets'));
+    const pdfConfig = config.build?.pdf || {};
+
+    const pageSize = pdfConfig.pageSize || 'A4';
+    if (!PAGE_SIZES[pageSize]) {
+      throw new Error(`build.pdf.pageSize は ${Object.keys(PAGE_SIZES).join('、')} のいずれかである必要があります: ${pageSize}`);
+    }
+
+    const entries = this.bookStructure.getEntries(config);
+    if (entries.length === 0) {
+      throw new Error('ビルド対象のページが設定されていません (structure.chapters を確認してください)');
+    }
+
+    // 設定に記載されたファイルがすべて存在するか先に確認する
+    const missing = [];
+    for (const entry of entries) {
+      if (!(await this.fsUtils.exists(path.join(sourceDir, entry.source)))) {
+        missing.push(entry.source);
+      }
+    }
+    if (missing.length > 0) {
+      throw new Error(`設定に記載されたファイルが見つかりません: ${missing.join(', ')}`);
+    }
+
+    const [width, height] = PAGE_SIZES[pageSize];
+    this.layout = this.createLayout(width, height);
+    this.document = new PdfDocument({
+      width,
+      height,
+      date: options.date,
+      info: {
+        title: config.title,
+        author: config.author,
+        subject: config.description,
+        keywords: Array.isArray(config.keywords) ? config.keywords.join(', ') : config.keywords,
+        creator: 'book-formatter',
+        language: config.language || 'ja'
+      }
+    });
+    this.faces = await this.loadFonts(pdfConfig.fonts || {}, rootDir);
+    this.numbering = Numbering.fromConfig(config);
+    this.images = new Map();
+    this.missingChars = new Set();
+    this.toc = [];
+    this.pages = [];
+
+    for (const entry of entries) {
+      await this.renderEntry(config, entry, { sourceDir, assetsDir });
+    }
+    const bodyPages = this.pages;
+
+    // 扉と目次は本文のページ番号が決まってから組む
+    this.pages = [];
+    this.renderTitlePage(config);
+    this.renderToc();
+    const frontPages = this.pages;
+
+    this.assemble(frontPages, bodyPages);
+
+    if (this.missingChars.size > 0) {
+      console.log(`⚠️  フォントにない文字があります: ${[...this.missingChars].slice(0, 20).join('')}${this.missingChars.size > 20 ? ' ...' : ''}`);
+    }
+
+    await fs.outputFile(outputFile, this.document.toBuffer());
+    console.log(`✅ PDFを生成しました: ${frontPages.length + bodyPages.length}ページ、図版${this.images.size}点`);
+
+    return { entries, outputFile, pages: frontPages.length + bodyPages.length };
+  }
+
+  /**
+   * 既定の出力先 dist/<slug>.pdf を取得する
+   * slug は build.pdf.slug、なければ書名から作る（テンプレートの slug ヘルパーと同じ規則）
+   * @param {Object} config - 設定オブジェクト
+   * @returns {string} 出力先のパス
+   */
+  getOutputFile(config) {
+    const slug = config.build?.pdf?.slug || String(config.title || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\u3040-\u309f\u30a0-\u30ff\u4e00-\u9faf]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+    return path.join('dist', `${slug || 'book'}.pdf`);
+  }
+
+  /**
+   * 用紙サイズから版面を決める
+   * @param {number} width - ページの幅（pt）
+   * @param {number} height - ページの高さ（pt）
+   * @returns {Object} 版面 { width, height, top, bottom, left, right, contentWidth, fontSize, lineHeight }
+   */
+  createLayout(width, height) {
+    const fontSize = width < 500 ? 9 : 10;
+    const side = Math.round(width * 0.11);
+    return {
+      width,
+      height,
+      top: Math.round(height * 0.09),
+      bottom: Math.round(height * 0.08),
+      left: side,
+      right: side,
+      contentWidth: width - side * 2,
+      fontSize,
+      lineHeight: fontSize * 1.75
+    };
+  }
+
+  /**
+   * フォントを読み込み、PDFに登録する
+   * 太字の指定がなければ本文のフォントを擬似太字にし、等幅の指定がなければ本文のフォントを使用する
+   * @param {Object} fonts - build.pdf.fonts { regular, bold, monospace }（書籍のルートからの相対パス）
+   * @param {string} rootDir - 書籍のルートディレクトリ
+   * @returns {Object} 書体 → { font, name, fakeBold }
+   */
+  async loadFonts(fonts, rootDir) {
+    const resolve = async (kind) => {
+      if (fonts[kind]) {
+        const file = path.resolve(rootDir, fonts[kind]);
+        if (!(await this.fsUtils.exists(file))) {
+          throw new Error(`build.pdf.fonts.${kind} のフォントが見つかりません: ${fonts[kind]}`);
+        }
+        return TrueTypeFont.load(file);
+      }
+      // 本文のフォントを指定した場合は、ほかの書体もシステムからは探さない
+      const candidates = fonts.regular ? [] : FONT_CANDIDATES[kind];
+      for (const candidate of candidates) {
+        if (await this.fsUtils.exists(candidate)) {
+          return TrueTypeFont.load(candidate);
+        }
+      }
+      return null;
+    };
+
+    const regular = await resolve('regular');
+    if (!regular) {
+      throw new Error('PDFに埋め込むフォントが見つかりません。build.pdf.fonts.regular に日本語を含む TrueType フォント (.ttf / .ttc) を指定してください');
+    }
+    const bold = await resolve('bold');
+    const monospace = await resolve('monospace');
+
+    const face = (font, fakeBold = false) => ({ font, name: this.document.addFont(font), fakeBold });
+    return {
+      regular: face(regular),
+      bold: bold ? face(bold) : face(regular, true),
+      monospace: face(monospace || regular),
+      fallbackBold: face(regular, true)
+    };
+  }
+
+  /**
+   * 原稿1ファイルを組版する（改ページして始める）
+   * @param {Object} config - 設定オブジェクト
+   * @param {Object} entry - ページ情報
+   * @param {Object} paths - { sourceDir, assetsDir }
+   */
+  async renderEntry(config, entry, paths) {
+    const sourceFile = path.join(paths.sourceDir, entry.source);
+    const content = await this.fsUtils.readFile(sourceFile);
+    const { data, body } = this.markdownRenderer.parseFrontMatter(content);
+    const source = this.markdownRenderer.removeExcludedContent(body, config.contentExcludePatterns || []);
+    const env = { headings: [] };
+    const blocks = this.markdownRenderer.parseBlocks(this.markdownRenderer.md.parse(source, env));
+
+    const title = data.title || env.headings.find(heading => heading.level === 1)?.text || entry.title || entry.id;
+    const header = entry.label && !title.startsWith(entry.label) ? `${entry.label}\u3000${title}` : title;
+
+    // 図表番号の接頭辞: 章は章番号、付録は記号（例: 図3-1、図A-1）
+    let prefix = '';
+    if (entry.section === 'chapters') {
+      prefix = `${entry.number}-`;
+    } else if (entry.section === 'appendices') {
+      prefix = `${entry.letter || this.numbering.format(entry.number, this.numbering.appendices.style)}-`;
+    }
+
+    this.header = header;
+    this.startPage();
+    this.page.opening = true;
+    const context = { indent: 0, sourceFile, assetsDir: paths.assetsDir, prefix, counters: { figures: 0, tables: 0 }, numbering: config.build || {} };
+
+    if (!blocks.some(block => block.type === 'heading' && block.level === 1)) {
+      this.renderHeading({ level: 1, inline: [{ type: 'text', content: header }] }, context);
+    }
+    for (const block of blocks) {
+      await this.renderBlock(block, context);
+    }
+  }
+
+  /**
+   * ブロックを組版する
+   * @param {Object} block - ブロック
+   * @param {Object} context - 組版の情報 { indent, sourceFile, assetsDir, prefix, counters, numbering, marker, tight, color }
+   */
+  async renderBlock(block, context) {
+    const { fontSize, lineHeight } = this.layout;
+
+    switch (block.type) {
+    case 'heading':
+      this.renderHeading(block, context);
+      break;
+    case 'paragraph': {
+      const media = block.inline.filter(token => token.type !== 'softbreak' && !(token.type === 'text' && token.content.trim() === ''));
+      if (media.length === 1 && media[0].type === 'image') {
+        await this.renderFigure(media[0], context);
+        break;
+      }
+      const lines = this.breakLines(this.inlineRuns(block.inline, context.color), this.layout.contentWidth - context.indent, fontSize);
+      this.drawLines(lines, { x: this.layout.left + context.indent, size: fontSize, lineHeight, marker: context.marker });
+      context.marker = null;
+      this.y += context.tight ? fontSize * 0.3 : fontSize * 0.8;
+      break;
+    }
+    case 'list': {
+      const markerWidth = fontSize * (block.ordered ? 2.2 : 1.5);
+      const bullet = this.faces.regular.font.hasGlyph('•') ? '•' : '・';
+      for (const [index, item] of block.children.entries()) {
+        const itemContext = {
+          ...context,
+          indent: context.indent + markerWidth,
+          tight: true,
+          marker: { text: block.ordered ? `${block.start + index}.` : bullet, width: markerWidth }
+        };
+        for (const child of item.children) {
+          await this.renderBlock(child, itemContext);
+        }
+      }
+      if (!context.tight) this.y += fontSize * 0.5;
+      break;
+    }
+    case 'blockquote': {
+      const start = { page: this.pages.length - 1, y: this.y };
+      const quoteContext = { ...context, indent: context.indent + fontSize * 1.5, color: COLORS.muted };
+      for (const child of block.children) {
+        await this.renderBlock(child, quoteContext);
+      }
+
+      // 引用の左側の線は改ページをまたぐ場合はページごとに引く
+      const x = this.layout.left + context.indent + fontSize * 0.4;
+      for (let index = start.page; index < this.pages.length; index++) {
+        const top = index === start.page ? start.y : this.layout.top;
+        const bottom = index === this.pages.length - 1 ? this.y - fontSize * 0.8 : this.layout.height - this.layout.bottom;
+        this.pages[index].content.push(this.rule(x, top, x, bottom, COLORS.rule, 2));
+      }
+      break;
+    }
+    case 'code':
+      this.renderCode(block.content, context);
+      break;
+    case 'table':
+      this.renderTable(block, context);
+      break;
+    case 'hr':
+      this.ensureSpace(lineHeight);
+      this.page.content.push(this.rule(this.layout.left + context.indent, this.y + lineHeight / 2, this.layout.width - this.layout.right, this.y + lineHeight / 2, COLORS.rule, 0.5));
+      this.y += lineHeight;
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * 見出しを組版する（章・節の見出しは目次としおりに登録する）
+   * @param {Object} block - 見出しのブロック { level, inline }
+   * @param {Object} context - 組版の情報
+   */
+  renderHeading(block, context) {
+    const { fontSize } = this.layout;
+    const size = fontSize * HEADING_SCALES[block.level];
+    const lineHeight = size * 1.5;
+    const text = this.plainText(block.inline);
+    const lines = this.breakLines([{ text, style: 'bold' }], this.layout.contentWidth - context.indent, size);
+
+    if (!this.page.empty) {
+      this.y += size * 0.8;
+    }
+    // 見出しだけがページ末に残らないよう、本文2行分の余白も確保する
+    this.ensureSpace(lines.length * lineHeight + this.layout.lineHeight * 2);
+    if (block.level <= 2) {
+      this.toc.push({ title: text, level: block.level - 1, page: this.pages.length - 1, y: this.y });
+    }
+
+    this.drawLines(lines, { x: this.layout.left + context.indent, size, lineHeight });
+    if (block.level === 1) {
+      this.page.content.push(this.rule(this.layout.left, this.y + size * 0.2, this.layout.width - this.layout.right, this.y + size * 0.2, COLORS.text, 1));
+      this.y += size * 1.2;
+    } else {
+      this.y += size * 0.4;
+    }
+  }
+
+  /**
+   * 図版を組版する（build.figureNumbering が有効なら図番号を付ける）
+   * @param {Object} token - markdown-it の image トークン
+   * @param {Object} context - 組版の情報
+   */
+  async renderFigure(token, context) {
+    const src = token.attrGet('src');
+    const alt = this.plainText(token.children || []) || token.content || '';
+    const image = await this.loadImage(src, context);
+    if (!image) return;
+
+    const { fontSize } = this.layout;
+    const maxWidth = this.layout.contentWidth - context.indent;
+    const maxHeight = (this.layout.height - this.layout.top - this.layout.bottom) * 0.6;
+    // SVG・画像の 1px は 0.75pt として、版面に収まるよう縮小する
+    const scale = Math.min(0.75, maxWidth / image.width, maxHeight / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+
+    let caption = alt;
+    if (context.numbering.figureNumbering) {
+      context.counters.figures += 1;
+      caption = `図${context.prefix}${context.counters.figures}${alt ? `\u3000${alt}` : ''}`;
+    }
+    const captionSize = fontSize * 0.9;
+    const captionLines = caption ? this.breakLines([{ text: caption, style: 'regular' }], maxWidth, captionSize) : [];
+
+    this.ensureSpace(height + captionLines.length * captionSize * 1.6 + fontSize);
+    const x = this.layout.left + context.indent + (maxWidth - width) / 2;
+    // 画像は単位正方形、フォーム（SVG）は px 単位の座標系で描かれる
+    const [scaleX, scaleY] = image.form ? [scale, scale] : [width, height];
+    this.page.content.push(`q ${this.number(scaleX)} 0 0 ${this.number(scaleY)} ${this.number(x)} ${this.number(this.layout.height - this.y - height)} cm /${image.name} Do Q`);
+    this.y += height + fontSize * 0.4;
+    this.drawLines(captionLines, { x: this.layout.left + context.indent, width: maxWidth, size: captionSize, lineHeight: captionSize * 1.6, align: 'center' });
+    this.y += fontSize;
+  }
+
+  /**
+   * 画像を読み込み、PDFに登録する（SVG、PNG、JPEG に対応）
+   * @param {string} src - 画像の参照先
+   * @param {Object} context - 組版の情報 { sourceFile, assetsDir }
+   * @returns {Object|null} { name, width, height, form }（読み込めない場合は null）
+   */
+  async loadImage(src, context) {
+    if (!src || /^[a-z][a-z0-9+.-]*:|^\/\//i.test(src)) {
+      console.log(`⚠️  外部の画像はPDFに取り込めません: ${src}`);
+      return null;
+    }
+
+    // "/assets/..." はサイトのルートからのパスとしてアセットディレクトリを参照する
+    const file = src.startsWith('/assets/')
+      ? path.join(context.assetsDir, decodeURI(src.slice('/assets/'.length)))
+      : path.resolve(path.dirname(context.sourceFile), decodeURI(src));
+    if (this.images.has(file)) {
+      return this.images.get(file);
+    }
+    if (!(await this.fsUtils.exists(file))) {
+      console.log(`⚠️  画像が見つかりません: ${src} (${path.basename(context.sourceFile)})`);
+      return null;
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    let image;
+    try {
+      if (extension === '.svg') {
+        const converter = new SvgConverter({ text: options => this.drawSvgText(options) });
+        const { width, height, content } = converter.convert(await this.fsUtils.readFile(file));
+        image = { name: this.document.addForm({ width, height, content }), width, height, form: true };
+      } else if (extension === '.png') {
+        const png = this.decodePng(await fs.readFile(file));
+        image = { name: this.document.addImage(png), width: png.width, height: png.height };
+      } else if (extension === '.jpg' || extension === '.jpeg') {
+        const jpeg = this.readJpeg(await fs.readFile(file));
+        image = { name: this.document.addImage(jpeg), width: jpeg.width, height: jpeg.height };
+      } else {
+        console.log(`⚠️  PDFに取り込めない画像の形式です: ${src}`);
+        return null;
+      }
+    } catch (error) {
+      console.log(`⚠️  画像を取り込めませんでした: ${src} (${error.message})`);
+      return null;
+    }
+
+    this.images.set(file, image);
+    return image;
+  }
+
+  /**
+   * SVG 内のテキストの描画命令を生成する（SvgConverter から呼ばれる）
+   * @param {Object} options - { text, x, y, size, bold, anchor, color }
+   * @returns {string} 描画命令
+   */
+  drawSvgText({ text, x, y, size, bold, anchor, color }) {
+    const style = bold ? 'bold' : 'regular';
+    const width = this.measure(text, style, size);
+    const offset = { middle: width / 2, end: width }[anchor] || 0;
+    return this.showText(text, style, x - offset, y, size, color.map(value => this.number(value)).join(' '), true);
+  }
+
+  /**
+   * 表を組版する（build.tableNumbering が有効なら表番号を付ける）
+   * 列幅は内容の幅に合わせ、版面に収まらない場合は比例して縮め、セル内で折り返す
+   * @param {Object} table - 表のブロック { rows }
+   * @param {Object} context - 組版の情報
+   */
+  renderTable(table, context) {
+    const { fontSize } = this.layout;
+    const size = fontSize * 0.9;
+    const lineHeight = size * 1.6;
+    const padding = size * 0.5;
+    const maxWidth = this.layout.contentWidth - context.indent;
+    const columns = Math.max(...table.rows.map(row => row.cells.length));
+    if (columns <= 0) return;
+
+    const rows = table.rows.map(row => ({
+      header: row.header,
+      cells: row.cells.map(cell => ({ ...cell, runs: this.inlineRuns(cell.inline, null, row.header ? 'bold' : 'regular') }))
+    }));
+    const natural = Array(columns).fill(size * 2);
+    for (const row of rows) {
+      row.cells.forEach((cell, index) => {
+        const width = cell.runs.reduce((sum, run) => sum + (run.text ? this.measure(run.text, run.style, size) : 0), 0);
+        natural[index] = Math.max(natural[index], width + padding * 2);
+      });
+    }
+    const total = natural.reduce((sum, width) => sum + width, 0);
+    const widths = natural.map(width => total > maxWidth ? width * maxWidth / total : width);
+    const tableWidth = widths.reduce((sum, width) => sum + width, 0);
+
+    if (context.numbering.tableNumbering) {
+      context.counters.tables += 1;
+      this.ensureSpace(lineHeight * 3);
+      this.drawLines([this.toLine([{ text: `表${context.prefix}${context.counters.tables}`, style: 'bold' }], size)], {
+        x: this.layout.left + context.indent,
+        width: tableWidth,
+        size,
+        lineHeight,
+        align: 'center'
+      });
+    }
+
+    for (const row of rows) {
+      const cellLines = row.cells.map((cell, index) => this.breakLines(cell.runs, widths[index] - padding * 2, size));
+      const height = Math.max(1, ...cellLines.map(lines => lines.length)) * lineHeight + padding;
+      this.ensureSpace(height);
+
+      const top = this.y;
+      let x = this.layout.left + context.indent;
+      const bottom = this.layout.height - top - height;
+      if (row.header) {
+        this.page.content.push(`${COLORS.background} rg ${this.number(x)} ${this.number(bottom)} ${this.number(tableWidth)} ${this.number(height)} re f`);
+      }
+      for (let index = 0; index < columns; index++) {
+        this.page.content.push(`${COLORS.rule} RG 0.5 w ${this.number(x)} ${this.number(bottom)} ${this.number(widths[index])} ${this.number(height)} re S`);
+        this.y = top + padding / 2;
+        this.drawLines(cellLines[index] || [], {
+          x: x + padding,
+          width: widths[index] - padding * 2,
+          size,
+          lineHeight,
+          align: row.cells[index]?.align
+        });
+        x += widths[index];
+      }
+      this.y = top + height;
+    }
+    this.y += fontSize * 0.8;
+  }
+
+  /**
+   * コードブロックを組版する（等幅フォント、長い行は文字単位で折り返す）
+   * @param {string} content - コード
+   * @param {Object} context - 組版の情報
+   */
+  renderCode(content, context) {
+    const size = this.layout.fontSize * 0.85;
+    const lineHeight = size * 1.5;
+    const padding = size * 0.6;
+    const x = this.layout.left + context.indent;
+    const width = this.layout.contentWidth - context.indent;
+
+    const lines = [];
+    for (const text of content.replace(/\t/g, '    ').split('\n')) {
+      let current = '';
+      let currentWidth = 0;
+      for (const char of text) {
+        const charWidth = this.measure(char, 'monospace', size);
+        if (currentWidth + charWidth > width - padding * 2 && current) {
+          lines.push(current);
+          current = '';
+          currentWidth = 0;
+        }
+        current += char;
+        currentWidth += charWidth;
+      }
+      lines.push(current);
+    }
+
+    this.y += padding / 2;
+    lines.forEach((text, index) => {
+      // 背景はページをまたぐ場合も途切れないよう1行ずつ塗る
+      const top = index === 0 ? padding : 0;
+      const bottom = index === lines.length - 1 ? padding : 0;
+      this.ensureSpace(lineHeight + top + bottom);
+      this.page.content.push(`${COLORS.background} rg ${this.number(x)} ${this.number(this.layout.height - this.y - lineHeight - top - bottom)} ${this.number(width)} ${this.number(lineHeight + top + bottom)} re f`);
+      this.y += top;
+      const baseline = this.y + (lineHeight - size) / 2 + size * 0.85;
+      this.page.content.push(this.showText(text, 'monospace', x + padding, baseline, size, COLORS.text));
+      this.y += lineHeight + bottom;
+    });
+    this.y += this.layout.fontSize * 0.8;
+  }
+
+  /**
+   * 扉を組版する（書名、副題、著者、出版社、版、著作権表示）
+   * @param {Object} config - 設定オブジェクト
+   */
+  renderTitlePage(config) {
+    const { fontSize, contentWidth, left, height } = this.layout;
+    this.header = null;
+    this.startPage();
+
+    const center = (text, size, style = 'regular', color = COLORS.text) => {
+      const lines = this.breakLines([{ text, style }], contentWidth, size);
+      this.drawLines(lines, { x: left, width: contentWidth, size, lineHeight: size * 1.5, align: 'center', color });
+    };
+
+    this.y = height * 0.3;
+    center(config.title || '', fontSize * 2.4, 'bold');
+    if (config.subtitle) {
+      this.y += fontSize;
+      center(config.subtitle, fontSize * 1.4, 'regular', COLORS.muted);
+    }
+
+    this.y = height * 0.6;
+    if (config.author) {
+      center(`${config.author}${config.authorInfo?.organization ? `（${config.authorInfo.organization}）` : ''}`, fontSize * 1.3);
+    }
+    if (config.version) {
+      center(`第${config.version}版`, fontSize, 'regular', COLORS.muted);
+    }
+
+    this.y = height - this.layout.bottom - fontSize * 4;
+    if (config.publisher) {
+      center(config.publisher, fontSize * 1.2);
+    }
+    if (config.copyright) {
+      center(config.copyright, fontSize * 0.8, 'regular', COLORS.muted);
+    }
+  }
+
+  /**
+   * 目次を組版する（ページ番号は本文の1ページ目を1とする）
+   */
+  renderToc() {
+    const { fontSize, left, contentWidth } = this.layout;
+    this.startPage();
+    this.renderHeading({ level: 1, inline: [{ type: 'text', content: '目次' }] }, { indent: 0 });
+    // 目次自身は目次・しおりに含めない
+    this.toc.pop();
+
+    for (const item of this.toc) {
+      const size = item.level === 0 ? fontSize * 1.05 : fontSize * 0.95;
+      const style = item.level === 0 ? 'bold' : 'regular';
+      const indent = item.level === 0 ? 0 : fontSize * 2;
+      const lineHeight = size * 1.9;
+      const pageNumber = String(item.page + 1);
+      const numberWidth = this.measure(pageNumber, 'regular', size);
+      const lines = this.breakLines([{ text: item.title, style }], contentWidth - indent - fontSize * 4, size);
+
+      if (item.level === 0) this.y += size * 0.4;
+      this.ensureSpace(lines.length * lineHeight);
+      this.drawLines(lines, { x: left + indent, size, lineHeight });
+
+      // 最後の行の末尾からページ番号まで点線でつなぐ
+      const baseline = this.y - lineHeight + (lineHeight - size) / 2 + size * 0.88;
+      const lastWidth = lines[lines.length - 1]?.width || 0;
+      const right = left + contentWidth;
+      this.page.content.push(`q [0.5 2.5] 0 d ${this.rule(left + indent + lastWidth + size * 0.5, baseline, right - numberWidth - size * 0.5, baseline, COLORS.muted, 0.8)} Q`);
+      this.page.content.push(this.showText(pageNumber, 'regular', right - numberWidth, baseline, size, COLORS.text));
+    }
+  }
+
+  /**
+   * 扉・目次と本文のページをPDFにまとめ、柱・ノンブル・しおり・ページラベルを付ける
+   * @param {Array<Object>} frontPages - 扉と目次のページ
+   * @param {Array<Object>} bodyPages - 本文のページ
+   */
+  assemble(frontPages, bodyPages) {
+    const { width, height, left, right, top, bottom, fontSize } = this.layout;
+    const size = fontSize * 0.8;
+
+    for (const page of frontPages) {
+      this.document.addPage().content.push(...page.content);
+    }
+    bodyPages.forEach((page, index) => {
+      const content = [...page.content];
+      // 章の最初のページには柱を付けない
+      if (page.header && !page.opening) {
+        content.push(this.showText(page.header, 'regular', left, top - size * 2, size, COLORS.muted));
+        content.push(this.rule(left, top - size * 1.3, width - right, top - size * 1.3, COLORS.rule, 0.5));
+      }
+      const pageNumber = String(index + 1);
+      content.push(this.showText(pageNumber, 'regular', (width - this.measure(pageNumber, 'regular', size)) / 2, height - bottom / 2, size, COLORS.muted));
+      this.document.addPage().content.push(...content);
+    });
+
+    for (const item of this.toc) {
+      this.document.addOutline({ title: item.title, page: frontPages.length + item.page, y: height - item.y, level: item.level });
+    }
+    // 扉は番号なし、目次はローマ数字、本文は1から
+    this.document.setPageLabels([
+      { start: 0, style: null },
+      ...(frontPages.length > 1 ? [{ start: 1, style: 'r' }] : []),
+      { start: frontPages.length, style: 'D' }
+    ]);
+  }
+
+  /**
+   * 新しいページを始める
+   */
+  startPage() {
+    this.page = { content: [], header: this.header, opening: false, empty: true };
+    this.pages.push(this.page);
+    this.y = this.layout.top;
+  }
+
+  /**
+   * 指定した高さが現在のページに収まらなければ改ページする
+   * @param {number} height - 必要な高さ（pt）
+   * @returns {boolean} 改ページした場合true
+   */
+  ensureSpace(height) {
+    this.page.empty = false;
+    if (this.y + height > this.layout.height - this.layout.bottom && this.y > this.layout.top) {
+      this.startPage();
+      this.page.empty = false;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 行を描画する
+   * @param {Array<Object>} lines - breakLines の結果
+   * @param {Object} options - { x, width, size, lineHeight, align, color, marker }
+   */
+  drawLines(lines, options) {
+    const { x, size, lineHeight, marker } = options;
+    lines.forEach((line, index) => {
+      this.ensureSpace(lineHeight);
+      const baseline = this.y + (lineHeight - size) / 2 + size * 0.88;
+      let cursor = x;
+      if (options.align === 'center') cursor += (options.width - line.width) / 2;
+      if (options.align === 'right') cursor += options.width - line.width;
+
+      if (index === 0 && marker) {
+        this.page.content.push(this.showText(marker.text, 'regular', x - marker.width + size * 0.3, baseline, size, COLORS.text));
+      }
+      for (const segment of this.mergePieces(line.pieces)) {
+        this.page.content.push(this.showText(segment.text, segment.style, cursor, baseline, size, options.color || segment.color || COLORS.text));
+        cursor += segment.width;
+      }
+      this.y += lineHeight;
+    });
+  }
+
+  /**
+   * 行内のトークンを書体付きの文字列の並びに変換する
+   * @param {Array<Object>} children - inline トークンの子
+   * @param {string} color - 文字色（省略時は書体ごとの色）
+   * @param {string} baseStyle - 基本の書体
+   * @returns {Array<Object>} { text, style, color } または { newline } / { softbreak } の配列
+   */
+  inlineRuns(children, color = null, baseStyle = 'regular') {
+    const runs = [];
+    let bold = 0;
+    let link = 0;
+
+    for (const token of children) {
+      const style = bold > 0 ? 'bold' : baseStyle;
+      switch (token.type) {
+      case 'text':
+        runs.push({ text: token.content, style, color: color || (link > 0 ? COLORS.link : null) });
+        break;
+      case 'code_inline':
+        runs.push({ text: token.content, style: 'monospace', color: color || COLORS.code });
+        break;
+      case 'image':
+        runs.push({ text: this.plainText(token.children || []), style, color });
+        break;
+      case 'strong_open':
+        bold += 1;
+        break;
+      case 'strong_close':
+        bold -= 1;
+        break;
+      case 'link_open':
+        link += 1;
+        break;
+      case 'link_close':
+        link -= 1;
+        break;
+      case 'softbreak':
+        runs.push({ softbreak: true });
+        break;
+      case 'hardbreak':
+        runs.push({ newline: true });
+        break;
+      case 'html_inline':
+        if (/^<br\s*\/?>$/i.test(token.content)) runs.push({ newline: true });
+        break;
+      default:
+        break;
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * 行内のトークンから文字列だけを取り出す
+   * @param {Array<Object>} children - inline トークンの子
+   * @returns {string} 文字列
+   */
+  plainText(children) {
+    return children
+      .map(token => token.type === 'text' || token.type === 'code_inline' ? token.content : token.type === 'softbreak' ? ' ' : '')
+      .join('')
+      .trim();
+  }
+
+  /**
+   * 文字列の並びを指定した幅で行に分割する
+   * 和文は1文字単位、欧文は単語単位で折り返し、句読点などの行頭禁則（ぶら下げ）と括弧の行末禁則を行う
+   * @param {Array<Object>} runs - inlineRuns の結果
+   * @param {number} width - 行の幅（pt）
+   * @param {number} size - 文字サイズ（pt）
+   * @returns {Array<Object>} 行 { pieces, width } の配列
+   */
+  breakLines(runs, width, size) {
+    const pieces = [];
+    for (const run of runs) {
+      if (run.newline || run.softbreak) {
+        pieces.push(run);
+        continue;
+      }
+      for (const text of run.text.match(PIECE_PATTERN) || []) {
+        pieces.push({ text, style: run.style, color: run.color, space: /^\s+$/.test(text) });
+      }
+    }
+
+    // 原稿の改行は、和文どうしの間では詰め、欧文の間では空白にする
+    const resolved = pieces.flatMap((piece, index) => {
+      if (!piece.softbreak) return [piece];
+      const before = pieces[index - 1]?.text || '';
+      const after = pieces[index + 1]?.text || '';
+      if (!before || !after || CJK_PATTERN.test(before.slice(-1)) || CJK_PATTERN.test(after[0])) return [];
+      return [{ text: ' ', style: pieces[index - 1].style, space: true }];
+    });
+
+    const lines = [];
+    let line = [];
+    let lineWidth = 0;
+    const append = (piece) => {
+      piece.width = this.measure(piece.text, piece.style, size);
+      line.push(piece);
+      lineWidth += piece.width;
+    };
+    const pushLine = () => {
+      while (line.length > 0 && line[line.length - 1].space) line.pop();
+      lines.push(this.toLine(line));
+      line = [];
+      lineWidth = 0;
+    };
+
+    for (const piece of resolved) {
+      if (piece.newline) {
+        pushLine();
+        continue;
+      }
+      if (piece.space && line.length === 0 && lines.length > 0) continue;
+
+      const pieceWidth = this.measure(piece.text, piece.style, size);
+      if (lineWidth + pieceWidth <= width || piece.space || line.length === 0 && pieceWidth <= width) {
+        append(piece);
+      } else if (line.length > 0 && piece.text.length === 1 && LINE_START_PROHIBITED.includes(piece.text)) {
+        append(piece);
+      } else if (pieceWidth > width) {
+        // 1行に収まらない長い語は文字単位で分割する
+        for (const char of piece.text) {
+          if (lineWidth + this.measure(char, piece.style, size) > width && line.length > 0) pushLine();
+          append({ ...piece, text: char });
+        }
+      } else {
+        const carried = [];
+        while (line.length > 1 && LINE_END_PROHIBITED.includes(line[line.length - 1].text)) {
+          carried.unshift(line.pop());
+        }
+        pushLine();
+        carried.forEach(append);
+        append(piece);
+      }
+    }
+    if (line.length > 0 || lines.length === 0) pushLine();
+
+    return lines;
+  }
+
+  /**
+   * 行の情報を作成する
+   * @param {Array<Object>} pieces - 行の要素 { text, style, color, width }
+   * @param {number} size - 文字サイズ（幅が未計算の要素がある場合に使用）
+   * @returns {Object} { pieces, width }
+   */
+  toLine(pieces, size) {
+    for (const piece of pieces) {
+      if (piece.width === undefined) piece.width = this.measure(piece.text, piece.style, size);
+    }
+    return { pieces, width: pieces.reduce((sum, piece) => sum + piece.width, 0) };
+  }
+
+  /**
+   * 同じ書体・色の連続する要素をまとめる
+   * @param {Array<Object>} pieces - 行の要素
+   * @returns {Array<Object>} まとめた要素
+   */
+  mergePieces(pieces) {
+    const segments = [];
+    for (const piece of pieces) {
+      const last = segments[segments.length - 1];
+      if (last && last.style === piece.style && last.color === piece.color) {
+        last.text += piece.text;
+        last.width += piece.width;
+      } else {
+        segments.push({ text: piece.text, style: piece.style, color: piece.color, width: piece.width });
+      }
+    }
+    return segments;
+  }
+
+  /**
+   * 文字ごとに使用する書体を決める（グリフのない文字は本文のフォントで代替する）
+   * @param {string} text - 文字列
+   * @param {string} style - 書体（regular / bold / monospace）
+   * @returns {Array<Object>} { face, text } の配列
+   */
+  resolveFaces(text, style) {
+    const preferred = this.faces[style] || this.faces.regular;
+    const fallback = style === 'bold' ? this.faces.fallbackBold : this.faces.regular;
+    const parts = [];
+
+    for (const char of text) {
+      let face = preferred;
+      if (!preferred.font.hasGlyph(char)) {
+        if (fallback.font.hasGlyph(char)) {
+          face = fallback;
+        } else if (!/\s/.test(char)) {
+          this.missingChars.add(char);
+        }
+      }
+      const last = parts[parts.length - 1];
+      if (last && last.face === face) {
+        last.text += char;
+      } else {
+        parts.push({ face, text: char });
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * 文字列の幅を求める
+   * @param {string} text - 文字列
+   * @param {string} style - 書体
+   * @param {number} size - 文字サイズ（pt）
+   * @returns {number} 幅（pt）
+   */
+  measure(text, style, size) {
+    return this.resolveFaces(text, style).reduce((sum, { face, text: part }) => sum + face.font.measure(part, size), 0);
+  }
+
+  /**
+   * 文字列を描画する命令を生成する
+   * @param {string} text - 文字列
+   * @param {string} style - 書体
+   * @param {number} x - 左端（pt）
+   * @param {number} y - ベースラインの位置（pt、上端から。flipped の場合はその座標系の y）
+   * @param {number} size - 文字サイズ（pt）
+   * @param {string} color - 文字色（"r g b"）
+   * @param {boolean} flipped - y が下向きの座標系（SVG）で描画する場合true
+   * @returns {string} 描画命令
+   */
+  showText(text, style, x, y, size, color, flipped = false) {
+    const operators = [`${color} rg ${color} RG`];
+    let cursor = x;
+    for (const { face, text: part } of this.resolveFaces(text, style)) {
+      // 擬似太字は文字の輪郭を線でなぞって太らせる
+      const mode = face.fakeBold ? `2 Tr ${this.number(size * 0.03)} w` : '0 Tr';
+      const matrix = flipped
+        ? `1 0 0 -1 ${this.number(cursor)} ${this.number(y)}`
+        : `1 0 0 1 ${this.number(cursor)} ${this.number(this.layout.height - y)}`;
+      operators.push(`BT /${face.name} ${this.number(size)} Tf ${mode} ${matrix} Tm <${face.font.encode(part)}> Tj ET`);
+      cursor += face.font.measure(part, size);
+    }
+    return operators.join('\n');
+  }
+
+  /**
+   * 線を描画する命令を生成する
+   * @param {number} x1 - 始点の x（pt）
+   * @param {number} y1 - 始点の y（pt、上端から）
+   * @param {number} x2 - 終点の x（pt）
+   * @param {number} y2 - 終点の y（pt、上端から）
+   * @param {string} color - 線の色（"r g b"）
+   * @param {number} lineWidth - 線の太さ（pt）
+   * @returns {string} 描画命令
+   */
+  rule(x1, y1, x2, y2, color, lineWidth) {
+    const { height } = this.layout;
+    return `${color} RG ${this.number(lineWidth)} w ${this.number(x1)} ${this.number(height - y1)} m ${this.number(x2)} ${this.number(height - y2)} l S`;
+  }
+
+  /**
+   * PNG を画像XObject用のデータに変換する（8bit・非インターレースに対応。透明度は SMask にする）
+   * @param {Buffer} buffer - PNGファイルの内容
+   * @returns {Object} { width, height, data, filter, colorSpace, alpha }
+   */
+  decodePng(buffer) {
+    if (buffer.toString('latin1', 1, 4) !== 'PNG') {
+      throw new Error('PNGファイルではありません');
+    }
+
+    let header;
+    let palette = null;
+    let transparency = null;
+    const data = [];
+    for (let offset = 8; offset < buffer.length;) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+      if (type === 'IHDR') {
+        header = { width: chunk.readUInt32BE(0), height: chunk.readUInt32BE(4), depth: chunk[8], colorType: chunk[9], interlace: chunk[12] };
+      } else if (type === 'PLTE') {
+        palette = chunk;
+      } else if (type === 'tRNS') {
+        transparency = chunk;
+      } else if (type === 'IDAT') {
+        data.push(chunk);
+      }
+      offset += length + 12;
+    }
+
+    if (!header || header.depth !== 8 || header.interlace !== 0) {
+      throw new Error('8bit・非インターレース以外のPNGには対応していません');
+    }
+
+    const { width, height, colorType } = header;
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    const stride = width * channels;
+    const raw = zlib.inflateSync(Buffer.concat(data));
+    const pixels = Buffer.alloc(stride * height);
+
+    // 行ごとのフィルターを戻す
+    for (let row = 0; row < height; row++) {
+      const filter = raw[row * (stride + 1)];
+      const source = raw.subarray(row * (stride + 1) + 1, (row + 1) * (stride + 1));
+      const target = row * stride;
+      for (let i = 0; i < stride; i++) {
+        const left = i >= channels ? pixels[target + i - channels] : 0;
+        const up = row > 0 ? pixels[target + i - stride] : 0;
+        const upLeft = row > 0 && i >= channels ? pixels[target + i - stride - channels] : 0;
+        let predictor = 0;
+        if (filter === 1) predictor = left;
+        else if (filter === 2) predictor = up;
+        else if (filter === 3) predictor = (left + up) >> 1;
+        else if (filter === 4) {
+          const estimate = left + up - upLeft;
+          const [a, b, c] = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+          predictor = a <= b && a <= c ? left : b <= c ? up : upLeft;
+        }
+        pixels[target + i] = (source[i] + predictor) & 0xff;
+      }
+    }
+
+    const colorChannels = colorType === 0 || colorType === 4 ? 1 : 3;
+    const color = Buffer.alloc(width * height * colorChannels);
+    const alpha = colorType === 4 || colorType === 6 || (colorType === 3 && transparency) ? Buffer.alloc(width * height) : null;
+    for (let i = 0; i < width * height; i++) {
+      if (colorType === 3) {
+        const index = pixels[i];
+        palette.copy(color, i * 3, index * 3, index * 3 + 3);
+        if (alpha) alpha[i] = index < transparency.length ? transparency[index] : 255;
+      } else {
+        pixels.copy(color, i * colorChannels, i * channels, i * channels + colorChannels);
+        if (alpha) alpha[i] = pixels[i * channels + colorChannels];
+      }
+    }
+
+    return {
+      width,
+      height,
+      data: zlib.deflateSync(color),
+      filter: 'FlateDecode',
+      colorSpace: colorChannels === 1 ? 'DeviceGray' : 'DeviceRGB',
+      alpha
+    };
+  }
+
+  /**
+   * JPEG の大きさと色空間を読み取る（データはそのまま DCTDecode で埋め込む）
+   * @param {Buffer} buffer - JPEGファイルの内容
+   * @returns {Object} { width, height, data, filter, colorSpace }
+   */
+  readJpeg(buffer) {
+    for (let offset = 2; offset + 9 < buffer.length;) {
+      const marker = buffer.readUInt16BE(offset);
+      // SOF0〜SOF15（DHT、JPG、DAC を除く）に大きさと成分数がある
+      if (marker >= 0xffc0 && marker <= 0xffcf && ![0xffc4, 0xffc8, 0xffcc].includes(marker)) {
+        const components = buffer[offset + 9];
+        return {
+          width: buffer.readUInt16BE(offset + 7),
+          height: buffer.readUInt16BE(offset + 5),
+          data: buffer,
+          filter: 'DCTDecode',
+          colorSpace: { 1: 'DeviceGray', 4: 'DeviceCMYK' }[components] || 'DeviceRGB'
+        };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    throw new Error('JPEGの画像サイズを読み取れません');
+  }
+
+  /**
+   * 数値をPDFの数値表現にする（小数点以下3桁まで）
+   * @param {number} value - 数値
+   * @returns {string} 数値
+   */
+  number(value) {
+    return String(Math.round(value * 1000) / 1000);
+  }
+}
@@ -0,0 +1,290 @@
+import zlib from 'zlib';
+
+/**
+ * PDF文書の書き出し - ページ、埋め込みフォント、フォームXObject（SVG）、画像、しおり、ページラベルを扱う
+ * ページの内容は PDF の描画命令の文字列で受け取り、オブジェクト番号と相互参照表は toBuffer でまとめて決める
+ */
+export class PdfDocument {
+  /**
+   * @param {Object} options - オプション
+   * @param {number} options.width - ページの幅（pt）
+   * @param {number} options.height - ページの高さ（pt）
+   * @param {Object} options.info - 文書情報 { title, author, subject, keywords, creator }
+   * @param {Date} options.date - 作成日時
+   */
+  constructor(options = {}) {
+    this.width = options.width || 595.28;
+    this.height = options.height || 841.89;
+    this.info = options.info || {};
+    this.date = options.date || new Date();
+    this.fonts = [];
+    this.xObjects = [];
+    this.pages = [];
+    this.outlines = [];
+    this.pageLabels = [];
+  }
+
+  /**
+   * フォントを登録する
+   * @param {TrueTypeFont} font - フォント
+   * @returns {string} リソース名（例: F1）
+   */
+  addFont(font) {
+    const registered = this.fonts.find(item => item.font === font);
+    if (registered) return registered.name;
+    const name = `F${this.fonts.length + 1}`;
+    this.fonts.push({ name, font });
+    return name;
+  }
+
+  /**
+   * ページを追加する
+   * @returns {Object} ページ { index, content }（content に描画命令を追記する）
+   */
+  addPage() {
+    const page = { index: this.pages.length, content: [] };
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * フォームXObject（ベクター図形）を登録する
+   * @param {Object} form - フォーム
+   * @param {number} form.width - 幅
+   * @param {number} form.height - 高さ
+   * @param {string} form.content - 描画命令
+   * @returns {string} リソース名（例: X1）
+   */
+  addForm(form) {
+    const name = `X${this.xObjects.length + 1}`;
+    this.xObjects.push({ name, type: 'form', ...form });
+    return name;
+  }
+
+  /**
+   * 画像XObjectを登録する
+   * @param {Object} image - 画像
+   * @param {number} image.width - 幅（ピクセル）
+   * @param {number} image.height - 高さ（ピクセル）
+   * @param {Buffer} image.data - 画像データ
+   * @param {string} image.filter - フィルター（DCTDecode / FlateDecode）
+   * @param {string} image.colorSpace - 色空間（DeviceRGB / DeviceGray）
+   * @param {Buffer} image.alpha - 透明度（8bit グレーの非圧縮データ）
+   * @returns {string} リソース名（例: X2）
+   */
+  addImage(image) {
+    const name = `X${this.xObjects.length + 1}`;
+    this.xObjects.push({ name, type: 'image', ...image });
+    return name;
+  }
+
+  /**
+   * しおりを追加する
+   * @param {Object} outline - しおり
+   * @param {string} outline.title - 表題
+   * @param {number} outline.page - ページ番号（0 始まり）
+   * @param {number} outline.y - ページ内の位置（pt、下端から）
+   * @param {number} outline.level - 階層（0: 章、1: 節）
+   */
+  addOutline(outline) {
+    this.outlines.push({ level: 0, ...outline });
+  }
+
+  /**
+   * ページラベルを設定する
+   * @param {Array<Object>} labels - { start, style }（style は D: 算用数字, r: ローマ数字小文字, null: 番号なし）
+   */
+  setPageLabels(labels) {
+    this.pageLabels = labels;
+  }
+
+  /**
+   * PDFファイルの内容を生成する
+   * @returns {Buffer} PDFファイル
+   */
+  toBuffer() {
+    const objects = [];
+    const reserve = () => {
+      objects.push(null);
+      return objects.length;
+    };
+    const set = (number, body) => {
+      objects[number - 1] = body;
+    };
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const stream = (dictionary, data, compress = true) => {
+      const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1');
+      const body = compress ? zlib.deflateSync(bytes) : bytes;
+      const filter = compress ? ' /Filter /FlateDecode' : '';
+      return [Buffer.from(`<< ${dictionary}${filter} /Length ${body.length} >>\nstream\n`, 'latin1'), body, Buffer.from('\nendstream', 'latin1')];
+    };
+
+    const catalog = reserve();
+    const pagesRoot = reserve();
+    const resources = reserve();
+
+    const fontRefs = this.fonts.map(({ name, font }) => {
+      const subset = font.subset();
+      const file = add(stream(`/Length1 ${subset.length}`, subset));
+      const [xMin, yMin, xMax, yMax] = font.bbox.map(Math.round);
+      const descriptor = add(`<< /Type /FontDescriptor /FontName /${font.getSubsetName()} /Flags 4 /FontBBox [${xMin} ${yMin} ${xMax} ${yMax}] /ItalicAngle ${font.italicAngle} /Ascent ${Math.round(font.ascent)} /Descent ${Math.round(font.descent)} /CapHeight ${Math.round(font.capHeight)} /StemV 80 /FontFile2 ${file} 0 R >>`);
+      const cidFont = add(`<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${font.getSubsetName()} /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ${descriptor} 0 R /W [${font.getWidths()}] /CIDToGIDMap /Identity >>`);
+      const toUnicode = add(stream('', font.getToUnicodeCMap()));
+      return `/${name} ${add(`<< /Type /Font /Subtype /Type0 /BaseFont /${font.getSubsetName()} /Encoding /Identity-H /DescendantFonts [${cidFont} 0 R] /ToUnicode ${toUnicode} 0 R >>`)} 0 R`;
+    });
+
+    const xObjectRefs = this.xObjects.map((item) => {
+      if (item.type === 'form') {
+        return `/${item.name} ${add(stream(`/Type /XObject /Subtype /Form /BBox [0 0 ${this.number(item.width)} ${this.number(item.height)}] /Resources ${resources} 0 R`, item.content))} 0 R`;
+      }
+      const smask = item.alpha
+        ? ` /SMask ${add(stream(`/Type /XObject /Subtype /Image /Width ${item.width} /Height ${item.height} /ColorSpace /DeviceGray /BitsPerComponent 8`, item.alpha))} 0 R`
+        : '';
+      const dictionary = `/Type /XObject /Subtype /Image /Width ${item.width} /Height ${item.height} /ColorSpace /${item.colorSpace} /BitsPerComponent 8 /Filter /${item.filter}${smask}`;
+      return `/${item.name} ${add(stream(dictionary, item.data, false))} 0 R`;
+    });
+
+    set(resources, `<< /ProcSet [/PDF /Text /ImageC /ImageB] /Font << ${fontRefs.join(' ')} >> /XObject << ${xObjectRefs.join(' ')} >> >>`);
+
+    const pageRefs = this.pages.map((page) => {
+      const content = add(stream('', page.content.join('\n')));
+      return add(`<< /Type /Page /Parent ${pagesRoot} 0 R /MediaBox [0 0 ${this.number(this.width)} ${this.number(this.height)}] /Resources ${resources} 0 R /Contents ${content} 0 R >>`);
+    });
+    set(pagesRoot, `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`);
+
+    const extras = [];
+    const outlineRoot = this.writeOutlines(pageRefs, reserve, set);
+    if (outlineRoot) {
+      extras.push(`/Outlines ${outlineRoot} 0 R /PageMode /UseOutlines`);
+    }
+    if (this.pageLabels.length > 0) {
+      const nums = this.pageLabels
+        .map(({ start, style }) => `${start} << ${style ? `/S /${style}` : ''} >>`)
+        .join(' ');
+      extras.push(`/PageLabels << /Nums [${nums}] >>`);
+    }
+    const language = this.info.language ? ` /Lang ${this.string(this.info.language)}` : '';
+    set(catalog, `<< /Type /Catalog /Pages ${pagesRoot} 0 R${language} ${extras.join(' ')} >>`);
+
+    const info = add(`<< ${[
+      ['Title', this.info.title],
+      ['Author', this.info.author],
+      ['Subject', this.info.subject],
+      ['Keywords', this.info.keywords],
+      ['Creator', this.info.creator],
+      ['Producer', 'book-formatter']
+    ].filter(([, value]) => value).map(([key, value]) => `/${key} ${this.string(value)}`).join(' ')} /CreationDate ${this.string(this.formatDate(this.date))} >>`);
+
+    return this.serialize(objects, catalog, info);
+  }
+
+  /**
+   * しおりのオブジェクトを作成する
+   * @param {Array<number>} pageRefs - ページのオブジェクト番号
+   * @param {Function} reserve - オブジェクト番号を予約する関数
+   * @param {Function} set - 予約した番号にオブジェクトを設定する関数
+   * @returns {number|null} しおりのルートのオブジェクト番号
+   */
+  writeOutlines(pageRefs, reserve, set) {
+    if (this.outlines.length === 0) return null;
+
+    const root = { children: [] };
+    let parent = root;
+    for (const outline of this.outlines) {
+      const item = { ...outline, children: [], ref: reserve() };
+      if (outline.level > 0 && root.children.length > 0) {
+        parent = root.children[root.children.length - 1];
+      } else {
+        parent = root;
+      }
+      parent.children.push(item);
+    }
+
+    const rootRef = reserve();
+    const writeChildren = (node, nodeRef) => {
+      node.children.forEach((item, index) => {
+        const links = [
+          `/Parent ${nodeRef} 0 R`,
+          index > 0 ? `/Prev ${node.children[index - 1].ref} 0 R` : '',
+          index < node.children.length - 1 ? `/Next ${node.children[index + 1].ref} 0 R` : '',
+          item.children.length > 0 ? `/First ${item.children[0].ref} 0 R /Last ${item.children[item.children.length - 1].ref} 0 R /Count -${item.children.length}` : ''
+        ].filter(Boolean).join(' ');
+        set(item.ref, `<< /Title ${this.string(item.title)} ${links} /Dest [${pageRefs[item.page]} 0 R /XYZ 0 ${this.number(item.y)} 0] >>`);
+        writeChildren(item, item.ref);
+      });
+    };
+    writeChildren(root, rootRef);
+    set(rootRef, `<< /Type /Outlines /First ${root.children[0].ref} 0 R /Last ${root.children[root.children.length - 1].ref} 0 R /Count ${root.children.length} >>`);
+    return rootRef;
+  }
+
+  /**
+   * オブジェクトを本体・相互参照表・トレーラーに書き出す
+   * @param {Array} objects - オブジェクト（文字列または Buffer の配列）
+   * @param {number} catalog - カタログのオブジェクト番号
+   * @param {number} info - 文書情報のオブジェクト番号
+   * @returns {Buffer} PDFファイル
+   */
+  serialize(objects, catalog, info) {
+    const parts = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = parts[0].length;
+    const offsets = [];
+
+    objects.forEach((body, index) => {
+      offsets.push(length);
+      const chunks = [
+        Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        ...(Array.isArray(body) ? body : [Buffer.from(body, 'latin1')]),
+        Buffer.from('\nendobj\n', 'latin1')
+      ];
+      chunks.forEach(chunk => {
+        parts.push(chunk);
+        length += chunk.length;
+      });
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF\n'
+    ].join('\n');
+    parts.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * 文字列をPDFのテキスト文字列（UTF-16BE の16進文字列）にする
+   * @param {string} text - 文字列
+   * @returns {string} PDFの文字列
+   */
+  string(text) {
+    return `<feff${Buffer.from(String(text), 'utf16le').swap16().toString('hex')}>`;
+  }
+
+  /**
+   * 数値をPDFの数値表現にする（小数点以下3桁まで）
+   * @param {number} value - 数値
+   * @returns {string} 数値
+   */
+  number(value) {
+    return String(Math.round(value * 1000) / 1000);
+  }
+
+  /**
+   * 日時をPDFの日付形式にする
+   * @param {Date} date - 日時
+   * @returns {string} D:YYYYMMDDHHmmSSZ
+   */
+  formatDate(date) {
+    return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+  }
+}
@@ -0,0 +1,270 @@
+import fs from 'fs-extra';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BookStructure } from './BookStructure.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+import { HtmlSiteBuilder } from './HtmlSiteBuilder.js';
+
+const moduleDir = path.dirname(fileURLToPath(import.meta.url));
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+const LIVE_RELOAD_PATH = '/__livereload';
+
+const LIVE_RELOAD_SCRIPT = `<script>
+(() => {
+  const source = new EventSource('${LIVE_RELOAD_PATH}');
+  source.addEventListener('reload', () => location.reload());
+})();
+</script>`;
+
+/**
+ * ローカルプレビューサーバー
+ * Markdownを markdown-it でレンダリングし、変更があればブラウザを自動で再読み込みする
+ */
+export class PreviewServer {
+  /**
+   * @param {Object} options - オプション
+   * @param {Function} options.loadConfig - 設定を読み込む関数 () => Promise<Object>
+   * @param {string} options.configPath - 設定ファイルのパス（変更監視用）
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @param {string} options.assetsDir - アセットディレクトリ
+   * @param {string} options.sharedDir - 共通コンポーネントのディレクトリ
+   */
+  constructor(options = {}) {
+    this.loadConfig = options.loadConfig;
+    this.configPath = options.configPath || null;
+    this.sourceDir = path.resolve(options.sourceDir || 'src');
+    this.assetsDir = path.resolve(options.assetsDir || path.join(this.sourceDir, '..', 'assets'));
+    this.sharedDir = options.sharedDir || path.join(moduleDir, '..', 'shared');
+    this.bookStructure = new BookStructure();
+    this.fsUtils = new FileSystemUtils();
+    this.htmlBuilder = new HtmlSiteBuilder({ sharedDir: this.sharedDir });
+    this.clients = new Set();
+    this.watchers = [];
+    this.server = null;
+    this.config = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * サーバーを起動する
+   * @param {number} port - ポート番号（0の場合は空いているポート）
+   * @param {string} host - ホスト名
+   * @returns {Object} { url, port }
+   */
+  async start(port = 4000, host = '127.0.0.1') {
+    this.config = await this.loadConfig();
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(`❌ レンダリング中にエラーが発生しました: ${error.message}`);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    this.startWatching();
+
+    const address = this.server.address();
+    return { url: `http://${host}:${address.port}/`, port: address.port };
+  }
+
+  /**
+   * サーバーを停止する
+   */
+  async stop() {
+    clearTimeout(this.reloadTimer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.clients.forEach(client => client.end());
+    this.clients.clear();
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * リクエストを処理する
+   * @param {http.IncomingMessage} req - リクエスト
+   * @param {http.ServerResponse} res - レスポンス
+   */
+  async handleRequest(req, res) {
+    const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+
+    if (pathname === LIVE_RELOAD_PATH) {
+      this.handleLiveReload(req, res);
+      return;
+    }
+
+    if (pathname.startsWith('/assets/')) {
+      await this.serveAsset(pathname, res);
+      return;
+    }
+
+    const entries = this.bookStructure.getEntries(this.config);
+    if (pathname === '/' || pathname === '/index.html') {
+      await this.servePage(res, entries, null, pathname);
+      return;
+    }
+
+    const entry = entries.find(item => item.url === pathname || item.url === `${pathname}/`);
+    if (!entry) {
+      this.sendNotFound(res);
+      return;
+    }
+    await this.servePage(res, entries, entry, pathname);
+  }
+
+  /**
+   * ページをレンダリングして返す
+   * @param {http.ServerResponse} res - レスポンス
+   * @param {Array<Object>} entries - ページ情報の配列
+   * @param {Object|null} entry - 対象ページ（nullの場合はトップページ）
+   * @param {string} url - リクエストURL
+   */
+  async servePage(res, entries, entry, url) {
+    const html = (await this.htmlBuilder.renderPage(this.config, entries, entry, this.sourceDir))
+      .replace('</body>', `${LIVE_RELOAD_SCRIPT}\n</body>`);
+
+    res.writeHead(200, { 'Content-Type': MIME_TYPES['.html'], 'Cache-Control': 'no-store' });
+    res.end(html);
+    console.log(`📄 ${url}`);
+  }
+
+  /**
+   * アセットファイルを返す（書籍のアセット、共通アセットの順に探す）
+   * @param {string} pathname - リクエストパス
+   * @param {http.ServerResponse} res - レスポンス
+   */
+  async serveAsset(pathname, res) {
+    const relativePath = pathname.replace(/^\/assets\//, '');
+    const baseDirs = [this.assetsDir, path.join(this.sharedDir, 'assets')];
+
+    for (const baseDir of baseDirs) {
+      const candidate = path.join(baseDir, relativePath);
+      if (!this.fsUtils.isSafePath(baseDir, relativePath)) {
+        continue;
+      }
+      if (await this.fsUtils.exists(candidate) && (await fs.stat(candidate)).isFile()) {
+        const type = MIME_TYPES[path.extname(candidate).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+        fs.createReadStream(candidate).pipe(res);
+        return;
+      }
+    }
+
+    this.sendNotFound(res);
+  }
+
+  /**
+   * 404レスポンスを返す
+   * @param {http.ServerResponse} res - レスポンス
+   */
+  sendNotFound(res) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('404 Not Found');
+  }
+
+  /**
+   * ライブリロード用の Server-Sent Events 接続を受け付ける
+   * @param {http.IncomingMessage} req - リクエスト
+   * @param {http.ServerResponse} res - レスポンス
+   */
+  handleLiveReload(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive'
+    });
+    res.write(': connected\n\n');
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * 接続中のブラウザに再読み込みを通知する
+   */
+  notifyReload() {
+    for (const client of this.clients) {
+      client.write('event: reload\ndata: {}\n\n');
+    }
+  }
+
+  /**
+   * ソース、アセット、設定ファイルの変更監視を開始する
+   */
+  startWatching() {
+    const targets = [this.sourceDir, this.assetsDir, path.join(this.sharedDir, 'assets')];
+
+    for (const target of targets) {
+      if (fs.existsSync(target)) {
+        this.watchTree(target, () => this.scheduleReload(false));
+      }
+    }
+
+    if (this.configPath && fs.existsSync(this.configPath)) {
+      this.watchers.push(fs.watch(this.configPath, () => this.scheduleReload(true)));
+    }
+  }
+
+  /**
+   * ディレクトリを再帰的に監視する
+   * 再帰監視をサポートしないプラットフォームではサブディレクトリごとに監視する
+   * @param {string} dir - ディレクトリ
+   * @param {Function} onChange - 変更時のコールバック
+   */
+  watchTree(dir, onChange) {
+    try {
+      this.watchers.push(fs.watch(dir, { recursive: true }, onChange));
+    } catch {
+      this.watchers.push(fs.watch(dir, onChange));
+      for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (item.isDirectory()) {
+          this.watchTree(path.join(dir, item.name), onChange);
+        }
+      }
+    }
+  }
+
+  /**
+   * 連続した変更をまとめてから再読み込みを通知する
+   * @param {boolean} reloadConfig - 設定ファイルを読み直す場合true
+   */
+  scheduleReload(reloadConfig) {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(async () => {
+      if (reloadConfig) {
+        try {
+          this.config = await this.loadConfig();
+          console.log('🔄 設定ファイルを再読み込みしました');
+        } catch (error) {
+          console.error(`❌ 設定ファイルの再読み込みに失敗しました: ${error.message}`);
+          if (error.codeFrame) {
+            console.error(error.codeFrame);
+          }
+          return;
+        }
+      }
+      this.notifyReload();
+    }, 100);
+  }
+}
@@ -0,0 +1,277 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BookStructure } from './BookStructure.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+
+const moduleDir = path.dirname(fileURLToPath(import.meta.url));
+
+const IMAGE_TYPES = {
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// 脚注の定義（[^id]: 本文）。続く字下げした行も同じ脚注として扱う
+const FOOTNOTE_DEFINITION = /^\[\^([^\]\s]+)\]:[ \t]*(.*)$/;
+const FOOTNOTE_REFERENCE = /\[\^([^\]\s]+)\](?!:)/g;
+
+/**
+ * 印刷用HTMLビルダー - まえがき・各章・付録を1つのHTML文書にまとめる
+ * 改ページ・柱・脚注・ページ番号の相互参照は shared/assets/css/print.css の CSS Paged Media で指定する
+ * （スタイルシートと画像は文書に埋め込むため、出力は単独のファイルとして持ち運べる）
+ */
+export class PrintHtmlBuilder {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.sharedDir - 共通コンポーネントのディレクトリ
+   */
+  constructor(options = {}) {
+    this.sharedDir = options.sharedDir || path.join(moduleDir, '..', 'shared');
+    this.bookStructure = new BookStructure();
+    this.fsUtils = new FileSystemUtils();
+    this.markdownRenderer = new MarkdownRenderer();
+  }
+
+  /**
+   * 設定の構成に従って印刷用HTMLを生成する
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Object} options - オプション
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @param {string} options.outputFile - 出力するHTMLファイルのパス
+   * @param {string} options.assetsDir - アセットディレクトリ（省略時はソースと同階層の assets）
+   * @returns {Object} ビルド結果 { entries, outputFile }
+   */
+  async build(config, options = {}) {
+    const sourceDir = options.sourceDir || 'src';
+    const outputFile = options.outputFile || 'print.html';
+    const assetsDir = path.resolve(options.assetsDir || path.join(path.dirname(path.resolve(sourceDir)), 'assets'));
+
+    const entries = this.bookStructure.getEntries(config);
+    if (entries.length === 0) {
+      throw new Error('ビルド対象のページが設定されていません (structure.chapters を確認してください)');
+    }
+
+    // 設定に記載されたファイルがすべて存在するか先に確認する
+    const missing = [];
+    for (const entry of entries) {
+      if (!(await this.fsUtils.exists(path.join(sourceDir, entry.source)))) {
+        missing.push(entry.source);
+      }
+    }
+    if (missing.length > 0) {
+      throw new Error(`設定に記載されたファイルが見つかりません: ${missing.join(', ')}`);
+    }
+
+    const sections = [];
+    for (const entry of entries) {
+      const sourceFile = path.join(sourceDir, entry.source);
+      const content = this.replaceFootnotes(await this.fsUtils.readFile(sourceFile), entry.source);
+      // .md へのリンクはそのまま残し、あとで文書内のアンカーに書き換える
+      const rendered = this.markdownRenderer.render(content, {
+        excludePatterns: config.contentExcludePatterns,
+        linkExtension: '.md'
+      });
+      const html = await this.embedImages(this.rewriteLinks(rendered.html, entry, entries), { sourceFile, assetsDir });
+      const title = rendered.title || entry.title || entry.id;
+
+      sections.push({ entry, title, html });
+    }
+
+    const stylesheet = await fs.readFile(path.join(this.sharedDir, 'assets', 'css', 'print.css'), 'utf8');
+    await fs.outputFile(outputFile, this.createDocument(config, sections, stylesheet));
+    console.log(`✅ 印刷用HTMLを生成しました: ${sections.length}ページ`);
+
+    return { entries, outputFile };
+  }
+
+  /**
+   * 脚注 ([^id] と [^id]: 本文) を、ページ下部に配置する <span class="footnote"> に置き換える
+   * （コードブロック内は対象にしない）
+   * @param {string} content - Markdownの内容
+   * @param {string} source - 原稿ファイルのパス（警告の表示に使用）
+   * @returns {string} 置き換え後のMarkdown
+   */
+  replaceFootnotes(content, source) {
+    const definitions = new Map();
+    const lines = [];
+    let fence = null;
+    let current = null;
+
+    for (const line of content.split('\n')) {
+      const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+      if (marker && (!fence || marker[1].startsWith(fence))) {
+        fence = fence ? null : marker[1];
+      }
+
+      const definition = !fence && line.match(FOOTNOTE_DEFINITION);
+      if (definition) {
+        current = definition[1];
+        definitions.set(current, definition[2]);
+        continue;
+      }
+      if (current && /^( {2,}|\t)\S/.test(line)) {
+        definitions.set(current, `${definitions.get(current)} ${line.trim()}`);
+        continue;
+      }
+      current = null;
+      lines.push({ line, code: Boolean(fence || marker) });
+    }
+
+    return lines
+      .map(({ line, code }) => code ? line : line.replace(FOOTNOTE_REFERENCE, (match, id) => {
+        if (!definitions.has(id)) {
+          console.log(`⚠️  脚注の定義が見つかりません: [^${id}] (${source})`);
+          return match;
+        }
+        return `<span class="footnote">${this.markdownRenderer.md.renderInline(definitions.get(id))}</span>`;
+      }))
+      .join('\n');
+  }
+
+  /**
+   * 見出しのIDにページのIDを付け、原稿間のリンクを文書内のアンカーに書き換える
+   * 書き換えたリンクには相互参照のクラス (xref) を付ける
+   * @param {string} html - 本文のHTML
+   * @param {Object} entry - 対象ページ
+   * @param {Array<Object>} entries - ページ情報の配列
+   * @returns {string} 書き換え後のHTML
+   */
+  rewriteLinks(html, entry, entries) {
+    const pages = new Map(entries.map(item => [item.source.replace(/\.md$/, ''), item]));
+
+    return html
+      .replace(/(<h[1-6]\b[^>]*?\bid=")([^"]+)"/g, (match, before, id) => `${before}${entry.id}-${id}"`)
+      .replace(/<a\b([^>]*?)\bhref="([^"]*)"/g, (match, attributes, href) => {
+        if (/^[a-z][a-z0-9+.-]*:|^\/\//i.test(href)) {
+          return match;
+        }
+
+        const [file, hash] = href.split('#');
+        let target = entry;
+        if (file) {
+          const resolved = path.posix.join(path.posix.dirname(entry.source), decodeURI(file))
+            .replace(/\/$/, '/index')
+            .replace(/\.(md|html)$/, '');
+          target = pages.get(resolved);
+        }
+        if (!target) {
+          return match;
+        }
+
+        const anchor = hash ? `${target.id}-${decodeURI(hash)}` : target.id;
+        return `<a class="xref"${attributes}href="#${anchor}"`;
+      });
+  }
+
+  /**
+   * 本文中の画像をアセットディレクトリから読み込み、data URI として埋め込む
+   * @param {string} html - 本文のHTML
+   * @param {Object} context - 埋め込みの情報
+   * @param {string} context.sourceFile - 原稿ファイルのパス
+   * @param {string} context.assetsDir - アセットディレクトリ
+   * @returns {string} 書き換え後のHTML
+   */
+  async embedImages(html, context) {
+    const replacements = new Map();
+
+    for (const [, src] of html.matchAll(/<img\b[^>]*?\bsrc="([^"]+)"/g)) {
+      if (replacements.has(src) || /^[a-z][a-z0-9+.-]*:|^\/\//i.test(src)) {
+        continue;
+      }
+
+      // "/assets/..." はサイトのルートからのパスとしてアセットディレクトリを参照する
+      const file = src.startsWith('/assets/')
+        ? path.join(context.assetsDir, decodeURI(src.slice('/assets/'.length)))
+        : path.resolve(path.dirname(context.sourceFile), decodeURI(src));
+      const relativePath = path.relative(context.assetsDir, file);
+      const type = IMAGE_TYPES[path.extname(file).toLowerCase()];
+
+      if (relativePath.startsWith('..') || path.isAbsolute(relativePath) || !type || !(await this.fsUtils.exists(file))) {
+        console.log(`⚠️  画像を取り込めませんでした: ${src} (${path.basename(context.sourceFile)})`);
+        continue;
+      }
+
+      replacements.set(src, `data:${type};base64,${(await fs.readFile(file)).toString('base64')}`);
+    }
+
+    return html.replace(/(<img\b[^>]*?\bsrc=")([^"]+)(")/g, (match, before, src, after) =>
+      replacements.has(src) ? `${before}${replacements.get(src)}${after}` : match
+    );
+  }
+
+  /**
+   * 扉・目次・本文を1つのHTML文書にまとめる
+   * 章と付録の目次には番号のラベル（build.numbering）を付ける
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Array<Object>} sections - 各ページ { entry, title, html }
+   * @param {string} stylesheet - 埋め込むスタイルシート
+   * @returns {string} HTML文書
+   */
+  createDocument(config, sections, stylesheet) {
+    const language = config.language || 'ja';
+    const title = config.title || '';
+
+    const titlePage = [
+      `  <p class="book-title">${this.escapeXml(title)}</p>`,
+      config.subtitle ? `  <p class="book-subtitle">${this.escapeXml(config.subtitle)}</p>` : null,
+      config.author ? `  <p class="book-author">${this.escapeXml(config.author)}</p>` : null,
+      config.publisher ? `  <p class="book-publisher">${this.escapeXml(config.publisher)}</p>` : null
+    ].filter(Boolean).join('\n');
+
+    const items = sections
+      .map(({ entry, title: pageTitle }) => {
+        const text = entry.label && !pageTitle.startsWith(entry.label) ? `${entry.label}\u3000${pageTitle}` : pageTitle;
+        return `    <li class="toc-${entry.section}"><a class="xref" href="#${entry.id}">${this.escapeXml(text)}</a></li>`;
+      })
+      .join('\n');
+
+    const body = sections
+      .map(({ entry, html }) => `<section class="chapter ${entry.section}" id="${entry.id}">\n${html.trim()}\n</section>`)
+      .join('\n\n');
+
+    return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escapeXml(title)}</title>
+<style>
+${stylesheet.trim()}
+</style>
+</head>
+<body class="print-book">
+<section class="title-page">
+${titlePage}
+</section>
+
+<nav class="print-toc" id="toc">
+  <h2>目次</h2>
+  <ol>
+${items}
+  </ol>
+</nav>
+
+${body}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * XMLの特殊文字をエスケープする
+   * @param {string} text - 対象文字列
+   * @returns {string} エスケープ済み文字列
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
@@ -0,0 +1,465 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { BookStructure } from './BookStructure.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+import { Numbering } from './Numbering.js';
+
+// 脚注の定義（[^id]: 本文）。続く字下げした行も同じ脚注として扱う
+const FOOTNOTE_DEFINITION = /^\[\^([^\]\s]+)\]:[ \t]*(.*)$/;
+const FOOTNOTE_REFERENCE = /\[\^([^\]\s]+)\](?!:)/g;
+
+// catalog.yml の部と structure のセクションの対応
+const CATALOG_SECTIONS = {
+  introduction: 'PREDEF',
+  chapters: 'CHAPS',
+  appendices: 'APPENDIX',
+  afterword: 'POSTDEF'
+};
+
+// Re:VIEW の見出しは5段目まで
+const MAX_HEADING_LEVEL = 5;
+
+/**
+ * Re:VIEW エクスポーター - structure の原稿と book.* の書籍情報から Re:VIEW のプロジェクトを生成する
+ * catalog.yml・config.yml・各ページの .re ファイルと、参照している画像（images/<ページID>/）を書き出す
+ * 章・節・付録の番号は Re:VIEW が振るため、見出しの番号のラベル（build.numbering）は取り除く
+ */
+export class ReviewExporter {
+  constructor() {
+    this.bookStructure = new BookStructure();
+    this.fsUtils = new FileSystemUtils();
+    this.markdownRenderer = new MarkdownRenderer();
+  }
+
+  /**
+   * 設定の構成に従って Re:VIEW のプロジェクトを書き出す
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Object} options - オプション
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @param {string} options.outputDir - 出力先のディレクトリ（省略時は dist/<slug>-review）
+   * @param {string} options.assetsDir - アセットディレクトリ（省略時はソースと同階層の assets）
+   * @param {Date} options.date - 発行日（config.yml の date）
+   * @returns {Object} エクスポート結果 { entries, outputDir, images }
+   */
+  async export(config, options = {}) {
+    const sourceDir = options.sourceDir || 'src';
+    const outputDir = options.outputDir || this.getOutputDir(config);
+    const assetsDir = path.resolve(options.assetsDir || path.join(path.dirname(path.resolve(sourceDir)), 'assets'));
+
+    const entries = this.bookStructure.getEntries(config);
+    if (entries.length === 0) {
+      throw new Error('ビルド対象のページが設定されていません (structure.chapters を確認してください)');
+    }
+
+    // 設定に記載されたファイルがすべて存在するか先に確認する
+    const missing = [];
+    for (const entry of entries) {
+      if (!(await this.fsUtils.exists(path.join(sourceDir, entry.source)))) {
+        missing.push(entry.source);
+      }
+    }
+    if (missing.length > 0) {
+      throw new Error(`設定に記載されたファイルが見つかりません: ${missing.join(', ')}`);
+    }
+
+    this.numbering = Numbering.fromConfig(config);
+    this.images = new Map();
+
+    for (const entry of entries) {
+      const content = await this.fsUtils.readFile(path.join(sourceDir, entry.source));
+      const review = await this.convert(content, entry, {
+        entries,
+        sourceFile: path.join(sourceDir, entry.source),
+        assetsDir,
+        outputDir,
+        excludePatterns: config.contentExcludePatterns || []
+      });
+      await fs.outputFile(path.join(outputDir, `${entry.id}.re`), review);
+    }
+    for (const [file, target] of this.images) {
+      await fs.copy(file, path.join(outputDir, target));
+    }
+
+    await fs.outputFile(path.join(outputDir, 'catalog.yml'), this.createCatalog(entries));
+    await fs.outputFile(path.join(outputDir, 'config.yml'), this.createConfig(config, options.date || new Date()));
+    console.log(`✅ Re:VIEWのプロジェクトを書き出しました: ${entries.length}ページ、図版${this.images.size}点`);
+
+    return { entries, outputDir, images: this.images.size };
+  }
+
+  /**
+   * 出力先 dist/<slug>-review を求める（slug は書名から作る）
+   * @param {Object} config - 設定オブジェクト
+   * @returns {string} 出力先のパス
+   */
+  getOutputDir(config) {
+    const slug = String(config.title || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\u3040-\u309f\u30a0-\u30ff\u4e00-\u9faf]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+    return path.join('dist', `${slug || 'book'}-review`);
+  }
+
+  /**
+   * 1つの原稿を Re:VIEW の記法に変換する
+   * @param {string} content - 原稿の内容
+   * @param {Object} entry - 対象ページ
+   * @param {Object} context - 変換の情報 { entries, sourceFile, assetsDir, outputDir, excludePatterns }
+   * @returns {string} .re ファイルの内容
+   */
+  async convert(content, entry, context) {
+    const { data, body } = this.markdownRenderer.parseFrontMatter(content);
+    const { source, footnotes } = this.extractFootnotes(this.markdownRenderer.removeExcludedContent(body, context.excludePatterns));
+    const blocks = this.markdownRenderer.parseBlocks(this.markdownRenderer.md.parse(source, {}));
+    const state = { ...context, entry, counters: { lists: 0, tables: 0 } };
+
+    const parts = [];
+    if (!blocks.some(block => block.type === 'heading' && block.level === 1)) {
+      parts.push(`= ${this.stripLabel(data.title || entry.title || entry.id, 1, entry)}`);
+    }
+    for (const block of blocks) {
+      const review = await this.convertBlock(block, state);
+      if (review) parts.push(review);
+    }
+    for (const [id, text] of footnotes) {
+      parts.push(`//footnote[${id}][${this.escapeArgument(this.convertInline(this.markdownRenderer.md.parseInline(text, {})[0].children, state))}]`);
+    }
+
+    return `${parts.join('\n\n')}\n`;
+  }
+
+  /**
+   * 脚注の定義を取り出し、参照を @<fn>{id} に置き換える（コードブロック内は対象にしない）
+   * markdown-it では [^id]: が参照リンクの定義として扱われるため、解析の前に取り出す
+   * @param {string} content - Markdownの内容
+   * @returns {Object} { source, footnotes }（footnotes は id と本文の Map）
+   */
+  extractFootnotes(content) {
+    const footnotes = new Map();
+    const lines = [];
+    let fence = null;
+    let current = null;
+
+    for (const line of content.split('\n')) {
+      const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+      if (marker && (!fence || marker[1].startsWith(fence))) {
+        fence = fence ? null : marker[1];
+      }
+
+      const definition = !fence && line.match(FOOTNOTE_DEFINITION);
+      if (definition) {
+        current = definition[1];
+        footnotes.set(current, definition[2]);
+        continue;
+      }
+      if (current && /^( {2,}|\t)\S/.test(line)) {
+        footnotes.set(current, `${footnotes.get(current)} ${line.trim()}`);
+        continue;
+      }
+      current = null;
+      // "<fn>" がHTMLとして解析されないように "<" をエスケープしておく
+      lines.push(fence || marker ? line : line.replace(FOOTNOTE_REFERENCE, '@\\<fn>{$1}'));
+    }
+
+    return { source: lines.join('\n'), footnotes };
+  }
+
+  /**
+   * ブロックを Re:VIEW の記法に変換する
+   * @param {Object} block - ブロック
+   * @param {Object} state - 変換の情報
+   * @returns {string} Re:VIEW の記法（出力しないブロックは空文字列）
+   */
+  async convertBlock(block, state) {
+    switch (block.type) {
+    case 'heading': {
+      const level = Math.min(block.level, MAX_HEADING_LEVEL);
+      const text = this.convertInline(block.inline, state);
+      const title = this.stripLabel(text, block.level, state.entry);
+      // 節番号のない章の節（コラムなど）は Re:VIEW でも番号を振らない
+      const options = block.level === 2 && state.entry.section === 'chapters' && title === text ? '[nonum]' : '';
+      return `${'='.repeat(level)}${options} ${title}`;
+    }
+    case 'paragraph': {
+      const media = block.inline.filter(token => token.type !== 'softbreak' && !(token.type === 'text' && token.content.trim() === ''));
+      if (media.length === 1 && media[0].type === 'image') {
+        return this.convertFigure(media[0], state);
+      }
+      return this.convertInline(block.inline, state);
+    }
+    case 'list':
+      return this.convertList(block, state, 1);
+    case 'blockquote': {
+      const parts = [];
+      for (const child of block.children) {
+        parts.push(await this.convertBlock(child, state));
+      }
+      return `//quote{\n${parts.filter(Boolean).join('\n\n')}\n//}`;
+    }
+    case 'code': {
+      state.counters.lists += 1;
+      const language = block.info.split(/\s+/)[0];
+      return `//list[${state.entry.id}-list${state.counters.lists}][]${language ? `[${language}]` : ''}{\n${block.content}\n//}`;
+    }
+    case 'table':
+      return this.convertTable(block, state);
+    case 'hr':
+      return '//hr';
+    case 'html': {
+      // ライセンスの表記などのHTMLのコメントは Re:VIEW のコメント（#@#）にする。それ以外のHTMLは出力しない
+      const comment = block.content.match(/^<!--([\s\S]*?)-->$/);
+      if (!comment) return '';
+      const lines = comment[1].split('\n').map(line => line.trim());
+      while (lines.length > 0 && lines[0] === '') lines.shift();
+      while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+      return lines.map(line => `#@# ${line}`.trimEnd()).join('\n');
+    }
+    default:
+      return '';
+    }
+  }
+
+  /**
+   * 見出しから番号のラベル（第1章、1-1、付録A など）を取り除く
+   * @param {string} text - 見出し
+   * @param {number} level - 見出しの段
+   * @param {Object} entry - 対象ページ
+   * @returns {string} ラベルを除いた見出し
+   */
+  stripLabel(text, level, entry) {
+    let match = null;
+    if (level === 1 && entry.section === 'chapters') {
+      match = this.numbering.matchChapter(text);
+    } else if (level === 1 && entry.section === 'appendices') {
+      match = this.numbering.matchAppendix(text);
+    } else if (level === 2 && entry.section === 'chapters') {
+      match = this.numbering.matchSection(text, entry.number);
+    }
+    return match?.title.trim() || text;
+  }
+
+  /**
+   * 図版を //image に変換し、画像を images/<ページID>/ にコピーする対象に加える
+   * @param {Object} token - markdown-it の image トークン
+   * @param {Object} state - 変換の情報
+   * @returns {string} Re:VIEW の記法
+   */
+  async convertFigure(token, state) {
+    const src = token.attrGet('src') || '';
+    const alt = this.convertInline(token.children || [], { ...state, joinLines: true }) || token.content || '';
+
+    // "/assets/..." はサイトのルートからのパスとしてアセットディレクトリを参照する
+    const file = src.startsWith('/assets/')
+      ? path.join(state.assetsDir, decodeURI(src.slice('/assets/'.length)))
+      : path.resolve(path.dirname(state.sourceFile), decodeURI(src));
+    const relativePath = path.relative(state.assetsDir, file);
+    if (/^[a-z][a-z0-9+.-]*:|^\/\//i.test(src) || relativePath.startsWith('..') || path.isAbsolute(relativePath) || !(await this.fsUtils.exists(file))) {
+      console.log(`⚠️  画像を取り込めませんでした: ${src} (${path.basename(state.sourceFile)})`);
+      return alt;
+    }
+
+    // Re:VIEW は images/<章ID>/<画像ID>.<拡張子> から画像を探す
+    const id = path.basename(file, path.extname(file));
+    this.images.set(file, path.join('images', state.entry.id, path.basename(file)));
+    return `//image[${id}][${this.escapeArgument(alt)}]{\n//}`;
+  }
+
+  /**
+   * 箇条書きを変換する（番号付きは入れ子にできないため、入れ子の箇条書きは行頭記号にする）
+   * @param {Object} list - 箇条書きのブロック
+   * @param {Object} state - 変換の情報
+   * @param {number} depth - 入れ子の深さ（1始まり）
+   * @returns {string} Re:VIEW の記法
+   */
+  async convertList(list, state, depth) {
+    const lines = [];
+    for (const [index, item] of list.children.entries()) {
+      const marker = list.ordered && depth === 1 ? `${list.start + index}.` : '*'.repeat(depth);
+      const texts = [];
+      const nested = [];
+      for (const child of item.children) {
+        if (child.type === 'list') {
+          nested.push(await this.convertList(child, state, depth + 1));
+        } else if (child.type === 'paragraph') {
+          texts.push(this.convertInline(child.inline, { ...state, joinLines: true }));
+        }
+      }
+      lines.push(` ${marker} ${texts.join('')}`, ...nested);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * 表を //table に変換する（見出し行の後に区切り線を置き、空のセルは "." にする）
+   * @param {Object} table - 表のブロック { rows }
+   * @param {Object} state - 変換の情報
+   * @returns {string} Re:VIEW の記法
+   */
+  convertTable(table, state) {
+    state.counters.tables += 1;
+    const lines = [];
+    table.rows.forEach((row, index) => {
+      const cells = row.cells.map((cell) => {
+        const text = this.convertInline(cell.inline, { ...state, joinLines: true }).replace(/\t/g, ' ');
+        return text === '' ? '.' : text.replace(/^\./, '..');
+      });
+      lines.push(cells.join('\t'));
+      if (row.header && !table.rows[index + 1]?.header) {
+        lines.push('-'.repeat(12));
+      }
+    });
+    return `//table[${state.entry.id}-table${state.counters.tables}][]{\n${lines.join('\n')}\n//}`;
+  }
+
+  /**
+   * 行内のトークンを Re:VIEW のインライン命令（@<b>{...} など）に変換する
+   * インライン命令は入れ子にできないため、命令の中の書式は文字列だけを残す
+   * @param {Array<Object>} children - inline トークンの子
+   * @param {Object} state - 変換の情報（joinLines が true なら改行を詰める）
+   * @returns {string} Re:VIEW の記法
+   */
+  convertInline(children, state) {
+    const output = [];
+    const stack = [];
+    const append = text => stack.length > 0 ? stack[stack.length - 1].parts.push(text) : output.push(text);
+    const open = (command, argument = null) => stack.push({ command, argument, parts: [] });
+    const close = () => {
+      const { command, argument, parts } = stack.pop();
+      const text = parts.join('');
+      if (stack.length > 0 || command === null) {
+        append(text);
+      } else if (command === 'href') {
+        output.push(`@<href>{${argument.replace(/([,}\\])/g, '\\$1')}, ${this.escapeInline(text)}}`);
+      } else {
+        // @<chapref> は参照先のIDを引数にし、リンクの文字列は使わない
+        output.push(`@<${command}>{${this.escapeInline(argument ?? text)}}`);
+      }
+    };
+
+    for (const token of children) {
+      switch (token.type) {
+      case 'text':
+        append(token.content);
+        break;
+      case 'code_inline':
+        append(stack.length > 0 ? token.content : `@<code>{${this.escapeInline(token.content)}}`);
+        break;
+      case 'image':
+        append(this.convertInline(token.children || [], { ...state, joinLines: true }));
+        break;
+      case 'strong_open':
+        open('b');
+        break;
+      case 'em_open':
+        open('i');
+        break;
+      case 's_open':
+        open('del');
+        break;
+      case 'link_open':
+        open(...this.resolveLink(token.attrGet('href') || '', state));
+        break;
+      case 'strong_close':
+      case 'em_close':
+      case 's_close':
+      case 'link_close':
+        if (stack.length > 0) close();
+        break;
+      case 'softbreak':
+        append(state.joinLines ? '' : '\n');
+        break;
+      case 'hardbreak':
+        append('@<br>{}');
+        break;
+      case 'html_inline':
+        if (/^<br\s*\/?>$/i.test(token.content)) append('@<br>{}');
+        break;
+      default:
+        break;
+      }
+    }
+    while (stack.length > 0) close();
+
+    return output.join('');
+  }
+
+  /**
+   * リンクを変換する命令を決める
+   * 外部リンクは @<href>、書籍内のページへのリンクは @<chapref>（章番号とタイトル）にし、それ以外は文字列だけを残す
+   * @param {string} href - リンク先
+   * @param {Object} state - 変換の情報
+   * @returns {Array} [命令, 引数]（命令が null の場合は文字列だけを残す）
+   */
+  resolveLink(href, state) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+      return ['href', href];
+    }
+    const [file, hash] = href.split('#');
+    if (!file || hash) {
+      return [null];
+    }
+
+    const resolved = path.posix.join(path.posix.dirname(state.entry.source), decodeURI(file)).replace(/\.html$/, '.md');
+    const target = state.entries.find(item => item.source === resolved || item.source === `${resolved.replace(/\/$/, '')}/index.md`);
+    return target ? ['chapref', target.id] : [null];
+  }
+
+  /**
+   * catalog.yml を作る（まえがきは PREDEF、章は CHAPS、付録は APPENDIX、あとがきは POSTDEF）
+   * @param {Array<Object>} entries - ページ情報の配列
+   * @returns {string} YAML
+   */
+  createCatalog(entries) {
+    const catalog = {};
+    for (const entry of entries) {
+      const key = CATALOG_SECTIONS[entry.section];
+      catalog[key] = [...(catalog[key] || []), `${entry.id}.re`];
+    }
+    return YAML.stringify(catalog);
+  }
+
+  /**
+   * config.yml を作る（book.* の書籍情報を Re:VIEW の項目に対応させる）
+   * @param {Object} config - 設定オブジェクト（正規形）
+   * @param {Date} date - 発行日
+   * @returns {string} YAML
+   */
+  createConfig(config, date) {
+    const data = Object.fromEntries(Object.entries({
+      review_version: 5.0,
+      bookname: 'book',
+      booktitle: config.title,
+      subtitle: config.subtitle,
+      aut: config.author ? [config.author] : null,
+      pbl: config.publisher,
+      isbn: config.isbn,
+      language: config.language || 'ja',
+      description: config.description,
+      rights: config.copyright || config.license,
+      date: date.toISOString().slice(0, 10)
+    }).filter(([, value]) => value));
+
+    return YAML.stringify(data);
+  }
+
+  /**
+   * インライン命令の中身をエスケープする（"}" と "\" の前に "\" を置く）
+   * @param {string} text - 対象文字列
+   * @returns {string} エスケープ済み文字列
+   */
+  escapeInline(text) {
+    return text.replace(/([}\\])/g, '\\$1');
+  }
+
+  /**
+   * ブロック命令の引数をエスケープする（"]" の前に "\" を置く）
+   * @param {string} text - 対象文字列
+   * @returns {string} エスケープ済み文字列
+   */
+  escapeArgument(text) {
+    return text.replace(/\]/g, '\\]');
+  }
+}
@@ -0,0 +1,492 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { BookStructure } from './BookStructure.js';
+import { ConfigWriter } from './ConfigWriter.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+import { Numbering } from './Numbering.js';
+
+// インライン命令（@<b>{...}、@<b>$...$、@<b>|...|）
+const INLINE_COMMAND = /@<(\w+)>(?:\{((?:\\.|[^\\}])*)\}|\$([^$]*)\$|\|([^|]*)\|)/g;
+
+// ブロック命令（//list[id][caption]{ など）
+const BLOCK_COMMAND = /^\/\/(\w+)((?:\[(?:\\.|[^\]\\])*\])*)(\{)?\s*$/;
+
+// 見出し（==[nonum]{id} タイトル など）
+const HEADING = /^(={1,6})(\[[^\]]*\])?(\{[^}]*\})?(?:\s+(.*))?$/;
+
+// コードとして取り込むブロック命令
+const CODE_COMMANDS = ['list', 'listnum', 'emlist', 'emlistnum', 'source', 'cmd'];
+
+// 続く箇条書きやコードの見出しの役割の行（「**学習目標**:」のような太字で始まる行や「：」で終わる行）
+const LABEL_LINE = /^\*\*[^*]+\*\*|[:：]$/;
+
+// 画像を探す拡張子の順序
+const IMAGE_EXTENSIONS = ['.svg', '.png', '.jpg', '.jpeg', '.gif'];
+
+/**
+ * Re:VIEW インポーター - Re:VIEW のプロジェクト（catalog.yml・config.yml・.re ファイル）を取り込む
+ * まえがき（PREDEF）・章（CHAPS）・付録（APPENDIX）・あとがき（POSTDEF）の原稿をMarkdownにして src の各ディレクトリに書き出し、
+ * 設定ファイルの structure と book.* の書籍情報を更新する
+ * Re:VIEW が振る章・節・付録の番号は、build.numbering のラベルとして見出しに付ける
+ */
+export class ReviewImporter {
+  constructor() {
+    this.bookStructure = new BookStructure();
+    this.configWriter = new ConfigWriter();
+    this.fsUtils = new FileSystemUtils();
+  }
+
+  /**
+   * Re:VIEW のプロジェクトを取り込む
+   * @param {string} projectDir - Re:VIEW のプロジェクトのディレクトリ
+   * @param {Object} options - オプション
+   * @param {string} options.configPath - 更新する設定ファイルのパス
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @param {string} options.assetsDir - 画像のコピー先のアセットディレクトリ（省略時はソースと同階層の assets）
+   * @param {boolean} options.overwrite - 設定済みの書籍情報と章などのタイトルも取り込んだ値で置き換える場合true
+   * @returns {Object} 取り込み結果 { entries, images }
+   */
+  async import(projectDir, options = {}) {
+    const configPath = options.configPath || 'book-config.json';
+    const sourceDir = options.sourceDir || 'src';
+    const assetsDir = path.resolve(options.assetsDir || path.join(path.dirname(path.resolve(sourceDir)), 'assets'));
+
+    const catalogFile = path.join(projectDir, 'catalog.yml');
+    if (!(await this.fsUtils.exists(catalogFile))) {
+      throw new Error(`catalog.yml が見つかりません: ${catalogFile}`);
+    }
+    const catalog = YAML.parse(await this.fsUtils.readFile(catalogFile)) || {};
+    const configFile = path.join(projectDir, 'config.yml');
+    const reviewConfig = (await this.fsUtils.exists(configFile)) ? YAML.parse(await this.fsUtils.readFile(configFile)) || {} : {};
+
+    const state = await this.configWriter.read(configPath);
+    this.numbering = Numbering.fromConfig(state.data);
+    this.images = new Map();
+    this.assets = null;
+
+    const pages = await this.readCatalog(catalog, projectDir, state.data);
+    if (!pages.some(page => page.section === 'chapters')) {
+      throw new Error('catalog.yml に章（CHAPS）がありません');
+    }
+
+    for (const page of pages) {
+      const markdown = this.toMarkdown(page.content, page, { pages, projectDir, sourceDir, assetsDir });
+      const file = path.join(sourceDir, page.source);
+      await fs.ensureDir(path.dirname(file));
+      await this.fsUtils.writeFileSafe(file, markdown);
+    }
+    for (const [file, target] of this.images) {
+      await fs.copy(file, target);
+    }
+
+    const paths = this.configWriter.applyImport(state.data, pages, this.readBookInfo(reviewConfig), { overwrite: options.overwrite });
+    await this.configWriter.write(configPath, state, paths);
+    console.log(`✅ Re:VIEWのプロジェクトを取り込みました: ${pages.length}ページ、図版${this.images.size}点`);
+
+    return { entries: pages, images: this.images.size };
+  }
+
+  /**
+   * catalog.yml から取り込むページの一覧を作る
+   * 部（CHAPS の中の { "part.re": [...] }）は章の並びに展開する
+   * @param {Object} catalog - catalog.yml の内容
+   * @param {string} projectDir - Re:VIEW のプロジェクトのディレクトリ
+   * @param {Object} data - 設定データ（contentSections を参照する）
+   * @returns {Array<Object>} ページ { section, id, source, number, letter, label, title, content }
+   */
+  async readCatalog(catalog, projectDir, data) {
+    const flatten = list => (Array.isArray(list) ? list : []).flatMap(item =>
+      item && typeof item === 'object' ? Object.values(item).flatMap(flatten) : [item]
+    );
+    const predef = flatten(catalog.PREDEF);
+    const postdef = flatten(catalog.POSTDEF);
+    for (const file of [...predef.slice(1), ...postdef.slice(1)]) {
+      console.log(`⚠️  まえがき・あとがきは最初のファイルだけを取り込みます: ${file}`);
+    }
+
+    const plans = [
+      ...predef.slice(0, 1).map(file => ({ section: 'introduction', file, name: 'index.md' })),
+      ...flatten(catalog.CHAPS).map((file, index) => ({
+        section: 'chapters',
+        file,
+        name: `chapter${String(index + 1).padStart(2, '0')}.md`,
+        number: index + 1
+      })),
+      ...flatten(catalog.APPENDIX).map((file, index) => ({
+        section: 'appendices',
+        file,
+        name: `appendix-${this.numbering.toLetter(index + 1).toLowerCase()}.md`,
+        number: index + 1,
+        letter: this.numbering.toLetter(index + 1)
+      })),
+      ...postdef.slice(0, 1).map(file => ({ section: 'afterword', file, name: 'index.md' }))
+    ];
+
+    const pages = [];
+    for (const plan of plans) {
+      const reFile = path.join(projectDir, plan.file);
+      if (!(await this.fsUtils.exists(reFile))) {
+        throw new Error(`catalog.yml に記載されたファイルが見つかりません: ${plan.file}`);
+      }
+      const content = (await this.fsUtils.readFile(reFile)).replace(/\r\n?/g, '\n');
+      const heading = content.split('\n').map(line => line.match(HEADING)).find(match => match && match[1].length === 1);
+
+      let label = '';
+      if (plan.section === 'chapters') {
+        label = this.numbering.chapter(plan.number);
+      } else if (plan.section === 'appendices') {
+        label = this.numbering.appendix(plan.number, plan.letter);
+      }
+
+      pages.push({
+        ...plan,
+        id: path.basename(plan.file, '.re'),
+        source: `${this.bookStructure.getSectionDirectory(data, plan.section)}/${plan.name}`,
+        label,
+        title: heading?.[4] ? this.toPlainText(heading[4]) : path.basename(plan.file, '.re'),
+        content
+      });
+    }
+    return pages;
+  }
+
+  /**
+   * .re ファイルの内容をMarkdownに変換する
+   * @param {string} content - .re ファイルの内容
+   * @param {Object} page - 対象ページ
+   * @param {Object} context - 変換の情報 { pages, projectDir, sourceDir, assetsDir }
+   * @returns {string} Markdown
+   */
+  toMarkdown(content, page, context) {
+    const lines = content.split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let sections = 0;
+    let lastParagraph = -1;
+
+    const flush = () => {
+      if (paragraph.length > 0) {
+        lastParagraph = blocks.length;
+        blocks.push(paragraph.map(line => this.convertInline(line.trim(), page, context)).join('\n'));
+        paragraph = [];
+      }
+    };
+    // 直前の段落の最後の行が見出しの役割の行なら、空行を挟まずに続ける
+    const attach = (block) => {
+      const label = lastParagraph >= 0 && lastParagraph === blocks.length - 1 && LABEL_LINE.test(blocks[lastParagraph].split('\n').pop());
+      blocks.push(label ? `${blocks.pop()}\n${block}` : block);
+      lastParagraph = -1;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // コメント（#@#）はHTMLのコメントにし、#@warn などの指定は読み飛ばす
+      if (line.startsWith('#@#')) {
+        flush();
+        const comment = [];
+        for (; i < lines.length && lines[i].startsWith('#@#'); i++) {
+          comment.push(lines[i].slice(3).trim());
+        }
+        i--;
+        blocks.push(comment.length === 1 ? `<!-- ${comment[0]} -->` : `<!-- \n${comment.join('\n')}\n-->`);
+        continue;
+      }
+      if (line.startsWith('#@')) {
+        continue;
+      }
+
+      const heading = line.match(HEADING);
+      if (heading) {
+        flush();
+        const level = heading[1].length;
+        const options = heading[2] || '';
+        // ==[column] などのコラムは見出しとして取り込み、==[/column] は読み飛ばす
+        if (!heading[4] || options.startsWith('[/')) continue;
+
+        let text = this.convertInline(heading[4], page, context);
+        if (level === 1 && page.label) {
+          text = `${page.label}${this.numbering.separator}${text}`;
+        } else if (level === 2 && page.section === 'chapters' && !/nonum|notoc|nodisp|column/.test(options)) {
+          sections += 1;
+          text = `${this.numbering.section(page.number, sections)}${this.numbering.separator}${text}`;
+        }
+        blocks.push(`${'#'.repeat(level)} ${text}`);
+        continue;
+      }
+
+      const command = line.match(BLOCK_COMMAND);
+      if (command) {
+        flush();
+        const args = [...command[2].matchAll(/\[((?:\\.|[^\]\\])*)\]/g)].map(match => match[1].replace(/\\(.)/g, '$1'));
+        const body = [];
+        if (command[3]) {
+          for (i++; i < lines.length && lines[i] !== '//}'; i++) {
+            body.push(lines[i]);
+          }
+        }
+        const block = this.convertBlockCommand(command[1], args, body, page, context);
+        if (block && CODE_COMMANDS.includes(command[1])) {
+          attach(block);
+        } else if (block) {
+          blocks.push(block);
+        }
+        continue;
+      }
+
+      const item = line.match(/^\s+(\*+)\s+(.*)$/) || line.match(/^\s+(\d+)\.\s+(.*)$/) || line.match(/^\s+(:)\s+(.*)$/);
+      if (item) {
+        flush();
+        const items = [];
+        for (; i < lines.length; i++) {
+          const bullet = lines[i].match(/^\s+(\*+)\s+(.*)$/);
+          const ordered = lines[i].match(/^\s+(\d+)\.\s+(.*)$/);
+          const term = lines[i].match(/^\s+:\s+(.*)$/);
+          if (bullet) {
+            items.push(`${'  '.repeat(bullet[1].length - 1)}- ${this.convertInline(bullet[2], page, context)}`);
+          } else if (ordered) {
+            items.push(`${ordered[1]}. ${this.convertInline(ordered[2], page, context)}`);
+          } else if (term) {
+            items.push(`- **${this.convertInline(term[1], page, context)}**`);
+          } else if (/^\s+\S/.test(lines[i]) && items.length > 0 && /^- \*\*/.test(items[items.length - 1])) {
+            // 用語リスト（: 用語）の説明は用語の後ろに続ける
+            items[items.length - 1] += `: ${this.convertInline(lines[i].trim(), page, context)}`;
+          } else {
+            break;
+          }
+        }
+        i--;
+        attach(items.join('\n'));
+        continue;
+      }
+
+      if (line.trim() === '') {
+        flush();
+      } else {
+        paragraph.push(line);
+      }
+    }
+    flush();
+
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  /**
+   * ブロック命令をMarkdownに変換する
+   * @param {string} name - 命令の名前
+   * @param {Array<string>} args - 引数
+   * @param {Array<string>} body - 命令の中の行
+   * @param {Object} page - 対象ページ
+   * @param {Object} context - 変換の情報
+   * @returns {string} Markdown（取り込まない命令は空文字列）
+   */
+  convertBlockCommand(name, args, body, page, context) {
+    if (CODE_COMMANDS.includes(name)) {
+      // //list[id][caption][lang]、//emlist[caption][lang]、//cmd[caption]
+      const [caption = '', language = ''] = name.startsWith('list') ? args.slice(1) : args;
+      const fence = body.some(line => line.startsWith('```')) ? '~~~' : '```';
+      const code = `${fence}${name === 'cmd' ? 'sh' : language}\n${body.join('\n')}\n${fence}`;
+      return caption ? `**${this.convertInline(caption, page, context)}**\n${code}` : code;
+    }
+
+    switch (name) {
+    case 'table': {
+      const rows = body.filter(line => line.trim() !== '');
+      const separator = rows.findIndex(line => /^[-=]{12,}$/.test(line.trim()));
+      const cells = rows
+        .filter((line, index) => index !== separator)
+        .map(line => line.split(/\t+/).map(cell => cell === '.' ? '' : this.convertInline(cell.replace(/^\.\./, '.'), page, context).replace(/\|/g, '\\|')));
+      if (cells.length === 0) return '';
+
+      const columns = Math.max(...cells.map(row => row.length));
+      const toRow = row => `| ${Array.from({ length: columns }, (_, index) => row[index] || '').join(' | ')} |`;
+      // 区切り線がない表は1行目を見出し行にする
+      const table = [toRow(cells[0]), `|${' --- |'.repeat(columns)}`, ...cells.slice(1).map(toRow)].join('\n');
+      return args[1] ? `**${this.convertInline(args[1], page, context)}**\n\n${table}` : table;
+    }
+    case 'image':
+    case 'indepimage':
+    case 'numberlessimage': {
+      const caption = this.convertInline(args[1] || '', page, context);
+      const file = this.findImage(args[0], page, context.projectDir);
+      if (!file) {
+        console.log(`⚠️  画像が見つかりません: ${args[0]} (${page.file})`);
+        return caption;
+      }
+      // 書き出したときの画像がアセットディレクトリにあればそのパスを使い、なければ images/<章ID>/ にコピーする
+      const target = this.findAsset(file, context.assetsDir) || path.join(context.assetsDir, 'images', page.id, path.basename(file));
+      this.images.set(file, target);
+      const link = path.relative(path.dirname(path.resolve(context.sourceDir, page.source)), target).split(path.sep).join('/');
+      return `![${caption}](${link.replace(/ /g, '%20')})`;
+    }
+    case 'footnote':
+      return `[^${args[0]}]: ${this.convertInline(args[1] || '', page, context)}`;
+    case 'hr':
+      return '---';
+    case 'quote':
+    case 'lead':
+    case 'read':
+    case 'note':
+    case 'memo':
+    case 'tip':
+    case 'info':
+    case 'warning':
+    case 'important':
+    case 'caution':
+    case 'notice': {
+      // 囲み記事は引用にし、キャプションを太字で先頭に置く
+      const caption = ['quote', 'lead', 'read'].includes(name) ? '' : args[args.length - 1] || '';
+      const lines = [
+        ...(caption ? [`**${this.convertInline(caption, page, context)}**`, ''] : []),
+        ...body.map(line => this.convertInline(line.trim(), page, context))
+      ];
+      return lines.map(line => line ? `> ${line}` : '>').join('\n');
+    }
+    default:
+      // //noindent・//pagebreak・//comment などのレイアウトの指定は取り込まない
+      return '';
+    }
+  }
+
+  /**
+   * Re:VIEW と同じ順序で画像を探す（images/<章ID>/<画像ID>.*、images/<章ID>-<画像ID>.*、images/<画像ID>.*）
+   * @param {string} id - 画像ID
+   * @param {Object} page - 対象ページ
+   * @param {string} projectDir - Re:VIEW のプロジェクトのディレクトリ
+   * @returns {string|null} 画像ファイルのパス
+   */
+  findImage(id, page, projectDir) {
+    const imagesDir = path.join(projectDir, 'images');
+    const candidates = [path.join(page.id, id), `${page.id}-${id}`, id];
+    for (const candidate of candidates) {
+      for (const extension of IMAGE_EXTENSIONS) {
+        const file = path.join(imagesDir, `${candidate}${extension}`);
+        if (fs.existsSync(file)) {
+          return file;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 画像と同じ名前・同じ内容のファイルをアセットディレクトリから探す
+   * @param {string} file - 画像ファイルのパス
+   * @param {string} assetsDir - アセットディレクトリ
+   * @returns {string|null} 見つかったファイルのパス
+   */
+  findAsset(file, assetsDir) {
+    if (!this.assets) {
+      this.assets = fs.existsSync(assetsDir)
+        ? fs.readdirSync(assetsDir, { recursive: true }).map(name => path.join(assetsDir, name))
+        : [];
+    }
+    const content = fs.readFileSync(file);
+    return this.assets.find(asset =>
+      path.basename(asset) === path.basename(file) && fs.statSync(asset).isFile() && fs.readFileSync(asset).equals(content)
+    ) || null;
+  }
+
+  /**
+   * インライン命令をMarkdownの記法に変換する
+   * 章の参照（@<chap>・@<title>・@<chapref>）は取り込んだページへのリンクにする
+   * @param {string} text - Re:VIEW の行
+   * @param {Object} page - 対象ページ
+   * @param {Object} context - 変換の情報
+   * @returns {string} Markdown
+   */
+  convertInline(text, page, context) {
+    return text.replace(INLINE_COMMAND, (match, name, braced, dollar, bar) => {
+      const value = braced !== undefined ? braced.replace(/\\([\\}])/g, '$1') : dollar ?? bar;
+
+      switch (name) {
+      case 'b':
+      case 'strong':
+      case 'bou':
+        return `**${value}**`;
+      case 'i':
+      case 'em':
+        return `*${value}*`;
+      case 'code':
+      case 'tt':
+      case 'tti':
+      case 'ttb':
+      case 'm':
+        return `\`${value}\``;
+      case 'del':
+        return `~~${value}~~`;
+      case 'br':
+        return '<br>';
+      case 'fn':
+        return `[^${value}]`;
+      case 'uchar':
+        return String.fromCodePoint(parseInt(value, 16));
+      case 'href': {
+        const [url, label] = value.split(/(?<!\\),\s*/).map(part => part.replace(/\\,/g, ','));
+        return label ? `[${label}](${url})` : `<${url}>`;
+      }
+      case 'ruby': {
+        const [base, ruby] = value.split(/(?<!\\),\s*/);
+        return ruby ? `<ruby>${base}<rt>${ruby}</rt></ruby>` : base;
+      }
+      case 'kw': {
+        const [word, alt] = value.split(/(?<!\\),\s*/);
+        return alt ? `**${word}**（${alt}）` : `**${word}**`;
+      }
+      case 'chap':
+      case 'title':
+      case 'chapref': {
+        const target = context.pages.find(item => item.id === value);
+        if (!target) return value;
+        const link = path.posix.relative(path.posix.dirname(page.source), target.source);
+        const label = {
+          chap: target.label || target.title,
+          title: target.title,
+          chapref: target.label ? `${target.label}「${target.title}」` : target.title
+        }[name];
+        return `[${label}](${link})`;
+      }
+      case 'raw':
+      case 'embed':
+      case 'icon':
+        return '';
+      default:
+        // @<list>{id}・@<img>{id}・@<hd>{...} などは中身の文字列を残す
+        return value;
+      }
+    });
+  }
+
+  /**
+   * インライン命令を除いた文字列にする（見出しを設定のタイトルにする際に使用する）
+   * @param {string} text - Re:VIEW の行
+   * @returns {string} 文字列
+   */
+  toPlainText(text) {
+    return text.replace(INLINE_COMMAND, (match, name, braced, dollar, bar) =>
+      braced !== undefined ? braced.replace(/\\([\\}])/g, '$1') : dollar ?? bar
+    ).trim();
+  }
+
+  /**
+   * config.yml の書籍情報を設定の項目に対応させる
+   * @param {Object} reviewConfig - config.yml の内容
+   * @returns {Object} 書籍情報 { title, subtitle, author, publisher, language, isbn, copyright }
+   */
+  readBookInfo(reviewConfig) {
+    const authors = (Array.isArray(reviewConfig.aut) ? reviewConfig.aut : [reviewConfig.aut])
+      .filter(Boolean)
+      .map(author => typeof author === 'object' ? author.name : author);
+
+    return {
+      title: reviewConfig.booktitle,
+      subtitle: reviewConfig.subtitle,
+      author: authors.join('、'),
+      publisher: Array.isArray(reviewConfig.pbl) ? reviewConfig.pbl.join('、') : reviewConfig.pbl,
+      language: reviewConfig.language,
+      isbn: reviewConfig.isbn,
+      copyright: reviewConfig.rights
+    };
+  }
+}
@@ -0,0 +1,499 @@
+/**
+ * JSON Schema（draft-07）によるバリデーション
+ *
+ * 設定ファイルの検証に必要なキーワードを実装している
+ * - type, enum, const, pattern, minLength, maxLength, minimum, maximum, format (uri, email)
+ * - required, properties, patternProperties, additionalProperties
+ * - items, minItems, maxItems, uniqueItems
+ * - allOf, anyOf, oneOf, not, if / then / else, $ref（同一スキーマ内のみ）
+ *
+ * 独自拡張として errorMessage をサポートする
+ * 文字列の場合はそのスキーマのすべてのエラーに、オブジェクトの場合はキーワードごとに使用する
+ * （required はプロパティ名ごとにも指定できる）
+ * メッセージ中の {index} は配列の要素番号（1始まり）、{property} は不足しているプロパティ名、{value} は値に置き換える
+ */
+export class SchemaValidator {
+  /**
+   * @param {Object} schema - JSON Schema
+   */
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  /**
+   * データをバリデーションする
+   * @param {*} data - 検証するデータ
+   * @returns {Object} { valid, errors, warnings } - errors と warnings は { path, keyword, message, params } の配列
+   */
+  validate(data) {
+    const context = { errors: [], evaluated: new Map() };
+    this.validateNode(this.schema, data, '', context);
+
+    return {
+      valid: context.errors.length === 0,
+      errors: context.errors,
+      warnings: this.collectUnknownKeys(context.evaluated)
+    };
+  }
+
+  /**
+   * スキーマの1ノードを検証する
+   * @param {Object|boolean} schema - スキーマ
+   * @param {*} data - 検証するデータ
+   * @param {string} pointer - データの JSON Pointer
+   * @param {Object} context - 検証コンテキスト
+   */
+  validateNode(schema, data, pointer, context) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+      this.addError(context, {}, pointer, 'false', {}, data);
+      return;
+    }
+
+    if (schema.$ref) {
+      this.validateNode(this.resolveRef(schema.$ref), data, pointer, context);
+    }
+
+    // 型が一致しない場合は、その型に固有のキーワードは検証しない
+    if (schema.type !== undefined && !this.matchesType(schema.type, data)) {
+      this.addError(context, schema, pointer, 'type', { type: [].concat(schema.type).join(', ') }, data);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.some(value => this.isEqual(value, data))) {
+      this.addError(context, schema, pointer, 'enum', { allowedValues: schema.enum }, data);
+    }
+    if ('const' in schema && !this.isEqual(schema.const, data)) {
+      this.addError(context, schema, pointer, 'const', { allowedValue: schema.const }, data);
+    }
+
+    if (typeof data === 'string') {
+      this.validateString(schema, data, pointer, context);
+    } else if (typeof data === 'number') {
+      this.validateNumber(schema, data, pointer, context);
+    } else if (Array.isArray(data)) {
+      this.validateArray(schema, data, pointer, context);
+    } else if (data && typeof data === 'object') {
+      this.validateObject(schema, data, pointer, context);
+    }
+
+    this.validateApplicators(schema, data, pointer, context);
+  }
+
+  /**
+   * 文字列のキーワードを検証する
+   * @param {Object} schema - スキーマ
+   * @param {string} data - 検証する文字列
+   * @param {string} pointer - JSON Pointer
+   * @param {Object} context - 検証コンテキスト
+   */
+  validateString(schema, data, pointer, context) {
+    const length = [...data].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      this.addError(context, schema, pointer, 'minLength', { limit: schema.minLength }, data);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      this.addError(context, schema, pointer, 'maxLength', { limit: schema.maxLength }, data);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(data)) {
+      this.addError(context, schema, pointer, 'pattern', { pattern: schema.pattern }, data);
+    }
+    if (schema.format !== undefined && !this.matchesFormat(schema.format, data)) {
+      this.addError(context, schema, pointer, 'format', { format: schema.format }, data);
+    }
+  }
+
+  /**
+   * 数値のキーワードを検証する
+   * @param {Object} schema - スキーマ
+   * @param {number} data - 検証する数値
+   * @param {string} pointer - JSON Pointer
+   * @param {Object} context - 検証コンテキスト
+   */
+  validateNumber(schema, data, pointer, context) {
+    if (schema.minimum !== undefined && data < schema.minimum) {
+      this.addError(context, schema, pointer, 'minimum', { limit: schema.minimum }, data);
+    }
+    if (schema.maximum !== undefined && data > schema.maximum) {
+      this.addError(context, schema, pointer, 'maximum', { limit: schema.maximum }, data);
+    }
+  }
+
+  /**
+   * 配列のキーワードを検証する
+   * @param {Object} schema - スキーマ
+   * @param {Array} data - 検証する配列
+   * @param {string} pointer - JSON Pointer
+   * @param {Object} context - 検証コンテキスト
+   */
+  validateArray(schema, data, pointer, context) {
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+      this.addError(context, schema, pointer, 'minItems', { limit: schema.minItems }, data);
+    }
+    if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+      this.addError(context, schema, pointer, 'maxItems', { limit: schema.maxItems }, data);
+    }
+    if (schema.uniqueItems) {
+      const duplicate = data.find((item, index) => data.findIndex(other => this.isEqual(other, item)) !== index);
+      if (duplicate !== undefined) {
+        this.addError(context, schema, pointer, 'uniqueItems', { duplicate }, duplicate);
+      }
+    }
+    if (schema.items !== undefined) {
+      data.forEach((item, index) => {
+        const itemSchema = Array.isArray(schema.items) ? schema.items[index] : schema.items;
+        this.validateNode(itemSchema, item, `${pointer}/${index}`, context);
+      });
+    }
+  }
+
+  /**
+   * オブジェクトのキーワードを検証する
+   * @param {Object} schema - スキーマ
+   * @param {Object} data - 検証するオブジェクト
+   * @param {string} pointer - JSON Pointer
+   * @param {Object} context - 検証コンテキスト
+   */
+  validateObject(schema, data, pointer, context) {
+    for (const property of schema.required || []) {
+      if (!(property in data)) {
+        this.addError(context, schema, this.childPointer(pointer, property), 'required', { property }, undefined);
+      }
+    }
+
+    const hasPropertyKeywords = schema.properties || schema.patternProperties || schema.additionalProperties !== undefined;
+    if (!hasPropertyKeywords) return;
+
+    const evaluated = this.getEvaluated(context, pointer, data);
+    evaluated.declared = true;
+
+    for (const [key, value] of Object.entries(data)) {
+      const childPointer = this.childPointer(pointer, key);
+      let matched = false;
+
+      if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+        matched = true;
+        this.validateNode(schema.properties[key], value, childPointer, context);
+      }
+      for (const [pattern, patternSchema] of Object.entries(schema.patternProperties || {})) {
+        if (new RegExp(pattern, 'u').test(key)) {
+          matched = true;
+          this.validateNode(patternSchema, value, childPointer, context);
+        }
+      }
+
+      if (matched) {
+        evaluated.keys.add(key);
+      } else if (schema.additionalProperties === false) {
+        evaluated.keys.add(key);
+        this.addError(context, schema, childPointer, 'additionalProperties', { property: key }, value);
+      } else if (schema.additionalProperties !== undefined) {
+        evaluated.keys.add(key);
+        this.validateNode(schema.additionalProperties, value, childPointer, context);
+      }
+    }
+  }
+
+  /**
+   * allOf / anyOf / oneOf / not / if-then-else を検証する
+   * @param {Object} schema - スキーマ
+   * @param {*} data - 検証するデータ
+   * @param {string} pointer - JSON Pointer
+   * @param {Object} context - 検証コンテキスト
+   */
+  validateApplicators(schema, data, pointer, context) {
+    for (const subschema of schema.allOf || []) {
+      this.validateNode(subschema, data, pointer, context);
+    }
+
+    if (schema.anyOf) {
+      const results = schema.anyOf.map(subschema => this.tryValidate(subschema, data, pointer, context));
+      if (!results.some(result => result.valid)) {
+        this.addBranchError(context, schema, pointer, 'anyOf', results, data);
+      }
+    }
+
+    if (schema.oneOf) {
+      const results = schema.oneOf.map(subschema => this.tryValidate(subschema, data, pointer, context));
+      const passing = results.filter(result => result.valid).length;
+      if (passing !== 1) {
+        this.addBranchError(context, schema, pointer, 'oneOf', passing === 0 ? results : [], data);
+      }
+    }
+
+    if (schema.not !== undefined && this.tryValidate(schema.not, data, pointer, context).valid) {
+      this.addError(context, schema, pointer, 'not', {}, data);
+    }
+
+    if (schema.if !== undefined) {
+      const branch = this.tryValidate(schema.if, data, pointer, context).valid ? schema.then : schema.else;
+      this.validateNode(branch, data, pointer, context);
+    }
+  }
+
+  /**
+   * エラーを記録せずにサブスキーマを検証する（評価済みのキーは共有する）
+   * @param {Object} schema - サブスキーマ
+   * @param {*} data - 検証するデータ
+   * @param {string} pointer - JSON Pointer
+   * @param {Object} context - 検証コンテキスト
+   * @returns {Object} { valid, errors }
+   */
+  tryValidate(schema, data, pointer, context) {
+    const branchContext = { errors: [], evaluated: context.evaluated };
+    this.validateNode(schema, data, pointer, branchContext);
+    return { valid: branchContext.errors.length === 0, errors: branchContext.errors };
+  }
+
+  /**
+   * anyOf / oneOf の失敗を記録する
+   * 分岐が1つしかエラーを出していない場合（他は型が一致しない場合）はその分岐のエラーをそのまま使う
+   * @param {Object} context - 検証コンテキスト
+   * @param {Object} schema - スキーマ
+   * @param {string} pointer - JSON Pointer
+   * @param {string} keyword - キーワード
+   * @param {Array<Object>} results - 各分岐の検証結果
+   * @param {*} data - 検証したデータ
+   */
+  addBranchError(context, schema, pointer, keyword, results, data) {
+    const relevant = results.filter(result => !result.errors.every(error => error.keyword === 'type' && error.path === pointer));
+    if (!schema.errorMessage && relevant.length === 1) {
+      context.errors.push(...relevant[0].errors);
+      return;
+    }
+    this.addError(context, schema, pointer, keyword, {}, data);
+  }
+
+  /**
+   * エラーを記録する
+   * @param {Object} context - 検証コンテキスト
+   * @param {Object} schema - エラーが発生したスキーマ
+   * @param {string} pointer - JSON Pointer
+   * @param {string} keyword - キーワード
+   * @param {Object} params - エラーの詳細
+   * @param {*} value - 値
+   */
+  addError(context, schema, pointer, keyword, params, value) {
+    context.errors.push({
+      path: pointer,
+      keyword,
+      message: this.formatMessage(schema, pointer, keyword, params, value),
+      params
+    });
+  }
+
+  /**
+   * エラーメッセージを作成する（errorMessage があればそれを使用する）
+   * @param {Object} schema - スキーマ
+   * @param {string} pointer - JSON Pointer
+   * @param {string} keyword - キーワード
+   * @param {Object} params - エラーの詳細
+   * @param {*} value - 値
+   * @returns {string} エラーメッセージ
+   */
+  formatMessage(schema, pointer, keyword, params, value) {
+    let template = typeof schema.errorMessage === 'string' ? schema.errorMessage : schema.errorMessage?.[keyword];
+    if (template && typeof template === 'object') {
+      template = template[params.property];
+    }
+    if (typeof template !== 'string') {
+      template = this.getDefaultMessage(keyword, params, this.toLabel(pointer));
+    }
+
+    const index = pointer.split('/').reverse().find(segment => /^\d+$/.test(segment));
+    return template
+      .replace(/\{index\}/g, index === undefined ? '' : String(Number(index) + 1))
+      .replace(/\{property\}/g, params.property ?? '')
+      .replace(/\{value\}/g, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+
+  /**
+   * 標準のエラーメッセージを取得する
+   * @param {string} keyword - キーワード
+   * @param {Object} params - エラーの詳細
+   * @param {string} label - 対象の表示名
+   * @returns {string} エラーメッセージ
+   */
+  getDefaultMessage(keyword, params, label) {
+    switch (keyword) {
+    case 'type':
+      return `${label} は ${params.type} 型である必要があります`;
+    case 'required':
+      return '必須フィールドが不足しています: {property}';
+    case 'enum':
+      return `${label} は次のいずれかである必要があります: ${params.allowedValues.join(', ')}`;
+    case 'const':
+      return `${label} は ${JSON.stringify(params.allowedValue)} である必要があります`;
+    case 'pattern':
+      return `${label} の形式が正しくありません`;
+    case 'format':
+      return `${label} は有効な ${params.format} 形式である必要があります`;
+    case 'minLength':
+      return `${label} は${params.limit}文字以上で入力してください`;
+    case 'maxLength':
+      return `${label} は${params.limit}文字以内で入力してください`;
+    case 'minimum':
+      return `${label} は${params.limit}以上である必要があります`;
+    case 'maximum':
+      return `${label} は${params.limit}以下である必要があります`;
+    case 'minItems':
+      return `${label} には${params.limit}個以上の要素が必要です`;
+    case 'maxItems':
+      return `${label} の要素は${params.limit}個以内にしてください`;
+    case 'uniqueItems':
+      return `${label} に重複した値が含まれています: {value}`;
+    case 'additionalProperties':
+      return `${label} は設定できないキーです`;
+    default:
+      return `${label} が設定の形式に一致しません`;
+    }
+  }
+
+  /**
+   * 宣言されていないキーを警告として収集する
+   * スキーマが properties を宣言しているオブジェクトで、どのスキーマでも評価されなかったキーが対象
+   * @param {Map} evaluated - JSON Pointer ごとの評価済みキー
+   * @returns {Array<Object>} 警告の配列
+   */
+  collectUnknownKeys(evaluated) {
+    const warnings = [];
+    for (const [pointer, state] of evaluated) {
+      if (!state.declared) continue;
+      for (const key of Object.keys(state.data)) {
+        if (!state.keys.has(key)) {
+          const path = this.childPointer(pointer, key);
+          warnings.push({
+            path,
+            keyword: 'unknownProperty',
+            message: `不明なキーです: ${this.toLabel(path)}`,
+            params: { property: key }
+          });
+        }
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * JSON Pointer ごとの評価状態を取得する
+   * @param {Object} context - 検証コンテキスト
+   * @param {string} pointer - JSON Pointer
+   * @param {Object} data - その位置のオブジェクト
+   * @returns {Object} 評価状態
+   */
+  getEvaluated(context, pointer, data) {
+    if (!context.evaluated.has(pointer)) {
+      context.evaluated.set(pointer, { declared: false, keys: new Set(), data });
+    }
+    return context.evaluated.get(pointer);
+  }
+
+  /**
+   * $ref を解決する（"#/definitions/xxx" 形式のみ）
+   * @param {string} ref - 参照
+   * @returns {Object} スキーマ
+   */
+  resolveRef(ref) {
+    if (!ref.startsWith('#')) {
+      throw new Error(`外部スキーマの参照には対応していません: ${ref}`);
+    }
+    return this.parsePointer(ref.slice(1)).reduce((node, segment) => {
+      if (node === undefined || !(segment in node)) {
+        throw new Error(`スキーマの参照を解決できません: ${ref}`);
+      }
+      return node[segment];
+    }, this.schema);
+  }
+
+  /**
+   * 型が一致するかを判定する
+   * @param {string|Array<string>} type - JSON Schema の型
+   * @param {*} data - データ
+   * @returns {boolean} 一致する場合true
+   */
+  matchesType(type, data) {
+    return [].concat(type).some(expected => {
+      switch (expected) {
+      case 'string':
+        return typeof data === 'string';
+      case 'number':
+        return typeof data === 'number' && Number.isFinite(data);
+      case 'integer':
+        return Number.isInteger(data);
+      case 'boolean':
+        return typeof data === 'boolean';
+      case 'array':
+        return Array.isArray(data);
+      case 'object':
+        return data !== null && typeof data === 'object' && !Array.isArray(data);
+      case 'null':
+        return data === null;
+      default:
+        return false;
+      }
+    });
+  }
+
+  /**
+   * format を検証する（未対応の format は常に一致とみなす）
+   * @param {string} format - format 名
+   * @param {string} data - 文字列
+   * @returns {boolean} 一致する場合true
+   */
+  matchesFormat(format, data) {
+    switch (format) {
+    case 'uri':
+      try {
+        new URL(data);
+        return true;
+      } catch {
+        return false;
+      }
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data);
+    default:
+      return true;
+    }
+  }
+
+  /**
+   * 2つの値が JSON として等しいかを判定する
+   * @param {*} a - 値
+   * @param {*} b - 値
+   * @returns {boolean} 等しい場合true
+   */
+  isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * 子要素の JSON Pointer を作成する
+   * @param {string} pointer - 親の JSON Pointer
+   * @param {string} key - キー
+   * @returns {string} JSON Pointer
+   */
+  childPointer(pointer, key) {
+    return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  }
+
+  /**
+   * JSON Pointer を分解する
+   * @param {string} pointer - JSON Pointer
+   * @returns {Array<string>} キーの配列
+   */
+  parsePointer(pointer) {
+    if (!pointer) return [];
+    return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  /**
+   * JSON Pointer を表示用の名前に変換する（例: /structure/chapters/0/id → structure.chapters[0].id）
+   * @param {string} pointer - JSON Pointer
+   * @returns {string} 表示名
+   */
+  toLabel(pointer) {
+    return this.parsePointer(pointer)
+      .map((segment, index) => (/^\d+$/.test(segment) ? `[${segment}]` : `${index > 0 ? '.' : ''}${segment}`))
+      .join('') || '設定';
+  }
+}
@@ -0,0 +1,139 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { BookStructure } from './BookStructure.js';
+import { FileSystemUtils } from './FileSystemUtils.js';
+
+/**
+ * 設定駆動のサイトビルダー - structure に列挙されたファイルだけを順番にビルドする
+ */
+export class SiteBuilder {
+  constructor() {
+    this.bookStructure = new BookStructure();
+    this.fsUtils = new FileSystemUtils();
+  }
+
+  /**
+   * 設定の構成に従って書籍をビルドする
+   * @param {Object} config - 設定オブジェクト
+   * @param {Object} options - オプション
+   * @param {string} options.sourceDir - ソースディレクトリ
+   * @param {string} options.outputDir - 出力ディレクトリ
+   * @param {string} options.assetsDir - アセットディレクトリ（省略時はソースと同階層の assets）
+   * @returns {Object} ビルド結果
+   */
+  async build(config, options = {}) {
+    const sourceDir = options.sourceDir || 'src';
+    const outputDir = options.outputDir || 'docs';
+    const assetsDir = options.assetsDir || path.join(path.dirname(path.resolve(sourceDir)), 'assets');
+
+    const entries = this.bookStructure.getEntries(config);
+    if (entries.length === 0) {
+      throw new Error('ビルド対象のページが設定されていません (structure.chapters を確認してください)');
+    }
+
+    // 設定に記載されたファイルがすべて存在するか先に確認する
+    const missing = [];
+    for (const entry of entries) {
+      if (!(await this.fsUtils.exists(path.join(sourceDir, entry.source)))) {
+        missing.push(entry.source);
+      }
+    }
+    if (missing.length > 0) {
+      throw new Error(`設定に記載されたファイルが見つかりません: ${missing.join(', ')}`);
+    }
+
+    await this.fsUtils.ensureDir(outputDir);
+
+    for (const entry of entries) {
+      const content = await this.fsUtils.readFile(path.join(sourceDir, entry.source));
+      if (!entry.title) {
+        entry.title = this.extractTitle(content) || entry.id;
+      }
+      await fs.outputFile(
+        path.join(outputDir, entry.output),
+        this.processMarkdown(content, entry, config)
+      );
+    }
+
+    await this.writeNavigationData(entries, outputDir);
+    await this.copyAssets(assetsDir, outputDir);
+
+    return { entries, outputDir };
+  }
+
+  /**
+   * Markdownファイルを公開用に変換する
+   * @param {string} content - 元の内容
+   * @param {Object} entry - ページ情報
+   * @param {Object} config - 設定オブジェクト
+   * @returns {string} 変換後の内容
+   */
+  processMarkdown(content, entry, config) {
+    let result = content;
+
+    // 非公開コンテンツの除去
+    for (const pattern of config.contentExcludePatterns || []) {
+      const regex = new RegExp(`${this.escapeRegex(pattern)}.*?-->`, 'gs');
+      result = result.replace(regex, '');
+    }
+
+    // Front Matter がない場合は追加する（Jekyllは先頭にあるものしか認識しない）
+    if (!result.trimStart().startsWith('---')) {
+      const frontMatter = YAML.stringify({
+        layout: 'book',
+        title: this.extractTitle(result) || entry.title
+      });
+      result = `---\n${frontMatter}---\n\n${result}`;
+    }
+
+    return result;
+  }
+
+  /**
+   * 最初のH1見出しを取得する
+   * @param {string} content - Markdownの内容
+   * @returns {string|null} 見出しテキスト
+   */
+  extractTitle(content) {
+    const match = content.match(/^#\s+(.+)$/m);
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * ナビゲーションデータ (_data/navigation.yml) を書き出す
+   * @param {Array<Object>} entries - ページ情報の配列
+   * @param {string} outputDir - 出力ディレクトリ
+   */
+  async writeNavigationData(entries, outputDir) {
+    const navigationData = this.bookStructure.groupBySection(entries);
+    const dataDir = path.join(outputDir, '_data');
+    await this.fsUtils.ensureDir(dataDir);
+    await fs.writeFile(
+      path.join(dataDir, 'navigation.yml'),
+      `# Auto-generated navigation data\n${YAML.stringify(navigationData)}`
+    );
+    console.log(`✅ ナビゲーションデータを生成しました: ${entries.length}ページ`);
+  }
+
+  /**
+   * アセットを出力ディレクトリにコピーする
+   * @param {string} assetsDir - アセットディレクトリ
+   * @param {string} outputDir - 出力ディレクトリ
+   */
+  async copyAssets(assetsDir, outputDir) {
+    if (!(await this.fsUtils.exists(assetsDir))) {
+      return;
+    }
+    await fs.copy(assetsDir, path.join(outputDir, 'assets'), { overwrite: true });
+  }
+
+  /**
+   * 正規表現の特殊文字をエスケープする
+   * @param {string} string - 対象文字列
+   * @returns {string} エスケープ済み文字列
+   */
+  escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
@@ -0,0 +1,744 @@
+// 親要素から引き継ぐプロパティ
+const INHERITED_PROPERTIES = [
+  'fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-linecap', 'stroke-linejoin',
+  'font-size', 'font-weight', 'font-family', 'text-anchor', 'visibility'
+];
+
+// スタイルとして扱う属性（プレゼンテーション属性）
+const STYLE_PROPERTIES = [
+  ...INHERITED_PROPERTIES, 'display', 'rx', 'ry', 'marker-start', 'marker-end'
+];
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  orange: [255, 165, 0],
+  yellow: [255, 255, 0],
+  purple: [128, 0, 128]
+};
+
+// 描画しない要素
+const NON_RENDERED_ELEMENTS = new Set(['defs', 'style', 'title', 'desc', 'marker', 'clipPath', 'mask', 'pattern', 'symbol', 'metadata', 'linearGradient', 'radialGradient']);
+
+// 円弧をベジェ曲線で近似する係数
+const KAPPA = 0.5522847498;
+
+/**
+ * SVG を PDF の描画命令に変換する（図版をベクターのまま埋め込むため）
+ * 図形（rect, circle, ellipse, line, polyline, polygon, path）、テキスト、g と transform、
+ * <style> のクラス指定、矢印などのマーカーに対応する
+ */
+export class SvgConverter {
+  /**
+   * @param {Object} options - オプション
+   * @param {Function} options.text - テキストの描画命令を返す関数 ({ text, x, y, size, bold, anchor, color }) => string
+   */
+  constructor(options = {}) {
+    this.text = options.text || (() => '');
+  }
+
+  /**
+   * SVG を変換する
+   * 座標は SVG と同じ（左上が原点、y が下向き）になるよう、先頭で座標系を反転する
+   * @param {string} source - SVG の内容
+   * @returns {Object} { width, height, content }（width と height は px）
+   */
+  convert(source) {
+    const root = this.parseXml(source);
+    if (!root || root.name !== 'svg') {
+      throw new Error('SVG のルート要素がありません');
+    }
+
+    const viewBox = (root.attributes.viewBox || '').trim().split(/[\s,]+/).map(Number);
+    const hasViewBox = viewBox.length === 4 && viewBox.every(Number.isFinite);
+    const width = this.length(root.attributes.width) || (hasViewBox ? viewBox[2] : 300);
+    const height = this.length(root.attributes.height) || (hasViewBox ? viewBox[3] : 150);
+    const [minX, minY, viewWidth, viewHeight] = hasViewBox ? viewBox : [0, 0, width, height];
+
+    this.rules = this.parseCss(this.collectStyles(root));
+    this.ids = new Map();
+    this.walk(root, node => {
+      if (node.attributes.id) this.ids.set(node.attributes.id, node);
+    });
+
+    const scaleX = width / viewWidth;
+    const scaleY = height / viewHeight;
+    const content = [
+      `1 0 0 -1 0 ${this.number(height)} cm`,
+      `${this.number(scaleX)} 0 0 ${this.number(scaleY)} ${this.number(-minX * scaleX)} ${this.number(-minY * scaleY)} cm`,
+      ...this.renderChildren(root, this.computeStyle(root, { fill: 'black', 'stroke-width': '1', 'font-size': '16' }))
+    ].join('\n');
+
+    return { width, height, content };
+  }
+
+  /**
+   * 子要素を描画する
+   * @param {Object} node - 要素
+   * @param {Object} style - 親要素のスタイル
+   * @returns {Array<string>} 描画命令
+   */
+  renderChildren(node, style) {
+    return node.children
+      .filter(child => typeof child === 'object')
+      .flatMap(child => this.renderElement(child, style));
+  }
+
+  /**
+   * 要素を描画する
+   * @param {Object} node - 要素
+   * @param {Object} parentStyle - 親要素のスタイル
+   * @returns {Array<string>} 描画命令
+   */
+  renderElement(node, parentStyle) {
+    if (NON_RENDERED_ELEMENTS.has(node.name)) return [];
+
+    const style = this.computeStyle(node, parentStyle);
+    if (style.display === 'none' || style.visibility === 'hidden') return [];
+
+    const operators = ['q'];
+    if (node.attributes.transform) {
+      operators.push(`${this.parseTransform(node.attributes.transform).map(value => this.number(value)).join(' ')} cm`);
+    }
+
+    if (node.name === 'g' || node.name === 'svg' || node.name === 'a') {
+      operators.push(...this.renderChildren(node, style));
+    } else if (node.name === 'text') {
+      operators.push(this.renderText(node, style));
+    } else {
+      const shape = this.getShape(node, style);
+      if (!shape) return [];
+      operators.push(...this.paint(shape.path, style));
+      operators.push(...this.renderMarkers(shape.points, style));
+    }
+
+    operators.push('Q');
+    return operators;
+  }
+
+  /**
+   * 図形のパスを求める
+   * @param {Object} node - 要素
+   * @param {Object} style - スタイル
+   * @returns {Object|null} { path: 描画命令, points: マーカー用の頂点 [x, y, 角度] }
+   */
+  getShape(node, style) {
+    const attribute = (name) => Number(node.attributes[name] || 0);
+
+    switch (node.name) {
+    case 'rect': {
+      const [x, y, width, height] = [attribute('x'), attribute('y'), attribute('width'), attribute('height')];
+      if (width <= 0 || height <= 0) return null;
+      let rx = this.length(node.attributes.rx ?? style.rx);
+      let ry = this.length(node.attributes.ry ?? style.ry);
+      rx = Math.min(rx || ry || 0, width / 2);
+      ry = Math.min(ry || rx || 0, height / 2);
+      if (rx === 0) {
+        return { path: `${this.number(x)} ${this.number(y)} ${this.number(width)} ${this.number(height)} re`, points: [] };
+      }
+      return { path: this.roundedRect(x, y, width, height, rx, ry), points: [] };
+    }
+    case 'circle':
+      return { path: this.ellipse(attribute('cx'), attribute('cy'), attribute('r'), attribute('r')), points: [] };
+    case 'ellipse':
+      return { path: this.ellipse(attribute('cx'), attribute('cy'), attribute('rx'), attribute('ry')), points: [] };
+    case 'line': {
+      const points = [[attribute('x1'), attribute('y1')], [attribute('x2'), attribute('y2')]];
+      return { path: this.polyline(points, false), points: this.markerPoints(points) };
+    }
+    case 'polyline':
+    case 'polygon': {
+      const values = (node.attributes.points || '').trim().split(/[\s,]+/).map(Number);
+      const points = [];
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        points.push([values[i], values[i + 1]]);
+      }
+      if (points.length < 2) return null;
+      return { path: this.polyline(points, node.name === 'polygon'), points: this.markerPoints(points) };
+    }
+    case 'path':
+      return this.parsePath(node.attributes.d || '');
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * パスを塗り・線で描画する
+   * @param {string} path - パスの描画命令
+   * @param {Object} style - スタイル
+   * @returns {Array<string>} 描画命令
+   */
+  paint(path, style) {
+    const fill = this.color(style.fill);
+    const stroke = this.color(style.stroke);
+    if (!fill && !stroke) return [];
+
+    const operators = [];
+    if (fill) operators.push(`${fill.map(value => this.number(value)).join(' ')} rg`);
+    if (stroke) {
+      operators.push(`${stroke.map(value => this.number(value)).join(' ')} RG`);
+      operators.push(`${this.number(this.length(style['stroke-width']) ?? 1)} w`);
+      operators.push(`${{ round: 1, square: 2 }[style['stroke-linecap']] || 0} J`);
+      operators.push(`${{ round: 1, bevel: 2 }[style['stroke-linejoin']] || 0} j`);
+      const dashes = (style['stroke-dasharray'] || 'none') === 'none'
+        ? []
+        : style['stroke-dasharray'].split(/[\s,]+/).map(value => this.length(value)).filter(Number.isFinite);
+      operators.push(`[${dashes.map(value => this.number(value)).join(' ')}] 0 d`);
+    }
+    operators.push(path);
+    operators.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+    return operators;
+  }
+
+  /**
+   * マーカー（marker-start / marker-end）を描画する
+   * @param {Array<Array<number>>} points - 始点と終点 [[x, y, 角度], ...]
+   * @param {Object} style - スタイル
+   * @returns {Array<string>} 描画命令
+   */
+  renderMarkers(points, style) {
+    if (points.length < 2) return [];
+
+    const operators = [];
+    const markers = [['marker-start', points[0]], ['marker-end', points[points.length - 1]]];
+    for (const [property, [x, y, angle]] of markers) {
+      const id = (style[property] || '').match(/url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/)?.[1];
+      const marker = id && this.ids.get(id);
+      if (!marker) continue;
+
+      const attributes = marker.attributes;
+      const scale = attributes.markerUnits === 'userSpaceOnUse' ? 1 : (this.length(style['stroke-width']) ?? 1);
+      const rotation = attributes.orient === 'auto' || attributes.orient === 'auto-start-reverse'
+        ? angle + (attributes.orient === 'auto-start-reverse' && property === 'marker-start' ? Math.PI : 0)
+        : (Number(attributes.orient) || 0) * Math.PI / 180;
+      const cos = Math.cos(rotation) * scale;
+      const sin = Math.sin(rotation) * scale;
+      const refX = Number(attributes.refX || 0);
+      const refY = Number(attributes.refY || 0);
+
+      operators.push('q');
+      operators.push(`${[cos, sin, -sin, cos, x, y].map(value => this.number(value)).join(' ')} cm`);
+      operators.push(`1 0 0 1 ${this.number(-refX)} ${this.number(-refY)} cm`);
+      operators.push(...this.renderChildren(marker, this.computeStyle(marker, { ...style, 'marker-start': null, 'marker-end': null, fill: 'black', stroke: 'none' })));
+      operators.push('Q');
+    }
+    return operators;
+  }
+
+  /**
+   * テキストを描画する（座標系の反転は描画関数側で打ち消す）
+   * @param {Object} node - text 要素
+   * @param {Object} style - スタイル
+   * @returns {string} 描画命令
+   */
+  renderText(node, style) {
+    const text = this.textContent(node).replace(/\s+/g, ' ').trim();
+    const color = this.color(style.fill);
+    if (!text || !color) return '';
+
+    const weight = style['font-weight'] || 'normal';
+    return this.text({
+      text,
+      x: Number(node.attributes.x || 0),
+      y: Number(node.attributes.y || 0),
+      size: this.length(style['font-size']) || 16,
+      bold: weight === 'bold' || weight === 'bolder' || Number(weight) >= 600,
+      anchor: style['text-anchor'] || 'start',
+      color
+    });
+  }
+
+  /**
+   * 要素のスタイルを求める（プレゼンテーション属性、<style> のルール、style 属性の順に優先する）
+   * @param {Object} node - 要素
+   * @param {Object} parentStyle - 親要素のスタイル
+   * @returns {Object} スタイル
+   */
+  computeStyle(node, parentStyle) {
+    const style = {};
+    for (const property of INHERITED_PROPERTIES) {
+      if (parentStyle[property] !== undefined) style[property] = parentStyle[property];
+    }
+    for (const property of STYLE_PROPERTIES) {
+      if (node.attributes[property] !== undefined) style[property] = node.attributes[property];
+    }
+
+    const classes = (node.attributes.class || '').split(/\s+/).filter(Boolean);
+    for (const rule of this.rules || []) {
+      if (rule.selectors.some(selector => this.matches(selector, node, classes))) {
+        Object.assign(style, rule.declarations);
+      }
+    }
+
+    Object.assign(style, this.parseDeclarations(node.attributes.style || ''));
+    return style;
+  }
+
+  /**
+   * 単純なセレクター（要素名、.class、#id とその組み合わせ）に一致するか
+   * @param {string} selector - セレクター
+   * @param {Object} node - 要素
+   * @param {Array<string>} classes - 要素のクラス
+   * @returns {boolean} 一致する場合true
+   */
+  matches(selector, node, classes) {
+    const match = selector.match(/^([a-zA-Z][\w-]*)?((?:[.#][\w-]+)*)$/);
+    if (!match) return false;
+    if (match[1] && match[1] !== node.name) return false;
+    return [...match[2].matchAll(/([.#])([\w-]+)/g)].every(([, type, name]) =>
+      type === '.' ? classes.includes(name) : node.attributes.id === name
+    );
+  }
+
+  /**
+   * <style> の内容を集める
+   * @param {Object} root - ルート要素
+   * @returns {string} CSS
+   */
+  collectStyles(root) {
+    const styles = [];
+    this.walk(root, node => {
+      if (node.name === 'style') styles.push(this.textContent(node));
+    });
+    return styles.join('\n');
+  }
+
+  /**
+   * CSS をルールの配列に変換する
+   * @param {string} css - CSS
+   * @returns {Array<Object>} { selectors, declarations } の配列
+   */
+  parseCss(css) {
+    const rules = [];
+    const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    for (const [, selectorText, body] of source.matchAll(/([^{}]+)\{([^}]*)\}/g)) {
+      rules.push({
+        selectors: selectorText.split(',').map(selector => selector.trim()).filter(Boolean),
+        declarations: this.parseDeclarations(body)
+      });
+    }
+    return rules;
+  }
+
+  /**
+   * CSS の宣言（prop: value; ...）を解析する
+   * @param {string} text - 宣言
+   * @returns {Object} プロパティ → 値
+   */
+  parseDeclarations(text) {
+    const declarations = {};
+    for (const declaration of text.split(';')) {
+      const index = declaration.indexOf(':');
+      if (index < 0) continue;
+      const property = declaration.slice(0, index).trim();
+      const value = declaration.slice(index + 1).replace(/!important/, '').trim();
+      if (property && value) declarations[property] = value;
+    }
+    return declarations;
+  }
+
+  /**
+   * 色を RGB（0〜1）に変換する
+   * @param {string} value - 色
+   * @returns {Array<number>|null} [r, g, b]（none の場合は null）
+   */
+  color(value) {
+    if (!value || value === 'none' || value === 'transparent' || value.startsWith('url(')) return null;
+
+    const text = value.trim().toLowerCase();
+    let rgb = NAMED_COLORS[text];
+    if (!rgb && /^#[0-9a-f]{3}$/.test(text)) {
+      rgb = [...text.slice(1)].map(digit => parseInt(digit + digit, 16));
+    } else if (!rgb && /^#[0-9a-f]{6}$/.test(text)) {
+      rgb = [1, 3, 5].map(index => parseInt(text.slice(index, index + 2), 16));
+    } else if (!rgb) {
+      const match = text.match(/^rgba?\(\s*([\d.]+%?)\s*,\s*([\d.]+%?)\s*,\s*([\d.]+%?)/);
+      rgb = match ? match.slice(1, 4).map(part => part.endsWith('%') ? parseFloat(part) * 2.55 : Number(part)) : [0, 0, 0];
+    }
+    return rgb.map(component => component / 255);
+  }
+
+  /**
+   * 長さ（px などの単位付き）を数値にする
+   * @param {string|number} value - 長さ
+   * @returns {number|null} 数値
+   */
+  length(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return null;
+    const unit = String(value).trim().replace(/^[-+\d.e]+/i, '');
+    return number * ({ pt: 4 / 3, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, in: 96 }[unit] || 1);
+  }
+
+  /**
+   * transform 属性を行列に変換する
+   * @param {string} text - transform 属性
+   * @returns {Array<number>} [a, b, c, d, e, f]
+   */
+  parseTransform(text) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    for (const [, name, argumentText] of text.matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+      const args = argumentText.trim().split(/[\s,]+/).map(Number);
+      let next;
+      switch (name) {
+      case 'matrix':
+        next = args;
+        break;
+      case 'translate':
+        next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        next = [args[0], 0, 0, args[1] ?? args[0], 0, 0];
+        break;
+      case 'rotate': {
+        const angle = args[0] * Math.PI / 180;
+        const [cx, cy] = [args[1] || 0, args[2] || 0];
+        const [cos, sin] = [Math.cos(angle), Math.sin(angle)];
+        next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        break;
+      }
+      case 'skewX':
+        next = [1, 0, Math.tan(args[0] * Math.PI / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        next = [1, Math.tan(args[0] * Math.PI / 180), 0, 1, 0, 0];
+        break;
+      default:
+        continue;
+      }
+      matrix = this.multiply(matrix, next);
+    }
+    return matrix;
+  }
+
+  /**
+   * 行列を掛け合わせる（m の座標系で n を適用する）
+   * @param {Array<number>} m - 行列
+   * @param {Array<number>} n - 行列
+   * @returns {Array<number>} 行列
+   */
+  multiply(m, n) {
+    return [
+      m[0] * n[0] + m[2] * n[1],
+      m[1] * n[0] + m[3] * n[1],
+      m[0] * n[2] + m[2] * n[3],
+      m[1] * n[2] + m[3] * n[3],
+      m[0] * n[4] + m[2] * n[5] + m[4],
+      m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+  }
+
+  /**
+   * path 要素の d 属性を描画命令に変換する
+   * @param {string} d - d 属性
+   * @returns {Object} { path, points }
+   */
+  parsePath(d) {
+    const tokens = [...d.matchAll(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi)].map(match => match[0]);
+    const operators = [];
+    const vertices = [];
+    let index = 0;
+    let command = '';
+    let [x, y, startX, startY] = [0, 0, 0, 0];
+    let [controlX, controlY] = [0, 0];
+    let previous = '';
+
+    const number = () => Number(tokens[index++]);
+    const point = (px, py) => `${this.number(px)} ${this.number(py)}`;
+    const curve = (x1, y1, x2, y2, x3, y3) => {
+      operators.push(`${point(x1, y1)} ${point(x2, y2)} ${point(x3, y3)} c`);
+      vertices.push([x3, y3, Math.atan2(y3 - y2, x3 - x2), Math.atan2(y1 - y, x1 - x)]);
+      [controlX, controlY, x, y] = [x2, y2, x3, y3];
+    };
+    const lineTo = (nx, ny) => {
+      operators.push(`${point(nx, ny)} l`);
+      const angle = Math.atan2(ny - y, nx - x);
+      vertices.push([nx, ny, angle, angle]);
+      [x, y] = [nx, ny];
+    };
+
+    while (index < tokens.length) {
+      if (/[a-z]/i.test(tokens[index])) {
+        command = tokens[index++];
+      } else if (!command) {
+        index++;
+        continue;
+      }
+      const relative = command === command.toLowerCase();
+      const [offsetX, offsetY] = relative ? [x, y] : [0, 0];
+
+      switch (command.toUpperCase()) {
+      case 'M': {
+        [x, y] = [number() + offsetX, number() + offsetY];
+        [startX, startY] = [x, y];
+        operators.push(`${point(x, y)} m`);
+        vertices.push([x, y, 0, 0]);
+        // M に続く座標は L として扱う
+        command = relative ? 'l' : 'L';
+        break;
+      }
+      case 'L':
+        lineTo(number() + offsetX, number() + offsetY);
+        break;
+      case 'H':
+        lineTo(number() + (relative ? x : 0), y);
+        break;
+      case 'V':
+        lineTo(x, number() + (relative ? y : 0));
+        break;
+      case 'C':
+        curve(number() + offsetX, number() + offsetY, number() + offsetX, number() + offsetY, number() + offsetX, number() + offsetY);
+        break;
+      case 'S': {
+        const [x1, y1] = /[CS]/i.test(previous) ? [2 * x - controlX, 2 * y - controlY] : [x, y];
+        curve(x1, y1, number() + offsetX, number() + offsetY, number() + offsetX, number() + offsetY);
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        const [qx, qy] = command.toUpperCase() === 'Q'
+          ? [number() + offsetX, number() + offsetY]
+          : /[QT]/i.test(previous) ? [2 * x - this.quadX, 2 * y - this.quadY] : [x, y];
+        const [ex, ey] = [number() + offsetX, number() + offsetY];
+        [this.quadX, this.quadY] = [qx, qy];
+        curve(x + 2 / 3 * (qx - x), y + 2 / 3 * (qy - y), ex + 2 / 3 * (qx - ex), ey + 2 / 3 * (qy - ey), ex, ey);
+        break;
+      }
+      case 'A': {
+        const [rx, ry, rotation, largeArc, sweep] = [number(), number(), number(), number(), number()];
+        const [ex, ey] = [number() + offsetX, number() + offsetY];
+        const curves = this.arcToCurves(x, y, rx, ry, rotation, largeArc, sweep, ex, ey);
+        if (curves.length === 0) lineTo(ex, ey);
+        curves.forEach(values => curve(...values));
+        break;
+      }
+      case 'Z':
+        operators.push('h');
+        vertices.push([startX, startY, Math.atan2(startY - y, startX - x), Math.atan2(startY - y, startX - x)]);
+        [x, y] = [startX, startY];
+        break;
+      default:
+        index = tokens.length;
+      }
+      previous = command;
+    }
+
+    // マーカーの向き: 始点は最初の区間の向き、終点は最後の区間の向き
+    const points = vertices.length >= 2
+      ? [[vertices[0][0], vertices[0][1], vertices[1][3]], vertices[vertices.length - 1].slice(0, 3)]
+      : [];
+    return { path: operators.join(' '), points };
+  }
+
+  /**
+   * 円弧（SVG の A コマンド）を3次ベジェ曲線に変換する
+   * @returns {Array<Array<number>>} [x1, y1, x2, y2, x, y] の配列
+   */
+  arcToCurves(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+    if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) return [];
+
+    const phi = rotation * Math.PI / 180;
+    const [cos, sin] = [Math.cos(phi), Math.sin(phi)];
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = factor * rx * y1p / ry;
+    const cyp = -factor * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const start = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+    const step = delta / segments;
+    const k = 4 / 3 * Math.tan(step / 4);
+    const pointAt = (theta) => [
+      cx + rx * Math.cos(theta) * cos - ry * Math.sin(theta) * sin,
+      cy + rx * Math.cos(theta) * sin + ry * Math.sin(theta) * cos
+    ];
+    const derivative = (theta) => [
+      -rx * Math.sin(theta) * cos - ry * Math.cos(theta) * sin,
+      -rx * Math.sin(theta) * sin + ry * Math.cos(theta) * cos
+    ];
+
+    const curves = [];
+    for (let i = 0; i < segments; i++) {
+      const theta1 = start + i * step;
+      const theta2 = theta1 + step;
+      const [px1, py1] = pointAt(theta1);
+      const [px2, py2] = pointAt(theta2);
+      const [dx1, dy1] = derivative(theta1);
+      const [dx2, dy2] = derivative(theta2);
+      curves.push([px1 + k * dx1, py1 + k * dy1, px2 - k * dx2, py2 - k * dy2, px2, py2]);
+    }
+    return curves;
+  }
+
+  /**
+   * 角丸の長方形のパス
+   * @returns {string} 描画命令
+   */
+  roundedRect(x, y, width, height, rx, ry) {
+    const kx = rx * KAPPA;
+    const ky = ry * KAPPA;
+    const p = (...values) => values.map(value => this.number(value)).join(' ');
+    return [
+      `${p(x + rx, y)} m`,
+      `${p(x + width - rx, y)} l`,
+      `${p(x + width - rx + kx, y, x + width, y + ry - ky, x + width, y + ry)} c`,
+      `${p(x + width, y + height - ry)} l`,
+      `${p(x + width, y + height - ry + ky, x + width - rx + kx, y + height, x + width - rx, y + height)} c`,
+      `${p(x + rx, y + height)} l`,
+      `${p(x + rx - kx, y + height, x, y + height - ry + ky, x, y + height - ry)} c`,
+      `${p(x, y + ry)} l`,
+      `${p(x, y + ry - ky, x + rx - kx, y, x + rx, y)} c`,
+      'h'
+    ].join(' ');
+  }
+
+  /**
+   * 楕円のパス
+   * @returns {string} 描画命令
+   */
+  ellipse(cx, cy, rx, ry) {
+    if (rx <= 0 || ry <= 0) return '';
+    const kx = rx * KAPPA;
+    const ky = ry * KAPPA;
+    const p = (...values) => values.map(value => this.number(value)).join(' ');
+    return [
+      `${p(cx + rx, cy)} m`,
+      `${p(cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry)} c`,
+      `${p(cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy)} c`,
+      `${p(cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry)} c`,
+      `${p(cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy)} c`,
+      'h'
+    ].join(' ');
+  }
+
+  /**
+   * 折れ線のパス
+   * @param {Array<Array<number>>} points - 頂点
+   * @param {boolean} closed - 閉じる場合true
+   * @returns {string} 描画命令
+   */
+  polyline(points, closed) {
+    const path = points
+      .map(([x, y], index) => `${this.number(x)} ${this.number(y)} ${index === 0 ? 'm' : 'l'}`)
+      .join(' ');
+    return closed ? `${path} h` : path;
+  }
+
+  /**
+   * 折れ線の始点・終点と、その向きを求める
+   * @param {Array<Array<number>>} points - 頂点
+   * @returns {Array<Array<number>>} [[x, y, 角度], [x, y, 角度]]
+   */
+  markerPoints(points) {
+    const [first, second] = points;
+    const [beforeLast, last] = points.slice(-2);
+    return [
+      [first[0], first[1], Math.atan2(second[1] - first[1], second[0] - first[0])],
+      [last[0], last[1], Math.atan2(last[1] - beforeLast[1], last[0] - beforeLast[0])]
+    ];
+  }
+
+  /**
+   * 要素のテキストを連結する
+   * @param {Object} node - 要素
+   * @returns {string} テキスト
+   */
+  textContent(node) {
+    return node.children.map(child => typeof child === 'string' ? child : this.textContent(child)).join('');
+  }
+
+  /**
+   * 要素を深さ優先でたどる
+   * @param {Object} node - 要素
+   * @param {Function} visit - 各要素で呼ぶ関数
+   */
+  walk(node, visit) {
+    visit(node);
+    node.children.filter(child => typeof child === 'object').forEach(child => this.walk(child, visit));
+  }
+
+  /**
+   * XML を要素の木に変換する（SVG の図版に必要な範囲の簡易パーサー）
+   * @param {string} source - XML
+   * @returns {Object|null} ルート要素 { name, attributes, children }
+   */
+  parseXml(source) {
+    const root = { name: '#document', attributes: {}, children: [] };
+    const stack = [root];
+    const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+    for (const match of source.matchAll(pattern)) {
+      const [, cdata, closing, name, attributeText, selfClosing, text] = match;
+      const parent = stack[stack.length - 1];
+
+      if (cdata !== undefined) {
+        parent.children.push(cdata);
+      } else if (closing) {
+        if (stack.length > 1) stack.pop();
+      } else if (name) {
+        const attributes = {};
+        for (const [, key, , doubleQuoted, singleQuoted] of attributeText.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+          attributes[key] = this.decodeEntities(doubleQuoted ?? singleQuoted);
+        }
+        const element = { name: name.replace(/^svg:/, ''), attributes, children: [] };
+        parent.children.push(element);
+        if (!selfClosing) stack.push(element);
+      } else if (text !== undefined) {
+        parent.children.push(this.decodeEntities(text));
+      }
+    }
+
+    return root.children.find(child => typeof child === 'object') || null;
+  }
+
+  /**
+   * XML の実体参照を文字に戻す
+   * @param {string} text - テキスト
+   * @returns {string} テキスト
+   */
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        return String.fromCodePoint(entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+      }
+      return { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' }[entity.toLowerCase()];
+    });
+  }
+
+  /**
+   * 数値を描画命令用の文字列にする（小数点以下3桁まで）
+   * @param {number} value - 数値
+   * @returns {string} 数値
+   */
+  number(value) {
+    return String(Math.round(value * 1000) / 1000);
+  }
+}
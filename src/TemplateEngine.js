@@ -1,13 +1,43 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { glob } from 'glob';
+import YAML from 'yaml';
+import { BookStructure } from './BookStructure.js';
+import { Numbering } from './Numbering.js';
+
+/**
+ * エスケープせずに出力する文字列（ヘルパーの戻り値に使用する）
+ */
+export class SafeString {
+  /**
+   * @param {string} value - 文字列
+   */
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
 
 /**
  * テンプレートエンジン - 設定に基づいてファイルを生成
  */
 export class TemplateEngine {
-  constructor() {
+  /**
+   * @param {Object} options - オプション
+   * @param {boolean} options.strict - 値が見つからない変数をエラーにする場合true（build.debug / --strict）
+   */
+  constructor(options = {}) {
+    this.strict = Boolean(options.strict);
     this.templates = new Map();
+    this.bookStructure = new BookStructure();
+    this.cache = new Map();
+    this.helpers = new Map();
+    this.partials = new Map();
     this.loadBuiltInTemplates();
+    this.registerBuiltInHelpers();
   }
 
   /**
@@ -15,11 +45,12 @@ export class TemplateEngine {
    */
   loadBuiltInTemplates() {
     // index.md テンプレート
+    // フロントマター（YAML）には {{yaml}}、本文には HTML エスケープした値を出力する
     this.templates.set('index.md', `---
-title: "{{title}}"
-description: "{{description}}"
-author: "{{author}}"
-version: "{{version}}"
+title: {{yaml title}}
+description: {{yaml description}}
+author: {{yaml author}}
+version: {{yaml version}}
 ---
 
 # {{title}}
@@ -30,36 +61,44 @@ version: "{{version}}"
 
 {{#if structure.chapters}}
 {{#each structure.chapters}}
-- [第{{@index}}章 {{title}}](src/chapter-{{id}}/index.md)
-{{/each}}
+{{#if label}}
+- [{{label}} {{title}}](src/{{source}})
 {{/if}}
+{{/each}}
 
+{{/if}}
 {{#if structure.appendices}}
 ## 付録
+
 {{#each structure.appendices}}
-- [付録{{@index}} {{title}}](src/appendices/{{id}}.md)
+{{#if label}}
+- [{{label}} {{title}}](src/{{source}})
+{{/if}}
 {{/each}}
+
 {{/if}}
+{{> footer}}`);
 
----
+    // 著者・バージョンのフッター（パーシャル）
+    this.partials.set('footer', `---
 
 **著者:** {{author}}  
 **バージョン:** {{version}}  
-**最終更新:** {{currentDate}}
+**最終更新:** {{formatDate currentDate}}
 `);
 
     // chapter.md テンプレート
     this.templates.set('chapter.md', `---
-title: "{{chapter.title}}"
-chapter: {{chapter.id}}
+title: {{yaml chapter.title}}
+chapter: {{yaml chapter.id}}
 ---
 
 # {{chapter.title}}
 
 {{#if chapter.description}}
 {{chapter.description}}
-{{/if}}
 
+{{/if}}
 ## 概要
 
 この章では以下の内容について説明します：
@@ -90,14 +129,29 @@ chapter: {{chapter.id}}
 {{this}}
 {{/each}}
 {{/if}}
+`);
+
+    // appendix.md テンプレート
+    this.templates.set('appendix.md', `---
+title: {{yaml appendix.title}}
+appendix: {{yaml appendix.id}}
+---
+
+# {{appendix.title}}
+
+{{#if appendix.description}}
+{{appendix.description}}
+
+{{/if}}
+（付録の内容をここに記載してください）
 `);
 
     // _config.yml テンプレート (Jekyll用)
-    this.templates.set('_config.yml', `title: "{{title}}"
-description: "{{description}}"
-author: "{{author}}"
-version: "{{version}}"
-lang: "{{language}}"
+    this.templates.set('_config.yml', `title: {{yaml title}}
+description: {{yaml description}}
+author: {{yaml author}}
+version: {{yaml version}}
+lang: {{yaml language}}
 
 # Jekyll設定
 markdown: kramdown
@@ -127,15 +181,15 @@ kramdown:
   
 # GitHub Pages設定
 {{#if repository.url}}
-repository: "{{repository.owner}}/{{repository.name}}"
+repository: {{yaml (join repository.owner repository.name "/")}}
 {{/if}}
 `);
 
     // package.json テンプレート
     this.templates.set('package.json', `{
-  "name": "{{packageName}}",
-  "version": "{{version}}",
-  "description": "{{description}}",
+  "name": {{json (slug title)}},
+  "version": {{json version}},
+  "description": {{json description}},
   "main": "index.md",
   "scripts": {
     "start": "jekyll serve --livereload",
@@ -148,10 +202,10 @@ repository: "{{repository.owner}}/{{repository.name}}"
   "keywords": [
     "book",
     "documentation",
-    "{{language}}"
+    {{json language}}
   ],
-  "author": "{{author}}",
-  "license": "{{license}}",
+  "author": {{json author}},
+  "license": {{json license}},
   "devDependencies": {
     "markdownlint-cli": "^0.37.0",
     "markdown-link-check": "^3.11.2",
@@ -159,7 +213,7 @@ repository: "{{repository.owner}}/{{repository.name}}"
   },
   "repository": {
     "type": "git",
-    "url": "{{repository.url}}"
+    "url": {{json repository.url}}
   }
 }`);
 
@@ -176,21 +230,23 @@ repository: "{{repository.owner}}/{{repository.name}}"
 ## 章構成
 
 {{#each structure.chapters}}
-- **第{{@index}}章: {{title}}**
-{{#if description}}  
-  {{description}}
+{{#if label}}
+- **{{label}}: {{title}}**{{#if description}}  
+  {{description}}{{/if}}
 {{/if}}
 {{/each}}
-{{/if}}
 
+{{/if}}
 {{#if structure.appendices}}
 ## 付録
 
 {{#each structure.appendices}}
-- **付録{{@index}}: {{title}}**
-{{/each}}
+{{#if label}}
+- **{{label}}: {{title}}**
 {{/if}}
+{{/each}}
 
+{{/if}}
 ## 開発環境
 
 ### 必要なソフトウェア
@@ -225,6 +281,100 @@ npm run build
 `);
   }
 
+  /**
+   * 組み込みヘルパーを登録する
+   */
+  registerBuiltInHelpers() {
+    const locale = (options) => options.hash.locale || options.root?.language || 'ja';
+    const isEmpty = (value) => value === undefined || value === null || value === '';
+
+    // 日付の書式化 {{formatDate currentDate "YYYY年M月D日"}}（書式を省略した場合は言語に合わせた表記）
+    this.registerHelper('formatDate', (...args) => {
+      const options = args.pop();
+      const [value, format] = args;
+      if (isEmpty(value)) return '';
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) return String(value);
+
+      if (typeof format !== 'string') {
+        return new Intl.DateTimeFormat(locale(options), { dateStyle: 'long', timeZone: 'UTC' }).format(date);
+      }
+      const parts = {
+        YYYY: String(date.getUTCFullYear()),
+        MM: String(date.getUTCMonth() + 1).padStart(2, '0'),
+        M: String(date.getUTCMonth() + 1),
+        DD: String(date.getUTCDate()).padStart(2, '0'),
+        D: String(date.getUTCDate())
+      };
+      return format.replace(/YYYY|MM|M|DD|D/g, token => parts[token]);
+    });
+
+    // 数値の書式化 {{formatNumber price 2}}（2番目の引数は小数点以下の桁数）
+    this.registerHelper('formatNumber', (...args) => {
+      const options = args.pop();
+      const [value, digits] = args;
+      if (isEmpty(value) || Number.isNaN(Number(value))) return isEmpty(value) ? '' : String(value);
+      const fractionDigits = typeof digits === 'number' ? { minimumFractionDigits: digits, maximumFractionDigits: digits } : {};
+      return new Intl.NumberFormat(locale(options), fractionDigits).format(Number(value));
+    });
+
+    // 文字列の変換
+    this.registerHelper('upper', value => isEmpty(value) ? '' : String(value).toUpperCase());
+    this.registerHelper('lower', value => isEmpty(value) ? '' : String(value).toLowerCase());
+    this.registerHelper('slug', value => isEmpty(value) ? '' : String(value)
+      .toLowerCase()
+      .replace(/[^a-z0-9\u3040-\u309f\u30a0-\u30ff\u4e00-\u9faf]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, ''));
+    // 出力先の形式に合わせたエスケープ（エスケープ済みのため HTML のエスケープは行わない）
+    // {{yaml title}} は必要な場合だけ引用符で囲む（Jekyll が読む YAML 1.1 で真偽値などと解釈される値も囲む）
+    // 改行を含む文字列は1行に収まるダブルクォート文字列にする（JSON の文字列は YAML としても有効）
+    this.registerHelper('yaml', value => new SafeString(typeof value === 'string' && value.includes('\n')
+      ? JSON.stringify(value)
+      : YAML.stringify(value ?? '', { version: '1.1', blockQuote: false, collectionStyle: 'flow', lineWidth: 0 }).trimEnd()));
+    this.registerHelper('json', value => new SafeString(JSON.stringify(value ?? null)));
+    this.registerHelper('default', (value, fallback) => isEmpty(value) ? fallback : value);
+    // {{join owner name "/"}} → owner/name（最後の引数が区切り文字）
+    this.registerHelper('join', (...args) => {
+      args.pop();
+      const separator = args.pop();
+      return args.filter(value => !isEmpty(value)).join(separator);
+    });
+
+    // 比較（{{#if (eq language "ja")}} のように条件で使用する）
+    this.registerHelper('eq', (a, b) => a === b);
+    this.registerHelper('ne', (a, b) => a !== b);
+    this.registerHelper('gt', (a, b) => a > b);
+    this.registerHelper('gte', (a, b) => a >= b);
+    this.registerHelper('lt', (a, b) => a < b);
+    this.registerHelper('lte', (a, b) => a <= b);
+    this.registerHelper('and', (...args) => args.slice(0, -1).every(value => this.isTruthy(value)));
+    this.registerHelper('or', (...args) => args.slice(0, -1).some(value => this.isTruthy(value)));
+    this.registerHelper('not', value => !this.isTruthy(value));
+  }
+
+  /**
+   * ヘルパーを登録する
+   * ヘルパーはテンプレートに書いた引数の後ろ（最後の引数）に { hash, root } を受け取る（hash は key=value 形式の引数、root はルートのデータ）
+   * 戻り値は HTML エスケープして出力する。エスケープしない場合は SafeString を返す
+   * @param {string} name - ヘルパー名
+   * @param {Function} fn - ヘルパー関数
+   */
+  registerHelper(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`ヘルパー "${name}" には関数を指定してください`);
+    }
+    this.helpers.set(name, fn);
+  }
+
+  /**
+   * 利用可能なヘルパー一覧を取得する
+   * @returns {Array<string>} ヘルパー名の配列
+   */
+  getAvailableHelpers() {
+    return Array.from(this.helpers.keys());
+  }
+
   /**
    * テンプレートをレンダリングする
    * @param {string} templateName - テンプレート名
@@ -241,7 +391,23 @@ npm run build
     const processedData = this.preprocessData(data);
 
     // テンプレートのレンダリング
-    return this.renderTemplate(template, processedData);
+    return this.renderTemplate(template, processedData, { name: templateName });
+  }
+
+  /**
+   * テンプレートをレンダリングし、参照した変数と値が見つからない変数を取得する（strict でもエラーにしない）
+   * @param {string} templateName - テンプレート名
+   * @param {Object} data - レンダリングに使用するデータ
+   * @returns {Object} { output, missing: { path, template, line, column } の配列, used: 参照したデータのパスの配列 }
+   */
+  inspect(templateName, data) {
+    const template = this.templates.get(templateName);
+    if (!template) {
+      throw new Error(`テンプレート "${templateName}" が見つかりません`);
+    }
+
+    const { output, diagnostics } = this.renderWithDiagnostics(template, this.preprocessData(data), { name: templateName });
+    return { output, missing: diagnostics.missing, used: Array.from(diagnostics.used) };
   }
 
   /**
@@ -258,15 +424,6 @@ npm run build
     processed.license = processed.license || 'MIT';
     processed.currentDate = new Date().toISOString().split('T')[0];
 
-    // パッケージ名の生成
-    if (processed.title) {
-      processed.packageName = processed.title
-        .toLowerCase()
-        .replace(/[^a-z0-9\u3040-\u309f\u30a0-\u30ff\u4e00-\u9faf]/g, '-')
-        .replace(/-+/g, '-')
-        .replace(/^-|-$/g, '');
-    }
-
     // リポジトリ情報の処理
     if (processed.repository?.url) {
       const match = processed.repository.url.match(/github\.com\/([^/]+)\/([^/]+)/);
@@ -276,59 +433,718 @@ npm run build
       }
     }
 
+    // 章・付録の番号（build.numbering）。{{label}}（例: 第1章、付録A）で参照する（無効化された章・付録は空）
+    // {{source}} は BookStructure が解決した原稿のパス（src からの相対パス。例: chapters/chapter01.md、chapter-intro/index.md）
+    const numbering = Numbering.fromConfig(processed);
+    const sources = new Map(this.bookStructure.getEntries(processed).map(entry => [entry.item, entry.source]));
+    const withSource = (items, numbered) => numbered.map((item, index) => ({ ...item, source: sources.get(items[index]) || '' }));
+    const structure = { ...processed.structure };
+    if (Array.isArray(structure.chapters)) {
+      structure.chapters = withSource(structure.chapters, numbering.numberChapters(structure.chapters));
+    }
+    if (Array.isArray(structure.appendices)) {
+      structure.appendices = withSource(structure.appendices, numbering.numberAppendices(structure.appendices));
+    }
+    if (processed.structure) {
+      processed.structure = structure;
+    }
+
+    // chapter.md / appendix.md に渡された章・付録には、structure.chapters / appendices での番号を付ける
+    for (const [key, section] of [['chapter', 'chapters'], ['appendix', 'appendices']]) {
+      const items = data.structure?.[section];
+      if (!processed[key] || !Array.isArray(items)) continue;
+
+      const index = items.findIndex(item => item === data[key] || (item.id !== undefined && item.id === data[key].id));
+      if (index !== -1) {
+        processed[key] = { ...data[key], number: structure[section][index].number, label: structure[section][index].label };
+      }
+    }
+
     return processed;
   }
 
   /**
    * テンプレートをレンダリングする（簡易版Handlebars風）
+   *
+   * - 変数: {{title}}、{{this}}、{{../title}}（親のスコープ）、{{@root.title}}
+   * - 条件分岐: {{#if}} / {{#unless}} と {{else}}、{{else if}}（空の配列は偽とみなす）
+   * - 繰り返し: {{#each}} と {{else}}（要素がない場合）、{{@index}}（1から始まる番号）、{{@first}}、{{@last}}、{{@key}}
+   * - 出力: {{value}} は HTML エスケープし、{{{value}}} / {{&value}} はそのまま出力する（{{yaml value}}、{{json value}} は形式に合わせてエスケープする）
+   * - ヘルパー: {{formatDate currentDate "YYYY年M月D日"}}、{{#if (eq language "ja")}}（引数には文字列・数値・パス・(サブ式)・key=value を指定できる）
+   * - コメント: {{! ... }}、{{!-- ... --}}
+   * - ブロックのタグとコメントだけの行は、行ごと出力しない（Mustache / Handlebars と同じ）
+   * - strict モードでは、値が見つからない変数（条件と default ヘルパーの第1引数を除く）をまとめてエラーにする
    * @param {string} template - テンプレート文字列
    * @param {Object} data - データ
+   * @param {Object} options - オプション
+   * @param {string} options.name - テンプレート名（エラーの表示に使用）
    * @returns {string} レンダリング結果
    */
-  renderTemplate(template, data) {
-    let result = template;
+  renderTemplate(template, data, options = {}) {
+    const { output, diagnostics } = this.renderWithDiagnostics(template, data, options);
+    if (this.strict && diagnostics.missing.length > 0) {
+      throw this.createMissingError(diagnostics.missing);
+    }
+    return output;
+  }
 
-    // 条件分岐 {{#if condition}}...{{/if}}
-    result = result.replace(/\{\{#if\s+([^}]+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, condition, content) => {
-      const value = this.getValueByPath(data, condition.trim());
-      return value ? content : '';
+  /**
+   * テンプレート文字列をレンダリングし、変数の参照状況を記録する
+   * @param {string} template - テンプレート文字列
+   * @param {Object} data - データ
+   * @param {Object} options - オプション（name: テンプレート名）
+   * @returns {Object} { output, diagnostics: { missing, used } }
+   */
+  renderWithDiagnostics(template, data, options = {}) {
+    const diagnostics = { missing: [], used: new Set() };
+    const output = this.renderNodes(this.parse(template, options.name), {
+      name: options.name,
+      scopes: [{ data, variables: {}, path: '' }],
+      diagnostics
     });
+    return { output, diagnostics };
+  }
 
-    // 配列の繰り返し {{#each array}}...{{/each}}
-    result = result.replace(/\{\{#each\s+([^}]+)\}\}([\s\S]*?)\{\{\/each\}\}/g, (match, arrayPath, content) => {
-      const array = this.getValueByPath(data, arrayPath.trim());
-      if (!Array.isArray(array)) return '';
-
-      return array.map((item, index) => {
-        let itemContent = content;
-        
-        // @indexの置換
-        itemContent = itemContent.replace(/\{\{@index\}\}/g, index + 1);
-        
-        // アイテムのプロパティ置換
-        itemContent = itemContent.replace(/\{\{([^}@]+)\}\}/g, (itemMatch, key) => {
-          const trimmedKey = key.trim();
-          if (trimmedKey === 'this') {
-            return item;
-          }
-          return this.getValueByPath(item, trimmedKey) || '';
-        });
-
-        return itemContent;
-      }).join('');
+  /**
+   * 値が見つからない変数の一覧からエラーを作成する（strict モード）
+   * @param {Array<Object>} missing - { path, template, line, column } の配列
+   * @returns {Error} エラー（missing に一覧、template / line / column に最初の位置を持つ）
+   */
+  createMissingError(missing) {
+    const lines = missing.map(item => {
+      const location = [item.template, item.line, item.column].filter(value => value !== undefined).join(':');
+      return `  - ${item.path}（${location}）`;
     });
+    const error = new Error(`テンプレートの値が見つかりません（${missing.length}件）:\n${lines.join('\n')}`);
+    error.template = missing[0].template;
+    error.line = missing[0].line;
+    error.column = missing[0].column;
+    error.missing = missing;
+    return error;
+  }
+
+  /**
+   * テンプレートを構文木に変換する（結果はキャッシュする）
+   * @param {string} template - テンプレート文字列
+   * @param {string} name - テンプレート名（エラーの表示に使用）
+   * @returns {Array<Object>} ノードの配列
+   */
+  parse(template, name) {
+    if (this.cache.has(template)) {
+      return this.cache.get(template);
+    }
+
+    const root = { children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    // {{else}} の後は inverse に追加する
+    const target = () => current().inElse ? current().inverse : current().children;
+
+    for (const token of this.tokenize(template, name)) {
+      if (token.type === 'text') {
+        target().push(token);
+        continue;
+      }
+
+      const tag = token.value;
+      if (token.raw && /^([#/>!&]|else(\s|$))/.test(tag)) {
+        throw this.createSyntaxError(`{{{ }}} には変数とヘルパーだけを指定できます: {{{${tag}}}}`, token, name);
+      }
+      if (tag.startsWith('!')) continue;
+
+      if (tag.startsWith('#')) {
+        const [, blockName, expression] = tag.match(/^#\s*(\S+)\s*(.*)$/s) || [];
+        if (!['if', 'unless', 'each', 'extends', 'block'].includes(blockName)) {
+          throw this.createSyntaxError(`未対応のブロックです: {{${tag}}}`, token, name);
+        }
+        if (!expression) {
+          throw this.createSyntaxError(`{{#${blockName}}} に値の指定がありません`, token, name);
+        }
+        const node = this.createBlock(blockName, expression, token, name);
+        target().push(node);
+        stack.push(node);
+      } else if (tag.startsWith('/')) {
+        const blockName = tag.slice(1).trim();
+        // {{else if}} で作られたブロックは元のブロックと同じ閉じタグで閉じる
+        while (current().chained) {
+          stack.pop();
+        }
+        const node = current();
+        if (node === root) {
+          throw this.createSyntaxError(`{{/${blockName}}} に対応する {{#${blockName}}} がありません`, token, name);
+        }
+        if (node.name !== blockName) {
+          throw this.createSyntaxError(`{{#${node.name}}}（${node.line}行目）は {{/${node.name}}} で閉じてください: {{/${blockName}}}`, token, name);
+        }
+        stack.pop();
+      } else if (/^else(\s|$)/.test(tag)) {
+        const node = current();
+        if (['extends', 'block'].includes(node.name)) {
+          throw this.createSyntaxError(`{{#${node.name}}} では {{else}} を使用できません`, token, name);
+        }
+        if (node === root || node.inElse) {
+          throw this.createSyntaxError(node === root ? '{{else}} に対応するブロックがありません' : `{{#${node.name}}}（${node.line}行目）の {{else}} が重複しています`, token, name);
+        }
+        node.inElse = true;
+
+        const chained = tag.match(/^else\s+(if|unless)\s+(.+)$/s);
+        if (chained) {
+          const child = this.createBlock(chained[1], chained[2], token, name);
+          child.chained = true;
+          node.inverse.push(child);
+          stack.push(child);
+        } else if (tag !== 'else') {
+          throw this.createSyntaxError(`{{else}} の書式が正しくありません: {{${tag}}}`, token, name);
+        }
+      } else if (tag.startsWith('>')) {
+        target().push(this.createPartial(tag, token, name));
+      } else {
+        // {{&value}} は {{{value}}} と同じくエスケープしない
+        const raw = token.raw || tag.startsWith('&');
+        const source = tag.replace(/^&\s*/, '');
+        target().push({ type: 'output', source, expression: this.parseExpression(source, token, name), raw, line: token.line, column: token.column });
+      }
+    }
+
+    const unclosed = stack.slice(1).reverse().find(node => !node.chained);
+    if (unclosed) {
+      throw this.createSyntaxError(`{{#${unclosed.name} ${unclosed.source}}} が閉じられていません`, unclosed, name);
+    }
+
+    this.cache.set(template, root.children);
+    return root.children;
+  }
+
+  /**
+   * テンプレートをテキストとタグのトークンに分割する
+   * @param {string} template - テンプレート文字列
+   * @param {string} name - テンプレート名（エラーの表示に使用）
+   * @returns {Array<Object>} { type, value, line, column } の配列
+   */
+  tokenize(template, name) {
+    const tokens = [];
+    const pattern = /\{\{\{([^{}]*)\}\}\}|\{\{(!--[\s\S]*?--|[^{}]*)\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    const position = (index) => {
+      const before = template.slice(0, index);
+      const line = before.split('\n').length;
+      return { line, column: index - before.lastIndexOf('\n') };
+    };
+    const pushText = (end) => {
+      const value = template.slice(lastIndex, end);
+      const open = value.indexOf('{{');
+      if (open !== -1) {
+        throw this.createSyntaxError('{{ が閉じられていません', position(lastIndex + open), name);
+      }
+      if (value) {
+        tokens.push({ type: 'text', value });
+      }
+    };
+
+    while ((match = pattern.exec(template)) !== null) {
+      pushText(match.index);
+      // {{{value}}} はエスケープせずに出力する
+      tokens.push({ type: 'tag', value: (match[1] ?? match[2]).trim(), raw: match[1] !== undefined, ...position(match.index) });
+      lastIndex = pattern.lastIndex;
+    }
+    pushText(template.length);
+    this.stripStandaloneTags(tokens);
+
+    return tokens;
+  }
 
-    // else句の処理 {{else}}
-    result = result.replace(/\{\{else\}\}([\s\S]*?)(?=\{\{\/)/g, (match, content) => {
-      return content;
+  /**
+   * 1行にブロックのタグ（{{#if}}・{{/if}}・{{else}}・{{! }}）だけがある場合は、その行の空白と改行を出力しない（Mustache / Handlebars と同じ）
+   * @param {Array<Object>} tokens - tokenize で分割したトークン（テキストのトークンを書き換える）
+   */
+  stripStandaloneTags(tokens) {
+    // 前後のテキストを書き換える前に、すべてのタグについて単独の行かどうかを判定する
+    const standalone = tokens.map((token, index) => {
+      if (token.type !== 'tag' || token.raw || !/^([#/!]|else(\s|$))/.test(token.value)) {
+        return false;
+      }
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      const lineStart = !previous || (previous.type === 'text' && /(^|\n)[ \t]*$/.test(previous.value) && (index === 1 || previous.value.includes('\n')));
+      const lineEnd = !next || (next.type === 'text' && /^[ \t]*(\r?\n|$)/.test(next.value) && (index === tokens.length - 2 || /^[ \t]*\r?\n/.test(next.value)));
+      return lineStart && lineEnd;
     });
 
-    // 変数の置換 {{variable}} (最後に実行)
-    result = result.replace(/\{\{([^}#/@]+)\}\}/g, (match, key) => {
-      return this.getValueByPath(data, key.trim()) || '';
+    tokens.forEach((token, index) => {
+      if (!standalone[index]) return;
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      if (previous) previous.value = previous.value.replace(/[ \t]*$/, '');
+      if (next) next.value = next.value.replace(/^[ \t]*(\r?\n)?/, '');
     });
+  }
 
-    return result;
+  /**
+   * タグの式を解析する
+   * 引数が1つだけの場合はその値、それ以外はヘルパーの呼び出しになる
+   * @param {string} source - 式の文字列（例: 'formatDate currentDate "YYYY年"'、'(eq a b)'）
+   * @param {Object} position - タグの位置（エラーの表示に使用）
+   * @param {string} name - テンプレート名（エラーの表示に使用）
+   * @returns {Object} 式 { type: 'path' | 'literal' | 'call', ... }
+   */
+  parseExpression(source, position, name) {
+    const { items, hash } = this.parseArguments(source, position, name);
+    if (items.length === 1 && Object.keys(hash).length === 0) {
+      return items[0];
+    }
+    if (items[0]?.type !== 'path') {
+      throw this.createSyntaxError(`ヘルパー名がありません: {{${source}}}`, position, name);
+    }
+    return { type: 'call', name: items[0].path, params: items.slice(1), hash };
+  }
+
+  /**
+   * 空白で区切られた引数の並びを解析する
+   * @param {string} source - 引数の文字列
+   * @param {Object} position - タグの位置（エラーの表示に使用）
+   * @param {string} name - テンプレート名（エラーの表示に使用）
+   * @returns {Object} { items, hash } - items は式の配列、hash は key=value 形式の引数
+   */
+  parseArguments(source, position, name) {
+    const tokens = [];
+    const pattern = /\s*(?:(\()|(\))|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s()"'=]+)=|([^\s()"'=]+))/y;
+    const text = source.trim();
+    const fail = (message) => this.createSyntaxError(`${message}: {{${source}}}`, position, name);
+
+    while (pattern.lastIndex < text.length) {
+      const match = pattern.exec(text);
+      if (!match) throw fail('式が正しくありません');
+      if (match[1]) tokens.push({ type: 'open' });
+      else if (match[2]) tokens.push({ type: 'close' });
+      else if (match[3] !== undefined || match[4] !== undefined) {
+        tokens.push({ type: 'literal', value: (match[3] ?? match[4]).replace(/\\(.)/g, '$1') });
+      } else if (match[5]) tokens.push({ type: 'hash', value: match[5] });
+      else tokens.push({ type: 'word', value: match[6] });
+    }
+
+    let index = 0;
+    const toCall = (items, hash) => {
+      if (items[0]?.type !== 'path') throw fail('ヘルパー名がありません');
+      return { type: 'call', name: items[0].path, params: items.slice(1), hash };
+    };
+    const parseValue = (token) => {
+      if (token?.type === 'open') {
+        const { items, hash } = parseList(true);
+        return toCall(items, hash);
+      }
+      if (token?.type === 'literal') return token;
+      if (token?.type !== 'word') throw fail('式が正しくありません');
+
+      const literals = { true: true, false: false, null: null, undefined };
+      if (Object.prototype.hasOwnProperty.call(literals, token.value)) return { type: 'literal', value: literals[token.value] };
+      if (/^-?\d+(\.\d+)?$/.test(token.value)) return { type: 'literal', value: Number(token.value) };
+      return { type: 'path', path: token.value };
+    };
+    const parseList = (nested) => {
+      const items = [];
+      const hash = {};
+      while (index < tokens.length && tokens[index].type !== 'close') {
+        const token = tokens[index++];
+        if (token.type === 'hash') {
+          hash[token.value] = parseValue(tokens[index++]);
+        } else {
+          items.push(parseValue(token));
+        }
+      }
+      if (nested && tokens[index]?.type !== 'close') throw fail('( が閉じられていません');
+      if (!nested && index < tokens.length) throw fail(') に対応する ( がありません');
+      index++;
+      return { items, hash };
+    };
+
+    return parseList(false);
+  }
+
+  /**
+   * パーシャルのノードを作成する（{{> name}}、{{> name context key=value}}）
+   * @param {string} tag - タグの文字列
+   * @param {Object} token - タグのトークン
+   * @param {string} templateName - テンプレート名（エラーの表示に使用）
+   * @returns {Object} パーシャルノード
+   */
+  createPartial(tag, token, templateName) {
+    const match = tag.match(/^>\s*(?:"([^"]+)"|'([^']+)'|([^\s"']+))\s*(.*)$/s);
+    if (!match) {
+      throw this.createSyntaxError(`パーシャル名がありません: {{${tag}}}`, token, templateName);
+    }
+
+    const { items, hash } = match[4] ? this.parseArguments(match[4], token, templateName) : { items: [], hash: {} };
+    if (items.length > 1) {
+      throw this.createSyntaxError(`パーシャルに渡せるコンテキストは1つだけです: {{${tag}}}`, token, templateName);
+    }
+    return {
+      type: 'partial',
+      name: match[1] ?? match[2] ?? match[3],
+      context: items[0],
+      hash,
+      line: token.line,
+      column: token.column
+    };
+  }
+
+  /**
+   * ブロックのノードを作成する
+   * @param {string} name - ブロック名（if / unless / each）
+   * @param {string} expression - 値の式
+   * @param {Object} token - 開始タグのトークン
+   * @param {string} templateName - テンプレート名（エラーの表示に使用）
+   * @returns {Object} ブロックノード
+   */
+  createBlock(name, expression, token, templateName) {
+    const parsed = this.parseExpression(expression, token, templateName);
+    return {
+      type: 'block',
+      name,
+      source: expression.trim(),
+      expression: parsed,
+      // extends / block は名前（{{#extends "base"}}、{{#block content}}）を指定する
+      target: parsed.type === 'literal' ? String(parsed.value) : parsed.path,
+      children: [],
+      inverse: [],
+      line: token.line,
+      column: token.column
+    };
+  }
+
+  /**
+   * 構文エラーを作成する
+   * @param {string} message - メッセージ
+   * @param {Object} position - { line, column }
+   * @param {string} name - テンプレート名
+   * @returns {Error} エラー
+   */
+  createSyntaxError(message, position, name) {
+    return this.createError(`テンプレート構文エラー: ${message}`, position, name);
+  }
+
+  /**
+   * テンプレートの位置を付けたエラーを作成する
+   * @param {string} message - メッセージ
+   * @param {Object} position - { line, column }
+   * @param {string} name - テンプレート名
+   * @returns {Error} エラー
+   */
+  createError(message, position, name) {
+    const location = [name, position.line, position.column].filter(value => value !== undefined).join(':');
+    const error = new Error(`${message}（${location}）`);
+    error.template = name;
+    error.line = position.line;
+    error.column = position.column;
+    return error;
+  }
+
+  /**
+   * ノードの配列をレンダリングする
+   * @param {Array<Object>} nodes - ノードの配列
+   * @param {Object} context - レンダリングコンテキスト
+   *   name: テンプレート名、scopes: { data, variables, path } の配列（末尾が現在のスコープ、path はルートからのデータのパス）、
+   *   blocks: レイアウトで置き換えるブロック、depth: パーシャルの入れ子の深さ、diagnostics: 変数の参照状況（renderWithDiagnostics を参照）
+   * @returns {string} レンダリング結果
+   */
+  renderNodes(nodes, context) {
+    let output = '';
+
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        output += node.value;
+      } else if (node.type === 'output') {
+        // 引数のないヘルパーは {{helper}} の形でも呼び出せる
+        const expression = node.expression.type === 'path' && this.helpers.has(node.expression.path)
+          ? { type: 'call', name: node.expression.path, params: [], hash: {} }
+          : node.expression;
+        const value = this.evaluate(expression, context, node);
+        if (value !== undefined && value !== null) {
+          output += node.raw || value instanceof SafeString ? String(value) : this.escapeHtml(value);
+        }
+      } else if (node.type === 'partial') {
+        output += this.renderPartial(node, context);
+      } else if (node.name === 'each') {
+        output += this.renderEach(node, context);
+      } else if (node.name === 'extends') {
+        output += this.renderExtends(node, context);
+      } else if (node.name === 'block') {
+        const override = context.blocks?.[node.target];
+        output += override
+          ? this.renderNodes(override.nodes, { ...context, name: override.name })
+          : this.renderNodes(node.children, context);
+      } else {
+        const value = this.isTruthy(this.evaluate(node.expression, context, node, 'condition'));
+        output += this.renderNodes((node.name === 'unless' ? !value : value) ? node.children : node.inverse, context);
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * パーシャルをレンダリングする
+   * コンテキストを指定した場合はその値を、key=value を指定した場合は現在の値に追加したものをパーシャルのデータにする
+   * @param {Object} node - パーシャルノード
+   * @param {Object} context - レンダリングコンテキスト
+   * @returns {string} レンダリング結果
+   */
+  renderPartial(node, context) {
+    const scopes = context.scopes;
+    let { data } = scopes[scopes.length - 1];
+    let { path } = scopes[scopes.length - 1];
+    if (node.context) {
+      data = this.evaluate(node.context, context, node);
+      path = this.getDataPath(node.context, scopes);
+    }
+    if (Object.keys(node.hash).length > 0) {
+      const hash = Object.fromEntries(Object.entries(node.hash).map(([key, value]) => [key, this.evaluate(value, context, node)]));
+      data = data && typeof data === 'object' ? { ...data, ...hash } : hash;
+    }
+
+    const nodes = this.getPartialNodes(node.name, context, node);
+    return this.renderNodes(nodes, {
+      ...context,
+      name: node.name,
+      scopes: node.context || Object.keys(node.hash).length > 0
+        ? [...scopes, { data, variables: scopes[scopes.length - 1].variables, path }]
+        : scopes,
+      depth: (context.depth || 0) + 1
+    });
+  }
+
+  /**
+   * レイアウトを継承してレンダリングする（{{#extends "base"}}{{#block "content"}}...{{/block}}{{/extends}}）
+   * 子の {{#block}} でレイアウトの同名のブロックを置き換える。{{#block}} の外に書いた内容は出力しない
+   * @param {Object} node - extends ブロックのノード
+   * @param {Object} context - レンダリングコンテキスト
+   * @returns {string} レンダリング結果
+   */
+  renderExtends(node, context) {
+    const blocks = {};
+    for (const child of node.children) {
+      if (child.name === 'block') {
+        blocks[child.target] = { nodes: child.children, name: context.name };
+      }
+    }
+
+    // レイアウトがさらに別のレイアウトを継承する場合は、より下位（先に処理した側）のブロックを優先する
+    return this.renderNodes(this.getPartialNodes(node.target, context, node), {
+      ...context,
+      name: node.target,
+      blocks: { ...blocks, ...context.blocks },
+      depth: (context.depth || 0) + 1
+    });
+  }
+
+  /**
+   * パーシャル・レイアウトを構文木として取得する（登録されたパーシャル、組み込みテンプレートの順に探す）
+   * @param {string} partialName - パーシャル名
+   * @param {Object} context - レンダリングコンテキスト
+   * @param {Object} position - タグの位置（エラーの表示に使用）
+   * @returns {Array<Object>} ノードの配列
+   */
+  getPartialNodes(partialName, context, position) {
+    const template = this.partials.get(partialName) ?? this.templates.get(partialName);
+    if (template === undefined) {
+      throw this.createError(`テンプレートのレンダリングエラー: パーシャルが見つかりません: ${partialName}`, position, context.name);
+    }
+    if ((context.depth || 0) >= 20) {
+      throw this.createError(`テンプレートのレンダリングエラー: パーシャルの入れ子が深すぎます（循環していないか確認してください）: ${partialName}`, position, context.name);
+    }
+
+    return this.parse(template, partialName);
+  }
+
+  /**
+   * each ブロックをレンダリングする（配列とオブジェクトに対応）
+   * @param {Object} node - each ブロックのノード
+   * @param {Object} context - レンダリングコンテキスト
+   * @returns {string} レンダリング結果
+   */
+  renderEach(node, context) {
+    // 繰り返す値そのものではなく、要素のうち参照した値を使用済みとして記録する
+    const value = this.evaluate(node.expression, context, node, 'condition');
+    const path = this.getDataPath(node.expression, context.scopes);
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [index, item])
+      : (value && typeof value === 'object' ? Object.entries(value) : []);
+
+    if (entries.length === 0) {
+      return this.renderNodes(node.inverse, context);
+    }
+
+    return entries.map(([key, item], index) => this.renderNodes(node.children, {
+      ...context,
+      scopes: [...context.scopes, {
+        data: item,
+        path: path === null ? null : (Array.isArray(value) ? `${path}[]` : this.joinPath(path, key)),
+        variables: {
+          index: index + 1,
+          first: index === 0,
+          last: index === entries.length - 1,
+          key
+        }
+      }]
+    })).join('');
+  }
+
+  /**
+   * 式を評価する
+   * @param {Object} expression - parseExpression で解析した式
+   * @param {Object} context - レンダリングコンテキスト
+   * @param {Object} position - タグの位置（エラーの表示に使用）
+   * @param {string} mode - 'value'（値が見つからない場合に記録する）、'optional'（記録しない）、
+   *   'condition'（記録せず、オブジェクト・配列は使用済みとしない）
+   * @returns {*} 値
+   */
+  evaluate(expression, context, position, mode = 'value') {
+    if (expression.type === 'literal') {
+      return expression.value;
+    }
+    if (expression.type === 'path') {
+      const { value, path } = this.locate(expression.path, context.scopes);
+      this.trace(context, expression.path, value, path, position, mode);
+      return value;
+    }
+
+    const helper = this.helpers.get(expression.name);
+    if (!helper) {
+      throw this.createError(`テンプレートのレンダリングエラー: 未登録のヘルパーです: ${expression.name}`, position, context.name);
+    }
+    // default ヘルパーの第1引数は値がないことを前提にしている
+    const params = expression.params.map((param, index) => this.evaluate(
+      param,
+      context,
+      position,
+      mode === 'value' && expression.name === 'default' && index === 0 ? 'optional' : mode
+    ));
+    const hash = Object.fromEntries(Object.entries(expression.hash).map(([key, value]) => [key, this.evaluate(value, context, position, mode)]));
+
+    try {
+      return helper(...params, { hash, root: context.scopes[0].data });
+    } catch (error) {
+      const wrapped = this.createError(`テンプレートのレンダリングエラー: ヘルパー ${expression.name} の実行に失敗しました: ${error.message}`, position, context.name);
+      wrapped.originalError = error;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * パス（変数名）の値をスコープから取得する
+   * @param {string} expression - パス（例: "title"、"this"、"../title"、"@index"、"@root.title"）
+   * @param {Array<Object>} scopes - スコープの配列
+   * @returns {*} 値
+   */
+  resolve(expression, scopes) {
+    return this.locate(expression, scopes).value;
+  }
+
+  /**
+   * パス（変数名）の値と、ルートからのデータのパスを取得する
+   * @param {string} expression - パス
+   * @param {Array<Object>} scopes - スコープの配列
+   * @returns {Object} { value, path }（@index などの変数、ヘルパーの結果から作ったスコープの場合 path は null）
+   */
+  locate(expression, scopes) {
+    let depth = scopes.length - 1;
+    let rest = expression;
+
+    while (/^\.\.(\/|$)/.test(rest)) {
+      depth = Math.max(0, depth - 1);
+      rest = rest.slice(3);
+    }
+
+    if (rest === '@root' || rest.startsWith('@root.')) {
+      const key = rest.slice('@root.'.length);
+      return { value: this.getValue(scopes[0].data, key), path: this.joinPath(scopes[0].path, key) };
+    }
+    if (rest.startsWith('@')) {
+      const [variable, ...keys] = rest.slice(1).split('.');
+      return { value: this.getValue(scopes[depth].variables[variable], keys.join('.')), path: null };
+    }
+
+    const key = rest.replace(/^(this|\.)(\/|\.|$)/, '');
+    return { value: this.getValue(scopes[depth].data, key), path: this.joinPath(scopes[depth].path, key) };
+  }
+
+  /**
+   * 式がパスの場合にルートからのデータのパスを取得する
+   * @param {Object} expression - 式
+   * @param {Array<Object>} scopes - スコープの配列
+   * @returns {string|null} データのパス（ヘルパーの結果などの場合は null）
+   */
+  getDataPath(expression, scopes) {
+    return expression.type === 'path' ? this.locate(expression.path, scopes).path : null;
+  }
+
+  /**
+   * データのパスを連結する
+   * @param {string|null} base - 親のパス
+   * @param {string} key - キー（空の場合は親のパス）
+   * @returns {string|null} 連結したパス
+   */
+  joinPath(base, key) {
+    if (base === null || base === undefined) return null;
+    return [base, key].filter(Boolean).join('.');
+  }
+
+  /**
+   * 変数の参照を記録する（使用済みのパスと、値が見つからない変数）
+   * @param {Object} context - レンダリングコンテキスト
+   * @param {string} expression - テンプレートに書かれたパス
+   * @param {*} value - 値
+   * @param {string|null} path - ルートからのデータのパス
+   * @param {Object} position - タグの位置
+   * @param {string} mode - evaluate の mode
+   */
+  trace(context, expression, value, path, position, mode) {
+    const { diagnostics } = context;
+    if (!diagnostics) return;
+
+    if (path !== null && (mode !== 'condition' || value === null || typeof value !== 'object')) {
+      diagnostics.used.add(path);
+    }
+    if (value === undefined && mode === 'value') {
+      const item = { path: expression, template: context.name, line: position.line, column: position.column };
+      const exists = diagnostics.missing.some(other => other.path === item.path && other.template === item.template && other.line === item.line && other.column === item.column);
+      if (!exists) {
+        diagnostics.missing.push(item);
+      }
+    }
+  }
+
+  /**
+   * パスが空の場合は値そのものを、それ以外はパスの値を返す
+   * @param {*} value - 値
+   * @param {string} path - パス
+   * @returns {*} 値
+   */
+  getValue(value, path) {
+    return path ? this.getValueByPath(value, path) : value;
+  }
+
+  /**
+   * HTML の特殊文字をエスケープする（{{value}} の既定の出力）
+   * @param {*} value - 値
+   * @returns {string} エスケープした文字列
+   */
+  escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#x27;', '`': '&#x60;', '=': '&#x3D;' };
+    return String(value).replace(/[&<>"'`=]/g, character => entities[character]);
+  }
+
+  /**
+   * 条件の真偽を判定する（Handlebars と同じく空の配列は偽）
+   * @param {*} value - 値
+   * @returns {boolean} 真の場合true
+   */
+  isTruthy(value) {
+    if (value instanceof SafeString) {
+      return value.toString() !== '';
+    }
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
   }
 
   /**
@@ -370,6 +1186,94 @@ npm run build
     this.addTemplate(name, template);
   }
 
+  /**
+   * ディレクトリからテンプレートとパーシャルを読み込む
+   * 直下の .md / .yml / .yaml / .json ファイルはファイル名のテンプレートとして（同名の組み込みテンプレートを置き換える）、
+   * .hbs ファイルはパーシャル・レイアウトとして登録する
+   * @param {string} directory - ディレクトリのパス
+   * @returns {Object} { templates, partials } - 読み込んだテンプレート名・パーシャル名の配列
+   */
+  async loadTemplatesFromDirectory(directory) {
+    if (!(await fs.pathExists(directory))) {
+      return { templates: [], partials: [] };
+    }
+
+    const files = await glob('*.{md,yml,yaml,json}', { cwd: directory, nodir: true });
+    for (const file of files.sort()) {
+      await this.loadTemplateFromFile(path.join(directory, file));
+    }
+
+    return {
+      templates: files.sort(),
+      partials: await this.loadPartialsFromDirectory(directory)
+    };
+  }
+
+  /**
+   * 読み込んだテンプレートとパーシャルを破棄し、組み込みのものだけに戻す（登録したヘルパーは残す）
+   */
+  resetTemplates() {
+    this.templates.clear();
+    this.partials.clear();
+    this.loadBuiltInTemplates();
+  }
+
+  /**
+   * テンプレートの内容を取得する
+   * @param {string} name - テンプレート名
+   * @returns {string|undefined} テンプレート文字列
+   */
+  getTemplate(name) {
+    return this.templates.get(name);
+  }
+
+  /**
+   * パーシャル・レイアウトの内容を取得する
+   * @param {string} name - パーシャル名
+   * @returns {string|undefined} テンプレート文字列
+   */
+  getPartial(name) {
+    return this.partials.get(name);
+  }
+
+  /**
+   * 利用可能なパーシャル・レイアウト一覧を取得する
+   * @returns {Array<string>} パーシャル名の配列
+   */
+  getAvailablePartials() {
+    return Array.from(this.partials.keys());
+  }
+
+  /**
+   * パーシャル・レイアウトを登録する
+   * @param {string} name - パーシャル名（{{> name}}、{{#extends "name"}} で参照する）
+   * @param {string} template - テンプレート文字列
+   */
+  registerPartial(name, template) {
+    this.partials.set(name, template);
+  }
+
+  /**
+   * ディレクトリ内の .hbs ファイルをパーシャル・レイアウトとして読み込む
+   * パーシャル名はディレクトリからの相対パスから拡張子を除いたもの（例: layouts/base.hbs → layouts/base）
+   * @param {string} directory - ディレクトリのパス
+   * @returns {Array<string>} 読み込んだパーシャル名の配列
+   */
+  async loadPartialsFromDirectory(directory) {
+    if (!(await fs.pathExists(directory))) {
+      return [];
+    }
+
+    const files = await glob('**/*.hbs', { cwd: directory, posix: true, nodir: true });
+    const names = [];
+    for (const file of files.sort()) {
+      const name = file.replace(/\.hbs$/, '');
+      this.registerPartial(name, await fs.readFile(path.join(directory, file), 'utf8'));
+      names.push(name);
+    }
+    return names;
+  }
+
   /**
    * 利用可能なテンプレート一覧を取得する
    * @returns {Array<string>} テンプレート名の配列
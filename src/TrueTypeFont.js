@@ -0,0 +1,440 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+
+// サブセットに含めるテーブル（PDF の FontFile2 に必要なもの）
+const SUBSET_TABLES = ['OS/2', 'cvt ', 'fpgm', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'prep'];
+
+// 複合グリフのフラグ
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+/**
+ * TrueType フォント - PDFへの埋め込みに必要な情報の読み取りとサブセット化
+ * グリフ番号を変えずに未使用のグリフを空にするため、PDF側では CIDToGIDMap /Identity で参照できる
+ */
+export class TrueTypeFont {
+  /**
+   * @param {Buffer} buffer - フォントファイルの内容（.ttf、または .ttc の先頭のフォント）
+   * @param {string} name - エラーメッセージに使用するファイル名
+   */
+  constructor(buffer, name = 'font') {
+    this.buffer = buffer;
+    this.name = name;
+    this.tables = this.readTableDirectory();
+
+    for (const tag of ['head', 'hhea', 'maxp', 'hmtx', 'cmap', 'loca', 'glyf']) {
+      if (!this.tables[tag]) {
+        throw new Error(`TrueType アウトラインのフォントではありません (${tag} テーブルがありません): ${name}`);
+      }
+    }
+
+    const head = this.tables.head.offset;
+    this.unitsPerEm = buffer.readUInt16BE(head + 18);
+    this.bbox = [36, 38, 40, 42].map(offset => this.scale(buffer.readInt16BE(head + offset)));
+    this.indexToLocFormat = buffer.readInt16BE(head + 50);
+
+    const hhea = this.tables.hhea.offset;
+    this.ascent = this.scale(buffer.readInt16BE(hhea + 4));
+    this.descent = this.scale(buffer.readInt16BE(hhea + 6));
+    this.numberOfHMetrics = buffer.readUInt16BE(hhea + 34);
+    this.numGlyphs = buffer.readUInt16BE(this.tables.maxp.offset + 4);
+
+    const os2 = this.tables['OS/2'];
+    this.capHeight = os2 && buffer.readUInt16BE(os2.offset) >= 2 ? this.scale(buffer.readInt16BE(os2.offset + 88)) : this.ascent;
+    this.italicAngle = this.tables.post ? buffer.readInt32BE(this.tables.post.offset + 4) / 65536 : 0;
+    this.postScriptName = this.readPostScriptName();
+
+    this.cmap = this.readCmap();
+    this.used = new Map([[0, '']]);
+  }
+
+  /**
+   * フォントファイルを読み込む
+   * @param {string} filePath - フォントファイルのパス
+   * @returns {TrueTypeFont} フォント
+   */
+  static async load(filePath) {
+    return new TrueTypeFont(await fs.readFile(filePath), filePath);
+  }
+
+  /**
+   * 文字に対応するグリフ番号を取得する
+   * @param {number} codePoint - Unicode のコードポイント
+   * @returns {number} グリフ番号（ない場合は 0）
+   */
+  glyphForCodePoint(codePoint) {
+    return this.cmap(codePoint);
+  }
+
+  /**
+   * 文字のグリフがあるかどうか
+   * @param {string} char - 文字
+   * @returns {boolean} グリフがある場合true
+   */
+  hasGlyph(char) {
+    return this.cmap(char.codePointAt(0)) !== 0;
+  }
+
+  /**
+   * グリフの送り幅を取得する（1000 単位）
+   * @param {number} glyph - グリフ番号
+   * @returns {number} 送り幅
+   */
+  advanceWidth(glyph) {
+    const index = Math.min(glyph, this.numberOfHMetrics - 1);
+    return this.scale(this.buffer.readUInt16BE(this.tables.hmtx.offset + index * 4));
+  }
+
+  /**
+   * 文字列の幅を求める
+   * @param {string} text - 文字列
+   * @param {number} size - フォントサイズ（pt）
+   * @returns {number} 幅（pt）
+   */
+  measure(text, size) {
+    let width = 0;
+    for (const char of text) {
+      width += this.advanceWidth(this.cmap(char.codePointAt(0)));
+    }
+    return width * size / 1000;
+  }
+
+  /**
+   * 文字列をグリフ番号の16進文字列（Identity-H）に変換し、使用したグリフを記録する
+   * @param {string} text - 文字列
+   * @returns {string} PDFの16進文字列の中身
+   */
+  encode(text) {
+    let hex = '';
+    for (const char of text) {
+      const glyph = this.cmap(char.codePointAt(0));
+      if (!this.used.has(glyph)) {
+        this.used.set(glyph, char);
+      }
+      hex += glyph.toString(16).padStart(4, '0');
+    }
+    return hex;
+  }
+
+  /**
+   * 使用したグリフだけを含むフォントファイルを生成する
+   * @returns {Buffer} サブセット化したフォント
+   */
+  subset() {
+    const glyphs = new Set(this.used.keys());
+    for (const glyph of [...glyphs]) {
+      this.collectComponents(glyph, glyphs);
+    }
+
+    const glyfParts = [];
+    const offsets = [0];
+    let length = 0;
+    for (let glyph = 0; glyph < this.numGlyphs; glyph++) {
+      if (glyphs.has(glyph)) {
+        const data = this.getGlyphData(glyph);
+        const padded = Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4)]);
+        glyfParts.push(padded);
+        length += padded.length;
+      }
+      offsets.push(length);
+    }
+
+    const loca = Buffer.alloc(offsets.length * 4);
+    offsets.forEach((offset, index) => loca.writeUInt32BE(offset, index * 4));
+
+    const head = Buffer.from(this.getTable('head'));
+    head.writeUInt32BE(0, 8);
+    head.writeInt16BE(1, 50);
+
+    const tables = {};
+    for (const tag of SUBSET_TABLES) {
+      if (tag === 'glyf') tables[tag] = Buffer.concat(glyfParts);
+      else if (tag === 'loca') tables[tag] = loca;
+      else if (tag === 'head') tables[tag] = head;
+      else if (this.tables[tag]) tables[tag] = this.getTable(tag);
+    }
+
+    const font = this.writeFont(tables);
+    // checkSumAdjustment はフォント全体のチェックサムから求める
+    const headOffset = font.readUInt32BE(12 + Object.keys(tables).indexOf('head') * 16 + 8);
+    font.writeUInt32BE((0xb1b0afba - TrueTypeFont.checksum(font)) >>> 0, headOffset + 8);
+    return font;
+  }
+
+  /**
+   * サブセットフォント名の接頭辞（使用したグリフから決まる6文字の英大文字）を付けたフォント名
+   * @returns {string} フォント名（例: ABCDEF+NotoSansJP-Regular）
+   */
+  getSubsetName() {
+    const hash = crypto.createHash('sha1').update([...this.used.keys()].sort((a, b) => a - b).join(',')).digest();
+    const tag = [...hash.subarray(0, 6)].map(byte => String.fromCharCode(65 + (byte % 26))).join('');
+    return `${tag}+${this.postScriptName}`;
+  }
+
+  /**
+   * 使用したグリフの幅（PDF の W 配列の中身）
+   * @returns {string} W 配列
+   */
+  getWidths() {
+    return [...this.used.keys()]
+      .sort((a, b) => a - b)
+      .map(glyph => `${glyph} [${Math.round(this.advanceWidth(glyph))}]`)
+      .join(' ');
+  }
+
+  /**
+   * 使用したグリフから Unicode への対応表（ToUnicode CMap）
+   * @returns {string} CMap
+   */
+  getToUnicodeCMap() {
+    const entries = [...this.used].filter(([, char]) => char !== '');
+    const chunks = [];
+    for (let i = 0; i < entries.length; i += 100) {
+      const chunk = entries.slice(i, i + 100);
+      const lines = chunk.map(([glyph, char]) => {
+        const unicode = Buffer.from(char, 'utf16le').swap16().toString('hex');
+        return `<${glyph.toString(16).padStart(4, '0')}> <${unicode}>`;
+      });
+      chunks.push(`${chunk.length} beginbfchar\n${lines.join('\n')}\nendbfchar`);
+    }
+
+    return `/CIDInit /ProcSet findresource begin
+12 dict begin
+begincmap
+/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def
+/CMapName /Adobe-Identity-UCS def
+/CMapType 2 def
+1 begincodespacerange
+<0000> <ffff>
+endcodespacerange
+${chunks.join('\n')}
+endcmap
+CMapName currentdict /CMap defineresource pop
+end
+end`;
+  }
+
+  /**
+   * フォント単位の値を 1000 単位に変換する
+   * @param {number} value - フォント単位の値
+   * @returns {number} 1000 単位の値
+   */
+  scale(value) {
+    return value * 1000 / this.unitsPerEm;
+  }
+
+  /**
+   * テーブルディレクトリを読み込む（.ttc の場合は先頭のフォント）
+   * @returns {Object} タグ → { offset, length }
+   */
+  readTableDirectory() {
+    const tag = this.buffer.toString('latin1', 0, 4);
+    const start = tag === 'ttcf' ? this.buffer.readUInt32BE(12) : 0;
+    const version = this.buffer.toString('latin1', start, start + 4);
+    if (version === 'OTTO') {
+      throw new Error(`CFF アウトラインのフォント (.otf) には対応していません。TrueType アウトラインのフォント (.ttf) を指定してください: ${this.name}`);
+    }
+
+    const tables = {};
+    const count = this.buffer.readUInt16BE(start + 4);
+    for (let i = 0; i < count; i++) {
+      const record = start + 12 + i * 16;
+      tables[this.buffer.toString('latin1', record, record + 4)] = {
+        offset: this.buffer.readUInt32BE(record + 8),
+        length: this.buffer.readUInt32BE(record + 12)
+      };
+    }
+    return tables;
+  }
+
+  /**
+   * テーブルの内容を取得する
+   * @param {string} tag - テーブルのタグ
+   * @returns {Buffer} テーブルの内容
+   */
+  getTable(tag) {
+    const { offset, length } = this.tables[tag];
+    return this.buffer.subarray(offset, offset + length);
+  }
+
+  /**
+   * PostScript 名を読み込む（name テーブルの ID 6）
+   * @returns {string} PostScript 名
+   */
+  readPostScriptName() {
+    const table = this.tables.name;
+    if (table) {
+      const count = this.buffer.readUInt16BE(table.offset + 2);
+      const storage = table.offset + this.buffer.readUInt16BE(table.offset + 4);
+      for (let i = 0; i < count; i++) {
+        const record = table.offset + 6 + i * 12;
+        if (this.buffer.readUInt16BE(record + 6) !== 6) continue;
+        const platform = this.buffer.readUInt16BE(record);
+        const data = this.buffer.subarray(storage + this.buffer.readUInt16BE(record + 10), storage + this.buffer.readUInt16BE(record + 10) + this.buffer.readUInt16BE(record + 8));
+        const name = platform === 3 || platform === 0 ? Buffer.from(data).swap16().toString('utf16le') : data.toString('latin1');
+        if (name) return name.replace(/[^\x21-\x7e]|[[\](){}<>/%#]/g, '');
+      }
+    }
+    return 'Font';
+  }
+
+  /**
+   * cmap テーブルを読み込み、コードポイントからグリフ番号を引く関数を返す
+   * （Unicode の format 12、なければ format 4 を使用する）
+   * @returns {Function} (codePoint) => glyph
+   */
+  readCmap() {
+    const cmap = this.tables.cmap.offset;
+    const count = this.buffer.readUInt16BE(cmap + 2);
+    const subtables = [];
+    for (let i = 0; i < count; i++) {
+      const record = cmap + 4 + i * 8;
+      const platform = this.buffer.readUInt16BE(record);
+      const encoding = this.buffer.readUInt16BE(record + 2);
+      const offset = cmap + this.buffer.readUInt32BE(record + 4);
+      if (platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10))) {
+        subtables.push({ format: this.buffer.readUInt16BE(offset), offset });
+      }
+    }
+
+    const format12 = subtables.find(subtable => subtable.format === 12);
+    if (format12) {
+      const groups = [];
+      const length = this.buffer.readUInt32BE(format12.offset + 12);
+      for (let i = 0; i < length; i++) {
+        const group = format12.offset + 16 + i * 12;
+        groups.push([this.buffer.readUInt32BE(group), this.buffer.readUInt32BE(group + 4), this.buffer.readUInt32BE(group + 8)]);
+      }
+      return (codePoint) => {
+        let low = 0;
+        let high = groups.length - 1;
+        while (low <= high) {
+          const middle = (low + high) >> 1;
+          const [start, end, glyph] = groups[middle];
+          if (codePoint < start) high = middle - 1;
+          else if (codePoint > end) low = middle + 1;
+          else return glyph + codePoint - start;
+        }
+        return 0;
+      };
+    }
+
+    const format4 = subtables.find(subtable => subtable.format === 4);
+    if (!format4) {
+      throw new Error(`Unicode の cmap がありません: ${this.name}`);
+    }
+
+    const map = new Map();
+    const offset = format4.offset;
+    const segments = this.buffer.readUInt16BE(offset + 6) / 2;
+    const endCodes = offset + 14;
+    const startCodes = endCodes + segments * 2 + 2;
+    const idDeltas = startCodes + segments * 2;
+    const idRangeOffsets = idDeltas + segments * 2;
+    for (let i = 0; i < segments; i++) {
+      const start = this.buffer.readUInt16BE(startCodes + i * 2);
+      const end = this.buffer.readUInt16BE(endCodes + i * 2);
+      const delta = this.buffer.readInt16BE(idDeltas + i * 2);
+      const rangeOffset = this.buffer.readUInt16BE(idRangeOffsets + i * 2);
+      for (let code = start; code <= end && code !== 0xffff; code++) {
+        let glyph;
+        if (rangeOffset === 0) {
+          glyph = (code + delta) & 0xffff;
+        } else {
+          const position = idRangeOffsets + i * 2 + rangeOffset + (code - start) * 2;
+          glyph = this.buffer.readUInt16BE(position);
+          if (glyph !== 0) glyph = (glyph + delta) & 0xffff;
+        }
+        if (glyph !== 0) map.set(code, glyph);
+      }
+    }
+    return (codePoint) => map.get(codePoint) || 0;
+  }
+
+  /**
+   * グリフのデータを取得する
+   * @param {number} glyph - グリフ番号
+   * @returns {Buffer} glyf テーブル内のデータ
+   */
+  getGlyphData(glyph) {
+    const loca = this.tables.loca.offset;
+    const [start, end] = this.indexToLocFormat === 0
+      ? [this.buffer.readUInt16BE(loca + glyph * 2) * 2, this.buffer.readUInt16BE(loca + glyph * 2 + 2) * 2]
+      : [this.buffer.readUInt32BE(loca + glyph * 4), this.buffer.readUInt32BE(loca + glyph * 4 + 4)];
+    const glyf = this.tables.glyf.offset;
+    return this.buffer.subarray(glyf + start, glyf + end);
+  }
+
+  /**
+   * 複合グリフが参照するグリフを集める
+   * @param {number} glyph - グリフ番号
+   * @param {Set<number>} glyphs - 集めたグリフ番号
+   */
+  collectComponents(glyph, glyphs) {
+    const data = this.getGlyphData(glyph);
+    if (data.length === 0 || data.readInt16BE(0) >= 0) return;
+
+    let offset = 10;
+    let flags;
+    do {
+      flags = data.readUInt16BE(offset);
+      const component = data.readUInt16BE(offset + 2);
+      if (!glyphs.has(component)) {
+        glyphs.add(component);
+        this.collectComponents(component, glyphs);
+      }
+      offset += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+      if (flags & WE_HAVE_A_SCALE) offset += 2;
+      else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) offset += 4;
+      else if (flags & WE_HAVE_A_TWO_BY_TWO) offset += 8;
+    } while (flags & MORE_COMPONENTS);
+  }
+
+  /**
+   * テーブルからフォントファイルを組み立てる
+   * @param {Object} tables - タグ → 内容（タグ順）
+   * @returns {Buffer} フォントファイル
+   */
+  writeFont(tables) {
+    const tags = Object.keys(tables);
+    const header = Buffer.alloc(12 + tags.length * 16);
+    const entrySelector = Math.floor(Math.log2(tags.length));
+    header.writeUInt32BE(0x00010000, 0);
+    header.writeUInt16BE(tags.length, 4);
+    header.writeUInt16BE(2 ** entrySelector * 16, 6);
+    header.writeUInt16BE(entrySelector, 8);
+    header.writeUInt16BE(tags.length * 16 - 2 ** entrySelector * 16, 10);
+
+    const parts = [header];
+    let offset = header.length;
+    tags.forEach((tag, index) => {
+      const data = tables[tag];
+      const record = 12 + index * 16;
+      header.write(tag, record, 4, 'latin1');
+      header.writeUInt32BE(TrueTypeFont.checksum(data), record + 4);
+      header.writeUInt32BE(offset, record + 8);
+      header.writeUInt32BE(data.length, record + 12);
+      const padded = Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4)]);
+      parts.push(padded);
+      offset += padded.length;
+    });
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * テーブルのチェックサムを計算する
+   * @param {Buffer} data - 対象データ
+   * @returns {number} チェックサム
+   */
+  static checksum(data) {
+    const padded = data.length % 4 === 0 ? data : Buffer.concat([data, Buffer.alloc(4 - (data.length % 4))]);
+    let sum = 0;
+    for (let i = 0; i < padded.length; i += 4) {
+      sum = (sum + padded.readUInt32BE(i)) >>> 0;
+    }
+    return sum;
+  }
+}
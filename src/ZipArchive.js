@@ -0,0 +1,164 @@
+import zlib from 'zlib';
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+// ファイル名が UTF-8 であることを示すフラグ
+const FLAG_UTF8 = 0x0800;
+
+// 1980-01-01 00:00:00（ZIPで表現できる最小の日時）。出力を再現可能にするため全ファイルで固定する
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * ZIPアーカイブの作成と読み込み（EPUBのコンテナ用）
+ * 無圧縮 (store) と deflate のみを扱い、外部ライブラリに依存しない
+ */
+export class ZipArchive {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * ファイルを追加する
+   * @param {string} name - アーカイブ内のパス（/ 区切り）
+   * @param {string|Buffer} data - 内容
+   * @param {Object} options - オプション
+   * @param {boolean} options.compress - deflate で圧縮する場合true（既定）
+   */
+  addFile(name, data, options = {}) {
+    this.entries.push({
+      name,
+      data: Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8'),
+      compress: options.compress !== false
+    });
+  }
+
+  /**
+   * アーカイブをバイト列に変換する（追加した順に格納する）
+   * @returns {Buffer} ZIPファイルの内容
+   */
+  toBuffer() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      const name = Buffer.from(entry.name, 'utf8');
+      const method = entry.compress ? METHOD_DEFLATE : METHOD_STORE;
+      const body = entry.compress ? zlib.deflateRawSync(entry.data) : entry.data;
+      const crc = ZipArchive.crc32(entry.data);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+      local.writeUInt16LE(20, 4);
+      local.writeUInt16LE(FLAG_UTF8, 6);
+      local.writeUInt16LE(method, 8);
+      local.writeUInt16LE(DOS_TIME, 10);
+      local.writeUInt16LE(DOS_DATE, 12);
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(body.length, 18);
+      local.writeUInt32LE(entry.data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+      central.writeUInt16LE(20, 4);
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(FLAG_UTF8, 8);
+      central.writeUInt16LE(method, 10);
+      central.writeUInt16LE(DOS_TIME, 12);
+      central.writeUInt16LE(DOS_DATE, 14);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(body.length, 20);
+      central.writeUInt32LE(entry.data.length, 24);
+      central.writeUInt16LE(name.length, 28);
+      central.writeUInt32LE(offset, 42);
+
+      localParts.push(local, name, body);
+      centralParts.push(central, name);
+      offset += local.length + name.length + body.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+
+  /**
+   * ZIPファイルを読み込む
+   * 各エントリはローカルヘッダーの順に並べ、格納方式とローカルヘッダーの拡張フィールド長も返す
+   * @param {Buffer} buffer - ZIPファイルの内容
+   * @returns {Array<Object>} { name, method, extraLength, data } の配列
+   */
+  static read(buffer) {
+    const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (endOffset < 0) {
+      throw new Error('ZIPファイルの終端レコードが見つかりません');
+    }
+
+    const count = buffer.readUInt16LE(endOffset + 10);
+    let pointer = buffer.readUInt32LE(endOffset + 16);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      if (buffer.readUInt32LE(pointer) !== CENTRAL_HEADER_SIGNATURE) {
+        throw new Error('ZIPファイルのセントラルディレクトリが壊れています');
+      }
+      const method = buffer.readUInt16LE(pointer + 10);
+      const compressedSize = buffer.readUInt32LE(pointer + 20);
+      const nameLength = buffer.readUInt16LE(pointer + 28);
+      const extraLength = buffer.readUInt16LE(pointer + 30);
+      const commentLength = buffer.readUInt16LE(pointer + 32);
+      const localOffset = buffer.readUInt32LE(pointer + 42);
+      const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+      const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + localExtraLength;
+      const body = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      entries.push({
+        name,
+        method,
+        offset: localOffset,
+        extraLength: localExtraLength,
+        data: method === METHOD_DEFLATE ? zlib.inflateRawSync(body) : Buffer.from(body)
+      });
+      pointer += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries.sort((a, b) => a.offset - b.offset);
+  }
+
+  /**
+   * CRC-32 を計算する
+   * @param {Buffer} data - 対象データ
+   * @returns {number} CRC-32
+   */
+  static crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+      crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
@@ -3,14 +3,52 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
 import path from 'path';
+import readline from 'readline/promises';
 import { BookGenerator } from './BookGenerator.js';
+import { ConfigFixer } from './ConfigFixer.js';
 import { ConfigValidator } from './ConfigValidator.js';
+import { ContentValidator } from './ContentValidator.js';
+import { EpubBuilder } from './EpubBuilder.js';
+import { EpubValidator } from './EpubValidator.js';
+import { PdfBuilder } from './PdfBuilder.js';
+import { PrintHtmlBuilder } from './PrintHtmlBuilder.js';
+import { MarkdownExporter } from './MarkdownExporter.js';
+import { DocxExporter } from './DocxExporter.js';
+import { ReviewExporter } from './ReviewExporter.js';
+import { ReviewImporter } from './ReviewImporter.js';
+import { MarkdownBookImporter } from './MarkdownBookImporter.js';
 import { FileSystemUtils } from './FileSystemUtils.js';
+import { HtmlSiteBuilder } from './HtmlSiteBuilder.js';
+import { SiteBuilder } from './SiteBuilder.js';
+import { PreviewServer } from './PreviewServer.js';
+import { ChapterManager } from './ChapterManager.js';
 
 const program = new Command();
 const bookGenerator = new BookGenerator();
 const configValidator = new ConfigValidator();
+const configFixer = new ConfigFixer();
+const contentValidator = new ContentValidator();
 const fsUtils = new FileSystemUtils();
+const siteBuilder = new SiteBuilder();
+const chapterManager = new ChapterManager();
+const epubBuilder = new EpubBuilder();
+const epubValidator = new EpubValidator();
+const pdfBuilder = new PdfBuilder();
+const printHtmlBuilder = new PrintHtmlBuilder();
+const markdownExporter = new MarkdownExporter();
+const docxExporter = new DocxExporter();
+const reviewExporter = new ReviewExporter();
+const reviewImporter = new ReviewImporter();
+const markdownBookImporter = new MarkdownBookImporter();
+
+// build --format で指定できる出力形式
+const BUILD_FORMATS = ['html', 'epub', 'pdf', 'print-html'];
+
+// export --format で指定できる形式
+const EXPORT_FORMATS = ['markdown', 'docx', 'review'];
+
+// import --from で指定できる形式
+const IMPORT_FORMATS = ['review', 'mdbook', 'gitbook', 'docusaurus'];
 
 // バージョン情報
 program
@@ -23,8 +61,10 @@ program
   .command('create-book')
   .description('新しい書籍を作成します')
   .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-e, --env <name>', '環境名（book-config.<env>.json を重ねて読み込みます）')
   .option('-o, --output <path>', '出力ディレクトリのパス', './output')
   .option('-f, --force', '既存のディレクトリを上書きします', false)
+  .option('--strict', 'テンプレートで値が見つからない変数をエラーにします（build.debug でも有効になります）', false)
   .action(async (options) => {
     try {
       console.log(chalk.blue('📚 新しい書籍を作成しています...'));
@@ -46,13 +86,14 @@ program
       }
 
       // 書籍の作成
-      await bookGenerator.createBook(options.config, options.output);
+      await bookGenerator.createBook(options.config, options.output, { env: options.env, strict: options.strict });
       
       console.log(chalk.green('✅ 書籍の作成が完了しました!'));
       console.log(chalk.blue(`📁 出力先: ${path.resolve(options.output)}`));
       
     } catch (error) {
       console.error(chalk.red(`❌ エラーが発生しました: ${error.message}`));
+      printCodeFrame(error);
       process.exit(1);
     }
   });
@@ -62,8 +103,10 @@ program
   .command('update-book')
   .description('既存の書籍を更新します')
   .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-e, --env <name>', '環境名（book-config.<env>.json を重ねて読み込みます）')
   .option('-b, --book <path>', '書籍のパス', './book')
   .option('--no-backup', 'バックアップを作成しません', false)
+  .option('--strict', 'テンプレートで値が見つからない変数をエラーにします（build.debug でも有効になります）', false)
   .action(async (options) => {
     try {
       console.log(chalk.blue('📚 書籍を更新しています...'));
@@ -81,12 +124,13 @@ program
       }
 
       // 書籍の更新
-      await bookGenerator.updateBook(options.config, options.book);
+      await bookGenerator.updateBook(options.config, options.book, { env: options.env, strict: options.strict });
       
       console.log(chalk.green('✅ 書籍の更新が完了しました!'));
       
     } catch (error) {
       console.error(chalk.red(`❌ エラーが発生しました: ${error.message}`));
+      printCodeFrame(error);
       process.exit(1);
     }
   });
@@ -96,7 +140,13 @@ program
   .command('validate-config')
   .description('設定ファイルをバリデーションします')
   .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-e, --env <name>', '環境名（book-config.<env>.json を重ねて読み込みます）')
   .option('-v, --verbose', '詳細な結果を表示します', false)
+  .option('--content', '原稿ファイルとの整合性（ファイルの有無、参照漏れ、章番号、見出し）も検証します', false)
+  .option('-s, --source <path>', 'ソースディレクトリのパス（--content で使用）', './src')
+  .option('--fix', '修正可能な項目（既定値、章の id、navigation.order の重複、repository.owner / name）を自動修正します', false)
+  .option('--dry-run', '--fix で修正内容の差分を表示し、ファイルは書き込みません', false)
+  .option('-y, --yes', '--fix で確認せずに書き込みます', false)
   .action(async (options) => {
     try {
       console.log(chalk.blue('🔍 設定ファイルをバリデーションしています...'));
@@ -107,19 +157,52 @@ program
         process.exit(1);
       }
 
-      // 設定ファイルの読み込み
-      const config = await bookGenerator.loadConfig(options.config);
+      if (options.fix) {
+        // 差分を表示して確認してから書き込み、修正後の設定を検証する
+        console.log(chalk.blue('🔧 設定ファイルを自動修正しています...'));
+        const printChanges = (result) => {
+          printDiff(result.diff);
+          result.changes.forEach(change => {
+            console.log(chalk.yellow(`  - ${change.path}: ${change.message}`));
+          });
+        };
+        const result = await configFixer.fix(options.config, {
+          dryRun: options.dryRun,
+          confirm: async (preview) => {
+            printChanges(preview);
+            return options.yes || confirm(`${preview.changes.length}件の修正を書き込みますか？ (y/N) `);
+          }
+        });
+
+        if (result.changes.length === 0) {
+          console.log(chalk.green('✅ 修正が必要な項目はありません'));
+        } else if (options.dryRun) {
+          printChanges(result);
+          console.log(chalk.yellow(`⚠️  ドライランのため書き込みませんでした（${result.changes.length}件の修正）`));
+        } else if (result.written) {
+          console.log(chalk.green(`✅ ${result.changes.length}件の修正を書き込みました: ${options.config}`));
+        } else {
+          console.log(chalk.yellow('⚠️  修正を書き込みませんでした（確認せずに書き込む場合は --yes を指定してください）'));
+        }
+      }
+
+      // 設定ファイルの読み込み（継承、環境別の設定、環境変数を反映する）
+      // 重ねた設定がない場合は、エラーのパスがファイルと一致するよう記述された形式（環境変数は展開済み）で検証する
+      const normalized = await bookGenerator.loadConfig(options.config, { env: options.env });
+      const config = bookGenerator.getSourceConfig(normalized) ?? normalized;
+      const locate = (pointer) => bookGenerator.locateConfig(config, pointer);
       
       if (options.verbose) {
         // 詳細なバリデーション
-        const details = configValidator.getValidationDetails(config);
+        const details = configValidator.getValidationDetails(config, { locate });
         
         if (details.isValid) {
           console.log(chalk.green('✅ 設定ファイルは有効です'));
         } else {
           console.log(chalk.red('❌ 設定ファイルにエラーがあります'));
-          details.errors.forEach(error => {
-            console.log(chalk.red(`  - ${error}`));
+          details.issues.filter(issue => issue.severity === 'error').forEach(issue => {
+            console.log(chalk.red(`  - ${configValidator.formatIssue(issue)}`));
+            printCodeFrame(issue);
           });
         }
         
@@ -131,12 +214,82 @@ program
         }
       } else {
         // 基本的なバリデーション
-        configValidator.validate(config);
+        const details = configValidator.validate(config, { locate });
         console.log(chalk.green('✅ 設定ファイルは有効です'));
+        if (details.warnings.length > 0) {
+          console.log(chalk.yellow(`⚠️  ${details.warnings.length}件の警告があります（--verbose で表示します）`));
+        }
+      }
+
+      if (options.content) {
+        // 原稿ファイルとの照合は正規形の設定で行う（エラーの位置は設定ファイルに対応付ける）
+        console.log(chalk.blue(`🔍 原稿ファイルとの整合性を検証しています: ${options.source}`));
+        const result = await contentValidator.validate(normalized, {
+          sourceDir: options.source,
+          locate: (pointer) => bookGenerator.locateConfig(normalized, pointer)
+        });
+
+        if (!result.isValid) {
+          console.error(chalk.red(`❌ 原稿ファイルとの不整合があります（${result.issues.length} 件）:`));
+          result.issues.forEach(issue => {
+            console.error(chalk.red(`  - ${configValidator.formatIssue(issue)}`));
+            printCodeFrame(issue);
+          });
+          process.exit(1);
+        }
+        console.log(chalk.green('✅ 原稿ファイルとの整合性に問題はありません'));
       }
       
     } catch (error) {
-      console.error(chalk.red(`❌ バリデーションエラー: ${error.message}`));
+      if (error.issues) {
+        console.error(chalk.red('❌ バリデーションエラー:'));
+        error.issues
+          .filter(issue => issue.severity === 'error')
+          .forEach(issue => {
+            console.error(chalk.red(`  - ${configValidator.formatIssue(issue)}`));
+            printCodeFrame(issue);
+          });
+      } else {
+        console.error(chalk.red(`❌ バリデーションエラー: ${error.message}`));
+        printCodeFrame(error);
+      }
+      process.exit(1);
+    }
+  });
+
+// migrate-config コマンド
+program
+  .command('migrate-config')
+  .description('設定ファイルを flat 形式と nested 形式の間で変換します')
+  .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-t, --to <dialect>', '変換先の形式（flat または nested、省略時は現在と逆の形式）')
+  .option('-o, --output <path>', '出力ファイルのパス（省略時は元のファイルを上書き）')
+  .option('--dry-run', 'ファイルを書き込まずに変換結果を表示します', false)
+  .action(async (options) => {
+    try {
+      // 設定ファイルの存在チェック
+      if (!(await fsUtils.exists(options.config))) {
+        console.error(chalk.red(`❌ 設定ファイルが見つかりません: ${options.config}`));
+        process.exit(1);
+      }
+
+      const result = await bookGenerator.migrateConfig(options.config, {
+        to: options.to,
+        output: options.output,
+        dryRun: options.dryRun
+      });
+
+      if (options.dryRun) {
+        console.log(result.content);
+        return;
+      }
+
+      console.log(chalk.green(`✅ 設定ファイルを ${result.from} 形式から ${result.to} 形式に変換しました`));
+      console.log(chalk.blue(`📁 出力先: ${path.resolve(result.outputPath)}`));
+
+    } catch (error) {
+      console.error(chalk.red(`❌ エラーが発生しました: ${error.message}`));
+      printCodeFrame(error);
       process.exit(1);
     }
   });
@@ -211,6 +364,507 @@ program
     }
   });
 
+// build コマンド
+program
+  .command('build')
+  .description('設定ファイルの構成に従って書籍をビルドします')
+  .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-e, --env <name>', '環境名（book-config.<env>.json を重ねて読み込みます）')
+  .option('-s, --source <path>', 'ソースディレクトリのパス', './src')
+  .option('-o, --output <path>', '出力ディレクトリのパス', './docs')
+  .option('-f, --format <formats>', `出力形式（カンマ区切りで複数指定可: ${BUILD_FORMATS.join(', ')}）`, 'html')
+  .option('-r, --renderer <name>', 'HTMLの生成方法 (jekyll: GitHub Pages 用のMarkdown, native: 完成した静的サイト)')
+  .option('--url <url>', 'サイトのURL（native のみ。sitemap.xml に使用します）')
+  .option('--base-url <path>', 'サイトを配信するパス（native のみ。例: /my-book）')
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue('🔨 書籍をビルドしています...'));
+
+      // 設定ファイルの存在チェック
+      if (!(await fsUtils.exists(options.config))) {
+        console.error(chalk.red(`❌ 設定ファイルが見つかりません: ${options.config}`));
+        process.exit(1);
+      }
+
+      const formats = options.format.split(',').map(format => format.trim()).filter(Boolean);
+      const unknownFormats = formats.filter(format => !BUILD_FORMATS.includes(format));
+      if (unknownFormats.length > 0) {
+        throw new Error(`不明な出力形式です: ${unknownFormats.join(', ')} (${BUILD_FORMATS.join(', ')} から指定してください)`);
+      }
+
+      const config = await bookGenerator.loadConfig(options.config, { env: options.env });
+
+      if (formats.includes('html')) {
+        const htmlConfig = config.build?.html || {};
+        const renderer = options.renderer || htmlConfig.renderer || 'jekyll';
+        if (!['jekyll', 'native'].includes(renderer)) {
+          throw new Error(`不明なHTMLの生成方法です: ${renderer} (jekyll または native を指定してください)`);
+        }
+
+        const builder = renderer === 'native'
+          ? new HtmlSiteBuilder({ url: options.url ?? htmlConfig.url, baseurl: options.baseUrl ?? htmlConfig.baseurl })
+          : siteBuilder;
+        const result = await builder.build(config, {
+          sourceDir: options.source,
+          outputDir: options.output
+        });
+
+        console.log(chalk.blue(`📁 出力先: ${path.resolve(result.outputDir)}`));
+        console.log(chalk.blue(`📄 処理ファイル数: ${result.entries.length}`));
+      }
+
+      if (formats.includes('epub')) {
+        const result = await epubBuilder.build(config, {
+          sourceDir: options.source,
+          outputFile: path.join(options.output, 'book.epub')
+        });
+
+        // 生成したEPUBの構造を検証する
+        const validation = await epubValidator.validateFile(result.outputFile);
+        validation.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+        if (!validation.isValid) {
+          throw new Error(`EPUBの検証に失敗しました:\n${validation.errors.map(message => `  - ${message}`).join('\n')}`);
+        }
+
+        console.log(chalk.blue(`📘 EPUB: ${path.resolve(result.outputFile)}`));
+      }
+
+      if (formats.includes('pdf')) {
+        // PDF は出力ディレクトリではなく dist/<slug>.pdf に出力する
+        const result = await pdfBuilder.build(config, { sourceDir: options.source });
+        console.log(chalk.blue(`📕 PDF: ${path.resolve(result.outputFile)}`));
+      }
+
+      if (formats.includes('print-html')) {
+        const result = await printHtmlBuilder.build(config, {
+          sourceDir: options.source,
+          outputFile: path.join(options.output, 'print.html')
+        });
+        console.log(chalk.blue(`🖨️  印刷用HTML: ${path.resolve(result.outputFile)}`));
+      }
+
+      console.log(chalk.green('✅ ビルドが完了しました!'));
+
+    } catch (error) {
+      console.error(chalk.red(`❌ ビルドエラー: ${error.message}`));
+      printCodeFrame(error);
+      process.exit(1);
+    }
+  });
+
+// export コマンド
+program
+  .command('export')
+  .description('書籍全体を構成の順に書き出します（校正・編集用の1ファイル、または Re:VIEW のプロジェクト）')
+  .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-e, --env <name>', '環境名（book-config.<env>.json を重ねて読み込みます）')
+  .option('-s, --source <path>', 'ソースディレクトリのパス', './src')
+  .option('-f, --format <format>', `出力形式 (${EXPORT_FORMATS.join(', ')})`, 'markdown')
+  .option('-o, --output <path>', '出力先のパス（省略時は dist/<書名のslug>.<拡張子>、review は dist/<書名のslug>-review/）')
+  .option('--demote-headings', '見出しを1段下げます（# → ##、markdown のみ）', false)
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue('📤 書籍を書き出しています...'));
+
+      // 設定ファイルの存在チェック
+      if (!(await fsUtils.exists(options.config))) {
+        console.error(chalk.red(`❌ 設定ファイルが見つかりません: ${options.config}`));
+        process.exit(1);
+      }
+
+      if (!EXPORT_FORMATS.includes(options.format)) {
+        throw new Error(`不明な出力形式です: ${options.format} (${EXPORT_FORMATS.join(', ')} から指定してください)`);
+      }
+
+      const config = await bookGenerator.loadConfig(options.config, { env: options.env });
+      if (options.format === 'docx') {
+        const result = await docxExporter.export(config, {
+          sourceDir: options.source,
+          outputFile: options.output
+        });
+
+        console.log(chalk.green('✅ 書き出しが完了しました!'));
+        console.log(chalk.blue(`📄 DOCX: ${path.resolve(result.outputFile)}`));
+      } else if (options.format === 'review') {
+        const result = await reviewExporter.export(config, {
+          sourceDir: options.source,
+          outputDir: options.output
+        });
+
+        console.log(chalk.green('✅ 書き出しが完了しました!'));
+        console.log(chalk.blue(`📚 Re:VIEW: ${path.resolve(result.outputDir)}`));
+      } else {
+        const result = await markdownExporter.export(config, {
+          sourceDir: options.source,
+          outputFile: options.output,
+          demoteHeadings: options.demoteHeadings
+        });
+
+        console.log(chalk.green('✅ 書き出しが完了しました!'));
+        console.log(chalk.blue(`📝 Markdown: ${path.resolve(result.outputFile)}`));
+      }
+
+    } catch (error) {
+      console.error(chalk.red(`❌ エラーが発生しました: ${error.message}`));
+      printCodeFrame(error);
+      process.exit(1);
+    }
+  });
+
+// import コマンド
+program
+  .command('import <path>')
+  .description('他の形式で書かれた原稿を取り込み、src の構成と設定ファイルを更新します（設定ファイルがなければ作成します）')
+  .requiredOption('--from <format>', `取り込む形式 (${IMPORT_FORMATS.join(', ')})`)
+  .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-s, --source <path>', 'ソースディレクトリのパス', './src')
+  .option('--overwrite', '設定済みの書名・著者や章などのタイトルも取り込んだ値で置き換える')
+  .action(async (projectPath, options) => {
+    try {
+      console.log(chalk.blue(`📥 原稿を取り込んでいます: ${projectPath}`));
+
+      if (!IMPORT_FORMATS.includes(options.from)) {
+        throw new Error(`不明な取り込み形式です: ${options.from} (${IMPORT_FORMATS.join(', ')} から指定してください)`);
+      }
+
+      // 設定ファイルの存在チェック（Re:VIEW は既存の設定の build.numbering などを使うため必須）
+      if (options.from === 'review' && !(await fsUtils.exists(options.config))) {
+        console.error(chalk.red(`❌ 設定ファイルが見つかりません: ${options.config}`));
+        process.exit(1);
+      }
+
+      const importOptions = { configPath: options.config, sourceDir: options.source, overwrite: options.overwrite };
+      const result = options.from === 'review'
+        ? await reviewImporter.import(projectPath, importOptions)
+        : await markdownBookImporter.import(options.from, projectPath, importOptions);
+
+      console.log(chalk.green('✅ 取り込みが完了しました!'));
+      console.log(chalk.blue(`📁 ${result.entries.length}ページを ${path.resolve(options.source)} に書き出しました`));
+      if (result.created) {
+        console.log(chalk.blue(`📝 設定ファイルを作成しました: ${path.resolve(options.config)}`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ エラーが発生しました: ${error.message}`));
+      printCodeFrame(error);
+      process.exit(1);
+    }
+  });
+
+// validate-epub コマンド
+program
+  .command('validate-epub <file>')
+  .description('EPUBファイルの構造（コンテナ、パッケージ文書、目次、参照先、XMLの整形式）を検証します')
+  .action(async (file) => {
+    try {
+      if (!(await fsUtils.exists(file))) {
+        console.error(chalk.red(`❌ EPUBファイルが見つかりません: ${file}`));
+        process.exit(1);
+      }
+
+      console.log(chalk.blue(`🔍 EPUBを検証しています: ${file}`));
+      const validation = await epubValidator.validateFile(file);
+
+      validation.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+      if (!validation.isValid) {
+        console.log(chalk.red(`\n❌ エラー（${validation.errors.length}件）:`));
+        validation.errors.forEach(message => console.log(`  ${chalk.red(message)}`));
+        process.exit(1);
+      }
+      console.log(chalk.green('✅ EPUBの構造に問題はありません'));
+    } catch (error) {
+      console.error(chalk.red(`❌ エラーが発生しました: ${error.message}`));
+      printCodeFrame(error);
+      process.exit(1);
+    }
+  });
+
+// serve コマンド
+program
+  .command('serve')
+  .description('ローカルプレビューサーバーを起動します（ライブリロード対応）')
+  .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-e, --env <name>', '環境名（book-config.<env>.json を重ねて読み込みます）')
+  .option('-s, --source <path>', 'ソースディレクトリのパス', './src')
+  .option('-p, --port <number>', 'ポート番号', '4000')
+  .option('--host <host>', 'ホスト名', '127.0.0.1')
+  .action(async (options) => {
+    try {
+      // 設定ファイルの存在チェック
+      if (!(await fsUtils.exists(options.config))) {
+        console.error(chalk.red(`❌ 設定ファイルが見つかりません: ${options.config}`));
+        process.exit(1);
+      }
+
+      const server = new PreviewServer({
+        loadConfig: () => bookGenerator.loadConfig(options.config, { env: options.env }),
+        configPath: options.config,
+        sourceDir: options.source
+      });
+      const { url } = await server.start(Number(options.port), options.host);
+
+      console.log(chalk.green(`✅ プレビューサーバーを起動しました: ${url}`));
+      console.log(chalk.yellow('終了するには Ctrl+C を押してください'));
+
+      process.on('SIGINT', async () => {
+        await server.stop();
+        process.exit(0);
+      });
+
+    } catch (error) {
+      console.error(chalk.red(`❌ エラーが発生しました: ${error.message}`));
+      printCodeFrame(error);
+      process.exit(1);
+    }
+  });
+
+// add-chapter コマンド
+program
+  .command('add-chapter <title>')
+  .description('章を追加します')
+  .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-s, --source <path>', 'ソースディレクトリのパス', './src')
+  .option('-a, --at <position>', '挿入位置（省略時は末尾）')
+  .option('--id <id>', '章ID（id形式の設定の場合）')
+  .action(async (title, options) => {
+    await runChapterCommand(options, () => chapterManager.addChapter(options.config, {
+      title,
+      at: options.at,
+      id: options.id,
+      sourceDir: options.source
+    }));
+  });
+
+// remove-chapter コマンド
+program
+  .command('remove-chapter <position>')
+  .description('章を削除します（ファイルはバックアップを作成してから削除します）')
+  .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-s, --source <path>', 'ソースディレクトリのパス', './src')
+  .action(async (position, options) => {
+    await runChapterCommand(options, () => chapterManager.removeChapter(options.config, position, {
+      sourceDir: options.source
+    }));
+  });
+
+// move-chapter コマンド
+program
+  .command('move-chapter <from> <to>')
+  .description('章を移動し、以降の章番号を振り直します')
+  .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-s, --source <path>', 'ソースディレクトリのパス', './src')
+  .action(async (from, to, options) => {
+    await runChapterCommand(options, () => chapterManager.moveChapter(options.config, from, to, {
+      sourceDir: options.source
+    }));
+  });
+
+// renumber コマンド
+program
+  .command('renumber')
+  .description('設定の並び順に合わせて章番号とファイル名を振り直します')
+  .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-s, --source <path>', 'ソースディレクトリのパス', './src')
+  .action(async (options) => {
+    await runChapterCommand(options, () => chapterManager.renumber(options.config, {
+      sourceDir: options.source
+    }));
+  });
+
+// templates コマンド
+const templatesCommand = program
+  .command('templates')
+  .description('書籍のテンプレート（templates/ による組み込みテンプレートの置き換え）を管理します');
+
+templatesCommand
+  .command('list')
+  .description('組み込みテンプレートと、書籍で置き換えているテンプレートを表示します')
+  .option('-c, --config <path>', '設定ファイルのパス（build.templatesDir を参照します）', './book-config.json')
+  .option('-b, --book <path>', '書籍のパス', '.')
+  .action(async (options) => {
+    try {
+      const config = await loadOptionalConfig(options.config);
+      const templates = await bookGenerator.listTemplates(config, options.book, { configPath: options.config });
+
+      console.log(chalk.blue('📄 テンプレート一覧:'));
+      for (const template of templates) {
+        const label = template.type === 'partial' ? `{{> ${template.name}}}` : template.name;
+        if (template.file) {
+          const origin = template.builtIn ? '組み込みを置き換え' : '書籍独自';
+          console.log(`  ${chalk.green(label)} ${chalk.gray(`（${origin}: ${path.relative(process.cwd(), template.file)}）`)}`);
+        } else {
+          console.log(`  ${label} ${chalk.gray('（組み込み）')}`);
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ エラーが発生しました: ${error.message}`));
+      printCodeFrame(error);
+      process.exit(1);
+    }
+  });
+
+templatesCommand
+  .command('eject <name>')
+  .description('組み込みテンプレートを書籍のテンプレートディレクトリにコピーします（パーシャルは <name>.hbs）')
+  .option('-c, --config <path>', '設定ファイルのパス（build.templatesDir を参照します）', './book-config.json')
+  .option('-b, --book <path>', '書籍のパス', '.')
+  .option('-f, --force', '既存のファイルを上書きします（バックアップを作成します）', false)
+  .action(async (name, options) => {
+    try {
+      const config = await loadOptionalConfig(options.config);
+      const filePath = await bookGenerator.ejectTemplate(name, config, options.book, {
+        configPath: options.config,
+        force: options.force
+      });
+
+      console.log(chalk.green(`✅ テンプレートをコピーしました: ${path.relative(process.cwd(), filePath)}`));
+      console.log(chalk.blue('   create-book / update-book の実行時に組み込みテンプレートの代わりに使用されます'));
+    } catch (error) {
+      console.error(chalk.red(`❌ エラーが発生しました: ${error.message}`));
+      printCodeFrame(error);
+      process.exit(1);
+    }
+  });
+
+templatesCommand
+  .command('check')
+  .description('すべてのテンプレートを現在の設定でレンダリングし、値が見つからない変数と使用していない設定を表示します')
+  .option('-c, --config <path>', '設定ファイルのパス', './book-config.json')
+  .option('-e, --env <name>', '環境名（book-config.<env>.json を重ねて読み込みます）')
+  .option('-b, --book <path>', '書籍のパス', '.')
+  .action(async (options) => {
+    try {
+      // 設定ファイルの存在チェック
+      if (!(await fsUtils.exists(options.config))) {
+        console.error(chalk.red(`❌ 設定ファイルが見つかりません: ${options.config}`));
+        process.exit(1);
+      }
+
+      console.log(chalk.blue('🔍 テンプレートを検査しています...'));
+      const config = await bookGenerator.loadConfig(options.config, { env: options.env });
+      const result = await bookGenerator.checkTemplates(config, options.book, { configPath: options.config });
+      console.log(chalk.gray(`   対象: ${result.templates.join(', ')}`));
+
+      if (result.missing.length > 0) {
+        console.log(chalk.red(`\n❌ 値が見つからない変数（${result.missing.length}件）:`));
+        for (const item of result.missing) {
+          const location = [item.template, item.line, item.column].filter(value => value !== undefined).join(':');
+          const page = item.chapter ? `、章: ${item.chapter}` : item.appendix ? `、付録: ${item.appendix}` : '';
+          console.log(`  ${chalk.red(item.path)} ${chalk.gray(`（${location}${page}）`)}`);
+        }
+      }
+
+      if (result.unused.length > 0) {
+        console.log(chalk.yellow(`\n⚠️  テンプレートで使用していない設定（${result.unused.length}件）:`));
+        result.unused.forEach(unusedPath => console.log(`  ${chalk.yellow(unusedPath)}`));
+      }
+
+      if (result.missing.length > 0) {
+        process.exit(1);
+      }
+      console.log(chalk.green('\n✅ すべてのテンプレートで変数の値が見つかりました'));
+    } catch (error) {
+      console.error(chalk.red(`❌ エラーが発生しました: ${error.message}`));
+      printCodeFrame(error);
+      process.exit(1);
+    }
+  });
+
+/**
+ * 設定ファイルがある場合だけ読み込む（templates コマンドなど、設定がなくても実行できるコマンドで使用する）
+ * @param {string} configPath - 設定ファイルのパス
+ * @returns {Object|null} 設定オブジェクト
+ */
+async function loadOptionalConfig(configPath) {
+  return (await fsUtils.exists(configPath)) ? bookGenerator.loadConfig(configPath) : null;
+}
+
+/**
+ * 設定ファイルのエラー箇所をコードフレームで表示する
+ * @param {Object} error - エラーまたは検証結果（location と codeFrame を持つ場合に表示する）
+ */
+function printCodeFrame(error) {
+  let current = error;
+  // ErrorHandler でラップされたエラーは originalError に元のエラーを持つ
+  while (current && !current.codeFrame) {
+    current = current.originalError;
+  }
+  if (current) {
+    console.error(`\n${chalk.gray(current.location)}\n${current.codeFrame}\n`);
+  }
+}
+
+/**
+ * 標準入力で確認を求める（端末でない場合は確認できないため false を返す）
+ * @param {string} question - 質問
+ * @returns {Promise<boolean>} y / yes と答えた場合true
+ */
+async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    return false;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return /^y(es)?$/i.test((await rl.question(question)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * unified diff 形式の差分を色付きで表示する
+ * @param {string} diff - 差分
+ */
+function printDiff(diff) {
+  console.log();
+  diff.split('\n').forEach(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+      console.log(chalk.bold(line));
+    } else if (line.startsWith('@@')) {
+      console.log(chalk.cyan(line));
+    } else if (line.startsWith('+')) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      console.log(chalk.red(line));
+    } else {
+      console.log(line);
+    }
+  });
+}
+
+/**
+ * 章の編集コマンドを実行し、結果を表示する
+ * @param {Object} options - コマンドオプション
+ * @param {Function} operation - 編集処理
+ */
+async function runChapterCommand(options, operation) {
+  try {
+    // 設定ファイルの存在チェック
+    if (!(await fsUtils.exists(options.config))) {
+      console.error(chalk.red(`❌ 設定ファイルが見つかりません: ${options.config}`));
+      process.exit(1);
+    }
+
+    const result = await operation();
+
+    result.renamed.forEach(({ from, to }) => console.log(chalk.blue(`📁 ${from} → ${to}`)));
+    result.relinked.forEach(file => console.log(chalk.blue(`🔗 リンクを更新しました: ${file}`)));
+    (result.danglingLinks || []).forEach(file => {
+      console.log(chalk.yellow(`⚠️  削除した章へのリンクが残っています: ${file}`));
+    });
+
+    console.log(chalk.green('✅ 章構成を更新しました'));
+    result.chapters.forEach((chapter, index) => {
+      console.log(`  ${index + 1}. ${chapter.title}${chapter.file ? ` (${chapter.file})` : ''}`);
+    });
+
+  } catch (error) {
+    console.error(chalk.red(`❌ エラーが発生しました: ${error.message}`));
+    printCodeFrame(error);
+    process.exit(1);
+  }
+}
+
 // init コマンド
 program
   .command('init')
@@ -82,6 +82,32 @@ language: "ja"
       assert.strictEqual(config.version, '2.0.0');
     });
 
+    test('nested 形式の設定を正規形に変換して読み込む', async () => {
+      const nestedConfigPath = path.join(tempDir, 'nested-config.json');
+      await fs.writeJson(nestedConfigPath, {
+        book: {
+          title: 'nested書籍',
+          description: 'nested形式です',
+          author: { name: '著者', email: 'author@example.com' },
+          repository: { github: 'https://github.com/test/nested' }
+        },
+        structure: {
+          chapters: [{ number: 1, title: '第一章', file: 'chapter01.md' }]
+        },
+        features: { search: true }
+      });
+
+      const config = await bookGenerator.loadConfig(nestedConfigPath);
+
+      assert.strictEqual(config.title, 'nested書籍');
+      assert.strictEqual(config.author, '著者');
+      assert.strictEqual(config.authorInfo.email, 'author@example.com');
+      assert.strictEqual(config.repository.url, 'https://github.com/test/nested');
+      assert.strictEqual(config.structure.chapters[0].id, 'chapter01');
+      assert.deepStrictEqual(config.features, { search: true });
+      assert.strictEqual(config.book, undefined);
+    });
+
     test('存在しないファイルの場合エラーを投げる', async () => {
       await assert.rejects(
         bookGenerator.loadConfig('/nonexistent/config.json'),
@@ -100,6 +126,33 @@ language: "ja"
     });
   });
 
+  describe('migrateConfig', () => {
+    test('flat 形式を nested 形式に変換して書き込む', async () => {
+      const outputPath = path.join(tempDir, 'migrated.yml');
+      const result = await bookGenerator.migrateConfig(testConfigPath, { output: outputPath });
+      const migrated = await bookGenerator.loadRawConfig(outputPath);
+
+      assert.strictEqual(result.from, 'flat');
+      assert.strictEqual(result.to, 'nested');
+      assert.strictEqual(migrated.book.title, 'テスト書籍');
+      assert.deepStrictEqual(migrated.book.author, { name: 'テスト作成者' });
+      assert.strictEqual(migrated.book.repository.github, 'https://github.com/test/repo');
+      assert.deepStrictEqual(migrated.structure.chapters[0], {
+        id: 'test-chapter',
+        title: 'テスト章',
+        description: 'テスト用の章です'
+      });
+    });
+
+    test('dryRun の場合はファイルを書き込まない', async () => {
+      const outputPath = path.join(tempDir, 'dry-run.json');
+      const result = await bookGenerator.migrateConfig(testConfigPath, { to: 'flat', output: outputPath, dryRun: true });
+
+      assert.strictEqual(JSON.parse(result.content).title, 'テスト書籍');
+      assert.strictEqual(await fs.pathExists(outputPath), false);
+    });
+  });
+
   describe('createBook', () => {
     test('新しい書籍を正常に作成する', async () => {
       const outputPath = path.join(tempDir, 'output');
@@ -160,6 +213,63 @@ language: "ja"
       assert.strictEqual(bookConfig.version, '1.0.0');
     });
 
+    test('nested 形式の設定から章ファイルとナビゲーションを生成する', async () => {
+      const nestedConfigPath = path.join(tempDir, 'book-config.json');
+      await fs.writeJson(nestedConfigPath, {
+        book: { title: '入れ子の書籍', description: '説明', author: { name: '著者' } },
+        structure: {
+          introduction: { title: 'はじめに', enabled: true },
+          chapters: [
+            { number: 1, title: '基本', file: 'chapter01.md', enabled: true },
+            { number: 2, title: '応用', file: 'chapter02.md', enabled: true }
+          ],
+          appendices: [{ letter: 'A', title: '用語集', file: 'appendix-a.md', enabled: true }]
+        },
+        contentSections: [{ name: 'chapters', directory: 'chapters', enabled: true, order: 1 }]
+      });
+      const outputPath = path.join(tempDir, 'output');
+
+      await bookGenerator.createBook(nestedConfigPath, outputPath);
+
+      const chapter = await fs.readFile(path.join(outputPath, 'src', 'chapters', 'chapter02.md'), 'utf8');
+      assert(chapter.includes('# 応用'));
+      assert.strictEqual(await fs.pathExists(path.join(outputPath, 'src', 'appendices')), true);
+
+      const navigation = await fs.readJson(path.join(outputPath, '_data', 'navigation.json'));
+      assert.deepStrictEqual(Object.keys(navigation), ['introduction/', 'chapters/chapter01', 'chapters/chapter02', 'appendices/appendix-a']);
+      assert.deepStrictEqual(navigation['chapters/chapter01'].previous, { path: '/introduction/', title: 'はじめに' });
+      assert.deepStrictEqual(navigation['chapters/chapter01'].next, { path: '/chapters/chapter02.html', title: '応用' });
+    });
+
+    test('index.md の目次のリンク先がすべて生成されている', async () => {
+      const nestedConfigPath = path.join(tempDir, 'book-config.json');
+      await fs.writeJson(nestedConfigPath, {
+        book: { title: '入れ子の書籍', description: '説明', author: { name: '著者' } },
+        structure: {
+          chapters: [
+            { number: 1, title: '基本', file: 'chapter01.md', enabled: true },
+            { number: 2, title: '下書き', file: 'chapter02.md', enabled: false }
+          ],
+          appendices: [{ letter: 'A', title: '用語集', file: 'appendix-a.md', enabled: true }]
+        }
+      });
+
+      for (const [configPath, expected] of [
+        [testConfigPath, ['src/chapter-test-chapter/index.md', 'src/appendices/test-appendix.md']],
+        [nestedConfigPath, ['src/chapters/chapter01.md', 'src/appendices/appendix-a.md']]
+      ]) {
+        const outputPath = path.join(tempDir, path.basename(configPath, '.json'));
+        await bookGenerator.createBook(configPath, outputPath);
+
+        const index = await fs.readFile(path.join(outputPath, 'index.md'), 'utf8');
+        const links = [...index.matchAll(/\]\(([^)]+\.md)\)/g)].map(match => match[1]);
+        assert.deepStrictEqual(links, expected);
+        for (const link of links) {
+          assert.strictEqual(await fs.pathExists(path.join(outputPath, link)), true, link);
+        }
+      }
+    });
+
     test('不正な設定ファイルの場合エラーを投げる', async () => {
       const invalidConfigPath = path.join(tempDir, 'invalid-config.json');
       await fs.writeFile(invalidConfigPath, '{}'); // 必須フィールドなし
@@ -220,6 +330,19 @@ language: "ja"
       assert.strictEqual(bookConfig.version, '2.0.0');
     });
 
+    test('書籍の templates/ にある .hbs ファイルをパーシャルとして使用する', async () => {
+      const bookPath = path.join(tempDir, 'existing-book');
+      await bookGenerator.createBook(testConfigPath, bookPath);
+      await fs.writeFile(path.join(bookPath, 'templates', 'footer.hbs'), '© {{author}}（{{> license}}）\n');
+      await fs.writeFile(path.join(bookPath, 'templates', 'license.hbs'), '{{license}}');
+
+      await bookGenerator.updateBook(testConfigPath, bookPath);
+
+      const index = await fs.readFile(path.join(bookPath, 'index.md'), 'utf8');
+      assert.ok(index.endsWith('\n© テスト作成者（MIT）\n'));
+      assert.ok(!index.includes('**著者:**'));
+    });
+
     test('存在しない書籍パスの場合エラーを投げる', async () => {
       const nonExistentPath = path.join(tempDir, 'nonexistent-book');
       
@@ -230,6 +353,83 @@ language: "ja"
     });
   });
 
+  describe('templates', () => {
+    test('書籍の templates/ と build.templatesDir のテンプレートで組み込みテンプレートを置き換える', async () => {
+      const bookPath = path.join(tempDir, 'book');
+      await fs.outputFile(path.join(bookPath, 'templates', 'index.md'), '# {{title}}（書籍の templates/）\n');
+      await fs.outputFile(path.join(bookPath, 'templates', 'chapter.md'), '# {{chapter.title}}（書籍の templates/）\n');
+      await fs.outputFile(path.join(tempDir, 'shared-templates', 'chapter.md'), '# {{chapter.title}}（build.templatesDir）\n');
+      await fs.outputFile(path.join(tempDir, 'shared-templates', '_config.yml'), 'title: "{{title}}"\n');
+
+      const config = JSON.parse(await fs.readFile(testConfigPath, 'utf8'));
+      config.build = { templatesDir: 'shared-templates' };
+      config.deployment = { platform: 'github-pages' };
+      await fs.writeFile(testConfigPath, JSON.stringify(config, null, 2));
+
+      await bookGenerator.createBook(testConfigPath, bookPath);
+
+      assert.strictEqual(await fs.readFile(path.join(bookPath, 'index.md'), 'utf8'), '# テスト書籍（書籍の templates/）\n');
+      assert.strictEqual(
+        await fs.readFile(path.join(bookPath, 'src', 'chapter-test-chapter', 'index.md'), 'utf8'),
+        '# テスト章（build.templatesDir）\n'
+      );
+      assert.strictEqual(await fs.readFile(path.join(bookPath, '_config.yml'), 'utf8'), 'title: "テスト書籍"\n');
+
+      // 書籍の templates/ は書籍ごとに読み込み直す
+      const otherPath = path.join(tempDir, 'other-book');
+      await bookGenerator.createBook(testConfigPath, otherPath);
+      assert.ok((await fs.readFile(path.join(otherPath, 'index.md'), 'utf8')).startsWith('---\ntitle: テスト書籍\n'));
+    });
+
+    test('組み込みテンプレートを書き出し、置き換えの状況を一覧できる', async () => {
+      const bookPath = path.join(tempDir, 'book');
+
+      const indexPath = await bookGenerator.ejectTemplate('index.md', null, bookPath);
+      const footerPath = await bookGenerator.ejectTemplate('footer', null, bookPath);
+      await fs.outputFile(path.join(bookPath, 'templates', 'layouts', 'base.hbs'), '{{#block "content"}}{{/block}}');
+
+      assert.strictEqual(indexPath, path.join(bookPath, 'templates', 'index.md'));
+      assert.strictEqual(await fs.readFile(indexPath, 'utf8'), bookGenerator.templateEngine.getTemplate('index.md'));
+      assert.strictEqual(footerPath, path.join(bookPath, 'templates', 'footer.hbs'));
+
+      await assert.rejects(bookGenerator.ejectTemplate('index.md', null, bookPath), /ファイルが既に存在します/);
+      await assert.rejects(bookGenerator.ejectTemplate('missing.md', null, bookPath), /組み込みテンプレートが見つかりません: missing\.md/);
+
+      const templates = await bookGenerator.listTemplates(null, bookPath);
+      const find = (name) => templates.find(template => template.name === name);
+      assert.deepStrictEqual(find('index.md'), { name: 'index.md', type: 'template', builtIn: true, file: indexPath });
+      assert.deepStrictEqual(find('chapter.md'), { name: 'chapter.md', type: 'template', builtIn: true, file: null });
+      assert.deepStrictEqual(find('layouts/base'), {
+        name: 'layouts/base',
+        type: 'partial',
+        builtIn: false,
+        file: path.join(bookPath, 'templates', 'layouts', 'base.hbs')
+      });
+    });
+
+    test('build.debug ではテンプレートの値が見つからない変数をエラーにし、check で未使用の設定も報告する', async () => {
+      const bookPath = path.join(tempDir, 'book');
+      await fs.outputFile(path.join(bookPath, 'templates', 'index.md'), '# {{title}}\n\n{{subtitle}}\n{{#each structure.chapters}}- {{title}}（{{summary}}）\n{{/each}}');
+
+      const config = JSON.parse(await fs.readFile(testConfigPath, 'utf8'));
+      config.build = { debug: true };
+      await fs.writeFile(testConfigPath, JSON.stringify(config, null, 2));
+
+      await assert.rejects(
+        bookGenerator.createBook(testConfigPath, bookPath),
+        (error) => {
+          assert.ok(error.message.includes('テンプレートの値が見つかりません（2件）'));
+          assert.ok(error.message.includes('  - subtitle（index.md:3:1）\n  - summary（index.md:4:41）'));
+          return true;
+        }
+      );
+
+      const result = await bookGenerator.checkTemplates(await bookGenerator.loadConfig(testConfigPath), bookPath, { configPath: testConfigPath });
+      assert.deepStrictEqual(result.missing.filter(item => item.template === 'index.md').map(item => item.path), ['subtitle', 'summary']);
+      assert.deepStrictEqual(result.unused, ['repository.branch', 'build']);
+    });
+  });
+
   describe('generateBookStructure', () => {
     test('基本的なディレクトリ構造を作成する', async () => {
       const outputPath = path.join(tempDir, 'structure-test');
@@ -0,0 +1,92 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { BookStructure } from '../src/BookStructure.js';
+
+describe('BookStructure', () => {
+  let bookStructure;
+
+  beforeEach(() => {
+    bookStructure = new BookStructure();
+  });
+
+  describe('getEntries', () => {
+    test('file指定の章を設定の順序で解決する', () => {
+      const entries = bookStructure.getEntries({
+        structure: {
+          introduction: { title: 'はじめに', enabled: true },
+          chapters: [
+            { number: 1, title: '第一の章', file: 'chapter01.md' },
+            { number: 2, title: '第二の章', file: 'chapter02.md' }
+          ],
+          appendices: [
+            { letter: 'A', title: '計算式集', file: 'appendix-a.md' }
+          ],
+          afterword: { title: 'おわりに', enabled: false }
+        }
+      });
+
+      assert.deepStrictEqual(entries.map(e => e.source), [
+        'introduction/index.md',
+        'chapters/chapter01.md',
+        'chapters/chapter02.md',
+        'appendices/appendix-a.md'
+      ]);
+      assert.strictEqual(entries[0].url, '/introduction/');
+      assert.strictEqual(entries[1].url, '/chapters/chapter01.html');
+      assert.strictEqual(entries[2].number, 2);
+      assert.strictEqual(entries[3].letter, 'A');
+    });
+
+    test('fileがない章はchapter-<id>ディレクトリを参照する', () => {
+      const entries = bookStructure.getEntries({
+        structure: {
+          chapters: [{ id: 'getting-started', title: 'はじめ方' }]
+        }
+      });
+
+      assert.strictEqual(entries[0].source, 'chapter-getting-started/index.md');
+      assert.strictEqual(entries[0].url, '/chapter-getting-started/');
+    });
+
+    test('無効化された章を除外する', () => {
+      const entries = bookStructure.getEntries({
+        structure: {
+          chapters: [
+            { title: '有効', file: 'chapter01.md' },
+            { title: '無効', file: 'chapter02.md', enabled: false }
+          ]
+        }
+      });
+
+      assert.strictEqual(entries.length, 1);
+      assert.strictEqual(entries[0].title, '有効');
+    });
+
+    test('contentSectionsのディレクトリ名を使用する', () => {
+      const entries = bookStructure.getEntries({
+        contentSections: [{ name: 'chapters', directory: 'honpen', enabled: true }],
+        structure: {
+          chapters: [{ title: '章', file: 'chapter01.md' }]
+        }
+      });
+
+      assert.strictEqual(entries[0].source, 'honpen/chapter01.md');
+    });
+  });
+
+  describe('groupBySection', () => {
+    test('セクションごとにタイトルとパスをまとめる', () => {
+      const entries = bookStructure.getEntries({
+        structure: {
+          chapters: [{ title: '章1', file: 'chapter01.md' }]
+        }
+      });
+      const navigation = bookStructure.groupBySection(entries);
+
+      assert.deepStrictEqual(navigation.chapters, [
+        { label: '第1章', title: '章1', path: '/chapters/chapter01.html' }
+      ]);
+      assert.deepStrictEqual(navigation.appendices, []);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { ChapterManager } from '../src/ChapterManager.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('ChapterManager', () => {
+  let manager;
+  let tempDir;
+  let configPath;
+  let sourceDir;
+
+  const chapterPath = (file) => path.join(sourceDir, 'chapters', file);
+  const readChapter = (file) => fs.readFile(chapterPath(file), 'utf8');
+
+  beforeEach(async () => {
+    manager = new ChapterManager();
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    configPath = path.join(tempDir, 'book-config.json');
+    sourceDir = path.join(tempDir, 'src');
+
+    await fs.writeJson(configPath, {
+      book: { title: 'テスト書籍' },
+      structure: {
+        chapters: [
+          { number: 1, title: '基本', file: 'chapter01.md', enabled: true },
+          { number: 2, title: '応用', file: 'chapter02.md', enabled: true },
+          { number: 3, title: '実践', file: 'chapter03.md', enabled: true }
+        ]
+      }
+    });
+    await fs.outputFile(chapterPath('chapter01.md'), '# 第1章　基本\n\n## 1-1　概要\n\n[応用](chapter02.md#top) と [実践](./chapter03.html)\n');
+    await fs.outputFile(chapterPath('chapter02.md'), '# 第2章　応用\n\n## 2-1　概要\n\n### 2-1-1　詳細\n\n![図](../../assets/images/figure.svg)\n');
+    await fs.outputFile(chapterPath('chapter03.md'), '# 第3章　実践\n\n## 3-1　概要\n\n[基本](chapter01.md)\n');
+    await fs.outputFile(path.join(sourceDir, 'introduction', 'index.md'), '# はじめに\n\n[第3章](../chapters/chapter03.md)\n');
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('章を移動してファイル名・見出し・リンクを更新する', async () => {
+    const result = await manager.moveChapter(configPath, 3, 1, { sourceDir });
+    const config = await fs.readJson(configPath);
+
+    assert.deepStrictEqual(
+      config.structure.chapters.map(c => [c.number, c.title, c.file]),
+      [[1, '実践', 'chapter01.md'], [2, '基本', 'chapter02.md'], [3, '応用', 'chapter03.md']]
+    );
+    assert.strictEqual(result.renamed.length, 3);
+
+    assert.strictEqual(await readChapter('chapter01.md'), '# 第1章　実践\n\n## 1-1　概要\n\n[基本](chapter02.md)\n');
+    assert.strictEqual(
+      await readChapter('chapter02.md'),
+      '# 第2章　基本\n\n## 2-1　概要\n\n[応用](chapter03.md#top) と [実践](./chapter01.html)\n'
+    );
+    const applied = await readChapter('chapter03.md');
+    assert(applied.includes('### 3-1-1　詳細'));
+    assert(applied.includes('![図](../../assets/images/figure.svg)'));
+
+    const intro = await fs.readFile(path.join(sourceDir, 'introduction', 'index.md'), 'utf8');
+    assert(intro.includes('[第3章](../chapters/chapter01.md)'));
+  });
+
+  test('指定位置に章を追加し後続の章を繰り下げる', async () => {
+    await manager.addChapter(configPath, { title: '準備', at: 2, sourceDir });
+    const config = await fs.readJson(configPath);
+
+    assert.deepStrictEqual(config.structure.chapters.map(c => c.title), ['基本', '準備', '応用', '実践']);
+    assert.strictEqual(
+      await readChapter('chapter02.md'),
+      '# 第2章　準備\n\n**学習目標**: （学習目標を記載してください）\n\n---\n\n## 2-1　概要\n'
+    );
+    assert((await readChapter('chapter04.md')).startsWith('# 第4章　実践\n\n## 4-1　概要'));
+  });
+
+  test('章を追加しても JSON 設定のほかの項目の書式は変えない', async () => {
+    const config = await fs.readJson(configPath);
+    config.book.keywords = ['入門', '実践'];
+    config.build = { outputFormats: ['html', 'pdf'] };
+    await fs.writeJson(configPath, config, { spaces: 2 });
+
+    await manager.addChapter(configPath, { title: 'まとめ', sourceDir });
+    const content = await fs.readFile(configPath, 'utf8');
+
+    assert(content.includes('"keywords": ["入門", "実践"]'));
+    assert(content.includes('"outputFormats": ["html", "pdf"]'));
+    assert.deepStrictEqual(JSON.parse(content).structure.chapters.map(c => c.title), ['基本', '応用', '実践', 'まとめ']);
+  });
+
+  test('URI としてデコードできないリンクはそのまま残す', async () => {
+    await fs.outputFile(chapterPath('chapter01.md'), '# 第1章　基本\n\n[50%オフ](sale%.md) と [応用](chapter02.md)\n');
+
+    await manager.moveChapter(configPath, 2, 3, { sourceDir });
+
+    assert.strictEqual(await readChapter('chapter01.md'), '# 第1章　基本\n\n[50%オフ](sale%.md) と [応用](chapter03.md)\n');
+  });
+
+  test('新しい章には既存の章と同じライセンスのコメントを付ける', async () => {
+    const license = '<!-- \n本章は「テスト書籍」の一部であり、\nCC BY-NC-SA 4.0ライセンスの下で提供されます。\n-->';
+    await fs.outputFile(chapterPath('chapter02.md'), license + '\n\n# 第2章　応用\n\n## 2-1　概要\n');
+
+    await manager.addChapter(configPath, { title: 'まとめ', sourceDir });
+
+    const content = await readChapter('chapter04.md');
+    assert(content.startsWith(license + '\n\n# 第4章　まとめ\n'));
+    assert(!/\u3000$/m.test(content));
+  });
+
+  test('章を削除し、残ったリンクを報告する', async () => {
+    const result = await manager.removeChapter(configPath, 1, { sourceDir });
+    const config = await fs.readJson(configPath);
+
+    assert.deepStrictEqual(config.structure.chapters.map(c => c.file), ['chapter01.md', 'chapter02.md']);
+    assert((await readChapter('chapter01.md')).startsWith('# 第1章　応用'));
+    assert.deepStrictEqual(result.danglingLinks, [path.join('chapters', 'chapter03.md')]);
+    assert.strictEqual(await fs.pathExists(chapterPath('chapter03.md')), false);
+  });
+
+  test('設定ファイルの書き込みに失敗した場合は削除する章のファイルを残す', async (t) => {
+    t.mock.method(manager.configWriter, 'write', () => Promise.reject(new Error('書き込めません')));
+    const before = await fs.readJson(configPath);
+
+    await assert.rejects(() => manager.removeChapter(configPath, 3, { sourceDir }), /書き込めません/);
+
+    assert.strictEqual(await readChapter('chapter03.md'), '# 第3章　実践\n\n## 3-1　概要\n\n[基本](chapter01.md)\n');
+    assert.deepStrictEqual((await fs.readdir(path.join(sourceDir, 'chapters'))).filter(file => file.endsWith('.md')).sort(), ['chapter01.md', 'chapter02.md', 'chapter03.md']);
+    assert.deepStrictEqual(await fs.readJson(configPath), before);
+  });
+
+  test('YAML設定のコメントを保持したまま番号を振り直す', async () => {
+    const yamlPath = path.join(tempDir, 'book-config.yml');
+    await fs.writeFile(yamlPath, [
+      '# 書籍の設定',
+      'structure:',
+      '  chapters:',
+      '    - title: 応用',
+      '      file: chapter02.md',
+      '    - title: 基本',
+      '      file: chapter01.md',
+      ''
+    ].join('\n'));
+
+    await manager.renumber(yamlPath, { sourceDir });
+    const content = await fs.readFile(yamlPath, 'utf8');
+
+    assert(content.startsWith('# 書籍の設定'));
+    assert((await readChapter('chapter01.md')).startsWith('# 第1章　応用'));
+    assert((await readChapter('chapter02.md')).startsWith('# 第2章　基本'));
+  });
+
+  test('移動先のファイルが既にある場合は何も移動せずにエラーにする', async () => {
+    await fs.outputFile(chapterPath('chapter04.md'), '# 下書き\n');
+    const before = await fs.readJson(configPath);
+
+    await assert.rejects(
+      () => manager.addChapter(configPath, { title: '導入', at: 1, sourceDir }),
+      /ファイルが既に存在します: .*chapter04\.md/
+    );
+
+    assert.deepStrictEqual((await fs.readdir(path.join(sourceDir, 'chapters'))).sort(), ['chapter01.md', 'chapter02.md', 'chapter03.md', 'chapter04.md']);
+    assert((await readChapter('chapter01.md')).startsWith('# 第1章　基本'));
+    assert.deepStrictEqual(await fs.readJson(configPath), before);
+  });
+
+  test('ファイル名の変更が途中で失敗した場合は元に戻す', async (t) => {
+    const move = fs.move;
+    let calls = 0;
+    t.mock.method(fs, 'move', (from, to) => {
+      calls++;
+      return calls === 5 ? Promise.reject(new Error('移動できません')) : move(from, to);
+    });
+
+    await assert.rejects(() => manager.moveChapter(configPath, 3, 1, { sourceDir }), /移動できません/);
+
+    assert.deepStrictEqual((await fs.readdir(path.join(sourceDir, 'chapters'))).sort(), ['chapter01.md', 'chapter02.md', 'chapter03.md']);
+    assert((await readChapter('chapter01.md')).startsWith('# 第1章　基本'));
+    assert((await readChapter('chapter03.md')).startsWith('# 第3章　実践'));
+  });
+
+  test('範囲外の位置はエラーになる', async () => {
+    await assert.rejects(
+      () => manager.moveChapter(configPath, 4, 1, { sourceDir }),
+      /章の位置は 1 から 3 の範囲で指定してください/
+    );
+  });
+
+  test('build.numbering の書式で見出しを作成・更新する', async () => {
+    const config = await fs.readJson(configPath);
+    config.build = { numbering: { chapters: 'kanji', sections: '{chapter}.{section}' } };
+    await fs.writeJson(configPath, config);
+    await fs.outputFile(chapterPath('chapter01.md'), '# 第一章　基本\n\n## 一.1　概要\n\n### 一.1.2　詳細\n');
+
+    await manager.addChapter(configPath, { title: '導入', at: 1, sourceDir });
+
+    assert.strictEqual(
+      await readChapter('chapter01.md'),
+      '# 第一章　導入\n\n**学習目標**: （学習目標を記載してください）\n\n---\n\n## 一.1　概要\n'
+    );
+    assert.strictEqual(await readChapter('chapter02.md'), '# 第二章　基本\n\n## 二.1　概要\n\n### 二.1.2　詳細\n');
+  });
+});
+
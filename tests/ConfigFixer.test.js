@@ -0,0 +1,149 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { ConfigFixer } from '../src/ConfigFixer.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('ConfigFixer', () => {
+  let fixer;
+  let tempDir;
+
+  beforeEach(async () => {
+    fixer = new ConfigFixer();
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('JSON の既定値、章の id、navigation.order の重複、repository を修正する', async () => {
+    const configPath = path.join(tempDir, 'book-config.json');
+    await fs.writeJson(configPath, {
+      title: 'テスト書籍',
+      author: '著者',
+      repository: { url: 'https://github.com/example/test-book.git' },
+      structure: {
+        chapters: [
+          { id: 'Chapter 1', title: '基本' },
+          { id: 'chapter-1', title: '応用', file: 'chapter02.md' },
+          { id: 'Chapter_1', title: '発展', file: 'chapter03.md' }
+        ]
+      },
+      navigation: { order: ['chapters', 'appendices', 'chapters'] }
+    }, { spaces: 2 });
+
+    const result = await fixer.fix(configPath);
+    const fixed = await fs.readJson(configPath);
+
+    assert.deepStrictEqual(result.changes.map(change => change.path), [
+      '/version',
+      '/language',
+      '/license',
+      '/structure/chapters/0/id',
+      '/structure/chapters/2/id',
+      '/navigation/order/2',
+      '/repository/owner',
+      '/repository/name'
+    ]);
+    assert.strictEqual(fixed.version, '1.0.0');
+    assert.strictEqual(fixed.language, 'ja');
+    assert.strictEqual(fixed.license, 'MIT');
+    assert.deepStrictEqual(fixed.structure.chapters.map(chapter => chapter.id), ['chapter-1-2', 'chapter-1', 'chapter-1-3']);
+    assert.strictEqual(fixed.structure.chapters[0].file, 'chapter-Chapter 1/index.md');
+    assert.deepStrictEqual(fixed.navigation.order, ['chapters', 'appendices']);
+    assert.deepStrictEqual(fixed.repository, { url: 'https://github.com/example/test-book.git', owner: 'example', name: 'test-book' });
+
+    // キーの順序は保持し、追加したキーは末尾に置く
+    assert.deepStrictEqual(Object.keys(fixed), ['title', 'author', 'repository', 'structure', 'navigation', 'version', 'language', 'license']);
+  });
+
+  test('YAML のコメントとキーの順序を保持し、nested 形式では book の下に追加する', async () => {
+    const configPath = path.join(tempDir, 'book-config.yml');
+    await fs.writeFile(configPath, [
+      '# 書籍の設定',
+      'book:',
+      '  title: テスト書籍 # タイトル',
+      '  version: 2.0.0',
+      '  repository:',
+      '    github: https://github.com/example/test-book',
+      'structure:',
+      '  chapters:',
+      '    # 第1章',
+      '    - id: chapter01',
+      '      title: 基本',
+      ''
+    ].join('\n'));
+
+    await fixer.fix(configPath);
+    const content = await fs.readFile(configPath, 'utf8');
+
+    assert.ok(content.startsWith('# 書籍の設定\nbook:\n  title: テスト書籍 # タイトル\n  version: 2.0.0\n'));
+    assert.ok(content.includes('    # 第1章\n    - id: chapter01\n'));
+    assert.ok(content.includes('    github: https://github.com/example/test-book\n    owner: example\n    name: test-book\n'));
+    assert.ok(content.includes('  language: ja\n'));
+    assert.ok(!content.includes('version: 1.0.0'));
+  });
+
+  test('dryRun では書き込まずに差分を返す', async () => {
+    const configPath = path.join(tempDir, 'book-config.json');
+    const original = '{\n    "title": "テスト書籍",\n    "version": "1.0.0",\n    "language": "ja",\n    "license": "MIT",\n    "keywords": ["a", "b"]\n}\n';
+    await fs.writeFile(configPath, original);
+
+    assert.deepStrictEqual((await fixer.fix(configPath, { dryRun: true })).changes, []);
+
+    await fs.writeFile(configPath, original.replace('"ja"', '"ja",\n    "navigation": { "order": ["chapters", "chapters"] }'));
+    const before = await fs.readFile(configPath, 'utf8');
+    const result = await fixer.fix(configPath, { dryRun: true });
+
+    assert.strictEqual(await fs.readFile(configPath, 'utf8'), before);
+    assert.strictEqual(result.changes.length, 1);
+    assert.deepStrictEqual(result.diff.split('\n').slice(2), [
+      '@@ -2,7 +2,9 @@',
+      '     "title": "テスト書籍",',
+      '     "version": "1.0.0",',
+      '     "language": "ja",',
+      '-    "navigation": { "order": ["chapters", "chapters"] },',
+      '+    "navigation": {',
+      '+        "order": ["chapters"]',
+      '+    },',
+      '     "license": "MIT",',
+      '     "keywords": ["a", "b"]',
+      ' }'
+    ]);
+  });
+
+  test('confirm で確認するまで書き込まず、拒否した場合は元のままにする', async () => {
+    const configPath = path.join(tempDir, 'book-config.json');
+    await fs.writeFile(configPath, '{\n  "title": "テスト書籍"\n}\n');
+    const before = await fs.readFile(configPath, 'utf8');
+
+    const rejected = await fixer.fix(configPath, {
+      confirm: async (preview) => {
+        assert(preview.diff.includes('+  "version": "1.0.0"'));
+        assert.strictEqual(await fs.readFile(configPath, 'utf8'), before);
+        return false;
+      }
+    });
+    assert.strictEqual(rejected.written, false);
+    assert.strictEqual(await fs.readFile(configPath, 'utf8'), before);
+
+    let confirmed = false;
+    const accepted = await fixer.fix(configPath, {
+      confirm: async () => {
+        assert.strictEqual(await fs.readFile(configPath, 'utf8'), before);
+        confirmed = true;
+        return true;
+      }
+    });
+    assert(confirmed);
+    assert.strictEqual(accepted.written, true);
+    assert.strictEqual((await fs.readJson(configPath)).version, '1.0.0');
+  });
+});
@@ -0,0 +1,194 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { ConfigLoader } from '../src/ConfigLoader.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('ConfigLoader', () => {
+  let loader;
+  let tempDir;
+  let configPath;
+
+  beforeEach(async () => {
+    loader = new ConfigLoader({ env: { DEPLOY_URL: 'https://example.com/book' } });
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    configPath = path.join(tempDir, 'book-config.json');
+
+    await fs.outputFile(path.join(tempDir, 'base', 'book-config.yml'), [
+      'book:',
+      '  title: 共通タイトル',
+      '  author:',
+      '    name: 共通著者',
+      '    organization: 組織',
+      'build:',
+      '  theme: modern',
+      '  minify: true',
+      'excludePatterns: ["drafts/**", "*.tmp"]',
+      ''
+    ].join('\n'));
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('extends で指定した設定をマージする（オブジェクトはマージし、配列は置き換える）', async () => {
+    await fs.writeJson(configPath, {
+      extends: './base/book-config.yml',
+      title: '個別タイトル',
+      build: { minify: false },
+      excludePatterns: ['private/**']
+    });
+
+    const config = await loader.load(configPath);
+
+    assert.strictEqual(config.extends, undefined);
+    assert.strictEqual(config.title, '個別タイトル');
+    assert.strictEqual(config.author, '共通著者');
+    assert.strictEqual(config.authorInfo.organization, '組織');
+    assert.deepStrictEqual(config.build, { theme: 'modern', minify: false });
+    assert.deepStrictEqual(config.excludePatterns, ['private/**']);
+  });
+
+  test('パッケージ名で指定した設定を継承する', async () => {
+    await fs.outputJson(path.join(tempDir, 'node_modules', '@team', 'book-preset', 'book-config.json'), {
+      language: 'en',
+      features: { search: true }
+    });
+    await fs.writeJson(configPath, {
+      extends: ['./base/book-config.yml', '@team/book-preset'],
+      title: 'パッケージ継承'
+    });
+
+    const config = await loader.load(configPath);
+
+    assert.strictEqual(config.language, 'en');
+    assert.strictEqual(config.author, '共通著者');
+    assert.deepStrictEqual(config.features, { search: true });
+
+    await fs.writeJson(configPath, { extends: 'missing-preset', title: '継承元なし' });
+    await assert.rejects(() => loader.load(configPath), /継承元の設定が見つかりません: missing-preset/);
+  });
+
+  test('--env で指定した環境別の設定を重ねる', async () => {
+    await fs.writeJson(configPath, { title: '書籍', build: { theme: 'modern', minify: false } });
+    await fs.writeJson(path.join(tempDir, 'book-config.production.json'), { build: { minify: true } });
+
+    const config = await loader.load(configPath, { env: 'production' });
+
+    assert.deepStrictEqual(config.build, { theme: 'modern', minify: true });
+    await assert.rejects(() => loader.load(configPath, { env: '../production' }), /環境名には英数字/);
+  });
+
+  test('環境変数を展開する', async () => {
+    await fs.writeJson(configPath, {
+      title: '書籍',
+      repository: { url: '${DEPLOY_URL}', branch: '${BRANCH:-main}' },
+      description: 'テンプレート記法 $${DEPLOY_URL} を含む'
+    });
+
+    const config = await loader.load(configPath);
+
+    assert.strictEqual(config.repository.url, 'https://example.com/book');
+    assert.strictEqual(config.repository.branch, 'main');
+    assert.strictEqual(config.description, 'テンプレート記法 ${DEPLOY_URL} を含む');
+
+    await fs.writeJson(configPath, { title: '書籍', build: { baseUrl: '${BASE_URL}' } });
+    await assert.rejects(
+      () => loader.load(configPath),
+      (error) => error.message.includes('環境変数 BASE_URL が設定されていません') && error.message.includes('/build/baseUrl')
+    );
+  });
+
+  test('JavaScript モジュールの関数が返す設定を読み込む', async () => {
+    await fs.outputFile(path.join(tempDir, 'src', 'chapters', 'chapter10.md'), '# 第10章\n');
+    await fs.outputFile(path.join(tempDir, 'src', 'chapters', 'chapter02.md'), '# 第2章\n');
+    const modulePath = path.join(tempDir, 'book.config.mjs');
+    await fs.writeFile(modulePath, [
+      'export default async ({ defineBook, glob, env }) => {',
+      '  const files = await glob(\'src/chapters/*.md\');',
+      '  return defineBook({',
+      '    extends: \'./base/book-config.yml\',',
+      '    book: { title: \'モジュール書籍\', repository: { github: env.DEPLOY_URL } },',
+      '    structure: { chapters: files.map((file, index) => ({ number: index + 1, title: `第${index + 1}章`, file: file.split(\'/\').pop() })) }',
+      '  });',
+      '};',
+      ''
+    ].join('\n'));
+
+    const config = await loader.load(modulePath);
+
+    assert.strictEqual(config.title, 'モジュール書籍');
+    assert.strictEqual(config.author, '共通著者');
+    assert.strictEqual(config.repository.url, 'https://example.com/book');
+    assert.deepStrictEqual(config.structure.chapters.map(chapter => chapter.id), ['chapter02', 'chapter10']);
+  });
+
+  test('JavaScript モジュールが設定オブジェクトを export しない場合エラーを投げる', async () => {
+    const modulePath = path.join(tempDir, 'book.config.mjs');
+    await fs.writeFile(modulePath, 'export const title = \'書籍\';\n');
+    await assert.rejects(() => loader.load(modulePath), /export default されていません/);
+
+    const invalidPath = path.join(tempDir, 'invalid.config.mjs');
+    await fs.writeFile(invalidPath, 'export default () => [\'書籍\'];\n');
+    await assert.rejects(() => loader.load(invalidPath), /オブジェクトまたはオブジェクトを返す関数/);
+  });
+
+  test('正規形のパスから値を設定したファイルの位置を求める', async () => {
+    await fs.writeFile(configPath, '{\n  "extends": "./base/book-config.yml",\n  "book": {\n    "title": "個別タイトル"\n  }\n}\n');
+    await fs.writeJson(path.join(tempDir, 'book-config.production.json'), { build: { minify: false } });
+
+    const config = await loader.load(configPath, { env: 'production' });
+
+    const title = loader.locate(config, '/title');
+    assert.strictEqual(title.file, configPath);
+    assert.deepStrictEqual([title.line, title.column], [4, 14]);
+
+    const author = loader.locate(config, '/author');
+    assert.strictEqual(author.file, path.join(tempDir, 'base', 'book-config.yml'));
+    assert.deepStrictEqual([author.line, author.column], [4, 11]);
+    assert.match(author.codeFrame, />\s*4 \|\s+name: 共通著者/);
+
+    assert.strictEqual(loader.locate(config, '/build/minify').file, path.join(tempDir, 'book-config.production.json'));
+    // どのファイルにもない値は設定ファイル本体の最も近い親の位置
+    assert.strictEqual(loader.locate(config, '/version').file, configPath);
+    assert.strictEqual(loader.locate(config, '/version').line, 3);
+  });
+
+  test('重ねた設定がない場合は記述された形式の設定を取得し、その位置を求める', async () => {
+    await fs.writeFile(configPath, '{\n  "book": {\n    "title": "書籍",\n    "repository": { "url": "${DEPLOY_URL}" }\n  }\n}\n');
+
+    const config = await loader.load(configPath);
+    const source = loader.getSourceConfig(config);
+
+    assert.deepStrictEqual(source, { book: { title: '書籍', repository: { url: 'https://example.com/book' } } });
+    const url = loader.locate(source, '/book/repository/url');
+    assert.strictEqual(url.file, configPath);
+    assert.deepStrictEqual([url.line, url.column], [4, 28]);
+
+    await fs.writeJson(configPath, { extends: './base/book-config.yml', title: '書籍' });
+    assert.strictEqual(loader.getSourceConfig(await loader.load(configPath)), null);
+    assert.strictEqual(loader.getSourceConfig({ title: '書籍' }), null);
+  });
+
+  test('構文エラーと環境変数のエラーに位置を付与する', async () => {
+    await fs.writeFile(configPath, '{\n  "title": "書籍"\n  "author": "著者"\n}\n');
+    await assert.rejects(() => loader.load(configPath), (error) => error.line === 3 && error.column === 3 && !!error.codeFrame);
+
+    await fs.writeFile(configPath, '{\n  "title": "${BOOK_TITLE}"\n}\n');
+    await assert.rejects(() => loader.load(configPath), (error) => error.line === 2 && /環境変数 BOOK_TITLE/.test(error.message));
+  });
+
+  test('継承の循環を検出する', async () => {
+    await fs.writeJson(configPath, { extends: './other.json', title: 'A' });
+    await fs.writeJson(path.join(tempDir, 'other.json'), { extends: './book-config.json', title: 'B' });
+
+    await assert.rejects(() => loader.load(configPath), /設定ファイルの継承が循環しています/);
+  });
+});
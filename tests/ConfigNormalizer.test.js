@@ -0,0 +1,76 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { ConfigNormalizer } from '../src/ConfigNormalizer.js';
+
+describe('ConfigNormalizer', () => {
+  let normalizer;
+
+  const nestedConfig = {
+    book: {
+      title: 'テスト書籍',
+      author: { name: '著者', organization: '組織' },
+      description: '説明',
+      repository: { github: 'https://github.com/test/book' }
+    },
+    build: { theme: 'modern' },
+    structure: {
+      introduction: { title: 'はじめに', enabled: true },
+      chapters: [
+        { number: 1, title: '基本', file: 'chapter01.md', enabled: true },
+        { number: 2, title: '応用' }
+      ],
+      appendices: [{ letter: 'A', title: '用語集', file: 'appendix-a.md' }]
+    },
+    contentSections: [{ name: 'chapters', directory: 'chapters' }]
+  };
+
+  beforeEach(() => {
+    normalizer = new ConfigNormalizer();
+  });
+
+  test('設定の形式を判定する', () => {
+    assert.strictEqual(normalizer.detectDialect(nestedConfig), 'nested');
+    assert.strictEqual(normalizer.detectDialect({ title: 'flat' }), 'flat');
+  });
+
+  test('nested 形式を正規形に変換する', () => {
+    const config = normalizer.normalize(nestedConfig);
+
+    assert.strictEqual(config.title, 'テスト書籍');
+    assert.strictEqual(config.author, '著者');
+    assert.deepStrictEqual(config.authorInfo, { name: '著者', organization: '組織' });
+    assert.deepStrictEqual(config.repository, { url: 'https://github.com/test/book' });
+    assert.deepStrictEqual(config.build, { theme: 'modern' });
+    assert.deepStrictEqual(config.structure.chapters[0], {
+      id: 'chapter01', number: 1, title: '基本', file: 'chapter01.md', enabled: true
+    });
+    assert.deepStrictEqual(config.structure.chapters[1], {
+      id: 'chapter02', number: 2, title: '応用', file: 'chapter02.md'
+    });
+    assert.strictEqual(config.structure.appendices[0].id, 'appendix-a');
+  });
+
+  test('flat 形式はそのまま正規形として扱う', () => {
+    const flat = {
+      title: 'flat',
+      author: '著者',
+      structure: { chapters: [{ id: 'getting-started', title: 'はじめ方' }] }
+    };
+
+    assert.deepStrictEqual(normalizer.normalize(flat), flat);
+  });
+
+  test('nested 形式と flat 形式を相互に変換しても内容が変わらない', () => {
+    const flat = normalizer.toDialect(nestedConfig, 'flat');
+    const nested = normalizer.toDialect(flat, 'nested');
+
+    assert.deepStrictEqual(nested.book.author, nestedConfig.book.author);
+    assert.deepStrictEqual(nested.book.repository, nestedConfig.book.repository);
+    assert.deepStrictEqual(nested.structure.chapters[0], nestedConfig.structure.chapters[0]);
+    assert.deepStrictEqual(normalizer.normalize(nested), flat);
+  });
+
+  test('不明な形式を指定するとエラーになる', () => {
+    assert.throws(() => normalizer.toDialect(nestedConfig, 'xml'), /不明な設定形式です/);
+  });
+});
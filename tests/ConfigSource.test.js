@@ -0,0 +1,79 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ConfigSource } from '../src/ConfigSource.js';
+
+describe('ConfigSource', () => {
+  const json = [
+    '{',
+    '  "book": {',
+    '    "title": "テスト書籍",',
+    '    "keywords": ["a", "b"]',
+    '  },',
+    '  "a/b": { "c~d": 1 }',
+    '}',
+    ''
+  ].join('\n');
+
+  test('JSON の値の位置を JSON Pointer から求める', () => {
+    const source = new ConfigSource(json, { file: 'book-config.json', format: 'json' });
+
+    assert.deepStrictEqual(source.data, JSON.parse(json));
+    assert.strictEqual(source.locate('/book/title').line, 3);
+    assert.strictEqual(source.locate('/book/title').column, 14);
+    assert.strictEqual(source.locate('/book/keywords/1').column, 23);
+    assert.strictEqual(source.locate('/a~1b/c~0d').line, 6);
+
+    // 存在しない値は最も近い親の位置を返す
+    const missing = source.locate('/book/author');
+    assert.strictEqual(missing.exact, false);
+    assert.strictEqual(missing.pointer, '/book');
+    assert.strictEqual(missing.line, 2);
+  });
+
+  test('JSON の構文エラーに位置とコードフレームを付与する', () => {
+    const content = '{\n  "title": "書籍",\n  "author": ,\n  "description": "説明"\n}\n';
+
+    assert.throws(
+      () => new ConfigSource(content, { file: 'book-config.json', format: 'json' }),
+      (error) => {
+        assert.strictEqual(error.line, 3);
+        assert.strictEqual(error.column, 13);
+        assert.match(error.message, /設定ファイルの構文が正しくありません: 予期しない文字 "," があります（book-config\.json:3:13）/);
+        assert.strictEqual(error.codeFrame, [
+          '  1 | {',
+          '  2 |   "title": "書籍",',
+          '> 3 |   "author": ,',
+          '    |             ^',
+          '  4 |   "description": "説明"',
+          '  5 | }'
+        ].join('\n'));
+        return true;
+      }
+    );
+
+    assert.throws(
+      () => new ConfigSource('{ "title": "書籍", }', { file: 'book-config.json', format: 'json' }),
+      /末尾のカンマは使用できません（book-config\.json:1:18）/
+    );
+    assert.throws(
+      () => new ConfigSource('{ "title": "書籍"', { file: 'book-config.json', format: 'json' }),
+      /"," または "}" が必要です/
+    );
+  });
+
+  test('YAML の値の位置を求め、構文エラーに位置を付与する', () => {
+    const yaml = '# 設定\nbook:\n  title: テスト書籍\nstructure:\n  chapters:\n    - title: 基本\n      file: chapter01.md\n';
+    const source = new ConfigSource(yaml, { file: 'book-config.yml', format: 'yaml' });
+
+    assert.strictEqual(source.data.book.title, 'テスト書籍');
+    assert.deepStrictEqual(
+      (({ line, column }) => ({ line, column }))(source.locate('/structure/chapters/0/file')),
+      { line: 7, column: 13 }
+    );
+
+    assert.throws(
+      () => new ConfigSource('book:\n  title: "書籍\n', { file: 'book-config.yml', format: 'yaml' }),
+      (error) => error.file === 'book-config.yml' && error.line > 0 && error.codeFrame.includes('title: "書籍')
+    );
+  });
+});
@@ -32,6 +32,15 @@ describe('ConfigValidator', () => {
       });
     });
 
+    test('有効な設定の検証結果を返し、コンソールには出力しない', (t) => {
+      const log = t.mock.method(console, 'log', () => {});
+      const result = validator.validate({ title: 'テスト書籍', description: '説明', author: '著者' });
+
+      assert.strictEqual(result.isValid, true);
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(log.mock.callCount(), 0);
+    });
+
     test('必須フィールドが不足している場合エラーを投げる', () => {
       const invalidConfig = {
         description: '説明のみ'
@@ -227,6 +236,93 @@ describe('ConfigValidator', () => {
     });
   });
 
+  describe('スキーマによる検証', () => {
+    test('エラーに JSON Pointer 形式のパスを含める', () => {
+      const details = validator.getValidationDetails({
+        title: 'タイトル',
+        description: '説明',
+        author: '作成者',
+        structure: {
+          chapters: [
+            { id: 'chapter1', title: '第1章' },
+            { id: 'Chapter_2', title: '第2章' }
+          ]
+        }
+      });
+
+      assert.strictEqual(details.isValid, false);
+      assert.deepStrictEqual(details.errors, ['章 2: id は英小文字、数字、ハイフンのみ使用できます (/structure/chapters/1/id)']);
+      assert.deepStrictEqual(
+        details.issues.filter(issue => issue.severity === 'error').map(issue => issue.path),
+        ['/structure/chapters/1/id']
+      );
+    });
+
+    test('不明なキーを警告する', () => {
+      const details = validator.getValidationDetails({
+        title: 'タイトル',
+        description: '説明',
+        author: '作成者',
+        version: '1.0.0',
+        repository: { url: 'https://github.com/user/repo' },
+        features: { search: true, serach: true }
+      });
+
+      assert.strictEqual(details.isValid, true);
+      assert.deepStrictEqual(details.warnings, ['不明なキーです: features.serach (/features/serach)']);
+    });
+
+    test('nested 形式の設定を検証する', () => {
+      const nestedConfig = {
+        book: {
+          title: 'タイトル',
+          description: '説明',
+          author: { name: '作成者', email: 'author@example.com' },
+          version: '1.0.0',
+          repository: { github: 'https://github.com/user/repo' }
+        },
+        build: { outputFormats: ['html', 'pdf'], debug: false },
+        structure: {
+          chapters: [{ number: 1, title: '第1章', file: 'chapter01.md', enabled: true }],
+          appendices: [{ letter: 'A', title: '付録', file: 'appendix-a.md' }]
+        },
+        contentSections: [{ name: 'chapters', directory: 'chapters', enabled: true, order: 1 }],
+        features: { search: true, darkMode: true }
+      };
+
+      const details = validator.getValidationDetails(nestedConfig);
+      assert.strictEqual(details.isValid, true);
+      assert.deepStrictEqual(details.warnings, []);
+
+      nestedConfig.build.outputFormats.push('docx2');
+      delete nestedConfig.book.author.name;
+      assert.throws(() => validator.validate(nestedConfig), (error) => {
+        assert.deepStrictEqual(error.issues.map(issue => issue.path), ['/book/author/name', '/build/outputFormats/2']);
+        return true;
+      });
+    });
+
+    test('locate を指定するとエラーに設定ファイル上の位置を付与する', () => {
+      const locate = (pointer) => ({
+        file: '/books/book-config.json',
+        line: pointer.split('/').length,
+        column: 5,
+        location: `book-config.json:${pointer.split('/').length}:5`,
+        codeFrame: `> ${pointer}`
+      });
+
+      assert.throws(
+        () => validator.validate({ title: 'タイトル', description: '説明', author: 1 }, { locate }),
+        (error) => {
+          assert.strictEqual(error.message, 'author は文字列である必要があります (/author)（book-config.json:2:5）');
+          assert.deepStrictEqual([error.file, error.line, error.column], ['/books/book-config.json', 2, 5]);
+          assert.strictEqual(error.codeFrame, '> /author');
+          return true;
+        }
+      );
+    });
+  });
+
   describe('isValidVersion', () => {
     test('有効なsemverバージョンを認識する', () => {
       assert.strictEqual(validator.isValidVersion('1.0.0'), true);
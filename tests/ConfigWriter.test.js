@@ -0,0 +1,154 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { ConfigWriter } from '../src/ConfigWriter.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PAGES = [
+  { section: 'introduction', source: 'introduction/index.md', title: 'まえがき' },
+  { section: 'chapters', source: 'chapters/chapter01.md', title: '基本', number: 1 },
+  { section: 'appendices', source: 'appendices/appendix-a.md', title: '用語集', letter: 'A' }
+];
+
+describe('ConfigWriter', () => {
+  let writer;
+  let tempDir;
+
+  beforeEach(async () => {
+    writer = new ConfigWriter();
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('nested 形式では book の下の書籍情報と構成を取り込んだページで置き換える', () => {
+    const data = {
+      book: { title: '元の本', author: { name: '元の著者', email: 'author@example.com' } },
+      structure: { afterword: { title: 'あとがき', enabled: true } },
+      navigation: { order: ['old'] }
+    };
+
+    const paths = writer.applyImport(data, PAGES, { title: '新しい本', author: '著者', subtitle: '' }, { overwrite: true });
+
+    assert.strictEqual(data.book.title, '新しい本');
+    assert.deepStrictEqual(data.book.author, { name: '著者', email: 'author@example.com' });
+    assert.deepStrictEqual(data.structure.introduction, { title: 'まえがき', enabled: true });
+    assert.deepStrictEqual(data.structure.chapters, [{ number: 1, title: '基本', file: 'chapter01.md', enabled: true }]);
+    assert.deepStrictEqual(data.structure.appendices, [{ letter: 'A', title: '用語集', file: 'appendix-a.md', enabled: true }]);
+    assert.strictEqual(data.structure.afterword, undefined);
+    assert.deepStrictEqual(data.navigation.order, ['introduction/index', 'chapters/chapter01', 'appendices/appendix-a']);
+    assert.deepStrictEqual(paths, [
+      ['book', 'title'],
+      ['book', 'author'],
+      ['structure', 'introduction'],
+      ['structure', 'chapters'],
+      ['structure', 'appendices'],
+      ['structure', 'afterword']
+    ]);
+  });
+
+  test('設定済みの書籍情報とタイトルは置き換えず、取り込みで変わった項目だけを返す', () => {
+    const data = {
+      book: { title: '元の本', author: { name: '' }, keywords: ['本'] },
+      structure: {
+        introduction: { title: 'はじめに', enabled: true },
+        chapters: [{ number: 1, title: '基本編', file: 'chapter01.md', enabled: true, description: '説明' }],
+        appendices: [{ letter: 'A', title: '用語集', file: 'appendix-a.md', enabled: true }]
+      },
+      navigation: { order: ['introduction/index', 'chapters/chapter01', 'appendices/appendix-a'] }
+    };
+
+    const paths = writer.applyImport(data, PAGES, { title: '新しい本', author: '著者' });
+
+    assert.strictEqual(data.book.title, '元の本');
+    assert.deepStrictEqual(data.book.author, { name: '著者' });
+    assert.deepStrictEqual(data.structure.introduction, { title: 'はじめに', enabled: true });
+    assert.deepStrictEqual(data.structure.chapters, [{ number: 1, title: '基本編', file: 'chapter01.md', enabled: true, description: '説明' }]);
+    assert.deepStrictEqual(paths, [['book', 'author']]);
+  });
+
+  test('取り込みで変わらない JSON の設定ファイルは書き換えない', async () => {
+    const configPath = path.join(tempDir, 'book-config.json');
+    const original = JSON.stringify({
+      book: { title: '元の本' },
+      structure: {
+        introduction: { title: 'はじめに', enabled: true },
+        chapters: [{ number: 1, title: '基本編', file: 'chapter01.md', enabled: true }],
+        appendices: [{ letter: 'A', title: '用語集', file: 'appendix-a.md', enabled: true }]
+      },
+      navigation: { order: ['introduction/index', 'chapters/chapter01', 'appendices/appendix-a'] }
+    }, null, 4);
+    await fs.writeFile(configPath, original);
+
+    const state = await writer.read(configPath);
+    const paths = writer.applyImport(state.data, PAGES, { title: '新しい本' });
+    await writer.write(configPath, state, paths);
+
+    assert.deepStrictEqual(paths, []);
+    assert.strictEqual(await fs.readFile(configPath, 'utf8'), original);
+  });
+
+  test('YAML はコメントを保持し、指定した項目だけを書き換える', async () => {
+    const configPath = path.join(tempDir, 'book-config.yml');
+    await fs.writeFile(configPath, '# 書籍の設定\ntitle: 元の本\nstructure:\n  afterword:\n    title: あとがき\n  chapters: []\n');
+
+    const state = await writer.read(configPath);
+    const paths = writer.applyImport(state.data, PAGES, { title: '新しい本' }, { overwrite: true });
+    await writer.write(configPath, state, paths);
+
+    const content = await fs.readFile(configPath, 'utf8');
+    const config = YAML.parse(content);
+    assert(content.startsWith('# 書籍の設定\n'));
+    assert.strictEqual(config.title, '新しい本');
+    assert.strictEqual(config.structure.afterword, undefined);
+    assert.deepStrictEqual(config.structure.chapters.map(chapter => chapter.file), ['chapter01.md']);
+  });
+
+  test('JSON は指定した項目だけを置き換え、キーの順序と1行の配列を保持する', async () => {
+    const configPath = path.join(tempDir, 'book-config.json');
+    const original = [
+      '{',
+      '    "book": { "title": "元の本", "keywords": ["本", "技術"] },',
+      '    "build": {',
+      '        "outputFormats": ["html", "pdf"]',
+      '    },',
+      '    "structure": {',
+      '        "chapters": []',
+      '    },',
+      '    "navigation": { "order": [] }',
+      '}',
+      ''
+    ].join('\n');
+    await fs.writeFile(configPath, original);
+
+    const state = await writer.read(configPath);
+    state.data.structure.chapters.push({ number: 1, title: '基本', file: 'chapter01.md' });
+    state.data.navigation.order.push('chapters/chapter01');
+    state.data.build.outputFormats.push('epub');
+    await writer.write(configPath, state, [['structure', 'chapters']]);
+
+    const content = await fs.readFile(configPath, 'utf8');
+    assert(content.includes('    "book": {\n        "title": "元の本",\n        "keywords": ["本", "技術"]\n    },'));
+    assert(content.includes('"outputFormats": ["html", "pdf"]'));
+    assert(content.includes('"order": ["chapters/chapter01"]'));
+    assert.deepStrictEqual(Object.keys(JSON.parse(content)), ['book', 'build', 'structure', 'navigation']);
+    assert.deepStrictEqual(JSON.parse(content).structure.chapters, [{ number: 1, title: '基本', file: 'chapter01.md' }]);
+    assert(content.endsWith('}\n'));
+  });
+
+  test('JSON と YAML 以外の設定ファイルはエラーにする', async () => {
+    const configPath = path.join(tempDir, 'book.config.mjs');
+    await fs.writeFile(configPath, 'export default {};\n');
+
+    await assert.rejects(() => writer.read(configPath), /書き換えに対応していない設定ファイル形式です: \.mjs/);
+  });
+});
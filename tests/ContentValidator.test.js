@@ -0,0 +1,91 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { ContentValidator } from '../src/ContentValidator.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('ContentValidator', () => {
+  let validator;
+  let tempDir;
+  let sourceDir;
+  let config;
+
+  beforeEach(async () => {
+    validator = new ContentValidator();
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    sourceDir = path.join(tempDir, 'src');
+
+    config = {
+      title: 'テスト書籍',
+      structure: {
+        introduction: { title: 'はじめに', enabled: true },
+        chapters: [
+          { id: 'chapter01', number: 1, title: '基本', file: 'chapter01.md', enabled: true },
+          { id: 'chapter02', number: 2, title: '応用 編', file: 'chapter02.md', enabled: true }
+        ],
+        appendices: [{ id: 'appendix-a', letter: 'A', title: '用語集', file: 'appendix-a.md' }]
+      },
+      contentSections: [
+        { name: 'introduction', directory: 'introduction', enabled: true },
+        { name: 'chapters', directory: 'chapters', enabled: true },
+        { name: 'appendices', directory: 'appendices', enabled: true }
+      ],
+      excludePatterns: ['draft.md']
+    };
+
+    await fs.outputFile(path.join(sourceDir, 'introduction', 'index.md'), '---\ntitle: はじめに\n---\n\n# はじめに\n');
+    await fs.outputFile(path.join(sourceDir, 'chapters', 'chapter01.md'), '<!--\n# ライセンス\n-->\n```\n# コメント\n```\n# 第1章　基本\n');
+    await fs.outputFile(path.join(sourceDir, 'chapters', 'chapter02.md'), '# 第2章 応用　編 {#advanced}\n');
+    await fs.outputFile(path.join(sourceDir, 'chapters', 'draft.md'), '# 下書き\n');
+    await fs.outputFile(path.join(sourceDir, 'appendices', 'appendix-a.md'), '# 付録A　用語集\n');
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('設定と原稿ファイルが一致している場合はエラーがない', async () => {
+    const result = await validator.validate(config, { sourceDir });
+
+    assert.deepStrictEqual(result.issues, []);
+    assert.strictEqual(result.isValid, true);
+  });
+
+  test('ファイルの不足、参照されていないファイル、章番号の途切れを検出する', async () => {
+    config.structure.chapters.push({ id: 'chapter04', number: 4, title: '実践', file: 'chapter04.md', enabled: true });
+    config.structure.chapters.push({ id: 'chapter05', number: 5, title: '準備中', file: 'chapter05.md', enabled: false });
+    await fs.outputFile(path.join(sourceDir, 'chapters', 'chapter03.md'), '# 第3章　発展\n');
+
+    const result = await validator.validate(config, { sourceDir });
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.issues.map(issue => [issue.path, issue.message]), [
+      ['/structure/chapters/2/file', 'ファイルが見つかりません: chapters/chapter04.md'],
+      ['/structure/chapters/2/number', '章番号が連続していません: 2 の次が 4 です'],
+      ['/contentSections/1', '設定から参照されていない Markdown ファイルがあります: chapters/chapter03.md']
+    ]);
+  });
+
+  test('見出しのタイトルと章番号が設定と異なる場合に検出し、位置を付与する', async () => {
+    await fs.outputFile(path.join(sourceDir, 'chapters', 'chapter02.md'), '# 第3章　価格戦略の考え方\n');
+    await fs.outputFile(path.join(sourceDir, 'appendices', 'appendix-a.md'), '本文のみ\n');
+
+    const result = await validator.validate(config, {
+      sourceDir,
+      locate: (pointer) => ({ location: `book-config.json (${pointer})` })
+    });
+
+    assert.deepStrictEqual(result.issues.map(issue => issue.message), [
+      '章番号が見出しと一致しません: 設定 2、chapters/chapter02.md「第3章　価格戦略の考え方」',
+      'タイトルが見出しと一致しません: 設定「応用 編」、chapters/chapter02.md「価格戦略の考え方」',
+      '見出し（# ）がありません: appendices/appendix-a.md'
+    ]);
+    assert.strictEqual(result.issues[1].location, 'book-config.json (/structure/chapters/1/title)');
+  });
+});
@@ -0,0 +1,151 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { DocxExporter } from '../src/DocxExporter.js';
+import { ZipArchive } from '../src/ZipArchive.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('DocxExporter', () => {
+  let tempDir;
+  let sourceDir;
+  let outputFile;
+  let config;
+
+  const readDocx = async () => {
+    const entries = ZipArchive.read(await fs.readFile(outputFile));
+    return Object.fromEntries(entries.map(entry => [entry.name, entry.data]));
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    sourceDir = path.join(tempDir, 'src');
+    outputFile = path.join(tempDir, 'dist', 'book.docx');
+
+    await fs.outputFile(path.join(sourceDir, 'introduction', 'index.md'), 'はじめに読む部分です。\n');
+    await fs.outputFile(
+      path.join(sourceDir, 'chapters', 'chapter01.md'),
+      [
+        '# 第1章　基本',
+        '**学習目標**: 流れを理解する',
+        '## 流れ',
+        '本文の**強調**と`code`と[外部](https://example.com)と[付録](../appendices/appendix-a.md)。',
+        '- 項目1\n- 項目2\n\n1. 手順1\n2. 手順2',
+        '| 項目 | 金額 |\n|:--|--:|\n| 売上 | 100 |',
+        '```js\nconst a = 1 < 2;\n  return a;\n```',
+        '![売上の流れ](../../assets/images/flow.svg)',
+        '<!-- PRIVATE: 非公開メモ -->'
+      ].join('\n\n')
+    );
+    await fs.outputFile(path.join(sourceDir, 'appendices', 'appendix-a.md'), '# 付録A　用語集\n\n#### 細目\n\n##### さらに細目\n');
+    await fs.outputFile(
+      path.join(tempDir, 'assets', 'images', 'flow.svg'),
+      '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100"><rect width="200" height="100" fill="#eee"/><text x="100" y="50">売上</text></svg>'
+    );
+
+    config = {
+      title: 'テスト書籍',
+      subtitle: '副題',
+      author: '著者',
+      language: 'ja',
+      structure: {
+        introduction: { title: 'はじめに', enabled: true },
+        chapters: [{ number: 1, title: '基本', file: 'chapter01.md' }],
+        appendices: [{ id: 'appendix-a', title: '用語集', letter: 'A' }]
+      },
+      build: { figureNumbering: true, tableNumbering: true },
+      contentExcludePatterns: ['<!-- PRIVATE:']
+    };
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('Word の文書パッケージを構成し、扉と各ページをセクションに分ける', async () => {
+    const result = await new DocxExporter().export(config, { sourceDir, outputFile, modified: new Date('2024-01-02T03:04:05Z') });
+    const files = await readDocx();
+    const document = files['word/document.xml'].toString('utf8');
+
+    assert.strictEqual(result.outputFile, outputFile);
+    assert(files['[Content_Types].xml'].toString('utf8').includes('<Default Extension="emf" ContentType="image/x-emf"/>'));
+    assert(files['_rels/.rels'].toString('utf8').includes('Target="word/document.xml"'));
+    assert(files['docProps/core.xml'].toString('utf8').includes('<dcterms:modified xsi:type="dcterms:W3CDTF">2024-01-02T03:04:05Z</dcterms:modified>'));
+    assert(files['word/styles.xml'].toString('utf8').includes('<w:name w:val="heading 1"/>'));
+
+    assert(document.includes('<w:pStyle w:val="Title"/></w:pPr><w:r><w:t xml:space="preserve">テスト書籍</w:t></w:r>'));
+    // 扉・まえがき・章・付録の4セクション（最後の設定は body の末尾）
+    assert.strictEqual(document.match(/<w:sectPr>/g).length, 4);
+    assert.match(document, /<w:sectPr>[^]*<\/w:sectPr>\n<\/w:body>/);
+    assert.strictEqual(document.match(/<w:footerReference w:type="default" r:id="rId3"\/>/g).length, 3);
+    assert(!document.includes('非公開メモ'));
+  });
+
+  test('見出しを見出しスタイルに、太字のラベルを名前付きのスタイルにする', async () => {
+    await new DocxExporter().export(config, { sourceDir, outputFile });
+    const document = (await readDocx())['word/document.xml'].toString('utf8');
+
+    assert(document.includes('<w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t xml:space="preserve">第1章　基本</w:t>'));
+    assert(document.includes('<w:pStyle w:val="Heading2"/></w:pPr><w:r><w:t xml:space="preserve">流れ</w:t>'));
+    // 5・6段目の見出しは 見出し 4 にまとめる
+    assert.strictEqual(document.match(/<w:pStyle w:val="Heading4"\/>/g).length, 2);
+    // 1段目の見出しがない原稿には、ページのタイトルを見出しとして補う
+    assert(document.includes('<w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t xml:space="preserve">はじめに</w:t>'));
+
+    assert(document.includes('<w:p><w:pPr><w:pStyle w:val="LabelParagraph"/></w:pPr><w:r><w:rPr><w:rStyle w:val="LabelChar"/></w:rPr><w:t xml:space="preserve">学習目標</w:t></w:r><w:r><w:t xml:space="preserve">: 流れを理解する</w:t></w:r></w:p>'));
+    assert(document.includes('<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">強調</w:t></w:r>'));
+    assert(document.includes('<w:r><w:rPr><w:rStyle w:val="VerbatimChar"/></w:rPr><w:t xml:space="preserve">code</w:t></w:r>'));
+    assert(document.includes('<w:hyperlink r:id="rId4"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr><w:t xml:space="preserve">外部</w:t></w:r></w:hyperlink>'));
+    // 原稿間のリンクは文字列として残す
+    assert(document.includes('<w:t xml:space="preserve">付録</w:t>'));
+  });
+
+  test('表・コードブロック・箇条書きを変換し、図表番号を付ける', async () => {
+    await new DocxExporter().export(config, { sourceDir, outputFile });
+    const files = await readDocx();
+    const document = files['word/document.xml'].toString('utf8');
+    const numbering = files['word/numbering.xml'].toString('utf8');
+
+    assert(document.includes('<w:pStyle w:val="Caption"/><w:keepNext/></w:pPr><w:r><w:t xml:space="preserve">表1-1</w:t></w:r></w:p><w:tbl>'));
+    assert(document.includes('<w:tr><w:trPr><w:tblHeader/></w:trPr>'));
+    assert(document.includes('<w:jc w:val="right"/></w:pPr><w:r><w:t xml:space="preserve">100</w:t>'));
+    assert(document.includes('<w:pStyle w:val="SourceCode"/></w:pPr><w:r><w:t xml:space="preserve">const a = 1 &lt; 2;</w:t></w:r><w:r><w:br/></w:r><w:r><w:t xml:space="preserve">  return a;</w:t></w:r></w:p>'));
+
+    assert.strictEqual(document.match(/<w:numId w:val="1"\/>/g).length, 2);
+    assert.strictEqual(document.match(/<w:numId w:val="2"\/>/g).length, 2);
+    assert(numbering.includes('<w:num w:numId="2"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>'));
+    assert(document.includes('<w:t xml:space="preserve">図1-1　売上の流れ</w:t>'));
+  });
+
+  test('SVGの図版を EMF の代替画像付きで埋め込む', async () => {
+    const result = await new DocxExporter().export(config, { sourceDir, outputFile });
+    const files = await readDocx();
+    const document = files['word/document.xml'].toString('utf8');
+    const relationships = files['word/_rels/document.xml.rels'].toString('utf8');
+
+    assert.strictEqual(result.images, 1);
+    assert(files['word/media/image1.svg'].toString('utf8').startsWith('<svg'));
+    assert.strictEqual(files['word/media/image1.emf'].readUInt32LE(40), 0x464d4520);
+    assert(relationships.includes('<Relationship Id="rId5" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/image1.emf"/>'));
+    assert(relationships.includes('Target="https://example.com" TargetMode="External"'));
+
+    // a:blip は EMF、asvg:svgBlip は SVG を参照する（200px × 100px）
+    assert(document.includes('<wp:extent cx="1905000" cy="952500"/>'));
+    assert(document.includes('<a:blip r:embed="rId5"><a:extLst><a:ext uri="{96DAC541-7B7A-43D3-8B79-37D633B846F1}">'));
+    assert(document.includes('r:embed="rId6"/></a:ext></a:extLst></a:blip>'));
+  });
+
+  test('設定に記載されたファイルがない場合はエラーにする', async () => {
+    await fs.remove(path.join(sourceDir, 'appendices', 'appendix-a.md'));
+
+    await assert.rejects(
+      new DocxExporter().export(config, { sourceDir, outputFile }),
+      /設定に記載されたファイルが見つかりません: appendices\/appendix-a\.md/
+    );
+  });
+});
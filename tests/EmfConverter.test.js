@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { EmfConverter } from '../src/EmfConverter.js';
+
+// レコードの種別と大きさを先頭から順にたどる
+const readRecords = (data) => {
+  const records = [];
+  for (let offset = 0; offset < data.length;) {
+    const type = data.readUInt32LE(offset);
+    const size = data.readUInt32LE(offset + 4);
+    assert(size >= 8 && size % 4 === 0, `レコードの大きさが不正です: ${size}`);
+    records.push({ type, size, offset });
+    offset += size;
+  }
+  return records;
+};
+
+describe('EmfConverter', () => {
+  test('ヘッダーに大きさ・ファイル長・レコード数を記録し、EOF で終える', () => {
+    const { width, height, data } = new EmfConverter().convert('<svg xmlns="http://www.w3.org/2000/svg" width="96" height="48"><rect x="0" y="0" width="96" height="48" fill="#ff0000"/></svg>');
+    const records = readRecords(data);
+
+    assert.strictEqual(width, 96);
+    assert.strictEqual(height, 48);
+    assert.strictEqual(records[0].type, 1);
+    assert.strictEqual(data.readUInt32LE(40), 0x464d4520);
+    assert.strictEqual(data.readUInt32LE(48), data.length);
+    assert.strictEqual(data.readUInt32LE(52), records.length);
+    // 枠（0.01 mm 単位、右下の点を含む）は 96px = 1インチ = 2540
+    assert.deepStrictEqual([24, 28, 32, 36].map(offset => data.readInt32LE(offset)), [0, 0, 2539, 1269]);
+    assert.strictEqual(records[records.length - 1].type, 14);
+  });
+
+  test('塗りと線をブラシ・ペンとパスのレコードにする', () => {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">
+  <rect x="10" y="10" width="20" height="20" fill="#1976d2"/>
+  <line x1="0" y1="50" x2="100" y2="50" stroke="black" stroke-width="2" stroke-dasharray="4 2" fill="none"/>
+</svg>`;
+    const { data } = new EmfConverter().convert(svg);
+    const types = readRecords(data).map(record => record.type);
+
+    // CREATEBRUSHINDIRECT → BEGINPATH … ENDPATH → FILLPATH
+    assert(types.includes(39));
+    assert(types.includes(62));
+    // EXTCREATEPEN（破線） → STROKEPATH
+    assert(types.includes(95));
+    assert(types.includes(64));
+    assert.strictEqual(types.filter(type => type === 59).length, types.filter(type => type === 60).length);
+
+    const brush = readRecords(data).find(record => record.type === 39);
+    // COLORREF は 0x00BBGGRR
+    assert.strictEqual(data.readUInt32LE(brush.offset + 16), 0xd27619);
+  });
+
+  test('テキストを UTF-16 の EXTTEXTOUTW レコードにする', () => {
+    const { data } = new EmfConverter().convert('<svg xmlns="http://www.w3.org/2000/svg" width="100" height="40"><text x="50" y="20" text-anchor="middle" font-weight="bold">売上</text></svg>');
+    const records = readRecords(data);
+    const font = records.find(record => record.type === 82);
+    const text = records.find(record => record.type === 84);
+
+    assert(font);
+    assert(text);
+    assert(data.includes(Buffer.from('売上', 'utf16le')));
+    assert(data.includes(Buffer.from('Yu Gothic', 'utf16le')));
+  });
+});
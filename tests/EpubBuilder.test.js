@@ -0,0 +1,119 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { EpubBuilder } from '../src/EpubBuilder.js';
+import { EpubValidator } from '../src/EpubValidator.js';
+import { ZipArchive } from '../src/ZipArchive.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('EpubBuilder', () => {
+  let tempDir;
+  let sourceDir;
+  let outputFile;
+  let config;
+
+  const readEpub = async () => {
+    const entries = ZipArchive.read(await fs.readFile(outputFile));
+    return Object.fromEntries(entries.map(entry => [entry.name, entry.data.toString('utf8')]));
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    sourceDir = path.join(tempDir, 'src');
+    outputFile = path.join(tempDir, 'dist', 'book.epub');
+
+    await fs.outputFile(path.join(sourceDir, 'introduction', 'index.md'), '# まえがき\n\n[第1章へ](../chapters/chapter01.md)\n');
+    await fs.outputFile(
+      path.join(sourceDir, 'chapters', 'chapter01.md'),
+      '# 第1章　基本\n\n本文<br>\n\n![流れ](../../assets/images/diagrams/flow.svg)\n<!-- PRIVATE: 非公開メモ -->\n'
+    );
+    await fs.outputFile(path.join(tempDir, 'assets', 'images', 'diagrams', 'flow.svg'), '<svg xmlns="http://www.w3.org/2000/svg"/>');
+    await fs.outputFile(path.join(tempDir, 'docs', 'cover.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+    config = {
+      title: 'テスト書籍',
+      author: '著者',
+      language: 'ja',
+      structure: {
+        introduction: { title: 'はじめに', enabled: true },
+        chapters: [{ number: 1, title: '基本', file: 'chapter01.md' }],
+        appendices: [{ id: 'appendix-a', title: '用語集', enabled: false }]
+      },
+      contentExcludePatterns: ['<!-- PRIVATE:']
+    };
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('目次・表紙・図版を含み、構造検証を通るEPUB 3を生成する', async () => {
+    await new EpubBuilder().build(config, { sourceDir, outputFile, modified: new Date('2025-01-02T03:04:05.678Z') });
+    const files = await readEpub();
+
+    assert.strictEqual(Object.keys(files)[0], 'mimetype');
+    assert.deepStrictEqual(await new EpubValidator().validateFile(outputFile), { isValid: true, errors: [], warnings: [] });
+
+    const opf = files['OEBPS/content.opf'];
+    assert(opf.includes('<dc:language>ja</dc:language>'));
+    assert(opf.includes('<meta property="dcterms:modified">2025-01-02T03:04:05Z</meta>'));
+    assert(opf.includes('href="images/cover.png" media-type="image/png" properties="cover-image"'));
+    assert(opf.includes('href="assets/images/diagrams/flow.svg" media-type="image/svg+xml"'));
+    assert(opf.includes('<spine>'));
+
+    const nav = files['OEBPS/nav.xhtml'];
+    assert(nav.includes('<a href="introduction/index.xhtml">まえがき</a>'));
+    assert(nav.includes('<a href="chapters/chapter01.xhtml">第1章　基本</a>'));
+    assert(!nav.includes('用語集'));
+
+    const chapter = files['OEBPS/chapters/chapter01.xhtml'];
+    assert(chapter.includes('<img src="../assets/images/diagrams/flow.svg" alt="流れ" />'));
+    assert(chapter.includes('<link rel="stylesheet" type="text/css" href="../styles/book.css" />'));
+    assert(!chapter.includes('非公開メモ'));
+    assert(files['OEBPS/introduction/index.xhtml'].includes('href="../chapters/chapter01.xhtml"'));
+  });
+
+  test('縦書きでは右から左へのページ送りと縦書きのスタイルを指定する', async () => {
+    config.build = { epub: { writingMode: 'vertical', cover: 'missing.png' } };
+    await new EpubBuilder().build(config, { sourceDir, outputFile });
+    const files = await readEpub();
+
+    assert(files['OEBPS/content.opf'].includes('<spine page-progression-direction="rtl">'));
+    assert(files['OEBPS/styles/book.css'].includes('writing-mode: vertical-rl'));
+    assert.strictEqual(files['OEBPS/cover.xhtml'], undefined);
+    assert.strictEqual((await new EpubValidator().validateFile(outputFile)).isValid, true);
+
+    config.build.epub.writingMode = 'sideways';
+    await assert.rejects(
+      new EpubBuilder().build(config, { sourceDir, outputFile }),
+      /build\.epub\.writingMode は horizontal または vertical である必要があります: sideways/
+    );
+  });
+
+  test('整形式でないSVG画像はファイル名を示してエラーにし、画像は書き換えない', async () => {
+    const svgPath = path.join(tempDir, 'assets', 'images', 'diagrams', 'flow.svg');
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg">\n  <text>体験 < 期待</text>\n</svg>';
+    await fs.writeFile(svgPath, svg);
+
+    await assert.rejects(
+      new EpubBuilder().build(config, { sourceDir, outputFile }),
+      /assets\/images\/diagrams\/flow\.svg: エスケープされていない "<" があります（2行目付近）/
+    );
+    assert.strictEqual(await fs.readFile(svgPath, 'utf8'), svg);
+    assert.strictEqual(await fs.pathExists(outputFile), false);
+  });
+
+  test('ISBN があれば識別子に使用し、なければ書名などから同じUUIDを生成する', () => {
+    const builder = new EpubBuilder();
+
+    assert.strictEqual(builder.getIdentifier({ isbn: '978-4-00-000000-2' }), 'urn:isbn:9784000000002');
+    assert.match(builder.getIdentifier(config), /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.strictEqual(builder.getIdentifier(config), builder.getIdentifier({ ...config }));
+  });
+});
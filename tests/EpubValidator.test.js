@@ -0,0 +1,94 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { EpubValidator } from '../src/EpubValidator.js';
+import { ZipArchive } from '../src/ZipArchive.js';
+
+const OPF = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:00000000-0000-5000-8000-000000000000</dc:identifier>
+    <dc:title>テスト</dc:title>
+    <dc:language>ja</dc:language>
+    <meta property="dcterms:modified">2025-01-01T00:00:00Z</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />
+    <item id="page-1" href="page.xhtml" media-type="application/xhtml+xml" />
+    <item id="figure" href="figure.svg" media-type="image/svg+xml" />
+  </manifest>
+  <spine>
+    <itemref idref="page-1" />
+  </spine>
+</package>
+`;
+
+const NAV = '<html xmlns="http://www.w3.org/1999/xhtml"><body><nav epub:type="toc"><ol><li><a href="page.xhtml">本文</a></li></ol></nav></body></html>';
+
+/**
+ * 検証用のEPUBを作成する
+ * @param {Object} overrides - 差し替えるファイル（null の場合は除外する）
+ * @returns {Buffer} EPUBファイルの内容
+ */
+function createEpub(overrides = {}) {
+  const files = {
+    mimetype: 'application/epub+zip',
+    'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf" /></rootfiles></container>',
+    'OEBPS/content.opf': OPF,
+    'OEBPS/nav.xhtml': NAV,
+    'OEBPS/page.xhtml': '<html xmlns="http://www.w3.org/1999/xhtml"><body><p>本文<br /></p><img src="figure.svg" alt="" /></body></html>',
+    'OEBPS/figure.svg': '<svg xmlns="http://www.w3.org/2000/svg"><text>A &lt; B</text></svg>',
+    ...overrides
+  };
+
+  const archive = new ZipArchive();
+  for (const [name, content] of Object.entries(files)) {
+    if (content !== null) {
+      archive.addFile(name, content, { compress: name !== 'mimetype' });
+    }
+  }
+  return archive.toBuffer();
+}
+
+describe('EpubValidator', () => {
+  const validator = new EpubValidator();
+
+  test('構造が正しいEPUBはエラーにしない', () => {
+    assert.deepStrictEqual(validator.validate(createEpub()), { isValid: true, errors: [], warnings: [] });
+  });
+
+  test('mimetype・パッケージ文書・マニフェストの誤りを検出する', () => {
+    const compressed = new ZipArchive();
+    compressed.addFile('mimetype', 'application/epub+zip');
+    assert.deepStrictEqual(validator.validate(compressed.toBuffer()).errors, [
+      'mimetype は無圧縮かつ拡張フィールドなしで格納する必要があります',
+      'META-INF/container.xml がありません'
+    ]);
+
+    const { errors } = validator.validate(createEpub({
+      'OEBPS/content.opf': OPF.replace('<dc:language>ja</dc:language>', '').replace('idref="page-1"', 'idref="page-2"'),
+      'OEBPS/figure.svg': null,
+      'OEBPS/extra.css': 'p {}'
+    }));
+    assert.deepStrictEqual(errors, [
+      'dc:language がありません',
+      'マニフェストのファイルがありません: figure.svg',
+      'マニフェストに記載されていないファイルがあります: OEBPS/extra.css',
+      'spine の itemref がマニフェストにありません: page-2'
+    ]);
+  });
+
+  test('XHTMLとSVGが整形式でない場合はエラーにする', () => {
+    const { isValid, errors } = validator.validate(createEpub({
+      'OEBPS/page.xhtml': '<html xmlns="http://www.w3.org/1999/xhtml"><body><p>本文<br></p>&nbsp;</body></html>',
+      'OEBPS/figure.svg': '<svg xmlns="http://www.w3.org/2000/svg"><text>A < B</text></svg>',
+      'OEBPS/nav.xhtml': NAV.replace('epub:type="toc"', '')
+    }));
+
+    assert.strictEqual(isValid, false);
+    assert.deepStrictEqual(errors, [
+      'ナビゲーション文書に epub:type="toc" の nav がありません',
+      'OEBPS/page.xhtml: 終了タグ </p> が開始タグ <br> と対応していません',
+      'OEBPS/figure.svg: エスケープされていない "<" があります（1行目付近）'
+    ]);
+  });
+});
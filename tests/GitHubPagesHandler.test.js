@@ -175,6 +175,21 @@ describe('GitHubPagesHandler', () => {
       assert(validation.warnings.some(w => w.includes('.nojekyll')));
       assert(validation.warnings.some(w => w.includes('Gemfile')));
     });
+
+    it('should skip Jekyll-specific checks for native HTML builds', async () => {
+      const config = {
+        title: 'Test Book',
+        build: { html: { renderer: 'native' } }
+      };
+
+      await fs.writeFile(path.join(testDir, '.nojekyll'), '');
+      await fs.writeFile(path.join(testDir, 'index.html'), '<pre>{{ not liquid }}</pre>');
+
+      const validation = await gitHubPagesHandler.validateGitHubPagesCompatibility(config, testDir);
+
+      assert.strictEqual(validation.errors.some(e => e.includes('Liquid')), false);
+      assert.strictEqual(validation.warnings.some(w => w.includes('Gemfile')), false);
+    });
   });
 
   describe('generateNoJekyllFile', () => {
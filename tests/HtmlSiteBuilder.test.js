@@ -0,0 +1,89 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { HtmlSiteBuilder } from '../src/HtmlSiteBuilder.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('HtmlSiteBuilder', () => {
+  let tempDir;
+  let sourceDir;
+  let outputDir;
+  let config;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    sourceDir = path.join(tempDir, 'src');
+    outputDir = path.join(tempDir, '_site');
+
+    await fs.outputFile(path.join(sourceDir, 'introduction', 'index.md'), '# まえがき\n\n[第1章](../chapters/chapter01.md)へ\n');
+    await fs.outputFile(path.join(sourceDir, 'chapters', 'chapter01.md'), '# 第1章　基本\n\n本文は {{ そのまま }} 表示する\n<!-- PRIVATE: 非公開メモ -->\n');
+    await fs.outputFile(path.join(tempDir, 'assets', 'images', 'figure.svg'), '<svg/>');
+
+    config = {
+      title: 'テスト書籍',
+      structure: {
+        introduction: { title: 'はじめに', enabled: true },
+        chapters: [{ number: 1, title: '基本', file: 'chapter01.md' }]
+      },
+      contentExcludePatterns: ['<!-- PRIVATE:']
+    };
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('ページ、アセット、404ページを含む静的サイトを書き出す', async () => {
+    const result = await new HtmlSiteBuilder().build(config, { sourceDir, outputDir });
+
+    assert.deepStrictEqual(result.files, ['index.html', 'introduction/index.html', 'chapters/chapter01.html', '404.html']);
+
+    const chapter = await fs.readFile(path.join(outputDir, 'chapters', 'chapter01.html'), 'utf8');
+    assert(chapter.includes('<title>第1章　基本 - テスト書籍</title>'));
+    assert(chapter.includes('{{ そのまま }}'));
+    assert(!chapter.includes('非公開メモ'));
+    assert(!chapter.includes('{%'));
+
+    const introduction = await fs.readFile(path.join(outputDir, 'introduction', 'index.html'), 'utf8');
+    assert(introduction.includes('href="../chapters/chapter01.html"'));
+
+    const notFound = await fs.readFile(path.join(outputDir, '404.html'), 'utf8');
+    assert(notFound.includes('ページが見つかりません'));
+
+    assert.strictEqual(await fs.pathExists(path.join(outputDir, '.nojekyll')), true);
+    assert.strictEqual(await fs.pathExists(path.join(outputDir, 'assets', 'css', 'main.css')), true);
+    assert.strictEqual(await fs.pathExists(path.join(outputDir, 'assets', 'css', 'print.css')), true);
+    assert.strictEqual(await fs.pathExists(path.join(outputDir, 'assets', 'images', 'figure.svg')), true);
+    assert.strictEqual(await fs.pathExists(path.join(outputDir, 'sitemap.xml')), false);
+  });
+
+  test('ベースURLをリンクに反映し、サイトのURLからサイトマップを生成する', async () => {
+    const builder = new HtmlSiteBuilder({ url: 'https://example.github.io/', baseurl: '/book/' });
+    await builder.build(config, { sourceDir, outputDir });
+
+    const index = await fs.readFile(path.join(outputDir, 'index.html'), 'utf8');
+    assert(index.includes('href="/book/assets/css/main.css"'));
+    assert(index.includes('href="/book/assets/css/print.css" media="print"'));
+    assert(index.includes('href="/book/chapters/chapter01.html"'));
+
+    const sitemap = await fs.readFile(path.join(outputDir, 'sitemap.xml'), 'utf8');
+    assert(sitemap.includes('<loc>https://example.github.io/book/</loc>'));
+    assert(sitemap.includes('<loc>https://example.github.io/book/introduction/</loc>'));
+    assert(sitemap.includes('<loc>https://example.github.io/book/chapters/chapter01.html</loc>'));
+  });
+
+  test('設定に記載されたファイルがない場合はエラーにする', async () => {
+    config.structure.chapters.push({ number: 2, title: '応用', file: 'chapter02.md' });
+
+    await assert.rejects(
+      new HtmlSiteBuilder().build(config, { sourceDir, outputDir }),
+      /設定に記載されたファイルが見つかりません: chapters\/chapter02\.md/
+    );
+  });
+});
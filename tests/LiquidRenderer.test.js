@@ -0,0 +1,76 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { LiquidRenderer } from '../src/LiquidRenderer.js';
+
+describe('LiquidRenderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new LiquidRenderer({
+      baseurl: '/book',
+      url: 'https://example.com',
+      loadInclude: (name) => name === 'footer.html' ? '<footer>{{ site.title }}</footer>' : ''
+    });
+  });
+
+  describe('変数とフィルター', () => {
+    test('変数を展開しフィルターを適用する', () => {
+      const result = renderer.render(
+        '{{ page.title | default: site.title | escape }}',
+        { site: { title: 'A & B' }, page: {} }
+      );
+      assert.strictEqual(result, 'A &amp; B');
+    });
+
+    test('relative_url と absolute_url でベースURLを付与する', () => {
+      const result = renderer.render(
+        '{{ \'/assets/main.css\' | relative_url }} {{ page.url | absolute_url }}',
+        { page: { url: '/chapters/chapter01.html' } }
+      );
+      assert.strictEqual(result, '/book/assets/main.css https://example.com/book/chapters/chapter01.html');
+    });
+
+    test('ブラケット記法で変数を参照する', () => {
+      const result = renderer.render(
+        '{% assign key = page.url | remove: \'.html\' | remove_first: \'/\' %}{{ site.data.navigation[key].title }}',
+        { page: { url: '/chapters/chapter01.html' }, site: { data: { navigation: { 'chapters/chapter01': { title: '第1章' } } } } }
+      );
+      assert.strictEqual(result, '第1章');
+    });
+  });
+
+  describe('タグ', () => {
+    test('if / elsif / else を評価する', () => {
+      const template = '{% if n == 1 %}one{% elsif n == 2 %}two{% else %}other{% endif %}';
+      assert.strictEqual(renderer.render(template, { n: 1 }), 'one');
+      assert.strictEqual(renderer.render(template, { n: 2 }), 'two');
+      assert.strictEqual(renderer.render(template, { n: 3 }), 'other');
+    });
+
+    test('and / or と != を評価する', () => {
+      const template = '{% if a and b != \'x\' %}yes{% endif %}{% if c or a %}!{% endif %}';
+      assert.strictEqual(renderer.render(template, { a: true, b: 'y' }), 'yes!');
+      assert.strictEqual(renderer.render(template, { a: false, b: 'y', c: null }), '');
+    });
+
+    test('for ループで forloop 変数を使用できる', () => {
+      const template = '{% for item in items %}{{ item }}{% unless forloop.last %},{% endunless %}{% endfor %}';
+      assert.strictEqual(renderer.render(template, { items: ['a', 'b', 'c'] }), 'a,b,c');
+    });
+
+    test('include でファイルを読み込む', () => {
+      assert.strictEqual(
+        renderer.render('{% include footer.html %}', { site: { title: '本' } }),
+        '<footer>本</footer>'
+      );
+    });
+
+    test('comment の内容は出力しない', () => {
+      assert.strictEqual(renderer.render('a{% comment %}b{% endcomment %}c', {}), 'ac');
+    });
+
+    test('閉じられていないブロックはエラーになる', () => {
+      assert.throws(() => renderer.render('{% if a %}x', {}), /閉じられていないブロック/);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { MarkdownBookImporter } from '../src/MarkdownBookImporter.js';
+import { ConfigValidator } from '../src/ConfigValidator.js';
+import { ConfigNormalizer } from '../src/ConfigNormalizer.js';
+import { ContentValidator } from '../src/ContentValidator.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('MarkdownBookImporter', () => {
+  let tempDir;
+  let projectDir;
+  let sourceDir;
+  let configPath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    projectDir = path.join(tempDir, 'project');
+    sourceDir = path.join(tempDir, 'book', 'src');
+    configPath = path.join(tempDir, 'book', 'book-config.json');
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  const write = (file, content) => fs.outputFile(path.join(projectDir, file), content);
+  const read = file => fs.readFile(path.join(sourceDir, file), 'utf8');
+
+  test('mdBook の SUMMARY.md から原稿と有効な設定ファイルを作る', async () => {
+    await write('book.toml', '[book]\ntitle = "Rust の本"\nauthors = ["著者1", "著者2"]\nlanguage = "ja"\nsrc = "src"\n');
+    await write('src/SUMMARY.md', [
+      '# Summary',
+      '',
+      '[はじめに](README.md)',
+      '',
+      '# 第1部',
+      '',
+      '- [基本](basics/index.md)',
+      '  - [変数](basics/variables.md)',
+      '- [応用](advanced.md)',
+      '- [下書き]()',
+      '',
+      '---',
+      '',
+      '[用語集](glossary.md)'
+    ].join('\n'));
+    await write('src/README.md', '# はじめに\n\n[変数の章](basics/variables.md)から読んでください。\n');
+    await write('src/basics/index.md', '# 基本\n\n## 概要\n\n![図](../images/flow.svg)\n');
+    await write('src/basics/variables.md', '# 変数\n\n## let\n\n```md\n# コード内の見出し\n```\n\n[応用](../advanced.md#まとめ)へ。\n');
+    await write('src/advanced.md', '# 応用\n\n## まとめ\n');
+    await write('src/glossary.md', '# 用語集\n');
+    await write('src/images/flow.svg', '<svg xmlns="http://www.w3.org/2000/svg"/>');
+
+    const result = await new MarkdownBookImporter().import('mdbook', projectDir, { configPath, sourceDir });
+    assert.strictEqual(result.created, true);
+    assert.strictEqual(result.images, 1);
+
+    // 入れ子のページは親の章にまとめ、見出しを下げる
+    const chapter = await read('chapters/chapter01.md');
+    assert(chapter.startsWith('# 第1章　基本\n\n## 概要\n\n![図](../../assets/images/flow.svg)\n\n## 変数\n\n### let\n'));
+    assert(chapter.includes('```md\n# コード内の見出し\n```'));
+    assert(chapter.includes('[応用](chapter02.md#まとめ)へ。'));
+    assert(await fs.pathExists(path.join(tempDir, 'book', 'assets', 'images', 'flow.svg')));
+
+    const introduction = await read('introduction/index.md');
+    assert(introduction.includes(`[変数の章](../chapters/chapter01.md#${encodeURI('変数')})から読んでください。`));
+    assert((await read('chapters/chapter03.md')).startsWith('# 第3章　下書き\n'));
+    assert((await read('appendices/appendix-a.md')).startsWith('# 付録A　用語集\n'));
+
+    const config = await fs.readJson(configPath);
+    assert.strictEqual(config.book.title, 'Rust の本');
+    assert.deepStrictEqual(config.book.author, { name: '著者1、著者2' });
+    assert.deepStrictEqual(config.structure.introduction, { title: 'はじめに', enabled: true });
+    assert.deepStrictEqual(config.structure.chapters.map(chapter => [chapter.number, chapter.title, chapter.file]), [
+      [1, '基本', 'chapter01.md'],
+      [2, '応用', 'chapter02.md'],
+      [3, '下書き', 'chapter03.md']
+    ]);
+    assert.deepStrictEqual(config.structure.appendices, [{ letter: 'A', title: '用語集', file: 'appendix-a.md', enabled: true }]);
+    assert.deepStrictEqual(config.navigation.order, [
+      'introduction/index', 'chapters/chapter01', 'chapters/chapter02', 'chapters/chapter03', 'appendices/appendix-a'
+    ]);
+
+    // スキーマと原稿の見出しのどちらの検証も通る
+    assert.strictEqual(new ConfigValidator().getValidationDetails(config).isValid, true);
+    const content = await new ContentValidator().validate(new ConfigNormalizer().normalize(config), { sourceDir });
+    assert.deepStrictEqual(content.issues, []);
+  });
+
+  test('英語の書籍では言語または build.numbering に合わせた番号を見出しに付ける', async () => {
+    await write('book.toml', '[book]\ntitle = "The Book"\nauthors = ["Author"]\nlanguage = "en"\nsrc = "src"\n');
+    await write('src/SUMMARY.md', '# Summary\n\n- [Basics](basics.md)\n\n---\n\n[Glossary](glossary.md)\n');
+    await write('src/basics.md', '# Basics\n');
+    await write('src/glossary.md', '# Glossary\n');
+
+    await new MarkdownBookImporter().import('mdbook', projectDir, { configPath, sourceDir });
+    assert((await read('chapters/chapter01.md')).startsWith('# Chapter 1 Basics\n'));
+    assert((await read('appendices/appendix-a.md')).startsWith('# Appendix A Glossary\n'));
+    assert.strictEqual((await fs.readJson(configPath)).book.language, 'en');
+
+    // 既存の設定ファイルの build.numbering を優先する
+    const config = await fs.readJson(configPath);
+    config.build = { ...config.build, numbering: { chapters: 'Part {chapter}' } };
+    await fs.writeJson(configPath, config, { spaces: 2 });
+    await new MarkdownBookImporter().import('mdbook', projectDir, { configPath, sourceDir });
+    assert((await read('chapters/chapter01.md')).startsWith('# Part 1 Basics\n'));
+  });
+
+  test('GitBook の SUMMARY.md と README.md を取り込み、既存の設定ファイルを更新する', async () => {
+    await write('book.json', JSON.stringify({ title: 'GitBook の本', author: '著者' }));
+    await write('SUMMARY.md', [
+      '# Table of contents',
+      '',
+      '## 第1部',
+      '',
+      '* [準備](setup.md)',
+      '* [使い方](usage/README.md)',
+      '',
+      '## 付録',
+      '',
+      '* [付録 FAQ](faq.md)',
+      '* [おわりに](afterword.md)'
+    ].join('\n'));
+    await write('README.md', '# この本について\n\n[使い方](usage/README.html)を参照。\n');
+    await write('setup.md', '# 準備\n\n{% hint style="info" %}\nNode.js が必要です\n{% endhint %}\n\n{% embed url="https://example.com/video" %}\n');
+    await write('usage/README.md', '# 使い方\n');
+    await write('faq.md', '# FAQ\n');
+    await write('afterword.md', '# おわりに\n');
+    await fs.outputJson(configPath, { book: { title: '元の本', author: { name: '元の著者' } }, structure: { chapters: [] } });
+
+    const result = await new MarkdownBookImporter().import('gitbook', projectDir, { configPath, sourceDir });
+    assert.strictEqual(result.created, false);
+
+    assert((await read('introduction/index.md')).includes('[使い方](../chapters/chapter02.md)を参照。'));
+    const setup = await read('chapters/chapter01.md');
+    assert(setup.includes('> Node.js が必要です'));
+    assert(setup.includes('<https://example.com/video>'));
+    assert(!setup.includes('{%'));
+    assert((await read('appendices/appendix-a.md')).startsWith('# 付録A　FAQ\n'));
+    assert((await read('afterword/index.md')).startsWith('# おわりに\n'));
+
+    const config = await fs.readJson(configPath);
+    assert.strictEqual(config.book.title, '元の本');
+    assert.deepStrictEqual(config.book.author, { name: '元の著者' });
+    assert.deepStrictEqual(config.structure.introduction, { title: 'この本について', enabled: true });
+    assert.deepStrictEqual(config.structure.appendices.map(appendix => appendix.title), ['FAQ']);
+    assert.deepStrictEqual(config.structure.afterword, { title: 'おわりに', enabled: true });
+    assert.deepStrictEqual(config.navigation.order, [
+      'introduction/index', 'chapters/chapter01', 'chapters/chapter02', 'appendices/appendix-a', 'afterword/index'
+    ]);
+  });
+
+  test('Docusaurus の sidebars.js と docs/ を取り込む', async () => {
+    await write('docusaurus.config.js', 'module.exports = { title: \'ドキュメント\', tagline: \'説明\', i18n: { defaultLocale: \'ja\' } };\n');
+    await write('sidebars.js', `module.exports = {
+  docs: [
+    'intro',
+    { type: 'category', label: 'ガイド', link: { type: 'doc', id: 'guide/overview' }, items: ['guide/install'] },
+    { type: 'category', label: 'リファレンス', items: [{ type: 'autogenerated', dirName: 'reference' }] },
+    { type: 'link', label: '外部', href: 'https://example.com' }
+  ]
+};
+`);
+    await write('docs/intro.md', '---\nsidebar_position: 1\n---\n\n# はじめに\n\n[インストール](/docs/guide/install)\n');
+    await write('docs/guide/overview.md', '---\ntitle: 概要\n---\n\n:::tip[ヒント]\n先に読んでください\n\n```sh\nnpm install\n```\n:::\n');
+    await write('docs/guide/01-install.mdx', '---\nid: install\n---\nimport Tabs from \'@theme/Tabs\';\n\n# インストール\n\n![画面](/img/screen.png)\n');
+    await write('docs/reference/02-api.md', '# API\n');
+    await write('docs/reference/01-cli.md', '# CLI\n\n[API](./02-api.md)\n');
+    await write('static/img/screen.png', 'png');
+
+    await new MarkdownBookImporter().import('docusaurus', projectDir, { configPath, sourceDir });
+
+    const guide = await read('chapters/chapter01.md');
+    assert(guide.startsWith('# 第1章　概要\n\n> **ヒント**\n>\n> 先に読んでください\n>\n> ```sh\n> npm install\n> ```\n\n## インストール\n'));
+    assert(!guide.includes('import Tabs'));
+    assert(guide.includes('![画面](../../assets/images/screen.png)'));
+    assert(await fs.pathExists(path.join(tempDir, 'book', 'assets', 'images', 'screen.png')));
+    assert((await read('introduction/index.md')).includes(`[インストール](../chapters/chapter01.md#${encodeURI('インストール')})`));
+
+    const reference = await read('chapters/chapter02.md');
+    assert(reference.startsWith('# 第2章　リファレンス\n\n## CLI\n\n[API](chapter02.md#api)\n\n## API\n'));
+
+    const config = await fs.readJson(configPath);
+    assert.strictEqual(config.book.title, 'ドキュメント');
+    assert.strictEqual(config.book.description, '説明');
+    assert.deepStrictEqual(config.structure.chapters.map(chapter => chapter.title), ['概要', 'リファレンス']);
+  });
+
+  test('目次がない場合はエラーにする', async () => {
+    await fs.ensureDir(projectDir);
+
+    await assert.rejects(
+      () => new MarkdownBookImporter().import('mdbook', projectDir, { configPath, sourceDir }),
+      /SUMMARY\.md が見つかりません/
+    );
+    await assert.rejects(
+      () => new MarkdownBookImporter().import('docusaurus', projectDir, { configPath, sourceDir }),
+      /sidebars\.js が見つかりません/
+    );
+  });
+});
@@ -0,0 +1,107 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { MarkdownExporter } from '../src/MarkdownExporter.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LICENSE = `<!--
+本章は「テスト書籍」の一部であり、
+CC BY-NC-SA 4.0ライセンスの下で提供されます。
+-->
+`;
+
+describe('MarkdownExporter', () => {
+  let tempDir;
+  let sourceDir;
+  let outputFile;
+  let config;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    sourceDir = path.join(tempDir, 'src');
+    outputFile = path.join(tempDir, 'dist', 'book.md');
+
+    await fs.outputFile(path.join(sourceDir, 'introduction', 'index.md'), `${LICENSE}\n# まえがき\n\n[第1章](../chapters/chapter01.md)へ。\n`);
+    await fs.outputFile(
+      path.join(sourceDir, 'chapters', 'chapter01.md'),
+      [
+        `---\ntitle: 基本\n---\n${LICENSE}`,
+        '# 第1章　基本',
+        '## 1-1 流れ',
+        '![流れ](../../assets/images/diagrams/flow.svg "流れ図")',
+        '<img src="../../assets/images/photo.png" alt="写真">',
+        '[付録の1節](../appendices/appendix-a.md#a-1)と[まえがき](../introduction/)と[外部](https://example.com)。',
+        '<!-- PRIVATE: 非公開メモ -->',
+        '```markdown\n# コード内の見出し\n![x](../x.png)\n```',
+        '[logo]: ../../assets/logo.png'
+      ].join('\n\n')
+    );
+    await fs.outputFile(path.join(sourceDir, 'appendices', 'appendix-a.md'), `${LICENSE}# 付録A\u3000用語集\n\n### A-1\n`);
+
+    config = {
+      title: 'テスト書籍',
+      author: '著者',
+      language: 'ja',
+      structure: {
+        introduction: { title: 'はじめに', enabled: true },
+        chapters: [{ number: 1, title: '基本', file: 'chapter01.md' }],
+        appendices: [{ id: 'appendix-a', title: '用語集', letter: 'A' }]
+      },
+      contentExcludePatterns: ['<!-- PRIVATE:']
+    };
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('構成の順に原稿を連結し、ライセンス表記と除外パターンを除く', async () => {
+    await new MarkdownExporter().export(config, { sourceDir, outputFile });
+    const markdown = await fs.readFile(outputFile, 'utf8');
+
+    assert(markdown.startsWith('---\ntitle: テスト書籍\nauthor: 著者\nlang: ja\n---\n\n<a id="introduction"></a>\n\n# まえがき\n'));
+    const anchors = [...markdown.matchAll(/<a id="([\w-]+)"><\/a>/g)].map(match => match[1]);
+    assert.deepStrictEqual(anchors, ['introduction', 'chapter01', 'appendix-a']);
+    assert(markdown.includes('<a id="chapter01"></a>\n\n# 第1章　基本'));
+
+    assert(!markdown.includes('CC BY-NC-SA'));
+    assert(!markdown.includes('title: 基本'));
+    assert(!markdown.includes('非公開メモ'));
+  });
+
+  test('画像のパスを出力先からの相対パスに、原稿間のリンクをアンカーにする', async () => {
+    await new MarkdownExporter().export(config, { sourceDir, outputFile });
+    const markdown = await fs.readFile(outputFile, 'utf8');
+
+    assert(markdown.includes('![流れ](../assets/images/diagrams/flow.svg "流れ図")'));
+    assert(markdown.includes('<img src="../assets/images/photo.png" alt="写真">'));
+    assert(markdown.includes('[logo]: ../assets/logo.png'));
+    assert(markdown.includes('[第1章](#chapter01)へ。'));
+    assert(markdown.includes('[付録の1節](#a-1)と[まえがき](#introduction)と[外部](https://example.com)。'));
+    // コードブロック内は変更しない
+    assert(markdown.includes('```markdown\n# コード内の見出し\n![x](../x.png)\n```'));
+  });
+
+  test('見出しを1段下げることができる', async () => {
+    await new MarkdownExporter().export(config, { sourceDir, outputFile, demoteHeadings: true });
+    const markdown = await fs.readFile(outputFile, 'utf8');
+
+    assert(markdown.includes('\n## 第1章　基本\n'));
+    assert(markdown.includes('\n### 1-1 流れ\n'));
+    assert(markdown.includes('\n#### A-1\n'));
+    assert(markdown.includes('\n# コード内の見出し\n'));
+  });
+
+  test('出力先は dist/<slug>.md にする', () => {
+    const exporter = new MarkdownExporter();
+
+    assert.strictEqual(exporter.getOutputFile({ title: 'My Book: 経営入門' }), path.join('dist', 'my-book-経営入門.md'));
+    assert.strictEqual(exporter.getOutputFile({ title: '!!!' }), path.join('dist', 'book.md'));
+  });
+});
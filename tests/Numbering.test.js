@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Numbering } from '../src/Numbering.js';
+
+describe('Numbering', () => {
+  test('既定では算用数字の章・節と、アルファベットの付録を使用する', () => {
+    const numbering = new Numbering();
+
+    assert.strictEqual(numbering.chapter(4), '第4章');
+    assert.strictEqual(numbering.section(4, 2), '4-2');
+    assert.strictEqual(numbering.appendix(2), '付録B');
+    // 設定の letter は形式に関係なく使用する
+    assert.strictEqual(numbering.appendix(1, 'C'), '付録C');
+  });
+
+  test('英語の書籍では英語の書式を既定にし、build.numbering の指定を優先する', () => {
+    const numbering = Numbering.fromConfig({ book: { language: 'en' } });
+    assert.strictEqual(numbering.chapter(4), 'Chapter 4');
+    assert.strictEqual(numbering.section(4, 2), '4.2');
+    assert.strictEqual(numbering.appendix(2), 'Appendix B');
+    assert.strictEqual(numbering.separator, ' ');
+    assert.deepStrictEqual(numbering.matchChapter('Chapter 4: Basics'), { number: 4, label: 'Chapter 4', title: 'Basics' });
+
+    const custom = Numbering.fromConfig({ language: 'en-US', build: { numbering: { chapters: 'Part {chapter}' } } });
+    assert.strictEqual(custom.chapter(1), 'Part 1');
+    assert.strictEqual(custom.appendix(1), 'Appendix A');
+    assert.strictEqual(new Numbering().separator, '\u3000');
+  });
+
+  test('kanji / roman / letter の形式と書式を指定できる', () => {
+    const numbering = Numbering.fromConfig({
+      build: {
+        numbering: {
+          chapters: 'kanji',
+          sections: '{chapter}.{section}',
+          appendices: { style: 'roman', format: 'Appendix {appendix}' }
+        }
+      }
+    });
+
+    assert.deepStrictEqual([4, 10, 14, 20, 105, 1234].map(number => numbering.chapter(number)), [
+      '第四章', '第十章', '第十四章', '第二十章', '第百五章', '第千二百三十四章'
+    ]);
+    assert.strictEqual(numbering.section(4, 2), '四.2');
+    assert.strictEqual(numbering.appendix(14), 'Appendix XIV');
+    assert.strictEqual(new Numbering({ chapters: { style: 'letter', format: 'Part {chapter}' } }).chapter(28), 'Part AB');
+
+    assert.throws(() => new Numbering({ chapters: 'greek' }), /build\.numbering\.chapters の番号の形式が不明です: greek/);
+  });
+
+  test('見出しから番号とタイトルを取り出す', () => {
+    const numbering = new Numbering({ chapters: 'kanji', appendices: 'letter' });
+
+    assert.deepStrictEqual(numbering.matchChapter('第十四章　価格戦略'), { number: 14, label: '第十四章', title: '価格戦略' });
+    assert.deepStrictEqual(numbering.matchSection('十四-3 値引き', 14), { number: 3, label: '十四-3', title: '値引き' });
+    assert.strictEqual(numbering.matchSection('十三-3 値引き', 14), null);
+    assert.deepStrictEqual(numbering.matchAppendix('付録B: 用語集'), { value: 'B', label: '付録B', title: '用語集' });
+    assert.strictEqual(numbering.matchChapter('第14章 価格戦略'), null);
+
+    // 番号の変換は往復できる
+    for (const style of ['kanji', 'roman', 'letter']) {
+      for (let number = 1; number <= 120; number++) {
+        assert.strictEqual(numbering.parse(numbering.format(number, style), style), number);
+      }
+    }
+  });
+
+  test('章と付録の一覧に無効化されたものを除いた番号とラベルを付ける', () => {
+    const numbering = new Numbering();
+
+    assert.deepStrictEqual(
+      numbering.numberChapters([{ id: 'a' }, { id: 'b', enabled: false }, { id: 'c' }, { id: 'd', number: 10 }]).map(chapter => chapter.label),
+      ['第1章', '', '第2章', '第10章']
+    );
+    assert.deepStrictEqual(
+      numbering.numberAppendices([{ id: 'a' }, { id: 'b', letter: 'X' }]).map(appendix => [appendix.number, appendix.label]),
+      [[1, '付録A'], [2, '付録X']]
+    );
+  });
+});
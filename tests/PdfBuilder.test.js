@@ -0,0 +1,253 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import { PdfBuilder } from '../src/PdfBuilder.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// テスト用フォントは U+0020〜U+FFFF を順にグリフ 1〜 に割り当てる（幅はすべて 1000）
+const FIRST_CODE_POINT = 0x20;
+const NUM_GLYPHS = 0xffff - FIRST_CODE_POINT + 2;
+
+/**
+ * 輪郭のない最小限の TrueType フォントを作成する
+ * @returns {Buffer} フォントファイルの内容
+ */
+function createTestFont() {
+  const head = Buffer.alloc(54);
+  head.writeUInt32BE(0x00010000, 0);
+  head.writeUInt32BE(0x5f0f3cf5, 12);
+  head.writeUInt16BE(1000, 18);
+  head.writeInt16BE(-120, 38);
+  head.writeInt16BE(1000, 40);
+  head.writeInt16BE(880, 42);
+
+  const hhea = Buffer.alloc(36);
+  hhea.writeUInt32BE(0x00010000, 0);
+  hhea.writeInt16BE(880, 4);
+  hhea.writeInt16BE(-120, 6);
+  hhea.writeUInt16BE(2, 34);
+
+  const maxp = Buffer.alloc(6);
+  maxp.writeUInt32BE(0x00005000, 0);
+  maxp.writeUInt16BE(NUM_GLYPHS, 4);
+
+  const hmtx = Buffer.alloc(8 + (NUM_GLYPHS - 2) * 2);
+  hmtx.writeUInt16BE(500, 0);
+  hmtx.writeUInt16BE(1000, 4);
+
+  const cmap = Buffer.alloc(12 + 28);
+  cmap.writeUInt16BE(1, 2);
+  cmap.writeUInt16BE(3, 4);
+  cmap.writeUInt16BE(10, 6);
+  cmap.writeUInt32BE(12, 8);
+  cmap.writeUInt16BE(12, 12);
+  cmap.writeUInt32BE(28, 16);
+  cmap.writeUInt32BE(1, 24);
+  cmap.writeUInt32BE(FIRST_CODE_POINT, 28);
+  cmap.writeUInt32BE(0xffff, 32);
+  cmap.writeUInt32BE(1, 36);
+
+  const tables = { cmap, glyf: Buffer.alloc(0), head, hhea, hmtx, loca: Buffer.alloc((NUM_GLYPHS + 1) * 2), maxp };
+  const tags = Object.keys(tables);
+  const directory = Buffer.alloc(12 + tags.length * 16);
+  directory.writeUInt32BE(0x00010000, 0);
+  directory.writeUInt16BE(tags.length, 4);
+  const parts = [directory];
+  let offset = directory.length;
+  tags.forEach((tag, index) => {
+    const data = Buffer.concat([tables[tag], Buffer.alloc((4 - (tables[tag].length % 4)) % 4)]);
+    directory.write(tag, 12 + index * 16, 'latin1');
+    directory.writeUInt32BE(offset, 12 + index * 16 + 8);
+    directory.writeUInt32BE(tables[tag].length, 12 + index * 16 + 12);
+    parts.push(data);
+    offset += data.length;
+  });
+  return Buffer.concat(parts);
+}
+
+/**
+ * PDFを読み取り、相互参照表の位置が正しいことを確認して、各ページのテキストを取り出す
+ * @param {Buffer} buffer - PDFファイルの内容
+ * @returns {Object} { source, objects, pages }（pages は各ページのテキスト）
+ */
+function readPdf(buffer) {
+  const source = buffer.toString('latin1');
+  assert(source.startsWith('%PDF-1.7'));
+
+  const startxref = Number(source.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  const xref = source.slice(startxref).split('\n');
+  assert.strictEqual(xref[0], 'xref');
+  const count = Number(xref[1].split(' ')[1]);
+
+  const objects = {};
+  for (let number = 1; number < count; number++) {
+    const offset = Number(xref[2 + number].slice(0, 10));
+    const header = `${number} 0 obj\n`;
+    assert.strictEqual(source.slice(offset, offset + header.length), header, `オブジェクト ${number} の位置`);
+    const body = source.slice(offset + header.length, source.indexOf('\nendobj', offset));
+    const stream = body.match(/^<< (.*?) >>\nstream\n/s);
+    if (stream) {
+      const length = Number(stream[1].match(/\/Length (\d+)/)[1]);
+      const start = offset + header.length + stream[0].length;
+      const data = buffer.subarray(start, start + length);
+      objects[number] = { dictionary: stream[1], data: stream[1].includes('/FlateDecode') ? zlib.inflateSync(data) : data };
+    } else {
+      objects[number] = { dictionary: body };
+    }
+  }
+
+  const kids = source.match(/\/Type \/Pages \/Kids \[([^\]]*)\]/)[1].match(/\d+(?= 0 R)/g);
+  const pages = kids.map(kid => {
+    const contents = objects[kid].dictionary.match(/\/Contents (\d+) 0 R/)[1];
+    return [...objects[contents].data.toString('latin1').matchAll(/<([0-9a-f]+)> Tj/g)]
+      .map(([, hex]) => hex.match(/.{4}/g).map(glyph => String.fromCodePoint(parseInt(glyph, 16) - 1 + FIRST_CODE_POINT)).join(''))
+      .join('');
+  });
+
+  return { source, objects, pages };
+}
+
+describe('PdfBuilder', () => {
+  let tempDir;
+  let sourceDir;
+  let outputFile;
+  let config;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    sourceDir = path.join(tempDir, 'src');
+    outputFile = path.join(tempDir, 'dist', 'book.pdf');
+
+    const paragraphs = Array.from({ length: 40 }, (_, index) => `段落${index + 1}。本文の文章が続きます。`).join('\n\n');
+    await fs.outputFile(path.join(sourceDir, 'introduction', 'index.md'), '# まえがき\n\n本書について。\n');
+    await fs.outputFile(
+      path.join(sourceDir, 'chapters', 'chapter01.md'),
+      [
+        '# 第1章　基本',
+        '## 1-1 流れ',
+        '![売上の流れ](../../assets/images/diagrams/flow.svg)',
+        '| 項目 | 内容 |\n|---|---|\n| **価格** | `100` 円 |',
+        '<!-- PRIVATE: 非公開メモ -->',
+        '## 1-2 まとめ',
+        paragraphs,
+        '- 箇条書き\n- 二つ目\n\n> 引用\n\n```\nconst a = 1;\n```'
+      ].join('\n\n')
+    );
+    await fs.outputFile(path.join(sourceDir, 'appendices', 'appendix-a.md'), '# 付録A　用語集\n\n![用語の関係](../../assets/images/diagrams/flow.svg)\n');
+    await fs.outputFile(
+      path.join(tempDir, 'assets', 'images', 'diagrams', 'flow.svg'),
+      '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="200"><rect width="100" height="50" fill="#eee"/><text x="50" y="30" text-anchor="middle">図中</text></svg>'
+    );
+    await fs.outputFile(path.join(tempDir, 'fonts', 'test.ttf'), createTestFont());
+
+    config = {
+      title: 'テスト書籍',
+      subtitle: '副題',
+      author: '著者',
+      publisher: '出版社',
+      language: 'ja',
+      build: {
+        figureNumbering: true,
+        tableNumbering: true,
+        pdf: { fonts: { regular: 'fonts/test.ttf' } }
+      },
+      structure: {
+        introduction: { title: 'はじめに', enabled: true },
+        chapters: [{ number: 1, title: '基本', file: 'chapter01.md' }],
+        appendices: [{ id: 'appendix-a', title: '用語集', letter: 'A' }]
+      },
+      contentExcludePatterns: ['<!-- PRIVATE:']
+    };
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('扉・目次・柱・図表番号を含むPDFを生成する', async () => {
+    const result = await new PdfBuilder().build(config, { sourceDir, outputFile });
+    const { objects, pages } = readPdf(await fs.readFile(outputFile));
+
+    assert.strictEqual(pages.length, result.pages);
+    assert(objects[2].dictionary.endsWith(`/Count ${result.pages} >>`));
+
+    // 扉と目次（本文の1ページ目を1とする）
+    assert(pages[0].includes('テスト書籍') && pages[0].includes('副題') && pages[0].includes('著者') && pages[0].includes('出版社'));
+    assert(pages[1].startsWith('目次'));
+    assert(pages[1].includes('まえがき1'));
+    assert(pages[1].includes('第1章　基本2'));
+    assert(pages[1].includes('1-2 まとめ2'));
+    const catalog = objects[1].dictionary;
+    assert(catalog.includes('/PageLabels << /Nums [0 <<  >> 1 << /S /r >> 2 << /S /D >>] >>'));
+    assert(catalog.includes('/PageMode /UseOutlines'));
+
+    // 本文: 図表番号と、章の2ページ目以降の柱
+    const chapter = pages.slice(3).join('');
+    assert(chapter.includes('図1-1　売上の流れ'));
+    assert(chapter.includes('表1-1'));
+    assert(chapter.includes('価格100'));
+    assert(!chapter.includes('非公開メモ'));
+    // 柱とノンブルはページの最後に描く（章の最初のページには柱を付けない）
+    assert(pages[3].endsWith('続きます。2'));
+    assert(pages[4].endsWith('第1章　基本3'));
+    assert(pages[pages.length - 1].includes('図A-1　用語の関係'));
+
+    // 図版はフォームXObject、SVG 内の文字も埋め込みフォントで描く
+    const forms = Object.values(objects).filter(object => object.dictionary.includes('/Subtype /Form'));
+    assert.strictEqual(forms.length, 1);
+    assert.match(forms[0].data.toString('latin1'), /1 0 0 -1 0 200 cm/);
+    assert(Object.values(objects).some(object => object.dictionary.includes('/Length1')));
+    const toUnicode = Object.values(objects).find(object => object.data?.includes('begincmap')).data.toString('latin1');
+    assert(toUnicode.includes('<56f3>'));
+  });
+
+  test('図表番号を無効にすると図の説明だけを表示する', async () => {
+    config.build.figureNumbering = false;
+    config.build.tableNumbering = false;
+    await new PdfBuilder().build(config, { sourceDir, outputFile });
+    const text = readPdf(await fs.readFile(outputFile)).pages.join('');
+
+    assert(text.includes('売上の流れ'));
+    assert(!text.includes('図1-1'));
+    assert(!text.includes('表1-1'));
+  });
+
+  test('出力先は dist/<slug>.pdf にする', () => {
+    const builder = new PdfBuilder();
+
+    assert.strictEqual(builder.getOutputFile({ title: 'My Book: 経営入門' }), path.join('dist', 'my-book-経営入門.pdf'));
+    assert.strictEqual(builder.getOutputFile({ title: 'Book', build: { pdf: { slug: 'supermarket' } } }), path.join('dist', 'supermarket.pdf'));
+    assert.strictEqual(builder.getOutputFile({ title: '!!!' }), path.join('dist', 'book.pdf'));
+  });
+
+  test('句読点は行末にぶら下げ、開き括弧は次の行へ送る', async () => {
+    const builder = new PdfBuilder();
+    await builder.build(config, { sourceDir, outputFile });
+    const lines = (text) => builder.breakLines([{ text, style: 'regular' }], 30, 10)
+      .map(line => line.pieces.map(piece => piece.text).join(''));
+
+    assert.deepStrictEqual(lines('あいう。えお'), ['あいう。', 'えお']);
+    assert.deepStrictEqual(lines('あい「うえお'), ['あい', '「うえ', 'お']);
+  });
+
+  test('フォントや用紙サイズの指定が正しくない場合はエラーにする', async () => {
+    config.build.pdf = { fonts: { regular: 'fonts/missing.ttf' } };
+    await assert.rejects(
+      new PdfBuilder().build(config, { sourceDir, outputFile }),
+      /build\.pdf\.fonts\.regular のフォントが見つかりません: fonts\/missing\.ttf/
+    );
+
+    config.build.pdf = { pageSize: 'Letter', fonts: { regular: 'fonts/test.ttf' } };
+    await assert.rejects(
+      new PdfBuilder().build(config, { sourceDir, outputFile }),
+      /build\.pdf\.pageSize は A4、B5、A5 のいずれかである必要があります: Letter/
+    );
+  });
+});
@@ -0,0 +1,106 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import http from 'http';
+import path from 'path';
+import { PreviewServer } from '../src/PreviewServer.js';
+import { MarkdownRenderer } from '../src/MarkdownRenderer.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('MarkdownRenderer', () => {
+  test('Front Matterを分離し見出しにIDを付与する', () => {
+    const renderer = new MarkdownRenderer();
+    const result = renderer.render('---\ntitle: 表題\n---\n# 第1章　基本\n\n## 1-1　概要\n');
+
+    assert.strictEqual(result.title, '表題');
+    assert(result.html.includes('<h1 id="第1章-基本">第1章　基本</h1>'));
+    assert.deepStrictEqual(result.headings.map(h => h.level), [1, 2]);
+  });
+
+  test('相対リンクの .md を .html に書き換える', () => {
+    const renderer = new MarkdownRenderer();
+    const { html } = renderer.render('[次へ](chapter02.md#top) [目次](../introduction/index.md) [外部](https://example.com/a.md)');
+
+    assert(html.includes('href="chapter02.html#top"'));
+    assert(html.includes('href="../introduction/"'));
+    assert(html.includes('href="https://example.com/a.md"'));
+  });
+});
+
+describe('PreviewServer', () => {
+  let tempDir;
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    await fs.outputFile(path.join(tempDir, 'src', 'chapters', 'chapter01.md'), '# 第1章　基本\n\n本文です\n');
+    await fs.outputFile(path.join(tempDir, 'assets', 'images', 'figure.svg'), '<svg/>');
+
+    const config = {
+      title: 'プレビュー書籍',
+      structure: {
+        chapters: [{ number: 1, title: '基本', file: 'chapter01.md' }]
+      }
+    };
+
+    server = new PreviewServer({
+      loadConfig: async () => config,
+      sourceDir: path.join(tempDir, 'src')
+    });
+    const started = await server.start(0);
+    baseUrl = started.url;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('章をレイアウト付きでレンダリングする', async () => {
+    const response = await fetch(`${baseUrl}chapters/chapter01.html`);
+    const html = await response.text();
+
+    assert.strictEqual(response.status, 200);
+    assert(html.includes('<title>第1章　基本 - プレビュー書籍</title>'));
+    assert(html.includes('<p>本文です</p>'));
+    assert(html.includes('/__livereload'));
+    assert(!html.includes('{%'));
+  });
+
+  test('書籍と共通のアセットを配信する', async () => {
+    assert.strictEqual((await fetch(`${baseUrl}assets/images/figure.svg`)).status, 200);
+    assert.strictEqual((await fetch(`${baseUrl}assets/css/main.css`)).status, 200);
+    assert.strictEqual((await fetch(`${baseUrl}assets/..%2f..%2fpackage.json`)).status, 404);
+  });
+
+  test('設定にないページは404を返す', async () => {
+    const response = await fetch(`${baseUrl}chapters/unknown.html`);
+    assert.strictEqual(response.status, 404);
+  });
+
+  test('変更時にライブリロードイベントを送信する', async () => {
+    const received = await new Promise((resolve, reject) => {
+      const request = http.get(`${baseUrl}__livereload`, (response) => {
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          if (chunk.includes(': connected')) {
+            server.notifyReload();
+          }
+          if (chunk.includes('event: reload')) {
+            request.destroy();
+            resolve(true);
+          }
+        });
+      });
+      request.on('error', reject);
+    });
+
+    assert.strictEqual(received, true);
+  });
+});
@@ -0,0 +1,131 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { PrintHtmlBuilder } from '../src/PrintHtmlBuilder.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('PrintHtmlBuilder', () => {
+  let tempDir;
+  let sourceDir;
+  let outputFile;
+  let config;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    sourceDir = path.join(tempDir, 'src');
+    outputFile = path.join(tempDir, 'docs', 'print.html');
+
+    await fs.outputFile(path.join(sourceDir, 'introduction', 'index.md'), '# まえがき\n\n詳しくは[第1章の流れ](../chapters/chapter01.md#流れ)を参照。\n');
+    await fs.outputFile(
+      path.join(sourceDir, 'chapters', 'chapter01.md'),
+      [
+        '# 第1章　基本',
+        '## 流れ',
+        '本文です[^note]。[付録](../appendices/appendix-a.md)と[前の節](#流れ)と[外部](https://example.com)。',
+        '[^note]: **補足**の説明。\n  二行目。',
+        '```\nconst a = "[^note]";\n```',
+        '![流れ](../../assets/images/diagrams/flow.svg)',
+        '<!-- PRIVATE: 非公開メモ -->'
+      ].join('\n\n')
+    );
+    await fs.outputFile(path.join(sourceDir, 'appendices', 'appendix-a.md'), '# 付録A　用語集\n\n## 流れ\n\n用語[^missing]。\n');
+    await fs.outputFile(path.join(tempDir, 'assets', 'images', 'diagrams', 'flow.svg'), '<svg xmlns="http://www.w3.org/2000/svg"/>');
+
+    config = {
+      title: 'テスト書籍',
+      subtitle: '副題',
+      author: '著者',
+      language: 'ja',
+      structure: {
+        introduction: { title: 'はじめに', enabled: true },
+        chapters: [{ number: 1, title: '基本', file: 'chapter01.md' }],
+        appendices: [{ id: 'appendix-a', title: '用語集', letter: 'A' }]
+      },
+      contentExcludePatterns: ['<!-- PRIVATE:']
+    };
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('まえがき・章・付録を扉と目次付きの1つのHTML文書にまとめる', async () => {
+    const result = await new PrintHtmlBuilder().build(config, { sourceDir, outputFile });
+    const html = await fs.readFile(outputFile, 'utf8');
+
+    assert.strictEqual(result.outputFile, outputFile);
+    assert(html.startsWith('<!DOCTYPE html>\n<html lang="ja">'));
+    assert(html.includes('<body class="print-book">'));
+    assert(html.includes('<p class="book-title">テスト書籍</p>'));
+    assert(html.includes('<p class="book-subtitle">副題</p>'));
+
+    // 目次はページ番号を相互参照する
+    assert(html.includes('<li class="toc-chapters"><a class="xref" href="#chapter01">第1章　基本</a></li>'));
+    assert(html.includes('<li class="toc-appendices"><a class="xref" href="#appendix-a">付録A　用語集</a></li>'));
+
+    const sections = [...html.matchAll(/<section class="chapter (\w+)" id="([\w-]+)">/g)].map(match => match[2]);
+    assert.deepStrictEqual(sections, ['introduction', 'chapter01', 'appendix-a']);
+    assert(!html.includes('非公開メモ'));
+
+    // 画像は data URI で埋め込む
+    assert(html.includes('<img src="data:image/svg+xml;base64,'));
+    assert(!html.includes('../../assets/'));
+  });
+
+  test('見出しのIDを章ごとに分け、原稿間のリンクを文書内の相互参照にする', async () => {
+    await new PrintHtmlBuilder().build(config, { sourceDir, outputFile });
+    const html = await fs.readFile(outputFile, 'utf8');
+
+    assert(html.includes('<h2 id="chapter01-流れ">'));
+    assert(html.includes('<h2 id="appendix-a-流れ">'));
+    assert(html.includes('<a class="xref" href="#chapter01-流れ">第1章の流れ</a>'));
+    assert(html.includes('<a class="xref" href="#appendix-a">付録</a>'));
+    assert(html.includes('<a class="xref" href="#chapter01-流れ">前の節</a>'));
+    assert(html.includes('<a href="https://example.com">外部</a>'));
+  });
+
+  test('脚注をページ下部に配置する要素に置き換える', async () => {
+    const messages = [];
+    const originalLog = console.log;
+    console.log = (message) => messages.push(message);
+    try {
+      await new PrintHtmlBuilder().build(config, { sourceDir, outputFile });
+    } finally {
+      console.log = originalLog;
+    }
+    const html = await fs.readFile(outputFile, 'utf8');
+
+    assert(html.includes('本文です<span class="footnote"><strong>補足</strong>の説明。 二行目。</span>。'));
+    assert(!html.includes('[^note]:'));
+    // コードブロック内はそのまま残す
+    assert(html.includes('const a = &quot;[^note]&quot;;'));
+    assert(html.includes('用語[^missing]。'));
+    assert(messages.includes('⚠️  脚注の定義が見つかりません: [^missing] (appendices/appendix-a.md)'));
+  });
+
+  test('印刷用スタイルシートを埋め込む', async () => {
+    await new PrintHtmlBuilder().build(config, { sourceDir, outputFile });
+    const html = await fs.readFile(outputFile, 'utf8');
+    const style = html.match(/<style>\n([\s\S]*?)\n<\/style>/)[1];
+
+    assert(style.includes('string-set: chapter-title content(text)'));
+    assert(style.includes('float: footnote'));
+    assert(style.includes('target-counter(attr(href url), page)'));
+    assert.match(style, /\.print-book \.chapter \{\n {4}page: chapter;/);
+  });
+
+  test('設定に記載されたファイルがない場合はエラーにする', async () => {
+    await fs.remove(path.join(sourceDir, 'appendices', 'appendix-a.md'));
+
+    await assert.rejects(
+      new PrintHtmlBuilder().build(config, { sourceDir, outputFile }),
+      /設定に記載されたファイルが見つかりません: appendices\/appendix-a\.md/
+    );
+  });
+});
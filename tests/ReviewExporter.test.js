@@ -0,0 +1,110 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { ReviewExporter } from '../src/ReviewExporter.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('ReviewExporter', () => {
+  let tempDir;
+  let sourceDir;
+  let outputDir;
+  let config;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    sourceDir = path.join(tempDir, 'src');
+    outputDir = path.join(tempDir, 'dist', 'book-review');
+
+    await fs.outputFile(path.join(sourceDir, 'introduction', 'index.md'), '# まえがき\n\n[第1章](../chapters/chapter01.md)から読んでください。\n');
+    await fs.outputFile(
+      path.join(sourceDir, 'chapters', 'chapter01.md'),
+      [
+        '# 第1章　基本',
+        '## 1-1　流れ',
+        '**売上**は*客数*×`客単価`です[^1]。**{重要}**',
+        '![流れ図](../../assets/images/flow.svg)',
+        '![ない画像](../../assets/images/missing.png)',
+        '- 仕入れ\n  - 発注\n- 販売',
+        '```js\nconst total = price * count;\n```',
+        '| 項目 | 金額 |\n|---|---|\n| 売上 | |\n| .調整 | 10 |',
+        '> 引用です',
+        '[^1]: 簡略化した式です。'
+      ].join('\n\n')
+    );
+    await fs.outputFile(path.join(tempDir, 'assets', 'images', 'flow.svg'), '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>');
+
+    config = {
+      title: 'テスト書籍',
+      author: '著者',
+      publisher: '出版社',
+      language: 'ja',
+      structure: {
+        introduction: { title: 'まえがき', enabled: true },
+        chapters: [{ number: 1, title: '基本', file: 'chapter01.md' }]
+      }
+    };
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('catalog.yml と config.yml を書き出す', async () => {
+    await new ReviewExporter().export(config, { sourceDir, outputDir, date: new Date('2026-04-01T00:00:00Z') });
+
+    const catalog = YAML.parse(await fs.readFile(path.join(outputDir, 'catalog.yml'), 'utf8'));
+    assert.deepStrictEqual(catalog, { PREDEF: ['introduction.re'], CHAPS: ['chapter01.re'] });
+
+    const reviewConfig = YAML.parse(await fs.readFile(path.join(outputDir, 'config.yml'), 'utf8'));
+    assert.strictEqual(reviewConfig.booktitle, 'テスト書籍');
+    assert.deepStrictEqual(reviewConfig.aut, ['著者']);
+    assert.strictEqual(reviewConfig.pbl, '出版社');
+    assert.strictEqual(reviewConfig.date, '2026-04-01');
+  });
+
+  test('見出しの章・節番号を外し、ブロックとインラインを Re:VIEW の命令にする', async () => {
+    await new ReviewExporter().export(config, { sourceDir, outputDir });
+    const review = await fs.readFile(path.join(outputDir, 'chapter01.re'), 'utf8');
+
+    assert(review.startsWith('= 基本\n\n== 流れ\n'));
+    assert(review.includes('@<b>{売上}は@<i>{客数}×@<code>{客単価}です@<fn>{1}。@<b>{{重要\\}}'));
+    assert(review.includes(' * 仕入れ\n ** 発注\n * 販売'));
+    assert(review.includes('//list[chapter01-list1][][js]{\nconst total = price * count;\n//}'));
+    assert(review.includes('//table[chapter01-table1][]{\n項目\t金額\n------------\n売上\t.\n..調整\t10\n//}'));
+    assert(review.includes('//quote{\n引用です\n//}'));
+    assert(review.trimEnd().endsWith('//footnote[1][簡略化した式です。]'));
+  });
+
+  test('画像をコピーして //image にし、原稿間のリンクを @<chapref> にする', async () => {
+    const result = await new ReviewExporter().export(config, { sourceDir, outputDir });
+    const review = await fs.readFile(path.join(outputDir, 'chapter01.re'), 'utf8');
+    const introduction = await fs.readFile(path.join(outputDir, 'introduction.re'), 'utf8');
+
+    assert.strictEqual(result.images, 1);
+    assert(await fs.pathExists(path.join(outputDir, 'images', 'chapter01', 'flow.svg')));
+    assert(review.includes('//image[flow][流れ図]{\n//}'));
+    // 見つからない画像は代替テキストを残す
+    assert(review.includes('\nない画像\n'));
+    assert(introduction.includes('@<chapref>{chapter01}から読んでください。'));
+  });
+
+  test('設定に記載されたファイルがない場合はエラーにする', async () => {
+    await fs.remove(path.join(sourceDir, 'chapters', 'chapter01.md'));
+
+    await assert.rejects(
+      () => new ReviewExporter().export(config, { sourceDir, outputDir }),
+      /設定に記載されたファイルが見つかりません: chapters\/chapter01\.md/
+    );
+  });
+
+  test('出力先は dist/<slug>-review にする', () => {
+    assert.strictEqual(new ReviewExporter().getOutputDir({ title: 'My Book' }), path.join('dist', 'my-book-review'));
+  });
+});
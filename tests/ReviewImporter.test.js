@@ -0,0 +1,222 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { ReviewImporter } from '../src/ReviewImporter.js';
+import { ReviewExporter } from '../src/ReviewExporter.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CHAPTER = `= 基本
+
+#@# 数字はあとで確認する
+@<b>{売上}は@<i>{客数}×@<code>{客単価}です@<fn>{note}。@<chapref>{appendix}を参照。
+
+== 流れ
+
+//image[flow][流れ図]{
+//}
+
+ * 仕入れ
+ ** 発注
+
+ 1. 販売
+
+//list[calc][計算][js]{
+const total = price * count;
+//}
+
+//table[sales][売上]{
+項目	金額
+------------
+売上	.
+..調整	10
+//}
+
+==[column] 店長のひとこと
+
+//note[メモ]{
+在庫は毎日確認する
+//}
+
+== 改善
+
+//footnote[note][簡略化した式です。]
+`;
+
+describe('ReviewImporter', () => {
+  let tempDir;
+  let projectDir;
+  let sourceDir;
+  let configPath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    projectDir = path.join(tempDir, 'review');
+    sourceDir = path.join(tempDir, 'src');
+    configPath = path.join(tempDir, 'book-config.json');
+
+    await fs.outputFile(path.join(projectDir, 'catalog.yml'), 'PREDEF:\n  - preface.re\nCHAPS:\n  - part1.re:\n    - basics.re\nAPPENDIX:\n  - appendix.re\n');
+    await fs.outputFile(path.join(projectDir, 'config.yml'), 'booktitle: 取り込んだ本\naut: ["著者1", "著者2"]\npbl: 出版社\n');
+    await fs.outputFile(path.join(projectDir, 'preface.re'), '= まえがき\n\n@<chap>{basics}から読んでください。\n');
+    await fs.outputFile(path.join(projectDir, 'basics.re'), CHAPTER);
+    await fs.outputFile(path.join(projectDir, 'appendix.re'), '= 用語集\n\n== 売上\n');
+    await fs.outputFile(path.join(projectDir, 'images', 'basics', 'flow.svg'), '<svg xmlns="http://www.w3.org/2000/svg"/>');
+
+    await fs.writeJson(configPath, {
+      book: { title: '元の本', author: { name: '元の著者' } },
+      structure: { chapters: [] },
+      navigation: { order: [] }
+    });
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('catalog.yml の順にMarkdownを書き出し、章・節・付録の番号を見出しに付ける', async () => {
+    await new ReviewImporter().import(projectDir, { configPath, sourceDir });
+
+    const chapter = await fs.readFile(path.join(sourceDir, 'chapters', 'chapter01.md'), 'utf8');
+    assert(chapter.startsWith('# 第1章　基本\n'));
+    assert(chapter.includes('\n## 1-1　流れ\n'));
+    assert(chapter.includes('\n## 店長のひとこと\n'));
+    assert(chapter.includes('\n## 1-2　改善\n'));
+    assert(chapter.includes('\n<!-- 数字はあとで確認する -->\n\n**売上**は'));
+
+    const appendix = await fs.readFile(path.join(sourceDir, 'appendices', 'appendix-a.md'), 'utf8');
+    assert(appendix.startsWith('# 付録A　用語集\n\n## 売上\n'));
+    const introduction = await fs.readFile(path.join(sourceDir, 'introduction', 'index.md'), 'utf8');
+    assert(introduction.includes('[第1章](../chapters/chapter01.md)から読んでください。'));
+  });
+
+  test('ブロック命令とインライン命令をMarkdownの記法にする', async () => {
+    await new ReviewImporter().import(projectDir, { configPath, sourceDir });
+    const chapter = await fs.readFile(path.join(sourceDir, 'chapters', 'chapter01.md'), 'utf8');
+
+    assert(chapter.includes('**売上**は*客数*×`客単価`です[^note]。[付録A「用語集」](../appendices/appendix-a.md)を参照。'));
+    assert(chapter.includes('- 仕入れ\n  - 発注\n\n1. 販売'));
+    assert(chapter.includes('**計算**\n```js\nconst total = price * count;\n```'));
+    assert(chapter.includes('**売上**\n\n| 項目 | 金額 |\n| --- | --- |\n| 売上 |  |\n| .調整 | 10 |'));
+    assert(chapter.includes('> **メモ**\n>\n> 在庫は毎日確認する'));
+    assert(chapter.includes('[^note]: 簡略化した式です。'));
+
+    assert(chapter.includes('![流れ図](../../assets/images/basics/flow.svg)'));
+    assert(await fs.pathExists(path.join(tempDir, 'assets', 'images', 'basics', 'flow.svg')));
+  });
+
+  test('設定ファイルの構成と書籍情報を更新し、設定済みの書名やタイトルは --overwrite の場合だけ置き換える', async () => {
+    const original = await fs.readJson(configPath);
+    original.structure.introduction = { title: 'はじめに', enabled: true };
+    await fs.writeJson(configPath, original);
+
+    await new ReviewImporter().import(projectDir, { configPath, sourceDir });
+    let config = await fs.readJson(configPath);
+
+    assert.strictEqual(config.book.title, '元の本');
+    assert.deepStrictEqual(config.book.author, { name: '元の著者' });
+    assert.strictEqual(config.book.publisher, '出版社');
+    assert.deepStrictEqual(config.structure.introduction, { title: 'はじめに', enabled: true });
+
+    await new ReviewImporter().import(projectDir, { configPath, sourceDir, overwrite: true });
+    config = await fs.readJson(configPath);
+
+    assert.strictEqual(config.book.title, '取り込んだ本');
+    assert.deepStrictEqual(config.book.author, { name: '著者1、著者2' });
+    assert.deepStrictEqual(config.structure.introduction, { title: 'まえがき', enabled: true });
+    assert.deepStrictEqual(config.structure.chapters, [{ number: 1, title: '基本', file: 'chapter01.md', enabled: true }]);
+    assert.deepStrictEqual(config.structure.appendices, [{ letter: 'A', title: '用語集', file: 'appendix-a.md', enabled: true }]);
+    assert.deepStrictEqual(config.navigation.order, ['introduction/index', 'chapters/chapter01', 'appendices/appendix-a']);
+  });
+
+  test('YAMLの設定ファイルはコメントを残して更新する', async () => {
+    const yamlPath = path.join(tempDir, 'book-config.yml');
+    await fs.writeFile(yamlPath, '# 書籍の設定\ntitle: 元の本 # 仮の書名\nstructure:\n  chapters: []\n');
+
+    await new ReviewImporter().import(projectDir, { configPath: yamlPath, sourceDir, overwrite: true });
+    const content = await fs.readFile(yamlPath, 'utf8');
+    const config = YAML.parse(content);
+
+    assert(content.startsWith('# 書籍の設定\n'));
+    assert.strictEqual(config.title, '取り込んだ本');
+    assert.strictEqual(config.author, '著者1、著者2');
+    assert.strictEqual(config.structure.chapters.length, 1);
+  });
+
+  test('書き出した Re:VIEW のプロジェクトを取り込み直せる', async () => {
+    await new ReviewImporter().import(projectDir, { configPath, sourceDir });
+    const before = await fs.readFile(path.join(sourceDir, 'chapters', 'chapter01.md'), 'utf8');
+    const config = await fs.readJson(configPath);
+
+    const exportDir = path.join(tempDir, 'exported');
+    await new ReviewExporter().export({ title: config.book.title, structure: config.structure }, { sourceDir, outputDir: exportDir });
+    await new ReviewImporter().import(exportDir, { configPath, sourceDir: path.join(tempDir, 'roundtrip') });
+    const after = await fs.readFile(path.join(tempDir, 'roundtrip', 'chapters', 'chapter01.md'), 'utf8');
+
+    assert.strictEqual(after, before);
+    assert.deepStrictEqual(await fs.readdir(path.join(tempDir, 'assets', 'images')), ['basics']);
+  });
+
+  test('Markdownの原稿を書き出して取り込み直すと元の原稿に戻る', async () => {
+    const license = '<!-- \n本章は「テスト書籍」の一部であり、\nCC BY-NC-SA 4.0ライセンスの下で提供されます。\n-->';
+    const originals = {
+      'introduction/index.md': [license, '# はじめに', '[第1章「基本」](../chapters/chapter01.md)から読んでください。'],
+      'chapters/chapter01.md': [
+        license,
+        '# 第1章　基本',
+        '**学習目標**: 売上の考え方を理解する',
+        '---',
+        '## 1-1　売上とは',
+        '**売上**は客数と*客単価*の積です。',
+        '**コンビニの場合**\n- **客数**: 1日1000人\n- **客単価**: 600円',
+        '![売上の流れ](../../assets/images/diagrams/flow.svg)',
+        '**計算式**\n```js\nconst sales = customers * price;\n```',
+        '---',
+        '## 1-2　まとめ',
+        '[付録A「用語集」](../appendices/appendix-a.md)を参照。'
+      ],
+      'appendices/appendix-a.md': [license, '# 付録A　用語集', '## 売上', '商品を販売して得た金額。']
+    };
+    const markdownDir = path.join(tempDir, 'markdown');
+    for (const [file, blocks] of Object.entries(originals)) {
+      await fs.outputFile(path.join(markdownDir, file), `${blocks.join('\n\n')}\n`);
+    }
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"/>';
+    await fs.outputFile(path.join(tempDir, 'assets', 'images', 'diagrams', 'flow.svg'), svg);
+
+    const exportDir = path.join(tempDir, 'exported');
+    await new ReviewExporter().export({
+      title: 'テスト書籍',
+      structure: {
+        introduction: { title: 'はじめに', enabled: true },
+        chapters: [{ number: 1, title: '基本', file: 'chapter01.md' }],
+        appendices: [{ letter: 'A', title: '用語集', file: 'appendix-a.md', enabled: true }]
+      }
+    }, { sourceDir: markdownDir, outputDir: exportDir });
+    const review = await fs.readFile(path.join(exportDir, 'chapter01.re'), 'utf8');
+    assert(review.startsWith('#@# 本章は「テスト書籍」の一部であり、\n#@# CC BY-NC-SA 4.0ライセンスの下で提供されます。\n\n= 基本\n'));
+    assert(review.includes('\n//hr\n'));
+
+    await new ReviewImporter().import(exportDir, { configPath, sourceDir });
+
+    for (const [file, blocks] of Object.entries(originals)) {
+      assert.strictEqual(await fs.readFile(path.join(sourceDir, file), 'utf8'), `${blocks.join('\n\n')}\n`, file);
+    }
+    assert.deepStrictEqual(await fs.readdir(path.join(tempDir, 'assets', 'images')), ['diagrams']);
+    assert.strictEqual(await fs.readFile(path.join(tempDir, 'assets', 'images', 'diagrams', 'flow.svg'), 'utf8'), svg);
+  });
+
+  test('catalog.yml がない場合はエラーにする', async () => {
+    await fs.remove(path.join(projectDir, 'catalog.yml'));
+
+    await assert.rejects(
+      () => new ReviewImporter().import(projectDir, { configPath, sourceDir }),
+      /catalog\.yml が見つかりません/
+    );
+  });
+});
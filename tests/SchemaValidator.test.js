@@ -0,0 +1,61 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { SchemaValidator } from '../src/SchemaValidator.js';
+
+describe('SchemaValidator', () => {
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      tags: { type: 'array', uniqueItems: true, items: { type: 'string' } },
+      items: { type: 'array', items: { $ref: '#/definitions/item' } },
+      mode: { enum: ['a', 'b'] }
+    },
+    if: { properties: { mode: { const: 'b' } }, required: ['mode'] },
+    then: { required: ['tags'], properties: { extra: { type: 'integer' } } },
+    definitions: {
+      item: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', pattern: '^[a-z]+$', errorMessage: { pattern: '項目 {index}: id が不正です: {value}' } }
+        }
+      }
+    }
+  };
+
+  test('エラーに JSON Pointer を付与する', () => {
+    const validator = new SchemaValidator(schema);
+    const result = validator.validate({ items: [{ id: 'ok' }, { id: 'NG' }], tags: ['x', 'x'] });
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors.map(error => [error.path, error.keyword]), [
+      ['/name', 'required'],
+      ['/items/1/id', 'pattern'],
+      ['/tags', 'uniqueItems']
+    ]);
+    assert.strictEqual(result.errors[1].message, '項目 2: id が不正です: NG');
+  });
+
+  test('if / then を評価する', () => {
+    const validator = new SchemaValidator(schema);
+
+    assert.strictEqual(validator.validate({ name: 'a', mode: 'a' }).valid, true);
+    assert.deepStrictEqual(validator.validate({ name: 'a', mode: 'b' }).errors.map(error => error.path), ['/tags']);
+  });
+
+  test('どのスキーマにも宣言されていないキーを警告する', () => {
+    const validator = new SchemaValidator(schema);
+    const result = validator.validate({ name: 'a', mode: 'b', tags: [], extra: 1, unknown: true, items: [{ id: 'a', note: '' }] });
+
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.warnings.map(warning => warning.path), ['/unknown', '/items/0/note']);
+  });
+
+  test('JSON Pointer のキーをエスケープする', () => {
+    const validator = new SchemaValidator({ additionalProperties: false });
+    const result = validator.validate({ 'a/b~c': 1 });
+
+    assert.strictEqual(result.errors[0].path, '/a~1b~0c');
+  });
+});
@@ -0,0 +1,88 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { SiteBuilder } from '../src/SiteBuilder.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('SiteBuilder', () => {
+  let siteBuilder;
+  let tempDir;
+  let sourceDir;
+  let outputDir;
+  let config;
+
+  beforeEach(async () => {
+    siteBuilder = new SiteBuilder();
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'tmp-'));
+    sourceDir = path.join(tempDir, 'src');
+    outputDir = path.join(tempDir, 'docs');
+
+    await fs.outputFile(path.join(sourceDir, 'introduction', 'index.md'), '# まえがき\n');
+    await fs.outputFile(path.join(sourceDir, 'chapters', 'chapter01.md'), '# 第1章　基本\n\n本文\n<!-- PRIVATE: 非公開メモ -->\n');
+    await fs.outputFile(path.join(sourceDir, 'chapters', 'chapter02.md'), '# 第2章　応用\n');
+    await fs.outputFile(path.join(sourceDir, 'chapters', 'draft.md'), '# 下書き\n');
+    await fs.outputFile(path.join(tempDir, 'assets', 'images', 'figure.svg'), '<svg/>');
+
+    config = {
+      book: { title: 'テスト書籍' },
+      structure: {
+        introduction: { title: 'はじめに', enabled: true },
+        chapters: [
+          { number: 1, title: '基本', file: 'chapter01.md' },
+          { number: 2, title: '応用', file: 'chapter02.md' }
+        ]
+      },
+      contentExcludePatterns: ['<!-- PRIVATE:']
+    };
+  });
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('設定に列挙されたファイルだけをビルドする', async () => {
+    await siteBuilder.build(config, { sourceDir, outputDir });
+
+    assert.strictEqual(await fs.pathExists(path.join(outputDir, 'chapters', 'chapter01.md')), true);
+    assert.strictEqual(await fs.pathExists(path.join(outputDir, 'chapters', 'chapter02.md')), true);
+    assert.strictEqual(await fs.pathExists(path.join(outputDir, 'chapters', 'draft.md')), false);
+    assert.strictEqual(await fs.pathExists(path.join(outputDir, 'assets', 'images', 'figure.svg')), true);
+  });
+
+  test('Front Matterを追加し非公開コンテンツを除去する', async () => {
+    await siteBuilder.build(config, { sourceDir, outputDir });
+
+    const content = await fs.readFile(path.join(outputDir, 'chapters', 'chapter01.md'), 'utf8');
+    assert(content.startsWith('---\nlayout: book\ntitle: 第1章　基本\n---'));
+    assert(!content.includes('非公開メモ'));
+  });
+
+  test('設定の順序でnavigation.ymlを生成する', async () => {
+    await siteBuilder.build(config, { sourceDir, outputDir });
+
+    const navigation = YAML.parse(
+      await fs.readFile(path.join(outputDir, '_data', 'navigation.yml'), 'utf8')
+    );
+    assert.deepStrictEqual(navigation.introduction, [{ title: 'はじめに', path: '/introduction/' }]);
+    assert.deepStrictEqual(navigation.chapters.map(c => c.path), [
+      '/chapters/chapter01.html',
+      '/chapters/chapter02.html'
+    ]);
+  });
+
+  test('設定されたファイルが存在しない場合エラーを投げる', async () => {
+    config.structure.chapters.push({ number: 3, title: '欠落', file: 'chapter03.md' });
+
+    await assert.rejects(
+      siteBuilder.build(config, { sourceDir, outputDir }),
+      /設定に記載されたファイルが見つかりません: chapters\/chapter03\.md/
+    );
+  });
+});
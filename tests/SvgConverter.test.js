@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { SvgConverter } from '../src/SvgConverter.js';
+
+describe('SvgConverter', () => {
+  test('viewBox に合わせて座標系を反転・拡大する', () => {
+    const { width, height, content } = new SvgConverter().convert('<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100" viewBox="10 20 100 50"></svg>');
+
+    assert.strictEqual(width, 200);
+    assert.strictEqual(height, 100);
+    assert.deepStrictEqual(content.split('\n'), ['1 0 0 -1 0 100 cm', '2 0 0 2 -20 -40 cm']);
+  });
+
+  test('<style> のクラス指定・属性・style 属性の順にスタイルを適用する', () => {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">
+  <style><![CDATA[ .box { fill: #1976d2; stroke: red; rx: 4; } ]]></style>
+  <rect class="box" x="0" y="0" width="20" height="10" fill="green" style="stroke: none"/>
+  <g fill="#fff" transform="translate(5, 5)"><circle cx="0" cy="0" r="2"/></g>
+  <rect width="10" height="10" display="none"/>
+</svg>`;
+    const content = new SvgConverter().convert(svg).content;
+
+    assert(content.includes('0.098 0.463 0.824 rg'));
+    assert(!content.includes('1 0 0 RG'));
+    assert(content.includes('4 0 m 16 0 l'));
+    assert(content.includes('1 0 0 1 5 5 cm\nq\n1 1 1 rg'));
+    assert.strictEqual(content.match(/\bre\b/g), null);
+  });
+
+  test('パスの円弧・2次曲線を3次ベジェ曲線に変換し、矢印のマーカーを描く', () => {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">
+  <defs><marker id="arrow" markerWidth="10" markerHeight="10" refX="10" refY="5" orient="auto"><polygon points="0 0, 10 5, 0 10"/></marker></defs>
+  <path d="M 10 10 A 10 10 0 0 1 30 10 Q 40 0 50 10" stroke="black" fill="none"/>
+  <line x1="0" y1="50" x2="0" y2="90" stroke="black" stroke-width="2" marker-end="url(#arrow)"/>
+</svg>`;
+    const content = new SvgConverter().convert(svg).content;
+
+    assert.match(content, /^10 10 m( [-\d.]+){6} c( [-\d.]+){6} c( [-\d.]+){6} c$/m);
+    assert(content.includes('0 50 m 0 90 l\nB\nq\n0 2 -2 0 0 90 cm\n1 0 0 1 -10 -5 cm'));
+    assert(content.includes('0 0 m 10 5 l 0 10 l h\nf'));
+  });
+
+  test('テキストは描画関数に位置・大きさ・揃え・色を渡す', () => {
+    const calls = [];
+    const converter = new SvgConverter({ text: options => calls.push(options) && 'TEXT' });
+    const content = converter.convert(`<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" font-size="12">
+  <text x="50" y="20" text-anchor="middle" font-weight="bold" fill="#333">売上 &lt; 目標</text>
+  <text x="0" y="40" fill="none">非表示</text>
+</svg>`).content;
+
+    assert.deepStrictEqual(calls, [{ text: '売上 < 目標', x: 50, y: 20, size: 12, bold: true, anchor: 'middle', color: [0.2, 0.2, 0.2] }]);
+    assert(content.includes('TEXT'));
+  });
+
+  test('SVG でない場合はエラーにする', () => {
+    assert.throws(() => new SvgConverter().convert('<html></html>'), /SVG のルート要素がありません/);
+  });
+});
@@ -0,0 +1,285 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import YAML from 'yaml';
+import { TemplateEngine, SafeString } from '../src/TemplateEngine.js';
+
+describe('TemplateEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new TemplateEngine();
+  });
+
+  test('入れ子の each と if を正しい閉じタグで処理する', () => {
+    const template = [
+      '{{#each parts}}',
+      '[{{title}}:{{#each chapters}}{{#if draft}}({{title}}){{else}}{{title}}{{/if}}{{#unless @last}},{{/unless}}{{/each}}]',
+      '{{/each}}'
+    ].join('');
+    const data = {
+      parts: [
+        { title: '第1部', chapters: [{ title: '基本' }, { title: '応用', draft: true }] },
+        { title: '第2部', chapters: [{ title: '実践' }] }
+      ]
+    };
+
+    assert.strictEqual(engine.renderTemplate(template, data), '[第1部:基本,(応用)][第2部:実践]');
+  });
+
+  test('else と else if は条件に応じて一方の分岐だけを出力する', () => {
+    const template = '{{#if a}}A{{else if b}}B{{else}}C{{/if}}/{{#each items}}{{this}}{{else}}なし{{/each}}';
+
+    assert.strictEqual(engine.renderTemplate(template, { a: true, b: true, items: [] }), 'A/なし');
+    assert.strictEqual(engine.renderTemplate(template, { b: 'yes', items: ['x'] }), 'B/x');
+    assert.strictEqual(engine.renderTemplate(template, { items: ['x', 'y'] }), 'C/xy');
+  });
+
+  test('ループ内で @index / @first / @last と親のスコープを参照できる', () => {
+    const template = '{{#each chapters}}{{#if @first}}{{../title}}: {{/if}}{{@index}}.{{title}}({{@root.author}}){{#unless @last}} / {{/unless}}{{/each}}';
+    const data = { title: '書籍', author: '著者', chapters: [{ title: '基本' }, { title: '応用' }, { title: '実践' }] };
+
+    assert.strictEqual(engine.renderTemplate(template, data), '書籍: 1.基本(著者) / 2.応用(著者) / 3.実践(著者)');
+
+    // ループ内の if は親ではなく要素の値で判定する
+    const readme = engine.render('README.md', {
+      title: '書籍',
+      structure: { chapters: [{ id: 'c1', title: '基本', description: '基本の説明' }, { id: 'c2', title: '応用' }] }
+    });
+    assert.ok(readme.includes('- **第1章: 基本**  \n  基本の説明\n- **第2章: 応用**\n\n## 開発環境'));
+  });
+
+  test('閉じられていないブロックや対応しない閉じタグを行番号付きで報告する', () => {
+    assert.throws(
+      () => engine.renderTemplate('# {{title}}\n{{#each chapters}}\n- {{title}}\n', {}, { name: 'index.md' }),
+      (error) => {
+        assert.strictEqual(error.message, 'テンプレート構文エラー: {{#each chapters}} が閉じられていません（index.md:2:1）');
+        assert.strictEqual(error.template, 'index.md');
+        assert.strictEqual(error.line, 2);
+        return true;
+      }
+    );
+    assert.throws(
+      () => engine.renderTemplate('{{#if a}}\n{{#each b}}\n{{/if}}\n{{/each}}', {}),
+      /\{\{#each\}\}（2行目）は \{\{\/each\}\} で閉じてください: \{\{\/if\}\}（3:1）/
+    );
+    assert.throws(() => engine.renderTemplate('text\n{{/if}}', {}), /\{\{\/if\}\} に対応する \{\{#if\}\} がありません（2:1）/);
+    assert.throws(() => engine.renderTemplate('{{else}}', {}), /\{\{else\}\} に対応するブロックがありません/);
+    assert.throws(() => engine.renderTemplate('a\n  {{title\n', {}), /\{\{ が閉じられていません（2:3）/);
+  });
+
+  test('組み込みヘルパーで日付・数値・文字列を整形する', () => {
+    const data = { title: 'My Book: 入門', language: 'ja', currentDate: '2025-07-09', price: 1234.5, tags: ['a', 'b'], empty: '' };
+
+    assert.strictEqual(engine.renderTemplate('{{formatDate currentDate "YYYY年M月D日"}}/{{formatDate currentDate "YYYY-MM-DD"}}', data), '2025年7月9日/2025-07-09');
+    assert.strictEqual(engine.renderTemplate('{{formatDate currentDate}}', data), '2025年7月9日');
+    assert.strictEqual(engine.renderTemplate('{{formatDate currentDate locale="en-US"}}', data), 'July 9, 2025');
+    assert.strictEqual(engine.renderTemplate('{{formatNumber price}}/{{formatNumber price 2}}', data), '1,234.5/1,234.50');
+    assert.strictEqual(engine.renderTemplate('{{upper "abc"}} {{lower title}} {{slug title}}', data), 'ABC my book: 入門 my-book-入門');
+    assert.strictEqual(engine.renderTemplate('{{json tags}} {{default empty "なし"}} {{default (upper title) "なし"}}', data), '["a","b"] なし MY BOOK: 入門');
+  });
+
+  test('比較ヘルパーを条件で使用でき、registerHelper で追加できる', () => {
+    const data = { language: 'ja', chapters: [{ number: 1 }, { number: 5 }] };
+    engine.registerHelper('pad', (value, length, options) => String(value).padStart(length, options.hash.char || '0'));
+
+    assert.strictEqual(
+      engine.renderTemplate('{{#if (eq language "ja")}}日本語{{else}}other{{/if}}', data),
+      '日本語'
+    );
+    assert.strictEqual(
+      engine.renderTemplate('{{#each chapters}}{{#if (and (gt number 1) (not (eq @root.language "en")))}}[{{pad number 3 char="_"}}]{{else}}{{pad number 2}}{{/if}}{{/each}}', data),
+      '01[__5]'
+    );
+    assert.ok(engine.getAvailableHelpers().includes('pad'));
+
+    assert.throws(() => engine.registerHelper('broken', 'not a function'), /ヘルパー "broken" には関数を指定してください/);
+    assert.throws(
+      () => engine.renderTemplate('\n{{unknown title}}', {}, { name: 'index.md' }),
+      /未登録のヘルパーです: unknown（index\.md:2:1）/
+    );
+    assert.throws(() => engine.renderTemplate('{{#if (eq a b}}{{/if}}', {}), /\( が閉じられていません/);
+  });
+
+  test('パーシャルを現在のデータ、指定したコンテキスト、key=value で展開する', () => {
+    engine.registerPartial('chapterLink', '[{{#if number}}第{{number}}章 {{/if}}{{title}}](chapter-{{id}}/index.md)');
+    const template = '{{#each chapters}}{{> chapterLink number=@index}}\n{{/each}}{{> "chapterLink" first}}\n{{> footer}}';
+    const output = engine.renderTemplate(template, {
+      author: '著者',
+      version: '1.0.0',
+      currentDate: '2025-07-09',
+      chapters: [{ id: 'intro', title: '基本' }],
+      first: { id: 'x', title: '応用' }
+    });
+
+    assert.ok(output.startsWith('[第1章 基本](chapter-intro/index.md)\n[応用](chapter-x/index.md)\n---\n'));
+    assert.ok(output.includes('**著者:** 著者'));
+    assert.throws(
+      () => engine.renderTemplate('{{> missing}}', {}, { name: 'index.md' }),
+      /パーシャルが見つかりません: missing（index\.md:1:1）/
+    );
+    engine.registerPartial('loop', '{{> loop}}');
+    assert.throws(() => engine.renderTemplate('{{> loop}}', {}), /パーシャルの入れ子が深すぎます/);
+  });
+
+  test('extends と block でレイアウトを継承し、ブロックを置き換える', () => {
+    engine.registerPartial('base', '# {{#block "title"}}{{title}}{{/block}}\n\n{{#block "content"}}（本文）{{/block}}\n{{#block "footer"}}{{> footer}}{{/block}}');
+    engine.registerPartial('chapter-base', '{{#extends "base"}}{{#block "footer"}}-- {{author}} --{{/block}}{{/extends}}');
+    const template = [
+      '{{#extends "chapter-base"}}',
+      '無視される内容',
+      '{{#block "content"}}{{#each items}}- {{this}}\n{{/each}}{{/block}}',
+      '{{#block "footer"}}-- 第{{chapter}}章 --{{/block}}',
+      '{{/extends}}'
+    ].join('\n');
+
+    assert.strictEqual(
+      engine.renderTemplate(template, { title: '書籍', author: '著者', chapter: 2, items: ['a', 'b'] }),
+      '# 書籍\n\n- a\n- b\n\n-- 第2章 --'
+    );
+    assert.strictEqual(engine.renderTemplate('{{#extends "chapter-base"}}{{/extends}}', { title: '書籍', author: '著者' }), '# 書籍\n\n（本文）\n-- 著者 --');
+    assert.throws(() => engine.renderTemplate('{{#block "a"}}x{{else}}y{{/block}}', {}), /\{\{#block\}\} では \{\{else\}\} を使用できません/);
+  });
+
+  test('値は HTML エスケープし、{{{ }}} と SafeString はそのまま出力する', () => {
+    engine.registerHelper('bold', value => new SafeString(`<b>${engine.escapeHtml(value)}</b>`));
+    const data = { title: '<売上> & "利益"', html: '<em>強調</em>' };
+
+    assert.strictEqual(engine.renderTemplate('{{title}}', data), '&lt;売上&gt; &amp; &quot;利益&quot;');
+    assert.strictEqual(engine.renderTemplate('{{{html}}}/{{&html}}/{{html}}', data), '<em>強調</em>/<em>強調</em>/&lt;em&gt;強調&lt;/em&gt;');
+    assert.strictEqual(engine.renderTemplate('{{bold title}}', data), '<b>&lt;売上&gt; &amp; &quot;利益&quot;</b>');
+    assert.throws(() => engine.renderTemplate('{{{#if html}}}{{/if}}', data), /\{\{\{ \}\}\} には変数とヘルパーだけを指定できます/);
+  });
+
+  test('引用符・コロン・改行を含む値でも組み込みテンプレートの YAML と JSON が壊れない', () => {
+    const data = {
+      title: 'スーパー経営: "在庫" と\n価格',
+      description: 'key: value # コメントではない',
+      author: 'O\'Brien',
+      repository: { url: 'https://github.com/example/book.git' },
+      structure: { chapters: [{ id: 'c1', title: '第1章: "導入"' }] }
+    };
+    const frontMatter = (content) => YAML.parse(content.match(/^---\n([\s\S]*?)\n---\n/)[1]);
+
+    const index = engine.render('index.md', data);
+    assert.deepStrictEqual(frontMatter(index), {
+      title: data.title,
+      description: data.description,
+      author: data.author,
+      version: '1.0.0'
+    });
+    assert.ok(index.includes('# スーパー経営: &quot;在庫&quot; と\n価格'));
+
+    const chapter = engine.render('chapter.md', { ...data, chapter: data.structure.chapters[0] });
+    assert.deepStrictEqual(frontMatter(chapter), { title: '第1章: "導入"', chapter: 'c1' });
+
+    const jekyllConfig = YAML.parse(engine.render('_config.yml', data));
+    assert.strictEqual(jekyllConfig.title, data.title);
+    assert.strictEqual(jekyllConfig.description, data.description);
+    assert.strictEqual(jekyllConfig.repository, 'example/book');
+    // YAML 1.1（Jekyll）で真偽値と解釈される値は引用符で囲む
+    assert.ok(engine.render('_config.yml', { ...data, language: 'no' }).includes('lang: "no"\n'));
+
+    const packageJson = JSON.parse(engine.render('package.json', data));
+    assert.strictEqual(packageJson.description, data.description);
+    assert.strictEqual(packageJson.author, data.author);
+    assert.strictEqual(packageJson.repository.url, data.repository.url);
+  });
+
+  test('strict モードでは値が見つからない変数をテンプレート名と行番号付きでまとめて報告する', () => {
+    const template = '# {{title}}\n{{#if draft}}{{/if}}{{default subtitle "なし"}}\n{{#each chapters}}{{name}}{{../missing}}{{/each}}\n{{upper author}}';
+    const data = { title: '書籍', chapters: [{ name: 'a' }, { title: 'b' }] };
+
+    // 既定では空文字として出力する
+    assert.strictEqual(engine.renderTemplate(template, data), '# 書籍\nなし\na\n');
+
+    const strictEngine = new TemplateEngine({ strict: true });
+    assert.throws(
+      () => strictEngine.renderTemplate(template, data, { name: 'index.md' }),
+      (error) => {
+        assert.strictEqual(error.message, [
+          'テンプレートの値が見つかりません（3件）:',
+          '  - ../missing（index.md:3:27）',
+          '  - name（index.md:3:19）',
+          '  - author（index.md:4:1）'
+        ].join('\n'));
+        // ループで繰り返し参照しても1件として扱う
+        assert.deepStrictEqual(error.missing[1], { path: 'name', template: 'index.md', line: 3, column: 19 });
+        assert.strictEqual(error.line, 3);
+        return true;
+      }
+    );
+
+    const result = engine.inspect('chapter.md', { title: '書籍', chapter: { id: 'c1', title: '基本', objectives: ['目標'] } });
+    assert.deepStrictEqual(result.missing, []);
+    assert.deepStrictEqual(result.used.sort(), ['chapter.description', 'chapter.exercises', 'chapter.id', 'chapter.objectives[]', 'chapter.title']);
+  });
+
+  test('build.numbering に従って目次の章番号と付録の記号を出力する', () => {
+    const data = {
+      title: '書籍',
+      build: { numbering: { chapters: 'kanji' } },
+      structure: {
+        chapters: [{ id: 'c1', title: '基本' }, { id: 'c2', title: '下書き', enabled: false }, { id: 'c4', title: '実践' }],
+        appendices: [{ id: 'a1', title: '用語集' }, { id: 'a2', title: '索引', letter: 'C' }]
+      }
+    };
+
+    const index = engine.render('index.md', data);
+    assert.ok(index.includes('- [第一章 基本](src/chapter-c1/index.md)\n'));
+    assert.ok(index.includes('- [第二章 実践](src/chapter-c4/index.md)\n'));
+    assert.ok(index.includes('- [付録A 用語集](src/appendices/a1.md)\n'));
+    assert.ok(index.includes('- [付録C 索引](src/appendices/a2.md)\n'));
+    // 無効化された章は目次に含めない
+    assert.ok(!index.includes('下書き'));
+    assert.ok(engine.render('README.md', data).includes('- **付録C: 索引**'));
+
+    // chapter.md では {{chapter.label}} で章番号を参照できる
+    const chapter = engine.renderTemplate('{{chapter.label}}', engine.preprocessData({ ...data, chapter: data.structure.chapters[2] }));
+    assert.strictEqual(chapter, '第二章');
+  });
+
+  test('単独の行にあるブロックのタグは行ごと取り除き、目次を空行のない箇条書きにする', () => {
+    assert.strictEqual(engine.renderTemplate('{{#each items}}\n  {{#if this}}\n- {{this}}\n  {{/if}}\n{{/each}}\n{{! コメント }}\n終わり', { items: ['a', '', 'b'] }), '- a\n- b\n終わり');
+    // 同じ行にほかの内容があるタグは取り除かない
+    assert.strictEqual(engine.renderTemplate('- {{#if a}}あり{{/if}}\n{{#if a}}x{{/if}}\n', { a: true }), '- あり\nx\n');
+
+    const index = engine.render('index.md', {
+      title: '書籍',
+      description: '説明',
+      author: '著者',
+      version: '1.0.0',
+      structure: {
+        chapters: [{ id: 'c1', title: '基本' }, { id: 'c2', title: '下書き', enabled: false }, { id: 'c3', title: '応用' }],
+        appendices: [{ id: 'a1', title: '用語集' }]
+      }
+    });
+    assert.strictEqual(index.replace(/(\*\*最終更新:\*\*) .*/, '$1 日付'), [
+      '---',
+      'title: 書籍',
+      'description: 説明',
+      'author: 著者',
+      'version: 1.0.0',
+      '---',
+      '',
+      '# 書籍',
+      '',
+      '説明',
+      '',
+      '## 目次',
+      '',
+      '- [第1章 基本](src/chapter-c1/index.md)',
+      '- [第2章 応用](src/chapter-c3/index.md)',
+      '',
+      '## 付録',
+      '',
+      '- [付録A 用語集](src/appendices/a1.md)',
+      '',
+      '---',
+      '',
+      '**著者:** 著者  ',
+      '**バージョン:** 1.0.0  ',
+      '**最終更新:** 日付',
+      ''
+    ].join('\n'));
+  });
+});